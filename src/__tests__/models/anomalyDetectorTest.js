@@ -1,5 +1,7 @@
 // src/__tests__/models/anomalyDetectorTest.js
 import { AnomalyDetector } from '../../models/anomalyDetector';
+import { IsolationForest } from '../../models/isolationForest';
+import { DividendCadenceAnalyzer } from '../../models/dividendCadenceAnalyzer';
 import { AnomalyDetectorValidator } from '../../validation/anomalyDetectorValidator';
 
 /**
@@ -266,6 +268,240 @@ describe('AnomalyDetector - Métodos de Detecção', () => {
   });
 });
 
+describe('IsolationForest - Árvores de Isolamento', () => {
+  const features = mockDividendData.map(item => [item.value, item.yield]);
+  
+  test('deve calcular a normalização c(n) do comprimento de caminho', () => {
+    expect(IsolationForest.averagePathLength(1)).toBe(0);
+    expect(IsolationForest.averagePathLength(2)).toBe(1);
+    // c(256) ≈ 10.24 (valor de referência do artigo original)
+    expect(IsolationForest.averagePathLength(256)).toBeCloseTo(10.24, 1);
+  });
+  
+  test('deve respeitar nEstimators e maxSamples', () => {
+    const forest = new IsolationForest({ nEstimators: 25, maxSamples: 8, randomSeed: 1 }).fit(features);
+    
+    expect(forest.trees).toHaveLength(25);
+    expect(forest.sampleSize).toBe(8);
+    
+    const fractionForest = new IsolationForest({ maxSamples: 0.5, randomSeed: 1 }).fit(features);
+    expect(fractionForest.sampleSize).toBe(9);
+  });
+  
+  test('deve gerar scores reproduzíveis com a mesma semente', () => {
+    const first = new IsolationForest({ randomSeed: 42 }).fit(features).scoreSamples(features);
+    const second = new IsolationForest({ randomSeed: 42 }).fit(features).scoreSamples(features);
+    const other = new IsolationForest({ randomSeed: 7 }).fit(features).scoreSamples(features);
+    
+    expect(first).toEqual(second);
+    expect(first).not.toEqual(other);
+  });
+  
+  test('deve atribuir scores maiores aos pontos isolados', () => {
+    const forest = new IsolationForest({ randomSeed: 3 }).fit(features);
+    const scores = forest.scoreSamples(features);
+    
+    const normalScores = scores.filter((_, index) => !knownAnomalyIndices.includes(index));
+    const maxNormalScore = Math.max(...normalScores);
+    
+    knownAnomalyIndices.forEach(index => {
+      expect(scores[index]).toBeGreaterThan(maxNormalScore);
+      expect(scores[index]).toBeGreaterThan(0.5);
+    });
+  });
+});
+
+describe('AnomalyDetector - Mudanças de Regime', () => {
+  // Corte permanente de R$ 0,80 para R$ 0,60 a partir do 19º pagamento
+  const createCutData = () => Array.from({ length: 30 }, (_, i) => {
+    const month = i % 12 + 1;
+    const year = 2022 + Math.floor(i / 12);
+    
+    return {
+      date: `${year}-${month.toString().padStart(2, '0')}-15`,
+      value: (i < 18 ? 0.80 : 0.60) + ((i % 3) - 1) * 0.005,
+      price: 100
+    };
+  });
+  
+  ['cusum', 'bayesian'].forEach(method => {
+    test(`deve segmentar o corte de distribuição (${method})`, async () => {
+      const detector = new AnomalyDetector({
+        useAutoencoder: false,
+        useCache: false,
+        changePointMethod: method
+      });
+      
+      const results = await detector.detectDividendAnomalies(createCutData());
+      const { changePoints, segments } = results.regimes;
+      
+      expect(changePoints).toHaveLength(1);
+      expect(changePoints[0].date).toBe('2023-07-15');
+      expect(changePoints[0].direction).toBe('decrease');
+      expect(changePoints[0].percentChange).toBeCloseTo(-25, 0);
+      
+      expect(segments).toHaveLength(2);
+      expect(segments[1].startDate).toBe('2023-07-15');
+      expect(segments[1].mean).toBeCloseTo(0.60, 2);
+      expect(results.regimes.currentLevel).toBeCloseTo(0.60, 2);
+      
+      // O novo nível não deve ser reportado como uma sequência de anomalias isoladas
+      const lowAnomalies = results.anomalies.filter(a => a.type === 'low_value');
+      expect(lowAnomalies.length).toBeLessThan(3);
+    });
+  });
+  
+  test('deve reportar o nível dos valores distribuídos com ajuste sazonal', async () => {
+    const detector = new AnomalyDetector({ useAutoencoder: false, useCache: false });
+    
+    // Corte com complementos semestrais em junho e dezembro
+    const data = createCutData().map(item => ({
+      ...item,
+      value: item.value + (/-(06|12)-/.test(item.date) ? 0.25 : 0)
+    }));
+    
+    const results = await detector.detectDividendAnomalies(data);
+    const { changePoints, segments } = results.regimes;
+    const mean = items => items.reduce((sum, item) => sum + item.value, 0) / items.length;
+    
+    expect(results.seasonality.applied).toBe(true);
+    expect(segments).toHaveLength(2);
+    segments.forEach(segment => {
+      expect(segment.mean).toBeCloseTo(mean(data.slice(segment.startIndex, segment.endIndex + 1)), 4);
+    });
+    expect(changePoints[0].previousMean).toBe(segments[0].mean);
+    expect(results.regimes.currentLevel).toBe(segments[1].mean);
+  });
+  
+  test('não deve criar regime para um pico isolado', async () => {
+    const detector = new AnomalyDetector({ useAutoencoder: false, useCache: false });
+    const data = createCutData().slice(0, 18);
+    data[8].value = 1.30;
+    
+    const regimes = detector.detectRegimeChanges(data);
+    
+    expect(regimes.changePoints).toEqual([]);
+    expect(regimes.segments).toHaveLength(1);
+  });
+});
+
+describe('AnomalyDetector - Cadência de Pagamentos', () => {
+  // Pagamentos mensais com data-com no dia 8 e pagamento 7 dias depois
+  const createMonthlyPayments = (months = 18) => Array.from({ length: months }, (_, i) => {
+    const month = i % 12 + 1;
+    const year = 2023 + Math.floor(i / 12);
+    const prefix = `${year}-${month.toString().padStart(2, '0')}`;
+    
+    return { date: `${prefix}-08`, paymentDate: `${prefix}-15`, value: 0.80, price: 100 };
+  });
+  
+  test('deve aprender a frequência e a defasagem de pagamento', () => {
+    const analyzer = new DividendCadenceAnalyzer();
+    const cadence = analyzer.learnCadence(createMonthlyPayments());
+    
+    expect(cadence.frequency).toBe('monthly');
+    expect(cadence.typicalDay).toBe(8);
+    expect(cadence.paymentOffsetDays).toBe(7);
+    
+    const quarterly = createMonthlyPayments().filter((_, i) => i % 3 === 0);
+    expect(analyzer.learnCadence(quarterly).frequency).toBe('quarterly');
+  });
+  
+  test('deve identificar pagamentos ausentes, atrasados e extras', async () => {
+    const data = createMonthlyPayments();
+    data[9].paymentDate = '2023-11-05'; // Pagamento de outubro 21 dias após o habitual
+    data.splice(4, 1); // Maio de 2023 sem distribuição
+    data.push({ date: '2024-06-20', paymentDate: '2024-06-27', value: 0.30, price: 100 }); // Complemento em junho
+    
+    const detector = new AnomalyDetector({ useAutoencoder: false, useCache: false });
+    const results = await detector.detectDividendAnomalies(data, { referenceDate: '2024-06-30' });
+    const byType = type => results.anomalies.filter(a => a.type === type);
+    
+    expect(results.cadence.frequency).toBe('monthly');
+    
+    expect(byType('missed_payment')).toHaveLength(1);
+    expect(byType('missed_payment')[0].expectedDate).toBe('2023-05-08');
+    
+    expect(byType('late_payment')).toHaveLength(1);
+    expect(byType('late_payment')[0].date).toBe('2023-10-08');
+    expect(byType('late_payment')[0].delayDays).toBe(21);
+    
+    expect(byType('extra_payment').map(a => a.date)).toEqual(['2024-06-20']);
+    
+    results.anomalies
+      .filter(a => a.detectedBy.includes('cadence'))
+      .forEach(a => expect(Number.isFinite(a.deviation)).toBe(true));
+  });
+  
+  test('deve tratar como atraso o pagamento que passa para o mês seguinte', () => {
+    const analyzer = new DividendCadenceAnalyzer({ lateToleranceDays: 3 });
+    
+    // Data-com por volta do dia 26; a de março de 2024 só saiu em 05/04
+    const data = [
+      '2023-11-27', '2023-12-26', '2024-01-25', '2024-02-26', '2024-04-05', '2024-04-25', '2024-05-27'
+    ].map(date => ({ date, value: 0.80 }));
+    
+    const { cadence, anomalies } = analyzer.analyze(data);
+    
+    expect(cadence.frequency).toBe('monthly');
+    expect(anomalies.map(a => a.type)).toEqual(['late_payment']);
+    expect(anomalies[0].date).toBe('2024-04-05');
+    expect(anomalies[0].expectedDate).toBe('2024-03-26');
+    expect(anomalies[0].delayDays).toBe(10);
+  });
+  
+  test('deve apontar pagamentos pendentes até a data de referência', () => {
+    const analyzer = new DividendCadenceAnalyzer({ lateToleranceDays: 7 });
+    const data = createMonthlyPayments(12); // Último pagamento em dezembro de 2023
+    
+    const { anomalies } = analyzer.analyze(data, { referenceDate: '2024-03-10' });
+    
+    // Janeiro e fevereiro pendentes; março ainda dentro da tolerância
+    expect(anomalies.map(a => a.expectedDate)).toEqual(['2024-01-08', '2024-02-08']);
+    expect(anomalies.every(a => a.type === 'missed_payment')).toBe(true);
+  });
+});
+
+describe('AnomalyDetector - Amortizações', () => {
+  // Rendimentos mensais estáveis com uma amortização em março de 2024
+  const createDistributions = () => [
+    ...Array.from({ length: 18 }, (_, i) => ({
+      date: `${2023 + Math.floor(i / 12)}-${(i % 12 + 1).toString().padStart(2, '0')}-10`,
+      value: 0.80 + (i % 3) * 0.01,
+      distributionType: 'income'
+    })),
+    { date: '2024-03-10', value: 4.00, distributionType: 'amortization' }
+  ];
+  
+  test('deve pontuar amortizações à parte dos rendimentos', async () => {
+    const detector = new AnomalyDetector({ useAutoencoder: false, useCache: false, randomSeed: 7 });
+    const results = await detector.detectDividendAnomalies(createDistributions());
+    
+    expect(results.anomalies.filter(a => a.type === 'high_value')).toHaveLength(0);
+    expect(results.anomalies.filter(a => a.type === 'extra_payment')).toHaveLength(0);
+    
+    const [capitalReturn] = results.anomalies.filter(a => a.type === 'capital_return');
+    expect(capitalReturn.date).toBe('2024-03-10');
+    expect(capitalReturn.severity).toBe('high');
+    expect(results.amortizations).toEqual({ count: 1, total: 4, handling: 'separate' });
+    
+    // A amortização não entra na taxa de anomalias dos rendimentos
+    const excluded = await new AnomalyDetector({ useAutoencoder: false, useCache: false, randomSeed: 7, amortizationHandling: 'exclude' })
+      .detectDividendAnomalies(createDistributions());
+    expect(results.stats.capitalReturns).toBe(1);
+    expect(results.stats.count).toBe(excluded.stats.count);
+    expect(results.stats.percentage).toBe(excluded.stats.percentage);
+  });
+  
+  test('deve ignorar amortizações quando configurado', async () => {
+    const detector = new AnomalyDetector({ useAutoencoder: false, useCache: false, randomSeed: 7, amortizationHandling: 'exclude' });
+    const results = await detector.detectDividendAnomalies(createDistributions());
+    
+    expect(results.anomalies.some(a => a.date === '2024-03-10')).toBe(false);
+    expect(results.amortizations.count).toBe(1);
+  });
+});
+
 describe('AnomalyDetector - Engenharia de Features', () => {
   let detector;
 
@@ -612,4 +848,43 @@ describe('Robustez do Detector de Anomalias', () => {
     // Pelo menos um dezembro não deve ser considerado anomalia
     expect(decemberDates.some(date => !anomalyDates.includes(date))).toBe(true);
   });
+
+  test('deve ignorar pagamentos sazonais recorrentes e reportar o componente sazonal', async () => {
+    // Três anos de pagamentos mensais com complemento semestral em junho e dezembro
+    const semiannualData = [];
+    for (let i = 0; i < 36; i++) {
+      const month = i % 12 + 1;
+      const year = 2022 + Math.floor(i / 12);
+      const value = 0.65 + (i % 3) * 0.01 + (month === 6 || month === 12 ? 0.25 : 0);
+      
+      semiannualData.push({
+        date: `${year}-${month.toString().padStart(2, '0')}-15`,
+        value,
+        price: 100,
+        yield: value
+      });
+    }
+    
+    // Corte pontual em setembro do segundo ano
+    semiannualData[20].value = 0.30;
+    semiannualData[20].yield = 0.30;
+    
+    const results = await detector.detectDividendAnomalies(semiannualData);
+    const anomalyDates = results.anomalies.map(a => a.date);
+    
+    expect(results.seasonality.applied).toBe(true);
+    expect(results.seasonality.profile['month-12']).toBeGreaterThan(0.2);
+    
+    // Complementos semestrais não são anomalias; o corte pontual é
+    semiannualData
+      .filter(item => item.date.includes('-06-') || item.date.includes('-12-'))
+      .forEach(item => expect(anomalyDates).not.toContain(item.date));
+    
+    const cut = results.anomalies.find(a => a.date === semiannualData[20].date);
+    expect(cut).toBeDefined();
+    expect(cut.type).toBe('low_value');
+    expect(cut).toHaveProperty('seasonalComponent');
+    expect(cut).toHaveProperty('expectedValue');
+    expect(cut.residual).toBeLessThan(0);
+  });
 });
@@ -1,7 +1,12 @@
 // src/__tests__/models/priceForecasterTest.js
+import * as tf from '@tensorflow/tfjs';
 import { PriceForecaster } from '../../models/priceForecaster';
 import { PriceForecasterEnhanced } from '../../models/priceForecasterEnhanced';
+import { PriceForecasterRegistry } from '../../models/priceForecasterRegistry';
+import { ArimaForecaster, ExponentialSmoothingForecaster } from '../../models/statisticalForecaster';
+import { ForecastEnsemble } from '../../models/forecastEnsemble';
 import { PriceForecasterValidator } from '../../validation/priceForecasterValidator';
+import { MemoryStorageAdapter } from '../../utils/storageAdapter';
 
 /**
  * Testes automatizados para o modelo de previsão de preços
@@ -128,6 +133,64 @@ describe('PriceForecaster - Modelo Básico', () => {
   });
 });
 
+describe('PriceForecaster - Previsão Direta', () => {
+  const prices = Array.from({ length: 30 }, (_, i) => 100 + i + Math.sin(i));
+  
+  // Rede linear mínima com uma saída por dia do horizonte, sem treinar LSTMs
+  const createLinearModel = (windowSize, outputSize) => {
+    const model = tf.sequential({
+      layers: [
+        tf.layers.flatten({ inputShape: [windowSize, 1] }),
+        tf.layers.dense({ units: outputSize, kernelInitializer: 'ones' })
+      ]
+    });
+    model.compile({ optimizer: 'sgd', loss: 'meanSquaredError' });
+    return model;
+  };
+  
+  const createForecaster = strategy => {
+    const forecaster = new PriceForecaster({ windowSize: 5, horizonDays: 3, strategy, storage: 'memory' });
+    forecaster.model = createLinearModel(5, forecaster.getOutputSize());
+    forecaster.meanStd = { mean: 110, std: 10 };
+    forecaster.trained = true;
+    return forecaster;
+  };
+  
+  test('deve montar um alvo por dia do horizonte', () => {
+    const direct = createForecaster('direct').prepareData(prices);
+    const recursive = createForecaster('recursive').prepareData(prices);
+    
+    expect(direct.outputTensor.shape).toEqual([22, 3]);
+    expect(recursive.outputTensor.shape).toEqual([22, 1]);
+    expect(recursive.outputTensor.arraySync().map(row => row[0]))
+      .toEqual(direct.outputTensor.arraySync().map(row => row[2]));
+    
+    [direct, recursive].forEach(({ inputTensor, outputTensor }) => {
+      inputTensor.dispose();
+      outputTensor.dispose();
+    });
+  });
+  
+  test('deve prever além do horizonte e avaliar cada passo', async () => {
+    const forecaster = createForecaster('direct');
+    
+    const predictions = await forecaster.predict(prices, 7);
+    expect(predictions).toHaveLength(7);
+    predictions.forEach(value => expect(Number.isFinite(value)).toBe(true));
+    
+    const metrics = await forecaster.evaluate(prices);
+    expect(metrics.horizonMetrics.map(metric => metric.step)).toEqual([1, 2, 3]);
+    metrics.horizonMetrics.forEach(metric => {
+      expect(metric.rmse).toBeGreaterThan(0);
+      expect(metric.mae).toBeLessThanOrEqual(metric.rmse);
+    });
+    
+    // Modelo recursivo reporta apenas o dia horizonDays
+    const recursive = await createForecaster('recursive').evaluate(prices);
+    expect(recursive.horizonMetrics.map(metric => metric.step)).toEqual([3]);
+  });
+});
+
 describe('PriceForecasterEnhanced - Modelo Avançado', () => {
   let enhancedForecaster;
 
@@ -212,6 +275,244 @@ describe('PriceForecasterEnhanced - Modelo Avançado', () => {
   });
 });
 
+describe('PriceForecasterEnhanced - Variáveis Exógenas', () => {
+  // Selic estável com um corte no meio do período e IFIX em alta
+  const prices = Array.from({ length: 80 }, (_, i) => 100 + 0.1 * i + Math.sin(i / 3));
+  const exogenous = {
+    SELIC: prices.map((_, i) => (i < 40 ? 11.75 : 11.25)),
+    IFIX: prices.map((_, i) => 3000 + 2 * i + Math.cos(i / 2))
+  };
+  
+  let forecaster;
+  
+  beforeEach(() => {
+    forecaster = new PriceForecasterEnhanced({ windowSize: 5, horizonDays: 1, useEnsemble: false, storage: 'memory' });
+    
+    // Rede substituída por uma função do último passo da janela (preço e Selic), sem treinar LSTMs
+    forecaster.model = {
+      predict: input => {
+        const window = input.arraySync()[0];
+        const [price, selic] = window[window.length - 1];
+        return { arraySync: () => [[price + 0.1 - 0.2 * selic]], dispose: () => {} };
+      }
+    };
+    forecaster.meanStd = { mean: 100, std: 5 };
+    forecaster.normalizeExogenousVariables(exogenous);
+    forecaster.trained = true;
+  });
+  
+  test('deve seguir as trajetórias informadas e projetar as demais', async () => {
+    const result = await forecaster.predictWithConfidence({
+      prices,
+      exogenous,
+      futureExogenous: { SELIC: [11, 10.75] }
+    }, 5);
+    
+    expect(result.predictions).toHaveLength(5);
+    expect(result.exogenousPaths.SELIC).toEqual([11, 10.75, 10.75, 10.75, 10.75]);
+    
+    // IFIX projetado pela própria tendência em vez de congelado no último valor
+    const ifix = result.exogenousPaths.IFIX;
+    expect(ifix).toHaveLength(5);
+    expect(ifix[4]).toBeGreaterThan(ifix[0]);
+  });
+  
+  test('deve gerar uma trajetória por cenário', async () => {
+    const { baseline, scenarios } = await forecaster.predictScenarios({ prices, exogenous }, {
+      'Selic +100bps': { SELIC: 1 },
+      'Selic em alta gradual': { SELIC: (value, step) => value + 0.25 * (step + 1) }
+    }, 5);
+    
+    expect(Object.keys(scenarios)).toEqual(['Selic +100bps', 'Selic em alta gradual']);
+    const close = values => values.map(value => expect.closeTo(value, 4));
+    expect(baseline.exogenousPaths.SELIC).toEqual(close(Array(5).fill(11.25)));
+    expect(scenarios['Selic +100bps'].exogenousPaths.SELIC).toEqual(close(Array(5).fill(12.25)));
+    expect(scenarios['Selic em alta gradual'].exogenousPaths.SELIC).toEqual(close([11.5, 11.75, 12, 12.25, 12.5]));
+    expect(scenarios['Selic +100bps'].exogenousPaths.IFIX).toEqual(baseline.exogenousPaths.IFIX);
+    expect(scenarios['Selic +100bps'].predictions).not.toEqual(baseline.predictions);
+  });
+});
+
+describe('PriceForecasterEnhanced - Intervalos Conformes', () => {
+  // Série oscilante com ruído pseudoaleatório reprodutível
+  let seed = 7;
+  const noise = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647 - 0.5;
+  };
+  const prices = Array.from({ length: 240 }, (_, i) => 100 + 2 * Math.sin(i / 4) + noise());
+  
+  // Modelo ingênuo (repete o último preço da janela em todo o horizonte), sem treinar LSTMs
+  const naive = input => tf.tidy(() => input.slice([0, 4, 0], [-1, 1, 1]).reshape([-1, 1]).tile([1, 3]));
+  
+  const createForecaster = (config = {}) => {
+    const forecaster = new PriceForecasterEnhanced({
+      windowSize: 5,
+      horizonDays: 3,
+      useEnsemble: false,
+      useExogenousVariables: false,
+      confidenceInterval: 0.9,
+      storage: 'memory',
+      ...config
+    });
+    forecaster.model = {
+      predict: naive,
+      evaluate: (x, y) => tf.tidy(() => tf.losses.meanSquaredError(y, naive(x)))
+    };
+    forecaster.meanStd = { mean: 100, std: 2 };
+    forecaster.trained = true;
+    return forecaster;
+  };
+  
+  test('deve calibrar a largura de cada passo pelos resíduos', async () => {
+    const forecaster = createForecaster();
+    
+    // Sem calibração, banda fixa
+    expect((await forecaster.predictWithConfidence(prices.slice(0, 120), 5)).intervalMethod).toBe('fixed');
+    
+    expect(forecaster.calibrateIntervals(prices.slice(0, 120))).toBe(112);
+    
+    const result = await forecaster.predictWithConfidence(prices.slice(0, 120), 5);
+    const widths = result.upperBounds.map((upper, i) => upper - result.lowerBounds[i]);
+    const quantiles = forecaster.getConformalQuantiles();
+    
+    expect(result.intervalMethod).toBe('conformal');
+    expect(widths.slice(0, 3)).toEqual(quantiles.map(quantile => expect.closeTo(2 * quantile * 2, 6)));
+    expect(widths[4]).toBeCloseTo(2 * quantiles[2] * Math.sqrt(5 / 3) * 2, 6);
+    expect(widths[2]).toBeGreaterThan(widths[0]);
+  });
+  
+  test('deve informar a cobertura empírica na avaliação', async () => {
+    const split = createForecaster();
+    split.calibrateIntervals(prices.slice(0, 120));
+    
+    const metrics = await split.evaluateEnhanced(prices.slice(120));
+    
+    expect(metrics.intervalMethod).toBe('conformal');
+    expect(metrics.targetCoverage).toBe(0.9);
+    expect(metrics.coverage).toBeGreaterThan(0.8);
+    metrics.horizonMetrics.forEach(metric => {
+      expect(metric.coverage).toBeGreaterThan(0.8);
+      expect(metric.intervalWidth).toBeGreaterThan(0);
+    });
+    expect(split.conformalResiduals[0]).toHaveLength(112);
+    
+  });
+  
+  test('deve atualizar a janela móvel apenas em updateCalibration', async () => {
+    const rolling = createForecaster({ conformalMode: 'rolling', calibrationWindow: 150 });
+    rolling.calibrateIntervals(prices.slice(0, 120));
+    
+    // A avaliação não altera a calibração e pode ser repetida com o mesmo resultado
+    const first = await rolling.evaluateEnhanced(prices.slice(120));
+    const second = await rolling.evaluateEnhanced(prices.slice(120));
+    
+    expect(second.horizonMetrics).toEqual(first.horizonMetrics);
+    expect(rolling.conformalResiduals[0]).toHaveLength(112);
+    
+    // A atualização explícita acrescenta os resíduos mantendo calibrationWindow por passo
+    expect(rolling.updateCalibration(prices.slice(120))).toBe(150);
+    expect(rolling.conformalResiduals.map(residuals => residuals.length)).toEqual([150, 150, 150]);
+    
+    // Recalibrar substitui a janela
+    expect(rolling.calibrateIntervals(prices.slice(0, 120))).toBe(112);
+    
+    expect(() => createForecaster().updateCalibration(prices.slice(120))).toThrow("conformalMode 'rolling'");
+  });
+});
+
+describe('PriceForecasterEnhanced - Distribuição Preditiva', () => {
+  const prices = Array.from({ length: 100 }, (_, i) => 100 + 2 * Math.sin(i / 4) + (i % 3) * 0.2);
+  
+  const createForecaster = (config = {}) => new PriceForecasterEnhanced({
+    windowSize: 5,
+    horizonDays: 3,
+    useEnsemble: false,
+    useExogenousVariables: false,
+    storage: 'memory',
+    ...config
+  });
+  
+  test('deve estimar quantis com perda pinball', async () => {
+    const forecaster = createForecaster({ distributionMode: 'quantile' });
+    
+    // Erros 1, 0 e -1 para os quantis 5%, 50% e 95%
+    const loss = forecaster.pinballLoss(tf.ones([1, 9]), tf.tensor2d([[0, 0, 0, 1, 1, 1, 2, 2, 2]]));
+    expect(loss.dataSync()[0]).toBeCloseTo((0.05 + 0 + 0.05) / 3, 6);
+    
+    // Uma saída por passo e quantil; alvos repetidos por quantil
+    const model = forecaster.createEnhancedModel(1, 5);
+    expect(model.outputs[0].shape).toEqual([null, 9]);
+    expect(forecaster.getTrainingTargets(tf.zeros([4, 3])).shape).toEqual([4, 9]);
+    model.dispose();
+    
+    // Rede substituída por quantis cruzados em torno do último preço, sem treinar LSTMs
+    forecaster.model = {
+      predict: input => tf.tidy(() => input.slice([0, 4, 0], [-1, 1, 1]).reshape([-1, 1])
+        .add(tf.tensor2d([[0.5, 0.5, 0.5, 0, 0, 0, -0.5, -0.5, -0.5]])))
+    };
+    forecaster.meanStd = { mean: 100, std: 2 };
+    forecaster.trained = true;
+    
+    const distribution = await forecaster.predictDistribution(prices, 5);
+    const last = prices[prices.length - 1];
+    
+    expect(distribution.levels).toEqual([0.05, 0.5, 0.95]);
+    expect(distribution.predictions).toEqual(Array(5).fill(expect.closeTo(last, 6)));
+    expect(distribution.quantiles[0.05]).toEqual(Array(5).fill(expect.closeTo(last - 1, 6)));
+    expect(distribution.quantiles[0.95]).toEqual(Array(5).fill(expect.closeTo(last + 1, 6)));
+  });
+  
+  test('deve amostrar trajetórias com MC dropout', async () => {
+    const forecaster = createForecaster({ distributionMode: 'mcdropout', mcSamples: 40 });
+    forecaster.model = forecaster.createEnhancedModel(1, 5);
+    forecaster.meanStd = { mean: 100, std: 2 };
+    forecaster.trained = true;
+    
+    const distribution = await forecaster.predictDistribution(prices, 5);
+    const lastDay = distribution.samples.map(path => path[4]);
+    
+    expect(distribution.samples).toHaveLength(40);
+    distribution.samples.forEach(path => expect(path).toHaveLength(5));
+    expect(new Set(lastDay).size).toBeGreaterThan(1);
+    
+    const threshold = distribution.quantiles[0.5][4];
+    expect(forecaster.probabilityBelow(distribution, threshold, 5))
+      .toBe(lastDay.filter(price => price < threshold).length / 40);
+    
+    forecaster.dispose();
+  });
+  
+  test('deve estimar probabilidades interpolando os quantis', async () => {
+    const forecaster = createForecaster();
+    const distribution = {
+      predictions: [100],
+      levels: [0.05, 0.5, 0.95],
+      quantiles: { 0.05: [90], 0.5: [100], 0.95: [110] }
+    };
+    
+    expect(forecaster.probabilityBelow(distribution, 100)).toBeCloseTo(0.5, 6);
+    expect(forecaster.probabilityBelow(distribution, 105)).toBeCloseTo(0.725, 6);
+    expect(forecaster.probabilityBelow(distribution, 89)).toBeCloseTo(0.005, 6);
+    expect(forecaster.probabilityBelow(distribution, 70)).toBe(0);
+    
+    // Quantis assimétricos: acima do último quantil, extrapolar pelo segmento superior
+    const skewed = {
+      predictions: [108],
+      levels: [0.05, 0.5, 0.95],
+      quantiles: { 0.05: [90], 0.5: [108], 0.95: [110] }
+    };
+    
+    expect(forecaster.probabilityBelow(skewed, 110.5)).toBeCloseTo(1, 6);
+    expect(forecaster.probabilityBelow(skewed, 110.2)).toBeCloseTo(0.95 + 0.2 * 0.225, 6);
+    expect(forecaster.probabilityBelow(skewed, 99)).toBeCloseTo(0.05 + 0.5 * 0.45, 6);
+    
+    // Modo pontual não gera distribuição
+    forecaster.trained = true;
+    await expect(forecaster.predictDistribution(prices, 5)).rejects.toThrow('distributionMode');
+  });
+});
+
 describe('PriceForecasterValidator - Validação do Modelo', () => {
   let validator;
   let forecaster;
@@ -282,6 +583,252 @@ describe('PriceForecasterValidator - Validação do Modelo', () => {
   });
 });
 
+describe('PriceForecasterRegistry - Modelos por Ticker', () => {
+  let registry;
+  let storage;
+  
+  const knriPrices = mockHistoricalData.map(item => item.price);
+  const mxrfPrices = knriPrices.map(price => price / 10);
+  
+  // Forecaster leve para testar apenas a lógica do registro (sem treinar LSTMs)
+  class StubForecaster {
+    constructor(config) {
+      this.config = config;
+      this.meanStd = { mean: 0, std: 1 };
+      this.trained = false;
+      this.model = null;
+    }
+    
+    async train(prices) {
+      const mean = prices.reduce((sum, price) => sum + price, 0) / prices.length;
+      this.meanStd = { mean, std: 1 };
+      this.trained = true;
+    }
+    
+    async saveModel() {
+      await this.config.storage.setItem(`${this.config.modelKey}-params`, { meanStd: this.meanStd });
+    }
+    
+    async loadModel() {
+      const params = await this.config.storage.getItem(`${this.config.modelKey}-params`);
+      if (!params) return false;
+      
+      this.meanStd = params.meanStd;
+      this.trained = true;
+      return true;
+    }
+    
+    async evaluate() {
+      return { rmse: 0.5, mape: 1.2 };
+    }
+  }
+  
+  const createRegistry = (config = {}) => new PriceForecasterRegistry({
+    storage,
+    createForecaster: forecasterConfig => new StubForecaster(forecasterConfig),
+    ...config
+  });
+  
+  beforeEach(() => {
+    storage = new MemoryStorageAdapter();
+    registry = createRegistry();
+  });
+  
+  test('deve manter modelos e normalização separados por ticker', async () => {
+    const knri = await registry.getForecaster('KNRI11', knriPrices);
+    const mxrf = await registry.getForecaster('MXRF11', mxrfPrices);
+    
+    expect(knri).not.toBe(mxrf);
+    expect(knri.meanStd.mean).not.toBeCloseTo(mxrf.meanStd.mean);
+    expect(knri.config.modelKey).not.toBe(mxrf.config.modelKey);
+    
+    // Segunda chamada deve reutilizar o modelo em memória
+    expect(await registry.getForecaster('KNRI11', knriPrices)).toBe(knri);
+  });
+  
+  test('deve carregar modelos persistidos sem retreinar', async () => {
+    const original = await registry.getForecaster('KNRI11', knriPrices);
+    
+    const otherRegistry = createRegistry();
+    const trainSpy = jest.spyOn(otherRegistry, 'train');
+    
+    const forecaster = await otherRegistry.getForecaster('KNRI11', knriPrices);
+    
+    expect(trainSpy).not.toHaveBeenCalled();
+    expect(forecaster.trained).toBe(true);
+    expect(forecaster.meanStd).toEqual(original.meanStd);
+  });
+  
+  test('deve retreinar modelos mais antigos que maxModelAge', async () => {
+    await registry.getForecaster('KNRI11', knriPrices);
+    
+    const staleRegistry = createRegistry({ maxModelAge: -1 });
+    const trainSpy = jest.spyOn(staleRegistry, 'train');
+    
+    await staleRegistry.getForecaster('KNRI11', knriPrices);
+    
+    expect(trainSpy).toHaveBeenCalledTimes(1);
+  });
+  
+  test('deve listar, avaliar e remover entradas', async () => {
+    await registry.getForecaster('KNRI11', knriPrices);
+    
+    const metrics = await registry.evaluate('KNRI11', knriPrices.slice(-15));
+    expect(metrics).toHaveProperty('rmse');
+    
+    const entries = await registry.list();
+    expect(entries.map(entry => entry.ticker)).toEqual(['KNRI11']);
+    expect(entries[0].metrics).toHaveProperty('mape');
+    
+    await registry.evict('KNRI11', { removeFromStorage: true });
+    expect(await registry.list()).toEqual([]);
+  });
+  
+  test('deve compartilhar modelo por segmento quando configurado', async () => {
+    const segmentRegistry = createRegistry({ keyBy: 'segment' });
+    
+    const trainSpy = jest.spyOn(segmentRegistry, 'train');
+    
+    const hglg = await segmentRegistry.getForecaster('HGLG11', knriPrices, { segment: 'logistica' });
+    const xplg = await segmentRegistry.getForecaster('XPLG11', knriPrices, { segment: 'logistica' });
+    const shared = segmentRegistry.entries.get('segment:logistica').forecaster;
+    
+    expect(trainSpy).toHaveBeenCalledTimes(1);
+    expect(Object.getPrototypeOf(hglg)).toBe(shared);
+    expect(Object.getPrototypeOf(xplg)).toBe(shared);
+    expect(await segmentRegistry.getForecaster('XPLG11', knriPrices, { segment: 'logistica' })).toBe(xplg);
+  });
+  
+  test('deve normalizar cada ticker do segmento pelo seu próprio nível de preço', async () => {
+    // Modelo que sempre prevê zero no espaço normalizado: a previsão é a média do ticker
+    const segmentRegistry = createRegistry({
+      keyBy: 'segment',
+      persist: false,
+      createForecaster: forecasterConfig => {
+        const forecaster = new PriceForecaster({ ...forecasterConfig, windowSize: 5, horizonDays: 1 });
+        forecaster.train = async prices => {
+          forecaster.normalize(prices);
+          forecaster.model = { predict: () => tf.zeros([1, 1]), dispose: () => {} };
+          forecaster.trained = true;
+        };
+        return forecaster;
+      }
+    });
+    const mean = prices => prices.reduce((sum, price) => sum + price, 0) / prices.length;
+    
+    const knri = await segmentRegistry.getForecaster('KNRI11', knriPrices, { segment: 'hibrido' });
+    const mxrf = await segmentRegistry.getForecaster('MXRF11', mxrfPrices, { segment: 'hibrido' });
+    
+    expect(Object.getPrototypeOf(mxrf)).toBe(Object.getPrototypeOf(knri));
+    expect((await knri.predict(knriPrices, 3))[0]).toBeCloseTo(mean(knriPrices), 3);
+    expect((await mxrf.predict(mxrfPrices, 3))[0]).toBeCloseTo(mean(mxrfPrices), 3);
+    
+    const [entry] = await segmentRegistry.list();
+    expect(Object.keys(entry.tickerStats)).toEqual(['KNRI11', 'MXRF11']);
+    expect(entry.tickerStats.MXRF11.std).toBeCloseTo(entry.tickerStats.KNRI11.std / 10, 6);
+  });
+});
+
+describe('Modelos Estatísticos e Ensemble', () => {
+  // Gerador determinístico para séries sintéticas reproduzíveis
+  const createNoise = (seed = 7) => {
+    let state = seed;
+    return () => {
+      state = (state * 1103515245 + 12345) % 2147483648;
+      return state / 2147483648 - 0.5;
+    };
+  };
+  
+  const noise = createNoise();
+  
+  // AR(1) em torno de 100 com coeficiente 0.7
+  const arPrices = [100];
+  for (let i = 1; i < 250; i++) {
+    arPrices.push(100 + 0.7 * (arPrices[i - 1] - 100) + noise());
+  }
+  
+  // Tendência de alta com ciclo mensal (21 pregões)
+  const seasonalPrices = Array.from({ length: 252 }, (_, i) =>
+    100 + 0.05 * i + 2 * Math.sin((2 * Math.PI * i) / 21) + noise() * 0.2
+  );
+  
+  test('ARIMA deve selecionar a ordem e estimar o coeficiente autorregressivo', async () => {
+    const forecaster = new ArimaForecaster({ storage: 'memory' });
+    const summary = await forecaster.train(arPrices);
+    
+    expect(summary.order).toEqual({ p: 1, d: 0, q: 0 });
+    expect(forecaster.params.phi[0]).toBeCloseTo(0.7, 1);
+    
+    const result = await forecaster.predictWithConfidence(arPrices, 10);
+    expect(result.predictions).toHaveLength(10);
+    expect(result.confidenceInterval).toBe(0.95);
+    
+    // Intervalos devem crescer com o horizonte
+    const widths = result.upperBounds.map((upper, i) => upper - result.lowerBounds[i]);
+    expect(widths[9]).toBeGreaterThan(widths[0]);
+  });
+  
+  test('Holt-Winters deve capturar tendência e sazonalidade', async () => {
+    const forecaster = new ExponentialSmoothingForecaster({ seasonalPeriods: 21, storage: 'memory' });
+    const summary = await forecaster.train(seasonalPrices.slice(0, 231));
+    
+    expect(summary.trend).not.toBe('none');
+    expect(summary.seasonal).not.toBe('none');
+    
+    const predictions = await forecaster.predict(seasonalPrices.slice(0, 231), 21);
+    const actual = seasonalPrices.slice(231);
+    const mae = actual.reduce((sum, price, i) => sum + Math.abs(price - predictions[i]), 0) / actual.length;
+    
+    expect(mae).toBeLessThan(0.5);
+  });
+  
+  test('deve salvar e carregar parâmetros de modelos estatísticos', async () => {
+    const storage = new MemoryStorageAdapter();
+    const forecaster = new ArimaForecaster({ storage, modelKey: 'teste-arima' });
+    await forecaster.train(arPrices);
+    await forecaster.saveModel();
+    
+    const loaded = new ArimaForecaster({ storage, modelKey: 'teste-arima' });
+    expect(await loaded.loadModel()).toBe(true);
+    expect(await loaded.predict(arPrices, 5)).toEqual(await forecaster.predict(arPrices, 5));
+  });
+  
+  test('ensemble deve ponderar membros pelo erro fora da amostra', async () => {
+    // Membro que sempre repete o último preço e membro com viés fixo
+    const createMember = bias => ({
+      trained: false,
+      async train() { this.trained = true; },
+      async predict(prices, days) {
+        return Array(days).fill(prices[prices.length - 1] + bias);
+      }
+    });
+    
+    const ensemble = new ForecastEnsemble({
+      storage: 'memory',
+      validationSize: 20,
+      members: [
+        { name: 'naive', forecaster: createMember(0) },
+        { name: 'biased', forecaster: createMember(5) },
+        { name: 'arima', forecaster: new ArimaForecaster({ storage: 'memory' }) }
+      ]
+    });
+    
+    const { weights } = await ensemble.train(arPrices);
+    
+    expect(weights.naive + weights.biased + weights.arima).toBeCloseTo(1);
+    expect(weights.biased).toBeLessThan(weights.naive);
+    expect(weights.biased).toBeLessThan(weights.arima);
+    
+    const result = await ensemble.predictWithConfidence(arPrices, 5);
+    expect(result.predictions).toHaveLength(5);
+    expect(result.weights).toEqual(weights);
+    result.predictions.forEach((prediction, i) => {
+      expect(result.lowerBounds[i]).toBeLessThan(prediction);
+      expect(result.upperBounds[i]).toBeGreaterThan(prediction);
+    });
+  });
+});
+
 // Testes de integração entre componentes
 describe('Integração entre Forecaster e Validator', () => {
   test('deve validar previsões em pipeline completo', async () => {
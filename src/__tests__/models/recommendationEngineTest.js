@@ -0,0 +1,310 @@
+// src/__tests__/models/recommendationEngineTest.js
+import { RecommendationEngine } from '../../models/recommendationEngine';
+import { PortfolioOptimizer } from '../../models/portfolioOptimizer';
+import { createSeededRandom } from '../../utils/statistics';
+import { normalizeSegment } from '../../utils/fiiSegments';
+
+/**
+ * Testes automatizados para o motor de recomendações
+ *
+ * Este arquivo contém testes unitários para validar a otimização de
+ * carteiras e a geração de portfólios recomendados de FIIs.
+ */
+
+// Dados de mercado sintéticos: fator comum + ruído próprio, dividendos mensais
+const createMarketData = (specs, days = 300, seed = 11) => {
+  const random = createSeededRandom(seed);
+  const gaussian = () => Math.sqrt(-2 * Math.log(random() || 1e-9)) * Math.cos(2 * Math.PI * random());
+  const common = Array.from({ length: days }, gaussian);
+
+  return Object.keys(specs).reduce((acc, ticker) => {
+    const { volatility, drift, dividendYield } = specs[ticker];
+    let price = 100;
+    const prices = [];
+    const dividends = [];
+
+    for (let i = 0; i < days; i++) {
+      const date = new Date(Date.UTC(2024, 0, 1 + i)).toISOString().split('T')[0];
+      price *= 1 + drift + volatility * (0.6 * common[i] + 0.8 * gaussian());
+      prices.push({ date, price, volume: 50000 });
+
+      if (i % 21 === 0) {
+        dividends.push({ date, value: (price * dividendYield) / 12 });
+      }
+    }
+
+    acc[ticker] = { prices, dividends };
+    return acc;
+  }, {});
+};
+
+const marketData = createMarketData({
+  HGLG11: { volatility: 0.012, drift: 0.0004, dividendYield: 0.09 },
+  KNRI11: { volatility: 0.008, drift: 0.0002, dividendYield: 0.08 },
+  MXRF11: { volatility: 0.006, drift: 0.0001, dividendYield: 0.12 },
+  XPML11: { volatility: 0.015, drift: 0.0005, dividendYield: 0.10 }
+});
+
+const sumWeights = weights => Object.values(weights).reduce((sum, w) => sum + w, 0);
+
+describe('PortfolioOptimizer - Otimização de Carteiras', () => {
+  test('deve respeitar limites por ticker e por segmento', () => {
+    const optimizer = new PortfolioOptimizer({ method: 'min_variance', maxWeight: 0.4, maxSegmentWeight: 0.5 });
+    const result = optimizer.optimize(marketData, {
+      segments: { HGLG11: 'logistica', KNRI11: 'hibrido', MXRF11: 'papel', XPML11: 'shopping' }
+    });
+
+    expect(sumWeights(result.weights)).toBeCloseTo(1, 6);
+    Object.values(result.weights).forEach(weight => {
+      expect(weight).toBeGreaterThanOrEqual(-1e-9);
+      expect(weight).toBeLessThanOrEqual(0.4 + 1e-6);
+    });
+
+    // Variância mínima não pode ser pior que a carteira igualitária
+    const equal = optimizer.portfolioStats(
+      [0.25, 0.25, 0.25, 0.25],
+      result.assets.map(asset => asset.expectedReturn),
+      optimizer.estimateInputs(optimizer.buildReturns(marketData).returns).covariance,
+      result.assets.map(asset => asset.incomeYield)
+    );
+    expect(result.volatility).toBeLessThanOrEqual(equal.volatility + 1e-9);
+  });
+
+  test('deve limitar a soma dos pesos de um mesmo segmento', () => {
+    const optimizer = new PortfolioOptimizer({ method: 'max_sharpe', maxSegmentWeight: { lajes: 0.3 } });
+    const result = optimizer.optimize(marketData, {
+      segments: { HGLG11: 'lajes', XPML11: 'lajes' }
+    });
+
+    expect(result.weights.HGLG11 + result.weights.XPML11).toBeLessThanOrEqual(0.3 + 1e-6);
+    expect(sumWeights(result.weights)).toBeCloseTo(1, 6);
+    expect(result.frontier.length).toBeGreaterThan(1);
+  });
+
+  test('deve igualar as contribuições de risco na paridade de risco', () => {
+    const optimizer = new PortfolioOptimizer({ method: 'risk_parity' });
+    const result = optimizer.optimize(marketData);
+
+    Object.values(result.riskContributions).forEach(contribution => {
+      expect(contribution).toBeCloseTo(0.25, 3);
+    });
+
+    // Ativo menos volátil recebe o maior peso
+    expect(result.weights.MXRF11).toBeGreaterThan(result.weights.XPML11);
+  });
+
+  test('deve atingir o retorno alvo no modo média-variância', () => {
+    const optimizer = new PortfolioOptimizer({ method: 'mean_variance', targetReturn: 0.12 });
+    const inputs = optimizer.estimateInputs(optimizer.buildReturns(marketData).returns);
+    const constraints = optimizer.buildConstraints(Object.keys(marketData), {});
+    const target = Math.min(0.12, optimizer.maxFeasibleReturn(inputs.mean, constraints));
+
+    const result = optimizer.optimize(marketData);
+
+    expect(result.expectedReturn).toBeGreaterThanOrEqual(target - 1e-4);
+  });
+
+  test('deve projetar exatamente nas restrições por ticker e por segmento', () => {
+    const optimizer = new PortfolioOptimizer({ maxWeight: 0.5, maxSegmentWeight: 0.4 });
+    const constraints = optimizer.buildConstraints(['A', 'B', 'C', 'D'], { A: 'papel', B: 'papel' });
+    const projected = optimizer.project([0.9, 0.3, 0.2, -0.1], constraints);
+
+    // Teto do segmento ativo: A e B deslocados juntos; C e D pelo deslocamento global
+    expect(projected[0] + projected[1]).toBeCloseTo(0.4, 12);
+    expect(projected[0] - projected[1]).toBeCloseTo(0.4, 12);
+    expect(projected[2] - projected[3]).toBeCloseTo(0.3, 12);
+    expect(projected.reduce((sum, w) => sum + w, 0)).toBeCloseTo(1, 12);
+
+    // Ponto viável é mantido
+    expect(optimizer.project([0.3, 0.1, 0.35, 0.25], constraints)).toEqual([0.3, 0.1, 0.35, 0.25].map(w => expect.closeTo(w, 12)));
+  });
+
+  test('deve otimizar uma carteira do tamanho do IFIX em menos de um segundo', () => {
+    const segments = {};
+    const specs = {};
+    const names = ['logistica', 'papel', 'shopping', 'lajes', 'hibrido'];
+
+    for (let i = 0; i < 30; i++) {
+      const ticker = `FII${String(i).padStart(2, '0')}11`;
+      specs[ticker] = { volatility: 0.005 + (i % 7) * 0.0015, drift: 0.0001 + (i % 5) * 0.0001, dividendYield: 0.08 + (i % 4) * 0.01 };
+      segments[ticker] = names[i % names.length];
+    }
+
+    const data = createMarketData(specs, 500, 23);
+    const optimizer = new PortfolioOptimizer({ method: 'max_sharpe', maxWeight: 0.1, maxSegmentWeight: 0.3 });
+    const start = Date.now();
+    const result = optimizer.optimize(data, { segments });
+
+    expect(Date.now() - start).toBeLessThan(1000);
+    expect(sumWeights(result.weights)).toBeCloseTo(1, 9);
+    names.forEach(segment => {
+      const total = Object.keys(segments)
+        .filter(ticker => segments[ticker] === segment)
+        .reduce((sum, ticker) => sum + result.weights[ticker], 0);
+      expect(total).toBeLessThanOrEqual(0.3 + 1e-9);
+    });
+  });
+});
+
+describe('RecommendationEngine - Portfólio Recomendado', () => {
+  const recommendations = [
+    { ticker: 'HGLG11', recommendation: 'strong_buy', score: 0.8, confidence: 'high' },
+    { ticker: 'KNRI11', recommendation: 'buy', score: 0.6, confidence: 'medium' },
+    { ticker: 'MXRF11', recommendation: 'buy', score: 0.58, confidence: 'medium' },
+    { ticker: 'XPML11', recommendation: 'buy', score: 0.56, confidence: 'high' },
+    { ticker: 'VISC11', recommendation: 'sell', score: -0.6, confidence: 'medium' }
+  ];
+
+  test('deve otimizar a alocação com dados de mercado', () => {
+    const engine = new RecommendationEngine();
+    const portfolio = engine.generatePortfolioRecommendation(
+      recommendations,
+      { method: 'min_variance', maxWeight: 0.4 },
+      marketData
+    );
+
+    expect(portfolio.method).toBe('min_variance');
+    expect(Object.keys(portfolio.allocation)).not.toContain('VISC11');
+    expect(sumWeights(portfolio.allocation)).toBeCloseTo(100, 0);
+    expect(portfolio.volatility).toBeGreaterThan(0);
+    expect(portfolio.incomeYield).toBeGreaterThan(0);
+    expect(['low', 'moderate', 'high']).toContain(portfolio.riskLevel);
+  });
+
+  test('deve usar alocação por score sem dados de mercado', () => {
+    const engine = new RecommendationEngine();
+    const portfolio = engine.generatePortfolioRecommendation(recommendations);
+
+    expect(portfolio.method).toBe('score');
+    expect(portfolio.allocation.HGLG11).toBeGreaterThan(portfolio.allocation.XPML11);
+    expect(portfolio.volatility).toBeNull();
+  });
+
+  test('deve informar os tickers sem dados de mercado', () => {
+    const engine = new RecommendationEngine();
+    const { XPML11, ...partialData } = marketData;
+    const portfolio = engine.generatePortfolioRecommendation(recommendations, { method: 'min_variance' }, partialData);
+
+    expect(portfolio.method).toBe('min_variance');
+    expect(portfolio.excludedTickers).toEqual(['XPML11']);
+    expect(Object.keys(portfolio.allocation)).not.toContain('XPML11');
+  });
+
+  test('deve arredondar a alocação para somar exatamente 100%', () => {
+    const engine = new RecommendationEngine();
+    const allocation = engine.roundAllocation({ A: 1 / 3, B: 1 / 3, C: 1 / 3 });
+    const total = Object.values(allocation).reduce((sum, value) => sum + value, 0);
+
+    expect(Object.values(allocation).sort()).toEqual([33.3, 33.3, 33.4]);
+    expect(parseFloat(total.toFixed(10))).toBe(100);
+  });
+});
+
+describe('RecommendationEngine - Score de Anomalias', () => {
+  test('deve ignorar amortizações no score de anomalias', () => {
+    const engine = new RecommendationEngine();
+    const lowValue = { type: 'low_value', deviation: -50, severity: 'high' };
+    const capitalReturn = { type: 'capital_return', deviation: 400, severity: 'high' };
+    
+    expect(engine.calculateAnomalyScore({ anomalies: [capitalReturn] })).toBe(0.1);
+    expect(engine.calculateAnomalyScore({ anomalies: [lowValue, capitalReturn] }))
+      .toBe(engine.calculateAnomalyScore({ anomalies: [lowValue] }));
+  });
+});
+
+describe('RecommendationEngine - Preferências de Segmento', () => {
+  const mlResults = {
+    priceForecast: {
+      predictions: [{ date: '2025-06-01', price: 100 }, { date: '2025-06-05', price: 103 }],
+      trend: 'up',
+      metrics: { confidence: 'medium', rmse: 0.7, mape: 0.9 }
+    },
+    sentimentAnalysis: { aggregated: { label: 'positive', score: 0.4, confidence: 0.7 }, articles: [] },
+    anomalies: { anomalies: [], stats: { count: 0, percentage: 0 } }
+  };
+
+  test('deve normalizar nomes de segmentos', () => {
+    expect(normalizeSegment('Lajes Corporativas')).toBe('lajes_corporativas');
+    expect(normalizeSegment('Logística')).toBe('logistica');
+    expect(normalizeSegment('CRI')).toBe('recebiveis');
+    expect(normalizeSegment('FOF')).toBe('fundo_de_fundos');
+    expect(normalizeSegment('desconhecido')).toBeNull();
+  });
+
+  test('deve inclinar o score conforme a preferência pelo segmento', async () => {
+    const engine = new RecommendationEngine({ useCache: false });
+    const fundamentals = { pvp: 1.0, dividendYield: 7, segment: 'Lajes Corporativas' };
+
+    const conservative = await engine.generateRecommendation('HGRE11', mlResults, fundamentals, {
+      sectorPreferences: { lajes_corporativas: 0.4, shopping: 0.2, logistica: 0.2, residencial: 0.2 }
+    });
+    const aggressive = await engine.generateRecommendation('HGRE11', mlResults, fundamentals, {
+      sectorPreferences: { lajes_corporativas: 0.2, shopping: 0.4, logistica: 0.3, residencial: 0.1 }
+    });
+    const neutral = await engine.generateRecommendation('HGRE11', mlResults, fundamentals, {});
+
+    expect(conservative.segment).toBe('lajes_corporativas');
+    expect(conservative.components.sectorScore).toBeGreaterThan(0);
+    expect(aggressive.components.sectorScore).toBeLessThan(0);
+    expect(neutral.components.sectorScore).toBe(0);
+    expect(conservative.score).toBeGreaterThan(neutral.score);
+    expect(neutral.score).toBeGreaterThan(aggressive.score);
+    expect(conservative.reasons.some(reason => reason.includes('Lajes corporativas'))).toBe(true);
+  });
+
+  test('deve distribuir a carteira conforme as preferências de segmento', () => {
+    const engine = new RecommendationEngine();
+    const recommendations = [
+      { ticker: 'HGRE11', recommendation: 'buy', score: 0.6, confidence: 'medium' },
+      { ticker: 'JSRE11', recommendation: 'buy', score: 0.6, confidence: 'medium' },
+      { ticker: 'HGLG11', recommendation: 'strong_buy', score: 0.9, confidence: 'high' },
+      { ticker: 'MXRF11', recommendation: 'buy', score: 0.7, confidence: 'medium' }
+    ];
+
+    const portfolio = engine.generatePortfolioRecommendation(recommendations, {
+      sectorPreferences: { 'lajes corporativas': 0.6, logistica: 0.4 }
+    });
+
+    expect(portfolio.segmentTargets).toEqual({ lajes_corporativas: 60, logistica: 40, recebiveis: 0 });
+    expect(portfolio.segmentAllocation.lajes_corporativas).toBeCloseTo(60, 0);
+    expect(portfolio.segmentAllocation.logistica).toBeCloseTo(40, 0);
+    expect(portfolio.allocation.MXRF11).toBe(0);
+  });
+
+  test('deve usar as participações por segmento como teto na otimização', () => {
+    const engine = new RecommendationEngine();
+    const recommendations = Object.keys(marketData).map(ticker => ({
+      ticker, recommendation: 'buy', score: 0.6, confidence: 'medium'
+    }));
+
+    const portfolio = engine.generatePortfolioRecommendation(
+      recommendations,
+      { method: 'max_sharpe', sectorPreferences: { logistica: 0.2, shopping: 0.3, recebiveis: 0.3, hibrido: 0.2 } },
+      marketData
+    );
+
+    expect(portfolio.method).toBe('max_sharpe');
+    expect(portfolio.segmentAllocation.logistica).toBeLessThanOrEqual(20.1);
+    expect(portfolio.segmentAllocation.shopping).toBeLessThanOrEqual(30.1);
+    expect(sumWeights(portfolio.allocation)).toBeCloseTo(100, 0);
+  });
+});
+
+describe('RecommendationEngine - Dados Fundamentalistas', () => {
+  test('deve derivar a faixa de liquidez do volume negociado', () => {
+    const engine = new RecommendationEngine({ liquidityThresholds: { high: 5000000, medium: 1000000 } });
+
+    expect(engine.resolveLiquidity({ averageDailyVolume: 8000000 })).toBe('high');
+    expect(engine.resolveLiquidity({ averageDailyVolume: 2000000 })).toBe('medium');
+    expect(engine.resolveLiquidity({ averageDailyVolume: 300000 })).toBe('low');
+    expect(engine.resolveLiquidity({ liquidity: 'high', averageDailyVolume: 300000 })).toBe('high');
+    expect(engine.resolveLiquidity({ averageDailyVolume: null })).toBeNull();
+
+    const liquid = engine.calculateFundamentalScore({ pvp: 1.0, averageDailyVolume: 8000000 });
+    const illiquid = engine.calculateFundamentalScore({ pvp: 1.0, averageDailyVolume: 300000 });
+    expect(liquid).toBeGreaterThan(illiquid);
+
+    // Campos ausentes (null) não entram no score
+    expect(engine.calculateFundamentalScore({ pvp: 1.0, vacancy: null, dividendYield: null })).toBe(0.5);
+  });
+});
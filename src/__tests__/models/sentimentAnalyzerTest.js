@@ -230,6 +230,25 @@ describe('SentimentAnalyzer - Análise de Notícias Completas', () => {
     expect(result.aggregated).toHaveProperty('label');
   });
 
+  test('deve consolidar tópicos e entidades dos artigos relevantes', async () => {
+    const result = await analyzer.analyzeNewsSentiment('KNRI11', '2024-05-01', '2024-05-31');
+
+    expect(Array.isArray(result.topics)).toBe(true);
+    expect(Array.isArray(result.entities)).toBe(true);
+    expect(result.topics.length).toBeGreaterThan(0);
+
+    // Verificar estrutura e ordenação por frequência
+    result.topics.forEach(topic => {
+      expect(topic).toHaveProperty('name');
+      expect(topic).toHaveProperty('count');
+      expect(topic).toHaveProperty('sentiment');
+    });
+
+    for (let i = 0; i < result.topics.length - 1; i++) {
+      expect(result.topics[i].count).toBeGreaterThanOrEqual(result.topics[i + 1].count);
+    }
+  });
+
   test('deve retornar resultado vazio quando não há notícias', async () => {
     // Sobrescrever mock para retornar array vazio
     analyzer.fetchNews = jest.fn().mockImplementation(() => Promise.resolve([]));
@@ -0,0 +1,228 @@
+// src/__tests__/pipeline/dataPipelineTest.js
+import { DataPipeline } from '../../pipeline/dataPipeline';
+import { PriceForecasterEnhanced } from '../../models/priceForecasterEnhanced';
+import { MemoryStorageAdapter } from '../../utils/storageAdapter';
+
+/**
+ * Testes automatizados para o pipeline de dados
+ *
+ * Este arquivo contém testes de integração do DataPipeline com fontes em
+ * memória e sintéticas e um forecaster leve, sem acesso à rede nem
+ * treinamento de redes neurais.
+ */
+
+// CDI diário de novembro de 2023 a dezembro de 2024
+const cdi = [];
+for (let day = new Date(Date.UTC(2023, 10, 1)); day <= new Date(Date.UTC(2024, 11, 31)); day.setUTCDate(day.getUTCDate() + 1)) {
+  cdi.push({ date: day.toISOString().split('T')[0], value: 11.65 - cdi.length * 0.002 });
+}
+
+// Forecaster leve: alta de 0,2% por pregão a partir do último preço, com bandas de ±5%
+const createStubForecaster = calls => forecasterConfig => ({
+  config: { ...forecasterConfig, windowSize: 5, horizonDays: 1 },
+  meanStd: { mean: 0, std: 1 },
+  async train(series) {
+    calls.train.push(series);
+  },
+  async predict(prices, days) {
+    const last = prices[prices.length - 1];
+    return Array.from({ length: days }, (_, i) => last * (1 + 0.002 * (i + 1)));
+  },
+  async predictWithConfidence(series, days) {
+    calls.predict.push(series);
+    const predictions = await this.predict(series.prices || series, days);
+    return {
+      predictions,
+      lowerBounds: predictions.map(price => price * 0.95),
+      upperBounds: predictions.map(price => price * 1.05),
+      confidenceInterval: 0.95
+    };
+  },
+  async predictScenarios(series, scenarios, days) {
+    const baseline = await this.predictWithConfidence(series, days);
+    const shifted = factor => ({
+      predictions: baseline.predictions.map(price => price * factor),
+      lowerBounds: baseline.lowerBounds.map(price => price * factor),
+      upperBounds: baseline.upperBounds.map(price => price * factor)
+    });
+
+    return {
+      baseline,
+      scenarios: Object.keys(scenarios).reduce((acc, name) => {
+        acc[name] = shifted(0.98);
+        return acc;
+      }, {})
+    };
+  },
+  async evaluate() {
+    return { rmse: 0.5, mape: 1.2 };
+  }
+});
+
+const createPipeline = (config = {}) => {
+  const calls = { train: [], predict: [] };
+  const pipeline = new DataPipeline({
+    storage: new MemoryStorageAdapter(),
+    forecastHorizon: 5,
+    collectorConfig: {
+      sources: [{ type: 'synthetic', origin: '2024-01-01' }],
+      macroSources: [{ type: 'memory', data: { macro: { CDI: cdi } } }]
+    },
+    registryConfig: { persist: false, createForecaster: createStubForecaster(calls) },
+    anomalyConfig: { useAutoencoder: false, useCache: false, randomSeed: 7 },
+    ...config
+  });
+
+  // Sem busca de notícias: sentimento positivo fixo
+  jest.spyOn(pipeline.sentimentAnalyzer, 'analyzeNewsSentiment').mockResolvedValue({
+    articles: [],
+    topics: [],
+    aggregated: { score: 0.4, label: 'positive', confidence: 0.8 }
+  });
+
+  return { pipeline, calls };
+};
+
+const period = { startDate: '2024-01-01', endDate: '2024-09-30' };
+
+describe('DataPipeline - Integração dos Modelos', () => {
+  test('deve usar o PriceForecasterEnhanced quando configurado', () => {
+    const enhanced = new DataPipeline({ storage: new MemoryStorageAdapter(), useEnhancedForecaster: true });
+    const basic = new DataPipeline({ storage: new MemoryStorageAdapter() });
+
+    expect(enhanced.forecasterRegistry.createForecaster({})).toBeInstanceOf(PriceForecasterEnhanced);
+    expect(enhanced.forecasterRegistry.config.keyPrefix).not.toBe(basic.forecasterRegistry.config.keyPrefix);
+    expect(basic.forecasterRegistry.createForecaster({})).not.toBeInstanceOf(PriceForecasterEnhanced);
+  });
+
+  test('deve gerar previsões com bandas e recomendação do RecommendationEngine', async () => {
+    const { pipeline } = createPipeline({ useEnhancedForecaster: true, useRecommendationEngine: true });
+
+    const result = await pipeline.processFii('HGLG11', {
+      ...period,
+      segment: 'logistica',
+      fundamentals: { vacancy: 2 },
+      userPreferences: { riskTolerance: 'low', sectorPreferences: { logistica: 1 } }
+    });
+
+    const [first] = result.priceForecast.predictions;
+    expect(result.priceForecast.predictions).toHaveLength(5);
+    expect(first.lowerBound).toBeLessThan(first.price);
+    expect(first.upperBound).toBeGreaterThan(first.price);
+    expect(result.priceForecast.confidenceInterval).toBe(0.95);
+
+    // Motor de recomendações: score contínuo, componentes, justificativas e preferências aplicadas
+    expect(result.recommendations.components).toBeDefined();
+    expect(result.recommendations.reasons.length).toBeGreaterThan(0);
+    expect(result.recommendations.segment).toBe('logistica');
+    expect(result.recommendations.appliedPreferences.riskTolerance).toBe('low');
+    expect(result.recommendations.score).toBeGreaterThanOrEqual(-1);
+    expect(result.recommendations.score).toBeLessThanOrEqual(1);
+  });
+
+  test('deve repassar segmento e fundamentos em generateEngineRecommendation', async () => {
+    const { pipeline } = createPipeline({ useRecommendationEngine: true });
+    const generate = jest.spyOn(pipeline.recommendationEngine, 'generateRecommendation');
+    const mlResults = { priceForecast: { trend: 'up', predictions: [] } };
+
+    await pipeline.generateEngineRecommendation('KNRI11', mlResults, {
+      segment: 'hibrido',
+      fundamentals: { pvp: 0.9 },
+      userPreferences: { incomePreference: 0.8 }
+    });
+
+    expect(generate).toHaveBeenCalledWith('KNRI11', mlResults, { segment: 'hibrido', pvp: 0.9 }, { incomePreference: 0.8 });
+  });
+
+  test('deve usar a pontuação simples sem o motor de recomendações', async () => {
+    const { pipeline } = createPipeline();
+
+    const result = await pipeline.processFii('HGLG11', period);
+
+    expect(pipeline.recommendationEngine).toBeNull();
+    expect(Number.isInteger(result.recommendations.score)).toBe(true);
+    expect(result.recommendations.components).toBeUndefined();
+  });
+});
+
+describe('DataPipeline - Fundamentos e Variáveis Exógenas', () => {
+  test('deve coletar os fundamentos com os valores informados prevalecendo', async () => {
+    const { pipeline } = createPipeline({ useRecommendationEngine: true });
+
+    const result = await pipeline.processFii('HGLG11', { ...period, fundamentals: { vacancy: 2 } });
+
+    expect(result.fundamentals.pvp).toBeGreaterThan(0);
+    expect(result.fundamentals.dividendYield).toBeGreaterThan(0);
+    expect(result.fundamentals.vacancy).toBe(2);
+  });
+
+  test('deve alinhar as séries exógenas aos pregões do histórico', async () => {
+    const { pipeline, calls } = createPipeline({ useEnhancedForecaster: true, exogenousSeries: ['CDI'] });
+    const historicalData = await pipeline.dataCollector.getHistoricalPrices('HGLG11', period.startDate, period.endDate);
+
+    const exogenous = await pipeline.collectExogenousVariables(historicalData);
+    expect(Object.keys(exogenous)).toEqual(['CDI']);
+    expect(exogenous.CDI).toHaveLength(historicalData.length);
+
+    await pipeline.generatePriceForecast('HGLG11', historicalData);
+    expect(calls.train[0].prices).toHaveLength(historicalData.length);
+    expect(calls.train[0].exogenous.CDI).toEqual(exogenous.CDI);
+
+    // Sem o forecaster aprimorado, as séries não são coletadas
+    const { pipeline: basic } = createPipeline({ exogenousSeries: ['CDI'] });
+    expect(await basic.collectExogenousVariables(historicalData)).toBeNull();
+  });
+
+  test('deve gerar uma trajetória por cenário e separar o cache por trajetória futura', async () => {
+    const { pipeline, calls } = createPipeline({
+      useEnhancedForecaster: true,
+      exogenousSeries: ['CDI'],
+      forecastScenarios: { 'Selic +100bps': { SELIC: 1 } }
+    });
+    const historicalData = await pipeline.dataCollector.getHistoricalPrices('HGLG11', period.startDate, period.endDate);
+
+    const forecast = await pipeline.generatePriceForecast('HGLG11', historicalData);
+
+    expect(Object.keys(forecast.scenarios)).toEqual(['Selic +100bps']);
+    expect(forecast.scenarios['Selic +100bps'].predictions[0].price).toBeLessThan(forecast.predictions[0].price);
+    expect(forecast.scenarios['Selic +100bps'].predictions[0].upperBound).toBeDefined();
+
+    // Mesma entrada usa o cache; outra trajetória futura gera nova previsão
+    await pipeline.generatePriceForecast('HGLG11', historicalData);
+    expect(calls.predict).toHaveLength(1);
+
+    const futureExogenous = { CDI: [10.4, 10.4, 10.3, 10.3, 10.2] };
+    await pipeline.generatePriceForecast('HGLG11', historicalData, { futureExogenous });
+    expect(calls.predict).toHaveLength(2);
+    expect(calls.predict[1].futureExogenous).toEqual(futureExogenous);
+  });
+});
+
+describe('DataPipeline - Anomalias', () => {
+  test('deve calcular a taxa de anomalias apenas sobre os rendimentos', () => {
+    const pipeline = new DataPipeline({ storage: new MemoryStorageAdapter() });
+    const dividends = [
+      ...Array.from({ length: 10 }, (_, i) => ({ date: `2024-${String(i + 1).padStart(2, '0')}-10`, value: 0.8 })),
+      { date: '2024-03-10', value: 4, distributionType: 'amortization' }
+    ];
+    const anomalies = [
+      { date: '2024-05-10', type: 'low_value' },
+      { date: '2024-03-10', type: 'capital_return' }
+    ];
+
+    expect(pipeline.calculateAnomalyStats(anomalies, dividends)).toEqual({ count: 1, percentage: 10 });
+  });
+
+  test('deve omitir a variação percentual indefinida nas mudanças de nível', () => {
+    const pipeline = new DataPipeline({ storage: new MemoryStorageAdapter() });
+    const [withChange, withoutChange] = pipeline.describeLevelChanges({
+      changePoints: [
+        { date: '2024-06-10', previousMean: 0.8, newMean: 0.6, percentChange: -25, direction: 'decrease' },
+        { date: '2024-12-10', previousMean: 0, newMean: 0.5, percentChange: null, direction: 'increase' }
+      ]
+    });
+
+    expect(withChange.message).toBe('Nível de distribuição mudou em 2024-06-10: R$ 0.80 → R$ 0.60 (-25%)');
+    expect(withoutChange.message).toBe('Nível de distribuição mudou em 2024-12-10: R$ 0.00 → R$ 0.50');
+  });
+});
@@ -0,0 +1,147 @@
+// src/__tests__/services/cotahistSourceTest.js
+import { CotahistSource } from '../../services/cotahistSource';
+import { DataCollector } from '../../services/dataCollector';
+import { MemoryStorageAdapter } from '../../utils/storageAdapter';
+
+/**
+ * Testes automatizados para a importação de arquivos COTAHIST da B3
+ *
+ * Este arquivo contém testes unitários para validar a leitura do leiaute
+ * de largura fixa, a descompactação de arquivos ZIP e o uso da fonte
+ * offline pelo DataCollector.
+ */
+
+// Monta uma linha de cotação com o leiaute oficial de 245 caracteres
+const quoteLine = ({ date, ticker, bdi = '12', market = '010', open, high, low, close, trades, quantity, factor = 1 }) => {
+  const num = (value, width) => String(Math.round(value)).padStart(width, '0');
+  const line = [
+    '01',
+    date.replace(/-/g, ''),
+    bdi.padEnd(2),
+    ticker.padEnd(12),
+    market,
+    'FII TESTE'.padEnd(12),
+    'CI'.padEnd(10),
+    ''.padEnd(3),
+    'R$'.padEnd(4),
+    num(open * 100, 13),
+    num(high * 100, 13),
+    num(low * 100, 13),
+    num(((high + low) / 2) * 100, 13),
+    num(close * 100, 13),
+    num(0, 13),
+    num(0, 13),
+    num(trades, 5),
+    num(quantity, 18),
+    num(quantity * close * 100, 18),
+    num(0, 13),
+    '0',
+    '99991231',
+    num(factor, 7),
+    num(0, 13),
+    'BRTESTCTF000',
+    '000'
+  ].join('');
+
+  expect(line.length).toBe(245);
+  return line;
+};
+
+const fileContent = [
+  '00COTAHIST.2024BOVESPA 20241231'.padEnd(245),
+  quoteLine({ date: '2024-01-03', ticker: 'HGLG11', open: 160.1, high: 162.5, low: 159.8, close: 161.9, trades: 1520, quantity: 30000 }),
+  quoteLine({ date: '2024-01-02', ticker: 'HGLG11', open: 159.5, high: 161, low: 159, close: 160.2, trades: 1300, quantity: 25000 }),
+  quoteLine({ date: '2024-01-02', ticker: 'PETR4', bdi: '02', open: 37, high: 38, low: 36.5, close: 37.6, trades: 50000, quantity: 1000000 }),
+  quoteLine({ date: '2024-01-02', ticker: 'HGLG11F', market: '020', open: 160, high: 161, low: 159, close: 160, trades: 10, quantity: 20 }),
+  quoteLine({ date: '2024-01-02', ticker: 'ABCP11', open: 80000, high: 80000, low: 80000, close: 80000, trades: 3, quantity: 7, factor: 1000 }),
+  '99COTAHIST.2024BOVESPA 20241231'.padEnd(245)
+].join('\r\n');
+
+// ZIP mínimo com uma entrada compactada por DEFLATE (CRC não é verificado pelo leitor)
+const createZip = async (name, text) => {
+  const stream = new CompressionStream('deflate-raw');
+  const writer = stream.writable.getWriter();
+  writer.write(new TextEncoder().encode(text));
+  writer.close();
+
+  const chunks = [];
+  const reader = stream.readable.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(...value);
+  }
+
+  const nameBytes = Array.from(new TextEncoder().encode(name));
+  const u16 = value => [value & 0xff, (value >> 8) & 0xff];
+  const u32 = value => [value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, (value >>> 24) & 0xff];
+  const size = text.length;
+
+  const local = [...u32(0x04034b50), ...u16(20), ...u16(0), ...u16(8), ...u32(0), ...u32(0),
+    ...u32(chunks.length), ...u32(size), ...u16(nameBytes.length), ...u16(0), ...nameBytes];
+  const central = [...u32(0x02014b50), ...u16(20), ...u16(20), ...u16(0), ...u16(8), ...u32(0), ...u32(0),
+    ...u32(chunks.length), ...u32(size), ...u16(nameBytes.length), ...u16(0), ...u16(0), ...u16(0), ...u16(0),
+    ...u32(0), ...u32(0), ...nameBytes];
+  const centralOffset = local.length + chunks.length;
+  const end = [...u32(0x06054b50), ...u16(0), ...u16(0), ...u16(1), ...u16(1),
+    ...u32(central.length), ...u32(centralOffset), ...u16(0)];
+
+  return new Uint8Array([...local, ...chunks, ...central, ...end]);
+};
+
+describe('CotahistSource - Arquivos de Séries Históricas da B3', () => {
+  test('deve interpretar as cotações de FIIs no mercado à vista', async () => {
+    const source = new CotahistSource({ files: [{ name: 'COTAHIST_A2024.TXT', data: fileContent }] });
+
+    expect(await source.listTickers()).toEqual(['ABCP11', 'HGLG11']);
+
+    const quotes = await source.getHistoricalPrices('hglg11', '2024-01-01', '2024-01-31');
+
+    expect(quotes.map(quote => quote.date)).toEqual(['2024-01-02', '2024-01-03']);
+    expect(quotes[1]).toMatchObject({
+      open: 160.1,
+      high: 162.5,
+      low: 159.8,
+      close: 161.9,
+      volume: 30000,
+      trades: 1520,
+      isin: 'BRTESTCTF000'
+    });
+    expect(quotes[1].financialVolume).toBeCloseTo(30000 * 161.9, 2);
+
+    // Preço cotado por lote de 1000 cotas
+    const [lot] = await source.getHistoricalPrices('ABCP11');
+    expect(lot.close).toBe(80);
+  });
+
+  test('deve ler arquivos compactados em ZIP', async () => {
+    const zip = await createZip('COTAHIST_A2024.TXT', fileContent);
+    const source = new CotahistSource({ files: [{ name: 'COTAHIST_A2024.ZIP', data: zip }] });
+
+    const quotes = await source.getHistoricalPrices('HGLG11', '2024-01-03', '2024-01-03');
+
+    expect(quotes).toHaveLength(1);
+    expect(quotes[0].close).toBe(161.9);
+  });
+
+  test('deve alimentar o DataCollector como fonte de preços', async () => {
+    const collector = new DataCollector({
+      storage: new MemoryStorageAdapter(),
+      priceSource: 'cotahist',
+      cotahist: { files: [{ name: 'COTAHIST_A2024.TXT', data: fileContent }] }
+    });
+    const get = jest.spyOn(collector.httpClient, 'get');
+
+    const prices = await collector.getHistoricalPrices('HGLG11', '2024-01-01', '2024-01-31');
+
+    expect(prices).toEqual([
+      { date: '2024-01-02', price: 160.2, volume: 25000, open: 159.5, high: 161, low: 159, trades: 1300 },
+      { date: '2024-01-03', price: 161.9, volume: 30000, open: 160.1, high: 162.5, low: 159.8, trades: 1520 }
+    ]);
+    
+    // Execução offline: nem os eventos corporativos nem as séries macro consultam a API
+    expect(get).not.toHaveBeenCalled();
+    expect(collector.dataSource.sources.map(source => source.config.name)).toEqual(['CotahistDataSource']);
+    expect(collector.macroSource.sources.map(source => source.config.name)).toEqual(['CotahistDataSource']);
+  });
+});
@@ -0,0 +1,289 @@
+// src/__tests__/services/dataCollectorTest.js
+import { DataCollector } from '../../services/dataCollector';
+import { MemoryStorageAdapter } from '../../utils/storageAdapter';
+
+/**
+ * Testes automatizados para o pré-processamento do DataCollector
+ *
+ * Este arquivo contém testes unitários para validar a leitura de
+ * grupamentos, desdobramentos e amortizações, as séries ajustadas, de
+ * retorno total e bruta de preços e dividendos, a separação entre
+ * rendimentos e amortizações, as políticas de outliers, o alinhamento das
+ * séries macroeconômicas aos pregões e o cálculo dos dados fundamentalistas
+ * (P/VP, DY 12m, vacância e volume negociado).
+ */
+
+// Grupamento 10:1 com data-com em 05/03 e amortização de R$ 2,00 em 07/03
+const fixtures = {
+  prices: {
+    ABCD11: [
+      { date: '2024-03-01', close: 10.0, volume: 50000 },
+      { date: '2024-03-04', close: 10.1, volume: 40000 },
+      { date: '2024-03-05', close: 10.2, volume: 45000 },
+      { date: '2024-03-06', close: 101, volume: 4200 },
+      { date: '2024-03-07', close: 102, volume: 4100 },
+      { date: '2024-03-08', close: 99.5, volume: 3900 }
+    ]
+  },
+  dividends: {
+    ABCD11: [
+      { date: '2024-03-04', value: 0.1, price: 10.1 },
+      { date: '2024-03-07', value: 0.9, price: 102, type: 'Rendimento' },
+      { date: '2024-03-07', value: 2, price: 102, type: 'Amortização' }
+    ]
+  },
+  corporateActions: {
+    ABCD11: [
+      { date: '2024-03-05', type: 'Grupamento', factor: 10 },
+      { date: '2024-03-07', type: 'amortização', value: 2 }
+    ]
+  }
+};
+
+const createCollector = (config = {}) => new DataCollector({
+  storage: new MemoryStorageAdapter(),
+  sources: [{ type: 'memory', data: fixtures }],
+  ...config
+});
+
+describe('DataCollector - Eventos Corporativos', () => {
+  test('deve normalizar os eventos corporativos', async () => {
+    const actions = await createCollector().getCorporateActions('ABCD11', '2024-03-01', '2024-03-08');
+
+    expect(actions).toEqual([
+      { date: '2024-03-05', type: 'reverse_split', factor: 0.1 },
+      { date: '2024-03-07', type: 'amortization', value: 2 }
+    ]);
+  });
+
+  test('deve ajustar preços e dividendos mantendo a série bruta disponível', async () => {
+    const collector = createCollector();
+    const amortization = 1 - 2 / 102;
+
+    const prices = await collector.getHistoricalPrices('ABCD11', '2024-03-01', '2024-03-08');
+    expect(prices.map(item => item.price)).toEqual([
+      100 * amortization, 101 * amortization, 102 * amortization, 101 * amortization, 102 * amortization, 99.5
+    ].map(value => expect.closeTo(value, 6)));
+    expect(prices[0].volume).toBeCloseTo(5000, 6);
+
+    const raw = await collector.getHistoricalPrices('ABCD11', '2024-03-01', '2024-03-08', { adjustment: 'none' });
+    expect(raw.map(item => item.price)).toEqual([10.0, 10.1, 10.2, 101, 102, 99.5]);
+
+    // Rendimento anterior ao grupamento na base de cotas atual, com o mesmo yield
+    const dividends = await collector.getHistoricalDividends('ABCD11', '2024-03-01', '2024-03-08');
+    expect(dividends[0].value).toBeCloseTo(1, 6);
+    expect(dividends[0].yield).toBeCloseTo((0.1 / 10.1) * 100, 6);
+  });
+
+  test('deve calcular a série de retorno total com os rendimentos', async () => {
+    const collector = createCollector({ priceAdjustment: 'total_return' });
+    const adjusted = await createCollector().getHistoricalPrices('ABCD11', '2024-03-01', '2024-03-08');
+    const totalReturn = await collector.getHistoricalPrices('ABCD11', '2024-03-01', '2024-03-08');
+
+    const factors = totalReturn.map((item, i) => item.price / adjusted[i].price);
+
+    expect(factors[5]).toBeCloseTo(1, 6);
+    expect(factors[3]).toBeCloseTo(1 - 0.9 / 102, 6);
+    expect(factors[0]).toBeCloseTo((1 - 0.9 / 102) * (1 - 0.1 / 10.1), 6);
+  });
+
+  test('deve separar rendimentos de amortizações', async () => {
+    const collector = createCollector();
+    const dividends = await collector.getHistoricalDividends('ABCD11', '2024-03-01', '2024-03-08');
+
+    expect(dividends.map(item => item.distributionType)).toEqual(['income', 'income', 'amortization']);
+
+    const prices = await collector.getHistoricalPrices('ABCD11', '2024-03-01', '2024-03-08');
+    const fundamentals = collector.buildFundamentals('ABCD11', '2024-03-08', { prices, dividends });
+
+    expect(fundamentals.dividends12m).toBeCloseTo(1.9, 4);
+    expect(fundamentals.amortizations12m).toBe(2);
+    expect(fundamentals.dividendYield).toBeCloseTo((1.9 / 99.5) * 100, 2);
+    expect(fundamentals.capitalReturnYield).toBeCloseTo((2 / 99.5) * 100, 2);
+  });
+});
+
+describe('DataCollector - Política de Outliers', () => {
+  // Rendimentos estáveis com um pico real em dezembro
+  const dividends = [0.80, 0.81, 0.79, 0.80, 0.82, 0.80, 0.81, 0.80, 0.79, 0.80, 0.81, 2.40]
+    .map((value, i) => ({ date: `2024-${String(i + 1).padStart(2, '0')}-10`, value, price: 100 }));
+
+  test('deve anotar outliers sem removê-los por padrão', () => {
+    const processed = createCollector().preprocessDividendData(dividends);
+    const flagged = processed.filter(item => item.outlier);
+
+    expect(processed).toHaveLength(12);
+    expect(flagged.map(item => item.date)).toEqual(['2024-12-10']);
+    expect(flagged[0].value).toBe(2.40);
+    expect(flagged[0].outlierReason).toContain('mad');
+  });
+
+  test('deve remover ou limitar outliers conforme a política da série', () => {
+    const dropped = createCollector({ outlierPolicy: { dividends: 'drop' } }).preprocessDividendData(dividends);
+    expect(dropped).toHaveLength(11);
+
+    const winsorized = createCollector({ outlierPolicy: { dividends: { action: 'winsorize', method: 'zscore', threshold: 2 } } })
+      .preprocessDividendData(dividends);
+    const capped = winsorized[winsorized.length - 1];
+    expect(capped.originalValue).toBe(2.40);
+    expect(capped.value).toBeLessThan(2.40);
+    expect(capped.value).toBeGreaterThan(0.82);
+
+    // Série sem dispersão não perde pontos
+    const constant = dividends.map(item => ({ ...item, value: 0.8 }));
+    expect(createCollector().removeOutliers(constant, 'value')).toHaveLength(12);
+  });
+
+  test('deve detectar saltos locais em séries com tendência pela janela móvel', () => {
+    const collector = createCollector();
+    const prices = Array.from({ length: 60 }, (_, i) => ({
+      date: `2024-${String(Math.floor(i / 28) + 1).padStart(2, '0')}-${String((i % 28) + 1).padStart(2, '0')}`,
+      price: 100 + i * 0.5 + (i % 2) * 0.2 + (i === 30 ? 8 : 0)
+    }));
+
+    const global = collector.applyOutlierPolicy(prices, 'price', { method: 'zscore', threshold: 3.5 });
+    const rolling = collector.applyOutlierPolicy(prices, 'price', { method: 'rolling', threshold: 3.5, window: 21 });
+
+    expect(global.some(item => item.outlier)).toBe(false);
+    expect(rolling.filter(item => item.outlier).map(item => item.price)).toEqual([prices[30].price]);
+  });
+});
+
+describe('DataCollector - Séries Macroeconômicas', () => {
+  const macro = {
+    CDI: [
+      { date: '2024-03-08', value: 0.0425 },
+      { date: '2024-03-11', value: 0.043 }
+    ],
+    IPCA: [
+      { date: '2024-01-01', value: 0.42 },
+      { date: '2024-02-01', value: '0,83' },
+      { date: '2024-03-01', value: 0.16 }
+    ]
+  };
+
+  test('deve alinhar as séries aos pregões respeitando a divulgação', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const collector = createCollector({ macroSources: [{ type: 'memory', data: { macro } }] });
+    const dates = ['2024-03-08', '2024-03-11', '2024-03-12', '2024-03-13'];
+
+    const variables = await collector.getMacroVariables(dates, ['cdi', 'IPCA', 'IGP-M']);
+
+    // IPCA de fevereiro divulgado em 12/03; o de março ainda não era conhecido
+    expect(variables).toEqual({
+      CDI: [0.0425, 0.043, 0.043, 0.043],
+      IPCA: [0.42, 0.42, 0.83, 0.83]
+    });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('IGPM'), expect.any(String));
+
+    jest.restoreAllMocks();
+  });
+
+  test('deve resolver as séries pelas fontes configuradas sem consultar o Banco Central', async () => {
+    const collector = createCollector({ sources: [{ type: 'memory', data: { ...fixtures, macro } }] });
+    const get = jest.spyOn(collector.httpClient, 'get');
+
+    expect(collector.macroSource.sources.map(source => source.constructor.name)).toEqual(['MemoryDataSource']);
+
+    const variables = await collector.getMacroVariables(['2024-03-08', '2024-03-11'], ['CDI']);
+
+    expect(variables).toEqual({ CDI: [0.0425, 0.043] });
+    expect(get).not.toHaveBeenCalled();
+
+    jest.restoreAllMocks();
+  });
+
+  test('deve manter o SGS como alternativa à API padrão', () => {
+    const collector = new DataCollector({ storage: new MemoryStorageAdapter() });
+
+    expect(collector.macroSource.sources.map(source => source.constructor.name)).toEqual(['HttpDataSource', 'BcbDataSource']);
+  });
+});
+
+describe('DataCollector - Dados Fundamentalistas', () => {
+  const collector = createCollector({ volumeWindow: 3 });
+
+  const prices = [
+    { date: '2025-01-02', price: 95, volume: 20000 },
+    { date: '2025-03-03', price: 98, volume: 30000 },
+    { date: '2025-06-02', price: 100, volume: 40000 },
+    { date: '2025-06-03', price: 100, volume: 50000, interpolated: true },
+    { date: '2025-06-04', price: 102, volume: 60000 }
+  ];
+  const dividends = [
+    { date: '2024-05-31', value: 5 },
+    { date: '2024-07-31', value: 0.8 },
+    { date: '2025-01-31', value: 0.9 },
+    { date: '2025-05-30', value: 1.0 }
+  ];
+  const reports = collector.preprocessFundamentalReports([
+    { date: '2025-03-31', bookValuePerShare: '112.5', shareholders: 310000, physicalVacancy: 6, financialVacancy: null },
+    { date: '2025-01-31', bookValuePerShare: 110, shareholders: 300000, physicalVacancy: 8, financialVacancy: 4.5 },
+    { date: '2025-05-31', bookValuePerShare: 0, shareholders: null, physicalVacancy: 140 }
+  ]);
+
+  test('deve calcular P/VP, DY 12m, vacância e volume negociado', () => {
+    const fundamentals = collector.buildFundamentals('HGLG11', '2025-06-05', { reports, prices, dividends });
+
+    expect(reports.map(report => report.date)).toEqual(['2025-01-31', '2025-03-31', '2025-05-31']);
+    expect(fundamentals.bookValuePerShare).toBe(112.5);
+    expect(fundamentals.pvp).toBeCloseTo(102 / 112.5, 4);
+    expect(fundamentals.dividendYield).toBeCloseTo((2.7 / 102) * 100, 2);
+    expect(fundamentals.physicalVacancy).toBe(100);
+    expect(fundamentals.financialVacancy).toBe(4.5);
+    expect(fundamentals.vacancy).toBe(4.5);
+    expect(fundamentals.shareholders).toBe(310000);
+    // Pregões interpolados não entram no volume médio
+    expect(fundamentals.averageDailyVolume).toBe(Math.round((98 * 30000 + 100 * 40000 + 102 * 60000) / 3));
+    expect(fundamentals.bookValueHistory.map(item => item.pvp)).toEqual([
+      parseFloat((95 / 110).toFixed(4)),
+      parseFloat((98 / 112.5).toFixed(4))
+    ]);
+  });
+});
+
+describe('DataCollector - Fundamentos sobre a Série Bruta', () => {
+  // VPA informado na base de cotas da data de cada informe (antes e depois do grupamento)
+  const withReports = (extra = {}) => ({
+    ...fixtures,
+    reports: { ABCD11: [{ date: '2024-03-04', bookValuePerShare: 11 }, { date: '2024-03-07', bookValuePerShare: 100 }] },
+    ...extra
+  });
+
+  test('deve calcular P/VP e volume sem descontar a amortização dos preços anteriores', async () => {
+    const collector = createCollector({ sources: [{ type: 'memory', data: withReports() }], volumeWindow: 6 });
+
+    const fundamentals = await collector.getFundamentals('ABCD11', '2024-03-08');
+
+    expect(fundamentals.price).toBe(99.5);
+    expect(fundamentals.pvp).toBeCloseTo(0.995, 4);
+    expect(fundamentals.bookValueHistory).toEqual([
+      { date: '2024-03-04', bookValuePerShare: 110, pvp: parseFloat((101 / 110).toFixed(4)) },
+      { date: '2024-03-07', bookValuePerShare: 100, pvp: 1.02 }
+    ]);
+    // Volume financeiro efetivamente negociado em cada pregão
+    expect(fundamentals.averageDailyVolume).toBe(Math.round(
+      (10 * 50000 + 10.1 * 40000 + 10.2 * 45000 + 101 * 4200 + 102 * 4100 + 99.5 * 3900) / 6
+    ));
+    expect(fundamentals.dividendYield).toBeCloseTo((1.9 / 99.5) * 100, 2);
+    expect(fundamentals.capitalReturnYield).toBeCloseTo((2 / 99.5) * 100, 2);
+  });
+
+  test('deve usar o preço negociado mesmo com rendimento na data-com do último pregão', async () => {
+    const dividends = {
+      ABCD11: [...fixtures.dividends.ABCD11, { date: '2024-03-08', value: 0.5, price: 99.5, type: 'Rendimento' }]
+    };
+    const collector = createCollector({
+      sources: [{ type: 'memory', data: withReports({ dividends }) }],
+      priceAdjustment: 'total_return'
+    });
+
+    const fundamentals = await collector.getFundamentals('ABCD11', '2024-03-08');
+
+    expect(fundamentals.price).toBe(99.5);
+    expect(fundamentals.pvp).toBeCloseTo(0.995, 4);
+    expect(fundamentals.dividendYield).toBeCloseTo((2.4 / 99.5) * 100, 2);
+  });
+});
@@ -0,0 +1,145 @@
+// src/__tests__/services/dataSourcesTest.js
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  BcbDataSource,
+  DataSource,
+  DataSourceChain,
+  FileDataSource,
+  MemoryDataSource,
+  SyntheticDataSource,
+  createDataSource
+} from '../../services/dataSources';
+import { DataCollector } from '../../services/dataCollector';
+import { MemoryStorageAdapter } from '../../utils/storageAdapter';
+
+/**
+ * Testes automatizados para as fontes de dados do DataCollector
+ *
+ * Este arquivo contém testes unitários para validar o mapeamento de
+ * campos, a cadeia de prioridade com fallback, a coleta totalmente
+ * offline a partir de arquivos, fixtures e dados sintéticos e a leitura
+ * das séries do Banco Central.
+ */
+
+const fixtures = {
+  prices: {
+    HGLG11: [
+      { date: '2024-03-01', close: 160.5, volume: 20000 },
+      { date: '2024-03-04', close: 161.2, volume: 18000 },
+      { date: '2024-03-05', close: 160.9, volume: 21000 }
+    ]
+  }
+};
+
+// Fonte que sempre falha, simulando a API fora do ar
+class FailingDataSource extends DataSource {
+  async fetch(type) {
+    throw new Error(`falha ao obter ${type}`);
+  }
+}
+
+describe('DataSource - Fontes de Dados', () => {
+  test('deve criar fontes a partir do tipo', () => {
+    expect(createDataSource('memory')).toBeInstanceOf(MemoryDataSource);
+    expect(createDataSource({ type: 'synthetic', seed: 7 })).toBeInstanceOf(SyntheticDataSource);
+    expect(() => createDataSource({ type: 'ftp' })).toThrow('desconhecido');
+  });
+
+  test('deve recorrer à próxima fonte em ordem de prioridade', async () => {
+    const chain = new DataSourceChain([
+      new FailingDataSource({ name: 'api' }),
+      { type: 'memory', name: 'fixtures', data: fixtures },
+      { type: 'synthetic', name: 'sintetico' }
+    ]);
+
+    const prices = await chain.getPrices('HGLG11', '2024-03-04', '2024-03-31');
+    expect(prices.map(price => price.close)).toEqual([161.2, 160.9]);
+    expect(chain.lastSources['prices-HGLG11']).toBe('fixtures');
+
+    // Sem fixtures de dividendos: a fonte sintética responde
+    const dividends = await chain.getDividends('HGLG11', '2024-01-01', '2024-06-30');
+    expect(dividends.length).toBe(6);
+    expect(chain.lastSources['dividends-HGLG11']).toBe('sintetico');
+
+    await expect(new DataSourceChain([new FailingDataSource({ name: 'api' })]).getPrices('HGLG11'))
+      .rejects.toThrow('api: falha ao obter prices');
+  });
+
+  test('deve gerar séries sintéticas consistentes entre períodos', async () => {
+    const source = new SyntheticDataSource({ seed: 3 });
+    const year = await source.getPrices('KNRI11', '2023-01-01', '2023-12-31');
+    const month = await new SyntheticDataSource({ seed: 3 }).getPrices('KNRI11', '2023-06-01', '2023-06-30');
+
+    expect(year.filter(price => price.date.startsWith('2023-06'))).toEqual(month);
+    expect(month.every(price => price.low <= price.close && price.close <= price.high)).toBe(true);
+    expect(await source.getPrices('HGLG11', '2023-06-01', '2023-06-30')).not.toEqual(month);
+  });
+
+  test('deve ler arquivos CSV com mapeamento de campos', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'lotus-sources-'));
+    await fs.mkdir(path.join(directory, 'MXRF11'));
+    await fs.writeFile(path.join(directory, 'MXRF11', 'dividends.csv'), [
+      'data_com;rendimento;pagamento',
+      '28/02/2024;0,10;14/03/2024',
+      '29/03/2024;0,11;15/04/2024'
+    ].join('\n'));
+
+    const toIso = value => value.split('/').reverse().join('-');
+    const source = new FileDataSource({
+      directory,
+      delimiter: ';',
+      decimalSeparator: ',',
+      fieldMap: {
+        dividends: {
+          date: record => toIso(record.data_com),
+          value: 'rendimento',
+          paymentDate: record => toIso(record.pagamento)
+        }
+      }
+    });
+
+    const dividends = await source.getDividends('MXRF11', '2024-03-01', '2024-12-31');
+
+    expect(dividends).toHaveLength(1);
+    expect(dividends[0]).toMatchObject({ date: '2024-03-29', value: 0.11, paymentDate: '2024-04-15' });
+    await expect(source.getPrices('MXRF11')).rejects.toThrow('não encontrado');
+
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('deve obter séries macroeconômicas do SGS do Banco Central', async () => {
+    const transport = jest.fn(async () => ({
+      status: 200,
+      data: [{ data: '01/02/2024', valor: '0.83' }, { data: '01/03/2024', valor: '0.16' }]
+    }));
+    const source = new BcbDataSource({ client: { transport, requestsPerSecond: 0 } });
+
+    const ipca = await source.getMacroSeries('IPCA', '2024-02-01', '2024-03-31');
+
+    expect(ipca).toEqual([{ date: '2024-02-01', value: 0.83 }, { date: '2024-03-01', value: 0.16 }]);
+    expect(transport).toHaveBeenCalledWith('https://api.bcb.gov.br/dados/serie/bcdata.sgs.433/dados', expect.objectContaining({
+      params: { formato: 'json', dataInicial: '01/02/2024', dataFinal: '31/03/2024' }
+    }));
+
+    // Séries sem código no SGS e outros tipos de dado ficam para as demais fontes
+    await expect(source.getMacroSeries('IFIX')).rejects.toThrow('não fornece macro');
+    await expect(source.getPrices('HGLG11')).rejects.toThrow('não fornece prices');
+  });
+
+  test('deve coletar dados offline pelo DataCollector', async () => {
+    const collector = new DataCollector({
+      storage: new MemoryStorageAdapter(),
+      sources: [{ type: 'memory', data: fixtures }, { type: 'synthetic' }]
+    });
+
+    const prices = await collector.getHistoricalPrices('HGLG11', '2024-03-01', '2024-03-05');
+    const fundamentals = await collector.getFundamentals('HGLG11', '2024-03-05', { prices });
+
+    expect(prices.map(price => price.price)).toEqual([160.5, 161.2, 160.9]);
+    expect(fundamentals.pvp).toBeGreaterThan(0);
+    expect(fundamentals.dividendYield).toBeGreaterThan(0);
+    expect(fundamentals.shareholders).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,160 @@
+// src/__tests__/services/historyStoreTest.js
+import { HistoryStore } from '../../services/historyStore';
+import { DataCollector } from '../../services/dataCollector';
+import { MemoryStorageAdapter } from '../../utils/storageAdapter';
+
+/**
+ * Testes automatizados para o armazenamento incremental de séries
+ *
+ * Este arquivo contém testes unitários para validar a busca apenas dos
+ * trechos faltantes, a mescla sem duplicatas, a revalidação após maxAge e o
+ * relatório de cobertura com os períodos não consultados e os pregões sem
+ * cotação.
+ */
+
+// Pregões de março de 2024 sem o dia 13 (lacuna da fonte)
+const sessions = [
+  '2024-03-01', '2024-03-04', '2024-03-05', '2024-03-06', '2024-03-07', '2024-03-08',
+  '2024-03-11', '2024-03-12', '2024-03-14', '2024-03-15'
+];
+
+const createFetcher = () => jest.fn(async (start, end) => sessions
+  .filter(date => date >= start && date <= end)
+  .map(date => ({ date, close: 100, volume: 1000 })));
+
+describe('HistoryStore - Histórico Incremental', () => {
+  test('deve buscar apenas os trechos que faltam', async () => {
+    const store = new HistoryStore({ storage: new MemoryStorageAdapter() });
+    const fetcher = createFetcher();
+
+    await store.fetch('prices', 'HGLG11', '2024-03-04', '2024-03-08', fetcher);
+    const records = await store.fetch('prices', 'HGLG11', '2024-03-01', '2024-03-12', fetcher);
+
+    expect(fetcher.mock.calls).toEqual([
+      ['2024-03-04', '2024-03-08'],
+      ['2024-03-01', '2024-03-03'],
+      ['2024-03-09', '2024-03-12']
+    ]);
+    expect(records.map(record => record.date)).toEqual(sessions.slice(0, 8));
+
+    // Período já coberto não consulta a fonte; fim de semana isolado também não
+    await store.fetch('prices', 'HGLG11', '2024-03-05', '2024-03-07', fetcher);
+    await store.fetch('prices', 'HGLG11', '2024-02-24', '2024-02-25', fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(3);
+  });
+
+  test('deve mesclar registros sem duplicatas', async () => {
+    // A segunda consulta devolve também um registro já armazenado, revisado pela fonte
+    const store = new HistoryStore({ storage: new MemoryStorageAdapter() });
+    const fetcher = jest.fn()
+      .mockResolvedValueOnce([
+        { date: '2024-03-08', value: 0.9, type: 'Rendimento' },
+        { date: '2024-03-08', value: 2, type: 'Amortização' }
+      ])
+      .mockResolvedValueOnce([
+        { date: '2024-02-08', value: 0.9, type: 'Rendimento' },
+        { date: '2024-03-08', value: 0.95, type: 'Rendimento' }
+      ]);
+
+    await store.fetch('dividends', 'HGLG11', '2024-03-01', '2024-03-31', fetcher);
+    const records = await store.fetch('dividends', 'HGLG11', '2024-02-01', '2024-03-31', fetcher);
+
+    expect(records).toHaveLength(3);
+    expect(records.filter(record => record.date === '2024-03-08').map(record => record.value)).toEqual([0.95, 2]);
+  });
+
+  test('deve revalidar os períodos cobertos após maxAge', async () => {
+    const storage = new MemoryStorageAdapter();
+    const store = new HistoryStore({ storage, maxAge: 60 * 60 * 1000 });
+    const fetcher = createFetcher();
+
+    await store.fetch('prices', 'HGLG11', '2024-03-04', '2024-03-08', fetcher);
+    await store.fetch('prices', 'HGLG11', '2024-03-04', '2024-03-08', fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    // Série validada há duas horas: o período volta a ser consultado
+    const key = store.getKey('prices', 'HGLG11');
+    const entry = await storage.getItem(key);
+    await storage.setItem(key, { ...entry, validatedAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() });
+    expect((await store.getCoverageReport('HGLG11', ['prices'])).prices.expired).toBe(true);
+
+    const records = await store.fetch('prices', 'HGLG11', '2024-03-04', '2024-03-08', fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(records).toHaveLength(5);
+    expect((await store.getCoverageReport('HGLG11', ['prices'])).prices.expired).toBe(false);
+  });
+
+  test('deve substituir os registros do período revalidado', async () => {
+    const storage = new MemoryStorageAdapter();
+    const store = new HistoryStore({ storage, maxAge: 60 * 60 * 1000 });
+
+    await store.fetch('dividends', 'HGLG11', '2024-03-01', '2024-03-31', async () => [
+      { date: '2024-03-07', value: 0.5 },
+      { date: '2024-03-14', value: 1.1 }
+    ]);
+
+    const key = store.getKey('dividends', 'HGLG11');
+    const entry = await storage.getItem(key);
+    await storage.setItem(key, { ...entry, validatedAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() });
+
+    // A fonte corrigiu a data do primeiro pagamento e excluiu o segundo
+    const records = await store.fetch('dividends', 'HGLG11', '2024-03-01', '2024-03-31', async () => [
+      { date: '2024-03-08', value: 0.5 }
+    ]);
+
+    expect(records).toEqual([{ date: '2024-03-08', value: 0.5 }]);
+    expect((await store.getCoverageReport('HGLG11', ['dividends'])).dividends.records).toBe(1);
+  });
+
+  test('deve informar a cobertura e os pregões sem cotação', async () => {
+    const store = new HistoryStore({ storage: new MemoryStorageAdapter() });
+    const fetcher = createFetcher();
+
+    await store.fetch('prices', 'HGLG11', '2024-03-01', '2024-03-05', fetcher);
+    await store.fetch('prices', 'HGLG11', '2024-03-11', '2024-03-15', fetcher);
+
+    const report = await store.getCoverageReport('hglg11', ['prices']);
+
+    expect(report.prices.ranges).toEqual([['2024-03-01', '2024-03-05'], ['2024-03-11', '2024-03-15']]);
+    expect(report.prices.missingRanges).toEqual([['2024-03-06', '2024-03-10']]);
+    expect(report.prices.missingSessions).toEqual(['2024-03-13']);
+    expect(report.prices.records).toBe(7);
+  });
+
+  test('deve ser usado pelo DataCollector', async () => {
+    const collector = new DataCollector({
+      storage: new MemoryStorageAdapter(),
+      sources: [{ type: 'memory', data: { prices: { HGLG11: sessions.map(date => ({ date, close: 100, volume: 1000 })) } } }]
+    });
+    const getPrices = jest.spyOn(collector.dataSource, 'getPrices');
+
+    await collector.getHistoricalPrices('HGLG11', '2024-03-04', '2024-03-08');
+    const prices = await collector.getHistoricalPrices('HGLG11', '2024-03-01', '2024-03-15');
+
+    expect(getPrices.mock.calls.map(call => call.slice(1))).toEqual([
+      ['2024-03-04', '2024-03-08'],
+      ['2024-03-01', '2024-03-03'],
+      ['2024-03-09', '2024-03-15']
+    ]);
+    expect(prices.some(price => price.date === '2024-03-13')).toBe(true); // Preenchido pela interpolação
+
+    const report = await collector.getCoverageReport('HGLG11');
+    expect(report.prices.missingSessions).toEqual(['2024-03-13']);
+  });
+
+  test('deve ser limpo junto com o cache do DataCollector', async () => {
+    const collector = new DataCollector({
+      storage: new MemoryStorageAdapter(),
+      sources: [{ type: 'memory', data: { prices: { HGLG11: sessions.map(date => ({ date, close: 100, volume: 1000 })) } } }]
+    });
+
+    await collector.getHistoricalPrices('HGLG11', '2024-03-04', '2024-03-08');
+    expect((await collector.storage.keys()).some(key => key.startsWith('history-'))).toBe(true);
+
+    await collector.clearCache();
+
+    expect(await collector.storage.keys()).toEqual([]);
+    expect((await collector.getCoverageReport('HGLG11')).prices.ranges).toEqual([]);
+  });
+});
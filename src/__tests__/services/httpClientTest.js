@@ -0,0 +1,112 @@
+// src/__tests__/services/httpClientTest.js
+import { HttpClient } from '../../services/httpClient';
+import { DataCollector } from '../../services/dataCollector';
+import { MemoryStorageAdapter } from '../../utils/storageAdapter';
+
+/**
+ * Testes automatizados para o cliente HTTP das fontes de dados
+ *
+ * Este arquivo contém testes unitários para validar as novas tentativas
+ * com backoff, o limite de concorrência, o limite de taxa e o
+ * compartilhamento de requisições idênticas em andamento.
+ */
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Erro no formato do axios
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, headers }
+});
+
+describe('HttpClient - Requisições às Fontes de Dados', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('deve repetir falhas transitórias com backoff', async () => {
+    const responses = [httpError(503), httpError(429, { 'retry-after': '0.02' })];
+    const transport = jest.fn(async () => {
+      if (responses.length > 0) throw responses.shift();
+      return { status: 200, data: [1, 2, 3] };
+    });
+    const client = new HttpClient({ transport, baseDelay: 1, maxDelay: 100, requestsPerSecond: 0 });
+
+    const started = Date.now();
+    const response = await client.get('https://api.test/fii/HGLG11/prices');
+
+    expect(response.data).toEqual([1, 2, 3]);
+    expect(transport).toHaveBeenCalledTimes(3);
+    expect(client.stats.retries).toBe(2);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(15); // Retry-After de 20ms respeitado
+
+    // Erros que não são transitórios não são repetidos
+    const notFound = jest.fn(async () => { throw httpError(404); });
+    await expect(new HttpClient({ transport: notFound }).get('https://api.test/x')).rejects.toThrow('404');
+    expect(notFound).toHaveBeenCalledTimes(1);
+  });
+
+  test('deve limitar requisições simultâneas e compartilhar requisições idênticas', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const transport = jest.fn(async url => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await wait(5);
+      active--;
+      return { status: 200, data: url };
+    });
+    const client = new HttpClient({ transport, concurrency: 2, requestsPerSecond: 0 });
+
+    const urls = Array.from({ length: 8 }, (_, i) => `https://api.test/fii/T${i}/prices`);
+    const results = await Promise.all([...urls, urls[0], urls[0]].map(url => client.get(url)));
+
+    expect(results.map(result => result.data)).toEqual([...urls, urls[0], urls[0]]);
+    expect(maxActive).toBe(2);
+    expect(transport).toHaveBeenCalledTimes(8);
+    expect(client.stats.deduplicated).toBe(2);
+  });
+
+  test('deve respeitar o limite de taxa', async () => {
+    const transport = jest.fn(async () => ({ status: 200, data: [] }));
+    const client = new HttpClient({ transport, requestsPerSecond: 50, burst: 1 });
+
+    const started = Date.now();
+    await Promise.all([1, 2, 3, 4, 5].map(i => client.get(`https://api.test/${i}`)));
+
+    // Um token imediato e mais quatro a cada 20ms
+    expect(Date.now() - started).toBeGreaterThanOrEqual(70);
+  });
+
+  test('deve aceitar taxas menores que uma requisição por segundo', async () => {
+    const transport = jest.fn(async () => ({ status: 200, data: [] }));
+    const client = new HttpClient({ transport, requestsPerSecond: 0.5 });
+
+    expect(client.config.burst).toBe(1);
+    await expect(client.get('https://api.test/1')).resolves.toEqual({ status: 200, data: [] });
+
+    expect(() => new HttpClient({ transport, burst: 0.5 })).toThrow('burst');
+  });
+
+  test('deve ser usado pelas fontes da API do DataCollector', async () => {
+    let failures = 1;
+    const transport = jest.fn(async (url, options) => {
+      if (failures-- > 0) throw httpError(502);
+      if (!url.endsWith('/prices')) return { status: 200, data: [] };
+      return { status: 200, data: [{ date: options.params.startDate, close: 100, volume: 1000 }] };
+    });
+
+    const collector = new DataCollector({
+      storage: new MemoryStorageAdapter(),
+      http: { transport, baseDelay: 1 }
+    });
+
+    const prices = await collector.getHistoricalPrices('HGLG11', '2024-03-01', '2024-03-01');
+
+    expect(prices.map(price => price.price)).toEqual([100]);
+    expect(collector.httpClient.stats.retries).toBe(1);
+  });
+});
@@ -0,0 +1,185 @@
+// src/__tests__/utils/storageAdapterTest.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as tf from '@tensorflow/tfjs';
+import {
+  StorageAdapter,
+  MemoryStorageAdapter,
+  FileSystemStorageAdapter,
+  IndexedDBStorageAdapter,
+  createStorageAdapter
+} from '../../utils/storageAdapter';
+
+/**
+ * Testes automatizados para os adaptadores de armazenamento
+ *
+ * Este arquivo contém testes unitários para validar os itens JSON e os
+ * modelos nos adaptadores de memória e de diretório local, a conclusão das
+ * transações do IndexedDB e a criação de adaptadores pela configuração.
+ */
+
+// Operações comuns a todos os adaptadores de itens
+const exerciseItems = async storage => {
+  const value = { prices: [1, 2, 3], updatedAt: '2024-03-01' };
+
+  expect(await storage.getItem('hglg11')).toBeNull();
+  expect(await storage.setItem('hglg11', value)).toBe(true);
+
+  // O valor armazenado não acompanha alterações posteriores do objeto
+  value.prices.push(4);
+  expect(await storage.getItem('hglg11')).toEqual({ prices: [1, 2, 3], updatedAt: '2024-03-01' });
+
+  await storage.setItem('knri11', 1);
+  expect((await storage.keys()).sort()).toEqual(['hglg11', 'knri11']);
+
+  await storage.removeItem('hglg11');
+  expect(await storage.getItem('hglg11')).toBeNull();
+  expect(await storage.keys()).toEqual(['knri11']);
+};
+
+describe('MemoryStorageAdapter - Armazenamento em Memória', () => {
+  test('deve armazenar, listar e remover itens', async () => {
+    await exerciseItems(new MemoryStorageAdapter());
+  });
+
+  test('deve isolar as chaves pelo prefixo', async () => {
+    const shared = new MemoryStorageAdapter();
+    const prefixed = new MemoryStorageAdapter({ prefix: 'a-' });
+    prefixed.items = shared.items;
+
+    await shared.setItem('x', 1);
+    await prefixed.setItem('x', 2);
+
+    expect(await shared.getItem('x')).toBe(1);
+    expect(await prefixed.getItem('x')).toBe(2);
+    expect(await prefixed.keys()).toEqual(['x']);
+    expect((await shared.keys()).sort()).toEqual(['a-x', 'x']);
+  });
+
+  test('deve salvar, carregar e remover modelos', async () => {
+    const storage = new MemoryStorageAdapter({ prefix: 'teste-' });
+    const model = tf.sequential({ layers: [tf.layers.dense({ units: 1, inputShape: [2] })] });
+
+    await storage.saveModel(model, 'modelo');
+    const loaded = await storage.loadModel('modelo');
+
+    const input = tf.tensor2d([[1, 2]]);
+    expect(Array.from(loaded.predict(input).dataSync())).toEqual(Array.from(model.predict(input).dataSync()));
+
+    await storage.removeModel('modelo');
+    await expect(storage.loadModel('modelo')).rejects.toThrow('não encontrado');
+
+    input.dispose();
+    model.dispose();
+    loaded.dispose();
+  });
+});
+
+describe('FileSystemStorageAdapter - Armazenamento em Diretório', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'lotus-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('deve armazenar, listar e remover itens em arquivos JSON', async () => {
+    const storage = new FileSystemStorageAdapter({ directory });
+
+    await exerciseItems(storage);
+    expect(fs.readdirSync(path.join(directory, 'items'))).toEqual(['knri11.json']);
+    expect(await storage.removeItem('inexistente')).toBe(false);
+  });
+
+  test('deve codificar chaves e respeitar o prefixo', async () => {
+    const storage = new FileSystemStorageAdapter({ directory, prefix: 'lotus/' });
+    const other = new FileSystemStorageAdapter({ directory });
+
+    await storage.setItem('historical-prices-HGLG11-2024-01-01', [1]);
+    await other.setItem('outro', [2]);
+
+    expect(await storage.keys()).toEqual(['historical-prices-HGLG11-2024-01-01']);
+    expect(await storage.getItem('historical-prices-HGLG11-2024-01-01')).toEqual([1]);
+    expect((await other.keys()).sort()).toEqual(['lotus/historical-prices-HGLG11-2024-01-01', 'outro']);
+  });
+
+  test('deve listar nenhuma chave em diretório inexistente', async () => {
+    const storage = new FileSystemStorageAdapter({ directory: path.join(directory, 'novo') });
+
+    expect(await storage.keys()).toEqual([]);
+    expect(await storage.getItem('x')).toBeNull();
+  });
+});
+
+describe('IndexedDBStorageAdapter - Transações', () => {
+  // Banco falso cujos eventos da requisição e da transação são disparados pelo teste
+  const createAdapter = () => {
+    const adapter = new IndexedDBStorageAdapter();
+    const request = { result: 'valor', error: null };
+    const transaction = { error: null, objectStore: () => ({ put: () => request, get: () => request }) };
+
+    adapter.dbPromise = Promise.resolve({ transaction: () => transaction });
+
+    return { adapter, request, transaction };
+  };
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  test('deve resolver apenas ao concluir a transação', async () => {
+    const { adapter, request, transaction } = createAdapter();
+    let settled = false;
+    const result = adapter.getItem('x').then(value => {
+      settled = true;
+      return value;
+    });
+
+    await flush();
+    if (request.onsuccess) request.onsuccess();
+    await flush();
+    expect(settled).toBe(false);
+
+    transaction.oncomplete();
+    await expect(result).resolves.toBe('valor');
+  });
+
+  test('deve rejeitar quando a transação é abortada após a requisição', async () => {
+    const { adapter, request, transaction } = createAdapter();
+    const result = adapter.setItem('x', 1);
+
+    await flush();
+    if (request.onsuccess) request.onsuccess();
+    transaction.error = new Error('QuotaExceededError');
+    transaction.onabort();
+
+    await expect(result).rejects.toThrow('QuotaExceededError');
+  });
+});
+
+describe('createStorageAdapter - Criação pela Configuração', () => {
+  test('deve aceitar instância, nome do tipo ou objeto de opções', () => {
+    const memory = new MemoryStorageAdapter();
+
+    expect(createStorageAdapter(memory)).toBe(memory);
+    expect(createStorageAdapter('memory')).toBeInstanceOf(MemoryStorageAdapter);
+    expect(createStorageAdapter('indexeddb')).toBeInstanceOf(IndexedDBStorageAdapter);
+
+    const fileSystem = createStorageAdapter({ type: 'filesystem', directory: './dados', prefix: 'x-' });
+    expect(fileSystem).toBeInstanceOf(FileSystemStorageAdapter);
+    expect(fileSystem.config).toMatchObject({ directory: './dados', prefix: 'x-' });
+  });
+
+  test('deve usar memória no Node sem configuração', () => {
+    const storage = createStorageAdapter();
+
+    expect(storage).toBeInstanceOf(MemoryStorageAdapter);
+    expect(storage).toBeInstanceOf(StorageAdapter);
+  });
+
+  test('deve rejeitar tipos desconhecidos', () => {
+    expect(() => createStorageAdapter('s3')).toThrow('Tipo de armazenamento desconhecido: s3');
+  });
+});
@@ -0,0 +1,78 @@
+// src/__tests__/utils/tradingCalendarTest.js
+import { TradingCalendar } from '../../utils/tradingCalendar';
+import { DataCollector } from '../../services/dataCollector';
+import { DividendCadenceAnalyzer } from '../../models/dividendCadenceAnalyzer';
+import { MemoryStorageAdapter } from '../../utils/storageAdapter';
+
+/**
+ * Testes automatizados para o calendário de pregões da B3
+ *
+ * Este arquivo contém testes unitários para validar os feriados fixos e
+ * móveis, os fechamentos extraordinários e o uso do calendário na
+ * interpolação de preços e na cadência de dividendos.
+ */
+
+describe('TradingCalendar - Calendário de Pregões da B3', () => {
+  test('deve calcular os feriados fixos e móveis do ano', () => {
+    const calendar = new TradingCalendar();
+
+    expect(TradingCalendar.easterSunday(2024).toISOString().slice(0, 10)).toBe('2024-03-31');
+    expect(calendar.getHolidays(2024).map(holiday => holiday.date)).toEqual([
+      '2024-01-01', '2024-02-12', '2024-02-13', '2024-03-29', '2024-04-21', '2024-05-01',
+      '2024-05-30', '2024-09-07', '2024-10-12', '2024-11-02', '2024-11-15', '2024-11-20',
+      '2024-12-24', '2024-12-25', '2024-12-31'
+    ]);
+
+    // Consciência Negra: feriado municipal até 2021 e nacional a partir de 2024
+    expect(calendar.isHoliday('2021-11-19')).toBe(false);
+    expect(calendar.isHoliday('2023-11-20')).toBe(false);
+
+    // Último dia útil do ano em 2022 (31/12 foi sábado)
+    expect(calendar.getHolidayName('2022-12-30')).toBe('Último dia útil do ano');
+  });
+
+  test('deve navegar entre pregões e aceitar fechamentos extraordinários', () => {
+    const calendar = new TradingCalendar({ extraHolidays: [{ date: '2024-04-22', name: 'Fechamento de teste' }] });
+
+    expect(calendar.isTradingDay('2024-02-14')).toBe(true); // Quarta-feira de Cinzas (pregão à tarde)
+    expect(calendar.nextTradingDay('2024-02-09')).toBe('2024-02-14');
+    expect(calendar.previousTradingDay('2024-04-01')).toBe('2024-03-28');
+    expect(calendar.nextTradingDay('2024-04-19')).toBe('2024-04-23');
+    expect(calendar.addTradingDays('2024-12-20', 3)).toBe('2024-12-27');
+    expect(calendar.addTradingDays('2024-12-27', -3)).toBe('2024-12-20');
+    expect(calendar.rollForward('2024-12-31')).toBe('2025-01-02');
+
+    calendar.addHoliday('2024-04-23');
+    expect(calendar.nextTradingDay('2024-04-19')).toBe('2024-04-24');
+  });
+
+  test('não deve interpolar preços em feriados', () => {
+    const collector = new DataCollector({ storage: new MemoryStorageAdapter() });
+
+    const filled = collector.fillMissingValues([
+      { date: '2024-02-08', price: 100, volume: 1000 },
+      { date: '2024-02-16', price: 104, volume: 1000 }
+    ]);
+
+    expect(filled.map(item => item.date)).toEqual([
+      '2024-02-08', '2024-02-09', '2024-02-14', '2024-02-15', '2024-02-16'
+    ]);
+  });
+
+  test('deve esperar a data-com no pregão seguinte a um feriado', () => {
+    const analyzer = new DividendCadenceAnalyzer({ referenceDate: '2024-12-15' });
+
+    // Data-com no dia 20 de cada mês ou no pregão seguinte; em 20/11/2024 não houve pregão
+    const dividends = [
+      '2024-03-20', '2024-04-22', '2024-05-20', '2024-06-20', '2024-07-22',
+      '2024-08-20', '2024-09-20', '2024-10-21', '2024-11-21'
+    ].map(date => ({ date, value: 1 }));
+
+    const { cadence, anomalies } = analyzer.analyze(dividends);
+
+    expect(cadence.typicalDay).toBe(20);
+    expect(anomalies).toEqual([]);
+    expect(analyzer.calculateDelay({ date: new Date('2024-11-21') }, cadence)).toBe(0);
+    expect(analyzer.expectedDateAfter(new Date('2024-10-21'), 1, 20).toISOString().slice(0, 10)).toBe('2024-11-21');
+  });
+});
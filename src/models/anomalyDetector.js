@@ -1,5 +1,10 @@
 // src/models/anomalyDetector.js
 import * as tf from '@tensorflow/tfjs';
+import { createStorageAdapter } from '../utils/storageAdapter';
+import { calculateMedian, createSeededRandom } from '../utils/statistics';
+import { IsolationForest } from './isolationForest';
+import { ChangePointDetector } from './changePointDetector';
+import { DividendCadenceAnalyzer } from './dividendCadenceAnalyzer';
 
 /**
  * Classe para detecção de anomalias em dividendos de FIIs
@@ -19,6 +24,7 @@ export class AnomalyDetector {
       contamination: config.contamination || 0.05, // Taxa esperada de anomalias (5%)
       nEstimators: config.nEstimators || 100, // Número de árvores
       maxSamples: config.maxSamples || 'auto', // Número máximo de amostras por árvore
+      randomSeed: config.randomSeed !== undefined ? config.randomSeed : null, // Semente para resultados reproduzíveis
       
       // Configurações para autoencoder
       useAutoencoder: config.useAutoencoder !== undefined ? config.useAutoencoder : true,
@@ -26,6 +32,26 @@ export class AnomalyDetector {
       epochs: config.epochs || 50, // Épocas de treinamento
       batchSize: config.batchSize || 32, // Tamanho do batch
       
+      // Configurações para ajuste sazonal
+      seasonalAdjustment: config.seasonalAdjustment !== undefined ? config.seasonalAdjustment : true,
+      seasonalPeriod: config.seasonalPeriod || 12, // Período sazonal (12 = perfil por mês do ano)
+      minSeasonalCycles: config.minSeasonalCycles || 2, // Ciclos mínimos para estimar o efeito de um mês
+      seasonalConsistency: config.seasonalConsistency || 0.75, // Fração dos ciclos em que o efeito deve se repetir
+      
+      // Configurações para detecção de mudança de regime
+      detectRegimeChanges: config.detectRegimeChanges !== undefined ? config.detectRegimeChanges : true,
+      changePointMethod: config.changePointMethod || 'cusum', // cusum ou bayesian
+      minRegimeSize: config.minRegimeSize || 3, // Pagamentos mínimos por regime
+      minRegimeChange: config.minRegimeChange !== undefined ? config.minRegimeChange : 0.05, // Mudança mínima de nível (5%)
+      
+      // Configurações para análise de cadência de pagamentos
+      detectCadenceAnomalies: config.detectCadenceAnomalies !== undefined ? config.detectCadenceAnomalies : true,
+      lateToleranceDays: config.lateToleranceDays || 7, // Atraso tolerado (dias) antes de marcar late_payment
+      minCadenceHistory: config.minCadenceHistory || 4, // Pagamentos mínimos para aprender a cadência
+      
+      // Amortizações (devolução de capital): separate (pontuadas à parte) ou exclude (ignoradas)
+      amortizationHandling: config.amortizationHandling || 'separate',
+      
       // Configurações gerais
       ensembleMethod: config.ensembleMethod || 'majority', // majority, weighted, or any
       featureEngineering: config.featureEngineering !== undefined ? config.featureEngineering : true,
@@ -34,6 +60,24 @@ export class AnomalyDetector {
       ...config
     };
     
+    // Armazenamento do autoencoder treinado
+    this.storage = createStorageAdapter(config.storage);
+    
+    // Gerador aleatório (determinístico quando randomSeed é informado)
+    this.random = createSeededRandom(this.config.randomSeed);
+    
+    this.changePointDetector = new ChangePointDetector({
+      method: this.config.changePointMethod,
+      minSegmentSize: this.config.minRegimeSize,
+      minRelativeChange: this.config.minRegimeChange
+    });
+    
+    this.cadenceAnalyzer = new DividendCadenceAnalyzer({
+      lateToleranceDays: this.config.lateToleranceDays,
+      minHistory: this.config.minCadenceHistory,
+      calendar: this.config.calendar
+    });
+    
     this.model = null;
     this.autoencoder = null;
     this.cache = {};
@@ -71,13 +115,13 @@ export class AnomalyDetector {
    */
   async loadModel() {
     try {
-      // Tentar carregar do localStorage primeiro
+      // Tentar carregar do armazenamento configurado
       try {
-        this.autoencoder = await tf.loadLayersModel('localstorage://lotus-invest-anomaly-detector');
-        console.log('Modelo de detecção de anomalias carregado do localStorage');
+        this.autoencoder = await this.storage.loadModel('lotus-invest-anomaly-detector');
+        console.log('Modelo de detecção de anomalias carregado do armazenamento');
         return true;
       } catch (e) {
-        console.log('Modelo não encontrado no localStorage');
+        console.log('Modelo não encontrado no armazenamento');
       }
       
       return false;
@@ -89,18 +133,29 @@ export class AnomalyDetector {
   
   /**
    * Detecta anomalias em dados de dividendos
-   * @param {Array} dividendData - Dados históricos de dividendos
+   *
+   * Apenas os rendimentos passam pelos métodos estatísticos e pela análise
+   * de cadência; distribuições com distributionType 'amortization' são
+   * pontuadas à parte (capital_return) ou ignoradas, conforme amortizationHandling.
+   * @param {Array} distributionData - Dados históricos de dividendos (rendimentos e amortizações)
+   * @param {Object} options - Opções (referenceDate para verificar pagamentos pendentes)
    * @returns {Promise<Object>} - Resultados da detecção de anomalias
    */
-  async detectDividendAnomalies(dividendData) {
+  async detectDividendAnomalies(distributionData, options = {}) {
     try {
       // Verificar inicialização
       if (!this.initialized) {
         await this.initialize();
       }
       
+      // Separar rendimentos de amortizações
+      const dividendData = distributionData.filter(item => item.distributionType !== 'amortization');
+      const amortizations = this.config.amortizationHandling === 'separate'
+        ? distributionData.filter(item => item.distributionType === 'amortization')
+        : [];
+      
       // Verificar cache
-      const cacheKey = `anomalies-${JSON.stringify(dividendData.map(d => d.date + d.value))}`;
+      const cacheKey = `anomalies-${options.referenceDate || ''}-${JSON.stringify(distributionData.map(d => d.date + d.value + (d.paymentDate || '') + (d.distributionType || '')))}`;
       if (this.config.useCache && this.cache[cacheKey] && this.isCacheValid(this.cache[cacheKey].timestamp)) {
         return this.cache[cacheKey].data;
       }
@@ -121,22 +176,35 @@ export class AnomalyDetector {
       const values = dividendData.map(item => item.value);
       const dates = dividendData.map(item => item.date);
       
+      // Decomposição sazonal: pagamentos recorrentes do calendário (semestrais,
+      // complementos de junho/dezembro) não devem ser marcados como anomalia
+      const decomposition = this.config.seasonalAdjustment
+        ? this.decomposeSeasonality(dividendData)
+        : null;
+      const seasonalApplied = Boolean(decomposition && decomposition.applied);
+      
+      // Com ajuste sazonal, os métodos operam sobre o resíduo e a série dessazonalizada
+      const analyzedValues = seasonalApplied ? decomposition.residual : values;
+      const analyzedData = seasonalApplied
+        ? this.removeSeasonalComponent(dividendData, decomposition.seasonal)
+        : dividendData;
+      
       // Engenharia de features
       let features;
       if (this.config.featureEngineering) {
-        features = this.engineerFeatures(dividendData);
+        features = this.engineerFeatures(analyzedData);
       } else {
-        features = values.map(value => [value]);
+        features = analyzedData.map(item => [item.value]);
       }
       
       // Detectar anomalias usando múltiplos métodos
       const methods = {};
       
       // 1. Método estatístico: Z-score
-      methods.zScore = this.detectAnomaliesWithZScore(values);
+      methods.zScore = this.detectAnomaliesWithZScore(analyzedValues);
       
       // 2. Método estatístico: IQR (Intervalo Interquartil)
-      methods.iqr = this.detectAnomaliesWithIQR(values);
+      methods.iqr = this.detectAnomaliesWithIQR(analyzedValues);
       
       // 3. Método de machine learning: Isolation Forest
       methods.isolationForest = await this.detectAnomaliesWithIsolationForest(features);
@@ -170,15 +238,17 @@ export class AnomalyDetector {
         else if (anomalyScore > 0.5) severity = 'medium';
         else severity = 'low';
         
-        // Determinar tipo de anomalia
+        // Determinar tipo de anomalia (pelo resíduo quando há ajuste sazonal)
         const value = values[index];
         const avg = this.calculateMean(values);
-        const type = value > avg ? 'high_value' : 'low_value';
+        const type = seasonalApplied
+          ? (decomposition.residual[index] > 0 ? 'high_value' : 'low_value')
+          : (value > avg ? 'high_value' : 'low_value');
         
         // Calcular desvio percentual da média
         const deviation = ((value - avg) / avg) * 100;
         
-        return {
+        const anomaly = {
           date: dates[index],
           value: value,
           anomalyScore,
@@ -189,21 +259,69 @@ export class AnomalyDetector {
             method => methods[method].anomalyIndices.includes(index)
           )
         };
+        
+        // Componentes da decomposição para o ponto anômalo
+        if (decomposition) {
+          const trend = decomposition.trend[index];
+          const seasonal = decomposition.seasonal[index];
+          
+          anomaly.trendComponent = parseFloat(trend.toFixed(4));
+          anomaly.seasonalComponent = parseFloat(seasonal.toFixed(4));
+          anomaly.expectedValue = parseFloat((trend + seasonal).toFixed(4));
+          anomaly.residual = parseFloat(decomposition.residual[index].toFixed(4));
+        }
+        
+        return anomaly;
       });
       
+      // Pagamentos ausentes, atrasados ou fora da cadência habitual
+      const cadence = this.config.detectCadenceAnomalies
+        ? this.cadenceAnalyzer.analyze(dividendData, { referenceDate: options.referenceDate })
+        : null;
+      
+      if (cadence) {
+        anomalies.push(...cadence.anomalies);
+      }
+      
+      // Amortizações pontuadas à parte
+      anomalies.push(...this.scoreAmortizations(amortizations, values));
+      
       // Ordenar anomalias por score (maior para menor)
       anomalies.sort((a, b) => b.anomalyScore - a.anomalyScore);
       
-      // Calcular estatísticas
+      // Calcular estatísticas (amortizações são eventos esperados e não entram na taxa de anomalias)
+      const incomeAnomalies = anomalies.filter(anomaly => anomaly.type !== 'capital_return').length;
       const stats = {
-        count: anomalies.length,
-        percentage: parseFloat(((anomalies.length / dividendData.length) * 100).toFixed(2))
+        count: incomeAnomalies,
+        percentage: parseFloat(((incomeAnomalies / dividendData.length) * 100).toFixed(2)),
+        capitalReturns: anomalies.length - incomeAnomalies
       };
       
+      // Mudanças de nível persistentes (detectadas na série dessazonalizada,
+      // com níveis medidos nos valores distribuídos)
+      const regimes = this.config.detectRegimeChanges
+        ? this.detectRegimeChanges(analyzedData, dividendData)
+        : null;
+      
       // Formatar resultado
       const result = {
         anomalies,
         stats,
+        regimes,
+        cadence: cadence ? cadence.cadence : null,
+        amortizations: {
+          count: distributionData.length - dividendData.length,
+          total: parseFloat(distributionData
+            .filter(item => item.distributionType === 'amortization')
+            .reduce((sum, item) => sum + item.value, 0)
+            .toFixed(4)),
+          handling: this.config.amortizationHandling
+        },
+        seasonality: {
+          applied: seasonalApplied,
+          period: this.config.seasonalPeriod,
+          profile: decomposition ? decomposition.profile : {}
+        },
         methods: Object.keys(methods).reduce((acc, method) => {
           acc[method] = {
             anomalyCount: methods[method].anomalyIndices.length,
@@ -233,6 +351,207 @@ export class AnomalyDetector {
     }
   }
   
+  /**
+   * Pontua amortizações separadamente dos rendimentos
+   * 
+   * O score cresce com a razão entre a amortização e o rendimento mediano
+   * (razão 1 = 0,5; razão 4 = 0,8), já que o tamanho de uma devolução de
+   * capital não segue a distribuição dos rendimentos mensais.
+   * @param {Array} amortizations - Amortizações
+   * @param {Array} incomeValues - Valores dos rendimentos
+   * @returns {Array} - Anomalias do tipo capital_return
+   */
+  scoreAmortizations(amortizations, incomeValues) {
+    const median = calculateMedian(incomeValues);
+    
+    return amortizations.map(item => {
+      const ratio = median > 0 ? item.value / median : 1;
+      const anomalyScore = ratio / (1 + ratio);
+      
+      let severity;
+      if (anomalyScore > 0.8) severity = 'high';
+      else if (anomalyScore > 0.5) severity = 'medium';
+      else severity = 'low';
+      
+      return {
+        date: item.date,
+        value: item.value,
+        anomalyScore: parseFloat(anomalyScore.toFixed(4)),
+        severity,
+        type: 'capital_return',
+        deviation: median > 0 ? parseFloat((((item.value - median) / median) * 100).toFixed(2)) : 0,
+        capitalReturnYield: item.yield !== undefined ? item.yield : null,
+        detectedBy: ['amortization']
+      };
+    });
+  }
+  
+  /**
+   * Decompõe a série de dividendos em tendência, sazonalidade e resíduo
+   * 
+   * A tendência é uma mediana móvel centrada (robusta aos próprios picos) e
+   * o componente sazonal é um perfil por mês do ano. Um mês só recebe efeito
+   * sazonal quando o desvio se repete, com o mesmo sinal, em pelo menos
+   * seasonalConsistency dos ciclos observados; o efeito adotado é o menor
+   * desvio comum a esses ciclos, para que um evento isolado não vire padrão.
+   * @param {Array} dividendData - Dados de dividendos
+   * @returns {Object} - Componentes (trend, seasonal, residual), perfil e se houve ajuste
+   */
+  decomposeSeasonality(dividendData) {
+    const values = dividendData.map(item => item.value);
+    const period = this.config.seasonalPeriod;
+    const half = Math.floor(period / 2);
+    
+    // 1. Tendência: mediana móvel centrada (janelas truncadas nas bordas)
+    const trend = values.map((_, i) => {
+      const window = values
+        .slice(Math.max(0, i - half), Math.min(values.length, i + half + 1))
+        .filter(value => Number.isFinite(value));
+      return calculateMedian(window);
+    });
+    
+    // 2. Desvios em relação à tendência agrupados pela posição no ciclo
+    const keys = dividendData.map((item, i) => this.getSeasonalKey(item, i));
+    const groups = {};
+    
+    values.forEach((value, i) => {
+      if (!Number.isFinite(value)) return;
+      
+      if (!groups[keys[i]]) groups[keys[i]] = [];
+      groups[keys[i]].push(value - trend[i]);
+    });
+    
+    // 3. Perfil sazonal: efeito recorrente e consistente por posição do ciclo
+    const profile = {};
+    
+    Object.keys(groups).forEach(key => {
+      const deviations = groups[key].slice().sort((a, b) => a - b);
+      const n = deviations.length;
+      
+      if (n < this.config.minSeasonalCycles) {
+        profile[key] = 0;
+        return;
+      }
+      
+      // Desvio superado (ou não atingido) em seasonalConsistency dos ciclos
+      const positiveEffect = deviations[Math.floor((1 - this.config.seasonalConsistency) * (n - 1))];
+      const negativeEffect = deviations[Math.ceil(this.config.seasonalConsistency * (n - 1))];
+      
+      if (positiveEffect > 0) {
+        profile[key] = positiveEffect;
+      } else if (negativeEffect < 0) {
+        profile[key] = negativeEffect;
+      } else {
+        profile[key] = 0;
+      }
+    });
+    
+    const seasonal = keys.map(key => profile[key] || 0);
+    const residual = values.map((value, i) => value - trend[i] - seasonal[i]);
+    
+    return {
+      trend,
+      seasonal,
+      residual,
+      profile,
+      applied: seasonal.some(value => value !== 0)
+    };
+  }
+  
+  /**
+   * Detecta mudanças persistentes no nível das distribuições
+   *
+   * Os pontos de mudança são buscados na série informada (idealmente
+   * dessazonalizada, para que complementos semestrais não criem regimes),
+   * mas o nível de cada segmento é a média dos valores efetivamente
+   * distribuídos.
+   * @param {Array} dividendData - Dados de dividendos (idealmente dessazonalizados)
+   * @param {Array} distributedData - Dados originais, alinhados a dividendData (padrão: dividendData)
+   * @returns {Object} - Pontos de mudança e segmentos de regime
+   */
+  detectRegimeChanges(dividendData, distributedData = dividendData) {
+    const boundaries = this.changePointDetector.detect(dividendData.map(item => item.value));
+    const values = distributedData.map(item => item.value);
+    const bounds = [0, ...boundaries, values.length];
+    
+    const round = value => parseFloat(value.toFixed(4));
+    
+    // Segmentos de nível constante
+    const segments = [];
+    
+    for (let i = 0; i < bounds.length - 1; i++) {
+      const segmentValues = values.slice(bounds[i], bounds[i + 1]).filter(value => Number.isFinite(value));
+      const mean = this.calculateMean(segmentValues);
+      const previous = segments[segments.length - 1];
+      
+      segments.push({
+        startIndex: bounds[i],
+        endIndex: bounds[i + 1] - 1,
+        startDate: dividendData[bounds[i]].date,
+        endDate: dividendData[bounds[i + 1] - 1].date,
+        count: bounds[i + 1] - bounds[i],
+        mean: round(mean),
+        percentChange: previous && previous.mean !== 0
+          ? parseFloat((((mean - previous.mean) / previous.mean) * 100).toFixed(2))
+          : null
+      });
+    }
+    
+    // Pontos de mudança (início de cada regime a partir do segundo)
+    const changePoints = segments.slice(1).map((segment, i) => ({
+      index: segment.startIndex,
+      date: segment.startDate,
+      previousMean: segments[i].mean,
+      newMean: segment.mean,
+      percentChange: segment.percentChange,
+      direction: segment.mean > segments[i].mean ? 'increase' : 'decrease'
+    }));
+    
+    return {
+      method: this.config.changePointMethod,
+      changePoints,
+      segments,
+      currentLevel: segments.length > 0 ? segments[segments.length - 1].mean : null
+    };
+  }
+  
+  /**
+   * Obtém a posição de um pagamento no ciclo sazonal
+   * @param {Object} item - Registro de dividendo
+   * @param {Number} index - Índice do registro na série
+   * @returns {String} - Chave sazonal (mês do ano ou posição no período)
+   */
+  getSeasonalKey(item, index) {
+    const date = new Date(item.date);
+    
+    // Perfil por mês do ano quando a data é válida e o período é anual
+    if (this.config.seasonalPeriod === 12 && !isNaN(date.getTime())) {
+      return `month-${date.getUTCMonth() + 1}`;
+    }
+    
+    return `position-${index % this.config.seasonalPeriod}`;
+  }
+  
+  /**
+   * Remove o componente sazonal dos valores (e do yield, proporcionalmente)
+   * @param {Array} dividendData - Dados de dividendos
+   * @param {Array} seasonal - Componente sazonal por registro
+   * @returns {Array} - Dados dessazonalizados
+   */
+  removeSeasonalComponent(dividendData, seasonal) {
+    return dividendData.map((item, i) => {
+      if (!seasonal[i] || !Number.isFinite(item.value)) return item;
+      
+      const adjustedValue = item.value - seasonal[i];
+      
+      return {
+        ...item,
+        value: adjustedValue,
+        yield: item.yield && item.value ? item.yield * (adjustedValue / item.value) : item.yield
+      };
+    });
+  }
+  
   /**
    * Engenharia de features para melhorar detecção
    * @param {Array} dividendData - Dados de dividendos
@@ -406,33 +725,24 @@ export class AnomalyDetector {
    */
   async detectAnomaliesWithIsolationForest(features) {
     try {
-      // Implementação simplificada de Isolation Forest
-      // Em produção, seria ideal usar uma biblioteca como sklearn via TensorFlow.js ou WebAssembly
+      // Cada detecção treina uma floresta nova sobre as próprias observações;
+      // a mesma semente garante resultados iguais para os mesmos dados
+      const forest = new IsolationForest({
+        nEstimators: this.config.nEstimators,
+        maxSamples: this.config.maxSamples,
+        contamination: this.config.contamination,
+        randomSeed: this.config.randomSeed
+      });
+      
+      forest.fit(features);
       
-      // Simular scores de anomalia baseados em distância da média
       const anomalyScores = {};
       const anomalyIndices = [];
       
-      // Transpor features para calcular médias por coluna
-      const transposed = this.transposeMatrix(features);
-      const means = transposed.map(column => this.calculateMean(column));
-      
-      // Calcular distância euclidiana de cada ponto à média
-      features.forEach((feature, index) => {
-        let sumSquaredDiff = 0;
-        
-        for (let i = 0; i < feature.length; i++) {
-          sumSquaredDiff += Math.pow(feature[i] - means[i], 2);
-        }
-        
-        const distance = Math.sqrt(sumSquaredDiff);
-        
-        // Normalizar score para 0-1 usando sigmoid
-        const score = 1 / (1 + Math.exp(-distance + 3));
+      forest.scoreSamples(features).forEach((score, index) => {
         anomalyScores[index] = score;
         
-        // Determinar anomalias baseado no threshold de contaminação
-        if (score > 1 - this.config.contamination) {
+        if (score >= forest.threshold) {
           anomalyIndices.push(index);
         }
       });
@@ -440,7 +750,7 @@ export class AnomalyDetector {
       return {
         anomalyIndices,
         anomalyScores,
-        threshold: 1 - this.config.contamination
+        threshold: forest.threshold
       };
     } catch (error) {
       console.error('Erro ao detectar anomalias com Isolation Forest:', error);
@@ -572,7 +882,7 @@ export class AnomalyDetector {
       });
       
       // Salvar modelo
-      await this.autoencoder.save('localstorage://lotus-invest-anomaly-detector');
+      await this.storage.saveModel(this.autoencoder, 'lotus-invest-anomaly-detector');
       
       // Liberar tensor
       inputTensor.dispose();
@@ -707,7 +1017,7 @@ export class AnomalyDetector {
     }
     
     try {
-      await this.autoencoder.save('localstorage://lotus-invest-anomaly-detector');
+      await this.storage.saveModel(this.autoencoder, 'lotus-invest-anomaly-detector');
       return true;
     } catch (error) {
       console.error('Erro ao salvar modelo:', error);
@@ -743,15 +1053,15 @@ export class AnomalyDetector {
     // Gerar anomalias
     for (let i = 0; i < anomalyCount; i++) {
       // 50% de chance de ser anomalia alta ou baixa
-      const isHigh = Math.random() > 0.5;
+      const isHigh = this.random() > 0.5;
       
       let value;
       if (isHigh) {
         // Anomalia alta (entre 0.9 e 1.5)
-        value = 0.9 + Math.random() * 0.6;
+        value = 0.9 + this.random() * 0.6;
       } else {
         // Anomalia baixa (entre 0 e 0.1)
-        value = Math.random() * 0.1;
+        value = this.random() * 0.1;
       }
       
       data.push(value);
@@ -771,8 +1081,8 @@ export class AnomalyDetector {
    */
   generateNormalRandom(mean, stdDev) {
     // Método Box-Muller
-    const u1 = Math.random();
-    const u2 = Math.random();
+    const u1 = this.random() || Number.EPSILON; // Evitar log(0)
+    const u2 = this.random();
     
     const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
     
@@ -785,7 +1095,7 @@ export class AnomalyDetector {
    */
   shuffleArray(array) {
     for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(this.random() * (i + 1));
       [array[i], array[j]] = [array[j], array[i]];
     }
   }
@@ -0,0 +1,272 @@
+// src/models/changePointDetector.js
+import { calculateMedian } from '../utils/statistics';
+
+/**
+ * Detector de mudanças de regime em séries de dividendos
+ *
+ * Identifica pontos em que o nível da série muda de forma persistente (por
+ * exemplo, um corte de distribuição após a saída de um inquilino) e divide
+ * a série em segmentos de nível constante. Dois métodos estão disponíveis:
+ * - cusum: segmentação binária pela estatística CUSUM normalizada
+ * - bayesian: detecção online bayesiana (Adams e MacKay, 2007) com
+ *   distribuição preditiva t de Student
+ */
+export class ChangePointDetector {
+  constructor(config = {}) {
+    this.config = {
+      method: config.method || 'cusum', // cusum ou bayesian
+      threshold: config.threshold || 1.358, // Valor crítico da CUSUM normalizada (5%)
+      minSegmentSize: config.minSegmentSize || 3, // Pontos mínimos por regime
+      minRelativeChange: config.minRelativeChange !== undefined ? config.minRelativeChange : 0.05, // Mudança mínima de nível (5%)
+      hazardRate: config.hazardRate || 1 / 24, // Probabilidade a priori de mudança a cada ponto (bayesian)
+      winsorizeLimit: config.winsorizeLimit || 3, // Limite (em desvios robustos) para picos isolados na CUSUM
+      ...config
+    };
+  }
+
+  /**
+   * Detecta mudanças de regime
+   * @param {Array} values - Série de valores
+   * @returns {Array} - Índices em que cada novo regime começa (ordenados)
+   */
+  detect(values) {
+    const series = values.map(value => (Number.isFinite(value) ? value : NaN));
+    const valid = series.filter(value => !isNaN(value));
+
+    if (valid.length < 2 * this.config.minSegmentSize) {
+      return [];
+    }
+
+    // Valores ausentes são preenchidos com o último valor conhecido
+    let last = valid[0];
+    const filled = series.map(value => {
+      if (!isNaN(value)) last = value;
+      return last;
+    });
+
+    const candidates = this.config.method === 'bayesian'
+      ? this.detectWithBayesian(filled)
+      : this.detectWithCusum(filled);
+
+    return this.filterChangePoints(filled, candidates);
+  }
+
+  /**
+   * Segmentação binária pela estatística CUSUM
+   * @param {Array} values - Série sem valores ausentes
+   * @returns {Array} - Índices de início dos novos regimes
+   */
+  detectWithCusum(values) {
+    const sigma = this.estimateNoise(values);
+    const changePoints = [];
+
+    const split = (start, end) => {
+      const n = end - start;
+      if (n < 2 * this.config.minSegmentSize) return;
+
+      // Limitar picos isolados para que não dominem a soma acumulada
+      const segment = values.slice(start, end);
+      const median = calculateMedian(segment);
+      const limit = this.config.winsorizeLimit * sigma;
+      const clipped = segment.map(value => Math.min(Math.max(value, median - limit), median + limit));
+      const mean = clipped.reduce((sum, value) => sum + value, 0) / n;
+
+      let cumulative = 0;
+      let bestIndex = -1;
+      let bestStatistic = 0;
+
+      for (let k = 0; k < n - 1; k++) {
+        cumulative += clipped[k] - mean;
+        const boundary = k + 1;
+
+        if (boundary < this.config.minSegmentSize || n - boundary < this.config.minSegmentSize) continue;
+
+        const statistic = Math.abs(cumulative) / (sigma * Math.sqrt(n));
+        if (statistic > bestStatistic) {
+          bestStatistic = statistic;
+          bestIndex = start + boundary;
+        }
+      }
+
+      if (bestIndex === -1 || bestStatistic <= this.config.threshold) return;
+
+      changePoints.push(bestIndex);
+      split(start, bestIndex);
+      split(bestIndex, end);
+    };
+
+    split(0, values.length);
+
+    return changePoints.sort((a, b) => a - b);
+  }
+
+  /**
+   * Detecção online bayesiana de mudanças (distribuição do comprimento do regime)
+   * @param {Array} values - Série sem valores ausentes
+   * @returns {Array} - Índices de início dos novos regimes
+   */
+  detectWithBayesian(values) {
+    const hazard = this.config.hazardRate;
+    const sigma = this.estimateNoise(values);
+
+    // Priori Normal-Gama centrada no início da série
+    const prior = {
+      mu: calculateMedian(values.slice(0, this.config.minSegmentSize)),
+      kappa: 1,
+      alpha: 1,
+      beta: sigma * sigma
+    };
+
+    // Probabilidades do comprimento do regime atual e estatísticas suficientes por hipótese
+    let runLengthProbs = [1];
+    let params = [{ ...prior }];
+    let previousMap = 0;
+    const changePoints = [];
+
+    values.forEach((value, t) => {
+      const predictive = params.map(p => this.studentTDensity(
+        value,
+        p.mu,
+        (p.beta * (p.kappa + 1)) / (p.alpha * p.kappa),
+        2 * p.alpha
+      ));
+
+      // Crescimento do regime atual ou início de um novo regime
+      const growth = runLengthProbs.map((prob, r) => prob * predictive[r] * (1 - hazard));
+      const changeProb = runLengthProbs.reduce((sum, prob, r) => sum + prob * predictive[r] * hazard, 0);
+
+      const next = [changeProb, ...growth];
+      const total = next.reduce((sum, prob) => sum + prob, 0) || 1;
+      runLengthProbs = next.map(prob => prob / total);
+
+      // Atualizar estatísticas (nova hipótese começa da priori)
+      params = [{ ...prior }, ...params.map(p => ({
+        mu: (p.kappa * p.mu + value) / (p.kappa + 1),
+        kappa: p.kappa + 1,
+        alpha: p.alpha + 0.5,
+        beta: p.beta + (p.kappa * Math.pow(value - p.mu, 2)) / (2 * (p.kappa + 1))
+      }))];
+
+      // Regime mais provável: queda no comprimento indica início de novo regime
+      let mapRunLength = 0;
+      runLengthProbs.forEach((prob, r) => {
+        if (prob > runLengthProbs[mapRunLength]) mapRunLength = r;
+      });
+
+      if (t > 0 && mapRunLength < previousMap) {
+        const start = t - mapRunLength + 1;
+        if (start > 0 && !changePoints.includes(start)) {
+          changePoints.push(start);
+        }
+      }
+
+      previousMap = mapRunLength;
+    });
+
+    return changePoints.sort((a, b) => a - b);
+  }
+
+  /**
+   * Remove mudanças que geram regimes curtos ou variações de nível irrelevantes
+   * @param {Array} values - Série sem valores ausentes
+   * @param {Array} candidates - Índices candidatos
+   * @returns {Array} - Índices confirmados
+   */
+  filterChangePoints(values, candidates) {
+    let changePoints = candidates
+      .filter(index => index >= this.config.minSegmentSize && values.length - index >= this.config.minSegmentSize)
+      .sort((a, b) => a - b);
+
+    // Remover iterativamente o ponto mais fraco até todos serem relevantes
+    let changed = true;
+
+    while (changed && changePoints.length > 0) {
+      changed = false;
+
+      const bounds = [0, ...changePoints, values.length];
+      let weakestIndex = -1;
+      let weakestChange = Infinity;
+
+      for (let i = 1; i < bounds.length - 1; i++) {
+        const before = values.slice(bounds[i - 1], bounds[i]);
+        const after = values.slice(bounds[i], bounds[i + 1]);
+        const previousLevel = calculateMedian(before);
+        const relativeChange = previousLevel !== 0
+          ? Math.abs(calculateMedian(after) - previousLevel) / Math.abs(previousLevel)
+          : Infinity;
+        const tooShort = before.length < this.config.minSegmentSize || after.length < this.config.minSegmentSize;
+
+        const strength = tooShort ? -1 : relativeChange;
+
+        if ((tooShort || relativeChange < this.config.minRelativeChange) && strength < weakestChange) {
+          weakestChange = strength;
+          weakestIndex = i - 1;
+        }
+      }
+
+      if (weakestIndex !== -1) {
+        changePoints.splice(weakestIndex, 1);
+        changed = true;
+      }
+    }
+
+    return changePoints;
+  }
+
+  /**
+   * Estima o desvio do ruído pela mediana das diferenças absolutas
+   * (insensível a mudanças de nível e a picos isolados)
+   * @param {Array} values - Série de valores
+   * @returns {Number} - Desvio estimado
+   */
+  estimateNoise(values) {
+    const differences = values.slice(1).map((value, i) => Math.abs(value - values[i]));
+    const mad = calculateMedian(differences);
+    const sigma = mad / (0.6745 * Math.sqrt(2));
+
+    if (sigma > 0) return sigma;
+
+    // Série praticamente constante: usar uma fração do nível
+    const scale = Math.abs(calculateMedian(values)) || 1;
+    return scale * 1e-3;
+  }
+
+  /**
+   * Densidade da distribuição t de Student
+   * @param {Number} x - Valor
+   * @param {Number} mu - Locação
+   * @param {Number} scale2 - Escala ao quadrado
+   * @param {Number} nu - Graus de liberdade
+   * @returns {Number} - Densidade
+   */
+  studentTDensity(x, mu, scale2, nu) {
+    const logDensity = this.logGamma((nu + 1) / 2) - this.logGamma(nu / 2) -
+      0.5 * Math.log(nu * Math.PI * scale2) -
+      ((nu + 1) / 2) * Math.log(1 + Math.pow(x - mu, 2) / (nu * scale2));
+
+    return Math.exp(logDensity);
+  }
+
+  /**
+   * Logaritmo da função gama (aproximação de Lanczos)
+   * @param {Number} x - Valor positivo
+   * @returns {Number} - ln(Γ(x))
+   */
+  logGamma(x) {
+    const coefficients = [
+      76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+
+    coefficients.forEach(coefficient => {
+      y += 1;
+      series += coefficient / y;
+    });
+
+    return -tmp + Math.log((2.5066282746310005 * series) / x);
+  }
+}
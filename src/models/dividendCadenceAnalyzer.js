@@ -0,0 +1,317 @@
+// src/models/dividendCadenceAnalyzer.js
+import { calculateMedian } from '../utils/statistics';
+import { createTradingCalendar } from '../utils/tradingCalendar';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 30.44;
+
+// Frequências reconhecidas pelo intervalo típico em meses
+const FREQUENCIES = {
+  1: 'monthly',
+  2: 'bimonthly',
+  3: 'quarterly',
+  6: 'semiannual',
+  12: 'annual'
+};
+
+/**
+ * Analisador da cadência de pagamentos de dividendos
+ *
+ * Aprende a frequência de cada FII (mensal, trimestral, semestral...), o
+ * dia típico da data-com e a defasagem típica entre data-com e pagamento
+ * (paymentDate), e a partir disso identifica pagamentos não realizados
+ * (missed_payment), atrasados (late_payment) ou fora do calendário
+ * (extra_payment). Datas-com esperadas que caem em fim de semana ou
+ * feriado da B3 são deslocadas para o pregão seguinte.
+ */
+export class DividendCadenceAnalyzer {
+  constructor(config = {}) {
+    this.config = {
+      minHistory: config.minHistory || 4, // Pagamentos mínimos para aprender a cadência
+      lateToleranceDays: config.lateToleranceDays || 7, // Atraso tolerado antes de marcar late_payment
+      referenceDate: config.referenceDate || null, // Data de referência para pagamentos pendentes
+      ...config
+    };
+
+    this.calendar = createTradingCalendar(config.calendar);
+  }
+
+  /**
+   * Aprende a cadência de pagamentos a partir do histórico
+   * @param {Array} dividendData - Dados de dividendos (date = data-com, paymentDate opcional)
+   * @returns {Object|null} - Cadência aprendida ou null se o histórico for insuficiente
+   */
+  learnCadence(dividendData) {
+    const payments = this.sortPayments(dividendData);
+
+    if (payments.length < this.config.minHistory) {
+      return null;
+    }
+
+    // Intervalo típico em dias convertido para meses (séries com intervalos menores que um mês são irregulares)
+    const intervals = payments.slice(1).map((payment, i) => this.dayDifference(payments[i].date, payment.date));
+    const intervalDays = calculateMedian(intervals);
+    const intervalMonths = Math.round(intervalDays / DAYS_PER_MONTH);
+
+    const offsets = payments
+      .filter(payment => payment.paymentDate)
+      .map(payment => this.dayDifference(payment.date, payment.paymentDate));
+
+    return {
+      frequency: FREQUENCIES[intervalMonths] || 'irregular',
+      intervalMonths: intervalMonths || null,
+      intervalDays: Math.round(intervalDays),
+      typicalDay: Math.round(calculateMedian(payments.map(payment => payment.date.getUTCDate()))),
+      paymentOffsetDays: offsets.length > 0 ? Math.round(calculateMedian(offsets)) : null,
+      sampleSize: payments.length
+    };
+  }
+
+  /**
+   * Identifica anomalias de cadência
+   * @param {Array} dividendData - Dados de dividendos
+   * @param {Object} options - Opções (referenceDate para verificar pagamentos pendentes)
+   * @returns {Object} - Cadência aprendida e anomalias encontradas
+   */
+  analyze(dividendData, options = {}) {
+    const cadence = this.learnCadence(dividendData);
+
+    if (!cadence) {
+      return { cadence: null, anomalies: [] };
+    }
+
+    const payments = this.sortPayments(dividendData);
+    const anomalies = [];
+    const regular = cadence.frequency !== 'irregular';
+
+    // Ciclos esperados a partir do anterior ao primeiro pagamento; cada pagamento
+    // pertence ao ciclo cuja janela (de lateToleranceDays antes da data esperada
+    // até o início da janela seguinte) contém a data-com, mesmo que caia no mês seguinte
+    const slotAt = k => this.createSlot(payments[0].date, (k - 1) * cadence.intervalMonths, cadence);
+    let slot = 0;
+    let lastSlot = null;
+
+    payments.forEach(payment => {
+      if (!regular) {
+        this.checkLatePayment(payment, cadence, null, anomalies);
+        return;
+      }
+
+      while (slotAt(slot + 1).windowStart <= payment.date) slot++;
+
+      // 1. Pagamentos extras (segundo pagamento no mesmo ciclo), que não são avaliados quanto ao atraso
+      if (lastSlot === slot) {
+        anomalies.push(this.createAnomaly('extra_payment', payment, { deviation: 100, anomalyScore: 0.6 }));
+        return;
+      }
+
+      // 2. Ciclos sem pagamento entre dois pagamentos
+      if (lastSlot !== null) {
+        for (let k = lastSlot + 1; k < slot; k++) {
+          anomalies.push(this.createMissedAnomaly(slotAt(k).expected));
+        }
+      }
+
+      lastSlot = slot;
+
+      // 3. Pagamentos atrasados em relação ao próprio ciclo
+      this.checkLatePayment(payment, cadence, slotAt(slot), anomalies);
+    });
+
+    // 4. Pagamentos pendentes até a data de referência
+    const referenceDate = options.referenceDate || this.config.referenceDate;
+
+    if (regular && referenceDate) {
+      const reference = this.parseDate(referenceDate);
+
+      for (let k = lastSlot + 1; ; k++) {
+        const expectedDate = slotAt(k).expected;
+
+        // Só é considerado perdido depois de esgotada a tolerância
+        if (expectedDate.getTime() + this.config.lateToleranceDays * DAY_MS >= reference.getTime()) break;
+
+        anomalies.push(this.createMissedAnomaly(expectedDate));
+      }
+    }
+
+    anomalies.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    return { cadence, anomalies };
+  }
+
+  /**
+   * Registra late_payment se o atraso passar da tolerância
+   * @param {Object} payment - Pagamento (datas já convertidas)
+   * @param {Object} cadence - Cadência aprendida
+   * @param {Object|null} slot - Ciclo esperado do pagamento (createSlot)
+   * @param {Array} anomalies - Lista de anomalias a completar
+   */
+  checkLatePayment(payment, cadence, slot, anomalies) {
+    const delayDays = this.calculateDelay(payment, cadence, slot);
+
+    if (delayDays > this.config.lateToleranceDays) {
+      const reference = payment.paymentDate || payment.date;
+
+      anomalies.push(this.createAnomaly('late_payment', payment, {
+        delayDays,
+        expectedDate: this.formatDate(new Date(reference.getTime() - delayDays * DAY_MS)),
+        deviation: -Math.min(100, Math.round((delayDays / Math.max(cadence.intervalDays, 1)) * 100)),
+        anomalyScore: Math.min(1, delayDays / 30)
+      }));
+    }
+  }
+
+  /**
+   * Calcula o atraso de um pagamento em relação à cadência aprendida
+   * @param {Object} payment - Pagamento (datas já convertidas)
+   * @param {Object} cadence - Cadência aprendida
+   * @param {Object|null} slot - Ciclo esperado (padrão: o do mês da data-com, em cadências regulares)
+   * @returns {Number} - Atraso em dias (0 se adiantado ou no prazo)
+   */
+  calculateDelay(payment, cadence, slot = cadence.frequency !== 'irregular' ? this.createSlot(payment.date, 0, cadence) : null) {
+    let delay = 0;
+
+    // Data-com depois da data esperada do ciclo (apenas para cadências regulares)
+    if (slot) {
+      // Sem pregão no dia típico, a data-com até o pregão seguinte não é atraso
+      delay += payment.date > slot.expected
+        ? this.dayDifference(slot.expected, payment.date)
+        : Math.min(0, this.dayDifference(slot.typical, payment.date));
+    }
+
+    // Pagamento depois da defasagem típica em relação à data-com
+    if (payment.paymentDate && cadence.paymentOffsetDays !== null) {
+      delay += this.dayDifference(payment.date, payment.paymentDate) - cadence.paymentOffsetDays;
+    }
+
+    return Math.max(0, delay);
+  }
+
+  /**
+   * Cria um objeto de anomalia de cadência
+   * @param {String} type - Tipo da anomalia
+   * @param {Object} payment - Pagamento relacionado
+   * @param {Object} details - Campos adicionais (anomalyScore, deviation, delayDays, expectedDate)
+   * @returns {Object} - Anomalia
+   */
+  createAnomaly(type, payment, details = {}) {
+    const anomalyScore = details.anomalyScore !== undefined ? details.anomalyScore : 0.5;
+
+    let severity;
+    if (anomalyScore > 0.8) severity = 'high';
+    else if (anomalyScore > 0.5) severity = 'medium';
+    else severity = 'low';
+
+    return {
+      date: this.formatDate(payment.date),
+      paymentDate: payment.paymentDate ? this.formatDate(payment.paymentDate) : null,
+      value: payment.value,
+      ...details,
+      anomalyScore,
+      severity,
+      type,
+      detectedBy: ['cadence']
+    };
+  }
+
+  /**
+   * Cria a anomalia de um pagamento esperado que não ocorreu
+   * @param {Date} expectedDate - Data-com esperada
+   * @returns {Object} - Anomalia
+   */
+  createMissedAnomaly(expectedDate) {
+    return this.createAnomaly('missed_payment', { date: expectedDate, value: null }, {
+      expectedDate: this.formatDate(expectedDate),
+      deviation: -100,
+      anomalyScore: 0.9
+    });
+  }
+
+  /**
+   * Ordena os pagamentos e converte as datas
+   * @param {Array} dividendData - Dados de dividendos
+   * @returns {Array} - Pagamentos com date/paymentDate como Date (UTC)
+   */
+  sortPayments(dividendData) {
+    return (dividendData || [])
+      .filter(item => item && item.date && !isNaN(this.parseDate(item.date).getTime()))
+      .map(item => ({
+        ...item,
+        date: this.parseDate(item.date),
+        paymentDate: item.paymentDate ? this.parseDate(item.paymentDate) : null
+      }))
+      .sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Ciclo de pagamento esperado após alguns meses
+   * @param {Date} from - Data de partida
+   * @param {Number} months - Meses a avançar
+   * @param {Object} cadence - Cadência aprendida
+   * @returns {Object} - { typical, expected, windowStart } (dia típico, pregão esperado e início da janela do ciclo)
+   */
+  createSlot(from, months, cadence) {
+    const expected = this.expectedDateAfter(from, months, cadence.typicalDay);
+
+    return {
+      typical: this.typicalDateAfter(from, months, cadence.typicalDay),
+      expected,
+      windowStart: new Date(expected.getTime() - this.config.lateToleranceDays * DAY_MS)
+    };
+  }
+
+  /**
+   * Obtém o dia típico após alguns meses (limitado ao fim do mês)
+   * @param {Date} from - Data de partida
+   * @param {Number} months - Meses a avançar
+   * @param {Number} day - Dia típico do mês
+   * @returns {Date} - Data no dia típico
+   */
+  typicalDateAfter(from, months, day) {
+    const year = from.getUTCFullYear();
+    const month = from.getUTCMonth() + months;
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    return new Date(Date.UTC(year, month, Math.min(day, lastDay)));
+  }
+
+  /**
+   * Obtém a data esperada após alguns meses: o dia típico ou, se não houver
+   * pregão nesse dia, o pregão seguinte
+   * @param {Date} from - Data de partida
+   * @param {Number} months - Meses a avançar
+   * @param {Number} day - Dia típico do mês
+   * @returns {Date} - Data esperada
+   */
+  expectedDateAfter(from, months, day) {
+    return this.parseDate(this.calendar.rollForward(this.typicalDateAfter(from, months, day)));
+  }
+
+  /**
+   * Converte uma data (YYYY-MM-DD ou Date) para Date
+   * @param {String|Date} value - Data
+   * @returns {Date} - Data convertida
+   */
+  parseDate(value) {
+    return value instanceof Date ? value : new Date(value);
+  }
+
+  /**
+   * Formata uma data como YYYY-MM-DD
+   * @param {Date} date - Data
+   * @returns {String} - Data formatada
+   */
+  formatDate(date) {
+    return date.toISOString().split('T')[0];
+  }
+
+  /**
+   * Diferença em dias entre duas datas
+   * @param {Date} from - Data inicial
+   * @param {Date} to - Data final
+   * @returns {Number} - Dias
+   */
+  dayDifference(from, to) {
+    return Math.round((to - from) / DAY_MS);
+  }
+}
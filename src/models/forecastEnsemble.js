@@ -0,0 +1,316 @@
+// src/models/forecastEnsemble.js
+import { PriceForecaster } from './priceForecaster';
+import { StatisticalForecaster, ArimaForecaster, ExponentialSmoothingForecaster } from './statisticalForecaster';
+import { normalQuantile } from '../utils/statistics';
+
+/**
+ * Ensemble híbrido de modelos de previsão
+ *
+ * Combina modelos estatísticos (ARIMA, Holt-Winters) e LSTM ponderando cada
+ * um pelo inverso do erro quadrático médio em um período de validação fora
+ * da amostra (os últimos validationSize pontos). Os pesos podem ser
+ * recalculados com dados mais recentes via updateWeights(), favorecendo o
+ * modelo com melhor desempenho recente.
+ */
+export class ForecastEnsemble extends StatisticalForecaster {
+  constructor(config = {}) {
+    // Membros são instâncias e não fazem parte da configuração persistida
+    const { members, ...options } = config;
+
+    super({
+      modelKey: 'lotus-invest-forecast-ensemble',
+      ...options
+    });
+
+    this.config = {
+      ...this.config,
+      validationSize: config.validationSize || 30, // Pontos reservados para medir o erro fora da amostra
+      refit: config.refit !== undefined ? config.refit : true, // Retreinar com a série completa após a validação
+      includeLstm: config.includeLstm !== undefined ? config.includeLstm : true, // Incluir LSTM nos membros padrão
+      arimaConfig: config.arimaConfig || {},
+      etsConfig: config.etsConfig || {},
+      lstmConfig: config.lstmConfig || {},
+      ...options
+    };
+
+    // Membros: [{ name, forecaster }] com interface train/predict
+    this.members = (members || this.createDefaultMembers()).map((member, index) => (
+      member.forecaster ? member : { name: `model${index}`, forecaster: member }
+    ));
+
+    this.weights = {};
+    this.errors = {};
+  }
+
+  /**
+   * Cria os membros padrão do ensemble (ARIMA, Holt-Winters e LSTM)
+   * @returns {Array} - Membros do ensemble
+   */
+  createDefaultMembers() {
+    const { modelKey } = this.config;
+
+    const members = [
+      {
+        name: 'arima',
+        forecaster: new ArimaForecaster({
+          ...this.config.arimaConfig,
+          storage: this.storage,
+          modelKey: `${modelKey}-arima`
+        })
+      },
+      {
+        name: 'ets',
+        forecaster: new ExponentialSmoothingForecaster({
+          ...this.config.etsConfig,
+          storage: this.storage,
+          modelKey: `${modelKey}-ets`
+        })
+      }
+    ];
+
+    if (this.config.includeLstm) {
+      members.push({
+        name: 'lstm',
+        forecaster: new PriceForecaster({
+          ...this.config.lstmConfig,
+          storage: this.storage,
+          modelKey: `${modelKey}-lstm`
+        })
+      });
+    }
+
+    return members;
+  }
+
+  getRequiredPoints() {
+    // O membro mais exigente define o mínimo (LSTM precisa de uma janela completa)
+    return Math.max(2, ...this.getActiveMembers().map(({ forecaster }) => {
+      if (forecaster.getRequiredPoints) return forecaster.getRequiredPoints();
+      return (forecaster.config && forecaster.config.windowSize) || 2;
+    }));
+  }
+
+  /**
+   * Obtém os membros com peso positivo
+   * @returns {Array} - Membros ativos
+   */
+  getActiveMembers() {
+    return this.members.filter(({ name }) => this.weights[name] > 0);
+  }
+
+  /**
+   * Treina os membros, mede o erro fora da amostra e calcula os pesos
+   * @param {Array} prices - Preços históricos
+   * @returns {Promise<Object>} - Pesos e erros de validação
+   */
+  async fit(prices) {
+    const validationSize = Math.min(this.config.validationSize, Math.floor(prices.length * 0.3));
+
+    if (validationSize < 1) {
+      throw new Error('Dados insuficientes para validar os modelos do ensemble.');
+    }
+
+    const history = prices.slice(0, -validationSize);
+    const actual = prices.slice(-validationSize);
+
+    for (const { name, forecaster } of this.members) {
+      try {
+        await forecaster.train(history);
+      } catch (error) {
+        console.warn(`Erro ao treinar membro ${name} do ensemble:`, error);
+        forecaster.trained = false;
+      }
+    }
+
+    await this.updateWeights(history, actual);
+
+    // Retreinar os membros aproveitados com a série completa
+    if (this.config.refit) {
+      for (const { name, forecaster } of this.getActiveMembers()) {
+        try {
+          await forecaster.train(prices);
+        } catch (error) {
+          console.warn(`Erro ao retreinar membro ${name} do ensemble:`, error);
+          this.weights[name] = 0;
+        }
+      }
+
+      this.normalizeWeights();
+    }
+
+    return {
+      weights: { ...this.weights },
+      errors: { ...this.errors }
+    };
+  }
+
+  /**
+   * Recalcula os pesos a partir do erro dos membros em dados não vistos
+   * @param {Array} history - Preços usados como base das previsões
+   * @param {Array} actual - Preços realizados logo após o histórico
+   * @returns {Promise<Object>} - Novos pesos por membro
+   */
+  async updateWeights(history, actual) {
+    for (const { name, forecaster } of this.members) {
+      // Membros que falharam no treinamento ficam de fora
+      if (!forecaster.trained) {
+        this.errors[name] = null;
+        continue;
+      }
+
+      try {
+        const predictions = await forecaster.predict(history, actual.length);
+        const mse = actual.reduce((sum, value, i) => sum + Math.pow(value - predictions[i], 2), 0) / actual.length;
+
+        this.errors[name] = Number.isFinite(mse) ? { mse, rmse: Math.sqrt(mse) } : null;
+      } catch (error) {
+        console.warn(`Erro ao avaliar membro ${name} do ensemble:`, error);
+        this.errors[name] = null;
+      }
+    }
+
+    this.weights = {};
+
+    this.members.forEach(({ name }) => {
+      const error = this.errors[name];
+      // Peso proporcional ao inverso do MSE (piso evita divisão por zero)
+      this.weights[name] = error ? 1 / Math.max(error.mse, 1e-12) : 0;
+    });
+
+    this.normalizeWeights();
+    return { ...this.weights };
+  }
+
+  /**
+   * Normaliza os pesos para somarem 1
+   */
+  normalizeWeights() {
+    const total = Object.values(this.weights).reduce((sum, weight) => sum + weight, 0);
+
+    if (total <= 0) {
+      throw new Error('Nenhum modelo do ensemble pôde ser treinado.');
+    }
+
+    Object.keys(this.weights).forEach(name => {
+      this.weights[name] /= total;
+    });
+  }
+
+  /**
+   * Combina as previsões dos membros como uma mistura ponderada
+   * @param {Array} prices - Preços usados como base da previsão
+   * @param {Number} days - Número de dias a prever
+   * @returns {Promise<Object>} - { predictions, standardErrors }
+   */
+  async forecast(prices, days) {
+    const components = [];
+
+    for (const { name, forecaster } of this.getActiveMembers()) {
+      if (forecaster.predictWithConfidence) {
+        const result = await forecaster.predictWithConfidence(prices, days);
+        const z = normalQuantile(0.5 + result.confidenceInterval / 2);
+
+        components.push({
+          weight: this.weights[name],
+          predictions: result.predictions,
+          standardErrors: result.upperBounds.map((upper, i) => (upper - result.lowerBounds[i]) / (2 * z))
+        });
+      } else {
+        // Sem intervalo próprio, usar o erro de validação do membro
+        const predictions = await forecaster.predict(prices, days);
+
+        components.push({
+          weight: this.weights[name],
+          predictions,
+          standardErrors: predictions.map(() => this.errors[name].rmse)
+        });
+      }
+    }
+
+    const predictions = [];
+    const standardErrors = [];
+
+    for (let h = 0; h < days; h++) {
+      let mean = 0;
+      let secondMoment = 0;
+
+      components.forEach(component => {
+        const value = component.predictions[h];
+        const se = component.standardErrors[h];
+
+        mean += component.weight * value;
+        secondMoment += component.weight * (se * se + value * value);
+      });
+
+      predictions.push(mean);
+      standardErrors.push(Math.sqrt(Math.max(secondMoment - mean * mean, 0)));
+    }
+
+    return { predictions, standardErrors };
+  }
+
+  /**
+   * Faz previsões com intervalos de confiança e os pesos usados
+   * @param {Array|Object} data - Preços recentes ou objeto { prices }
+   * @param {Number} days - Número de dias a prever
+   * @returns {Promise<Object>} - Previsões, intervalos e pesos dos membros
+   */
+  async predictWithConfidence(data, days = 30) {
+    const result = await super.predictWithConfidence(data, days);
+
+    return {
+      ...result,
+      weights: { ...this.weights }
+    };
+  }
+
+  /**
+   * Salva os membros e os pesos do ensemble
+   * @returns {Promise} - Promessa que resolve após o salvamento
+   */
+  async saveModel() {
+    if (!this.trained) {
+      throw new Error('Modelo não treinado. Execute train() primeiro.');
+    }
+
+    for (const { forecaster } of this.getActiveMembers()) {
+      await forecaster.saveModel();
+    }
+
+    this.params = {
+      weights: this.weights,
+      errors: this.errors
+    };
+
+    return super.saveModel();
+  }
+
+  /**
+   * Carrega os membros e os pesos do ensemble
+   * @returns {Promise} - Promessa que resolve após o carregamento
+   */
+  async loadModel() {
+    const loaded = await super.loadModel();
+    if (!loaded) return false;
+
+    this.weights = this.params.weights;
+    this.errors = this.params.errors;
+
+    for (const { name, forecaster } of this.getActiveMembers()) {
+      if (!(await forecaster.loadModel())) {
+        console.warn(`Membro ${name} do ensemble não pôde ser carregado`);
+        this.weights[name] = 0;
+      }
+    }
+
+    try {
+      this.normalizeWeights();
+    } catch (error) {
+      console.error('Erro ao carregar modelo:', error);
+      this.trained = false;
+      return false;
+    }
+
+    return true;
+  }
+}
@@ -0,0 +1,198 @@
+// src/models/isolationForest.js
+import { createSeededRandom } from '../utils/statistics';
+
+/**
+ * Isolation Forest (Liu, Ting e Zhou, 2008)
+ *
+ * Cada árvore é construída sobre uma subamostra aleatória, escolhendo
+ * atributos e pontos de corte ao acaso até isolar cada observação. Pontos
+ * anômalos são isolados com poucos cortes, então o score é derivado do
+ * comprimento médio do caminho normalizado por c(n), o caminho médio de
+ * uma busca malsucedida em uma árvore binária de busca com n elementos.
+ */
+export class IsolationForest {
+  constructor(config = {}) {
+    this.config = {
+      nEstimators: config.nEstimators || 100, // Número de árvores
+      maxSamples: config.maxSamples || 'auto', // 'auto' (min(256, n)), inteiro ou fração (0-1]
+      maxDepth: config.maxDepth || null, // Padrão: ceil(log2(maxSamples))
+      contamination: config.contamination || 0.05, // Taxa esperada de anomalias
+      minScore: config.minScore !== undefined ? config.minScore : 0.5, // Score mínimo para marcar anomalia
+      randomSeed: config.randomSeed !== undefined ? config.randomSeed : null, // Semente (null = Math.random)
+      ...config
+    };
+
+    this.random = createSeededRandom(this.config.randomSeed);
+    this.trees = [];
+    this.sampleSize = 0;
+    this.threshold = null;
+  }
+
+  /**
+   * Comprimento médio de caminho de uma busca malsucedida em uma BST, c(n)
+   * @param {Number} n - Número de elementos
+   * @returns {Number} - c(n)
+   */
+  static averagePathLength(n) {
+    if (n <= 1) return 0;
+    if (n === 2) return 1;
+
+    const harmonic = Math.log(n - 1) + 0.5772156649; // Aproximação de H(n-1)
+    return 2 * harmonic - (2 * (n - 1)) / n;
+  }
+
+  /**
+   * Resolve o tamanho da subamostra de cada árvore
+   * @param {Number} n - Número de observações
+   * @returns {Number} - Tamanho da subamostra
+   */
+  resolveSampleSize(n) {
+    const { maxSamples } = this.config;
+
+    if (maxSamples === 'auto') {
+      return Math.min(256, n);
+    }
+
+    if (maxSamples > 0 && maxSamples <= 1 && !Number.isInteger(maxSamples)) {
+      return Math.max(2, Math.floor(maxSamples * n));
+    }
+
+    return Math.min(Math.max(2, Math.floor(maxSamples)), n);
+  }
+
+  /**
+   * Constrói a floresta e calibra o limiar pela taxa de contaminação
+   * @param {Array} data - Matriz de observações (linhas) x atributos (colunas)
+   * @returns {IsolationForest} - A própria instância
+   */
+  fit(data) {
+    if (!data || data.length < 2) {
+      throw new Error('São necessárias pelo menos 2 observações para o Isolation Forest');
+    }
+
+    this.sampleSize = this.resolveSampleSize(data.length);
+    const maxDepth = this.config.maxDepth || Math.ceil(Math.log2(this.sampleSize));
+
+    this.trees = [];
+
+    for (let i = 0; i < this.config.nEstimators; i++) {
+      const sample = this.subsample(data, this.sampleSize);
+      this.trees.push(this.buildTree(sample, 0, maxDepth));
+    }
+
+    // Limiar: quantil (1 - contaminação) dos scores de treino, com piso em minScore
+    const scores = this.scoreSamples(data).slice().sort((a, b) => a - b);
+    const quantileIndex = Math.min(
+      scores.length - 1,
+      Math.floor((1 - this.config.contamination) * scores.length)
+    );
+    this.threshold = Math.max(scores[quantileIndex], this.config.minScore);
+
+    return this;
+  }
+
+  /**
+   * Sorteia uma subamostra sem reposição
+   * @param {Array} data - Observações
+   * @param {Number} size - Tamanho da subamostra
+   * @returns {Array} - Subamostra
+   */
+  subsample(data, size) {
+    const indices = data.map((_, index) => index);
+
+    // Fisher-Yates parcial
+    for (let i = 0; i < size; i++) {
+      const j = i + Math.floor(this.random() * (indices.length - i));
+      [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+
+    return indices.slice(0, size).map(index => data[index]);
+  }
+
+  /**
+   * Constrói recursivamente uma árvore de isolamento
+   * @param {Array} data - Observações do nó
+   * @param {Number} depth - Profundidade atual
+   * @param {Number} maxDepth - Profundidade máxima
+   * @returns {Object} - Nó ({ size } para folhas, { feature, split, left, right } para divisões)
+   */
+  buildTree(data, depth, maxDepth) {
+    if (depth >= maxDepth || data.length <= 1) {
+      return { size: data.length };
+    }
+
+    // Apenas atributos com variação podem ser divididos
+    const candidates = [];
+
+    for (let feature = 0; feature < data[0].length; feature++) {
+      let min = Infinity;
+      let max = -Infinity;
+
+      data.forEach(row => {
+        if (row[feature] < min) min = row[feature];
+        if (row[feature] > max) max = row[feature];
+      });
+
+      if (max > min) {
+        candidates.push({ feature, min, max });
+      }
+    }
+
+    if (candidates.length === 0) {
+      return { size: data.length };
+    }
+
+    const { feature, min, max } = candidates[Math.floor(this.random() * candidates.length)];
+    const split = min + this.random() * (max - min);
+
+    return {
+      feature,
+      split,
+      left: this.buildTree(data.filter(row => row[feature] < split), depth + 1, maxDepth),
+      right: this.buildTree(data.filter(row => row[feature] >= split), depth + 1, maxDepth)
+    };
+  }
+
+  /**
+   * Calcula o comprimento do caminho de uma observação em uma árvore
+   * @param {Array} point - Observação
+   * @param {Object} node - Nó atual
+   * @param {Number} depth - Profundidade atual
+   * @returns {Number} - Comprimento do caminho (com ajuste c(size) nas folhas)
+   */
+  pathLength(point, node, depth = 0) {
+    if (node.size !== undefined) {
+      return depth + IsolationForest.averagePathLength(node.size);
+    }
+
+    const next = point[node.feature] < node.split ? node.left : node.right;
+    return this.pathLength(point, next, depth + 1);
+  }
+
+  /**
+   * Calcula os scores de anomalia s(x) = 2^(-E[h(x)] / c(maxSamples))
+   * @param {Array} data - Observações
+   * @returns {Array} - Scores entre 0 e 1 (próximos de 1 indicam anomalia)
+   */
+  scoreSamples(data) {
+    if (this.trees.length === 0) {
+      throw new Error('Isolation Forest não treinado. Execute fit() primeiro.');
+    }
+
+    const normalization = IsolationForest.averagePathLength(this.sampleSize) || 1;
+
+    return data.map(point => {
+      const meanPath = this.trees.reduce((sum, tree) => sum + this.pathLength(point, tree), 0) / this.trees.length;
+      return Math.pow(2, -meanPath / normalization);
+    });
+  }
+
+  /**
+   * Indica quais observações são anômalas segundo o limiar calibrado
+   * @param {Array} data - Observações
+   * @returns {Array} - Booleanos (true para anomalia)
+   */
+  predict(data) {
+    return this.scoreSamples(data).map(score => score >= this.threshold);
+  }
+}
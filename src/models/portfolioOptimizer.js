@@ -0,0 +1,691 @@
+// src/models/portfolioOptimizer.js
+
+/**
+ * Otimizador de carteiras de FIIs
+ *
+ * Estima retornos totais (variação de preço + dividendos) e a matriz de
+ * covariância a partir do histórico coletado pelo DataCollector e calcula
+ * alocações por quatro métodos:
+ * - mean_variance: variância mínima para um retorno alvo ou, sem alvo,
+ *   máximo de μ'w - (λ/2)·w'Σw
+ * - max_sharpe: portfólio da fronteira eficiente com maior índice de Sharpe
+ * - min_variance: variância mínima
+ * - risk_parity: contribuições de risco iguais (ou proporcionais a orçamentos)
+ *
+ * Todas as alocações são long-only, somam 100% e respeitam limites por
+ * ticker (minWeight/maxWeight) e por segmento (maxSegmentWeight).
+ */
+export class PortfolioOptimizer {
+  constructor(config = {}) {
+    this.config = {
+      method: config.method || 'max_sharpe', // mean_variance, max_sharpe, min_variance ou risk_parity
+      targetReturn: config.targetReturn !== undefined ? config.targetReturn : null, // Retorno anual alvo (mean_variance)
+      riskAversion: config.riskAversion || 3, // λ do mean_variance sem retorno alvo
+      riskFreeRate: config.riskFreeRate !== undefined ? config.riskFreeRate : 0.10, // Taxa livre de risco anual (Sharpe)
+      minWeight: config.minWeight || 0, // Peso mínimo por ticker
+      maxWeight: config.maxWeight || 1, // Peso máximo por ticker
+      maxSegmentWeight: config.maxSegmentWeight || null, // Número (todos os segmentos) ou mapa segmento -> peso máximo
+      periodsPerYear: config.periodsPerYear || 252, // Pregões por ano para anualização
+      minObservations: config.minObservations || 30, // Retornos comuns mínimos para estimar a covariância
+      shrinkage: config.shrinkage !== undefined ? config.shrinkage : 0.1, // Encolhimento da covariância para a diagonal
+      frontierPoints: config.frontierPoints || 20, // Pontos da fronteira eficiente (max_sharpe)
+      maxIterations: config.maxIterations || 2000, // Iterações do gradiente projetado
+      tolerance: config.tolerance || 1e-9, // Tolerância de convergência
+      ...config
+    };
+  }
+
+  /**
+   * Coleta preços e dividendos de vários FIIs
+   * @param {Object} dataCollector - Instância de DataCollector
+   * @param {Array} tickers - Códigos dos FIIs
+   * @param {String} startDate - Data inicial (YYYY-MM-DD)
+   * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @returns {Promise<Object>} - Mapa ticker -> { prices, dividends } (tickers com erro são omitidos)
+   */
+  async loadMarketData(dataCollector, tickers, startDate, endDate) {
+    const marketData = {};
+
+    for (const ticker of tickers) {
+      try {
+        marketData[ticker] = {
+          prices: await dataCollector.getHistoricalPrices(ticker, startDate, endDate),
+          dividends: await dataCollector.getHistoricalDividends(ticker, startDate, endDate)
+        };
+      } catch (error) {
+        console.error(`Erro ao obter dados de mercado para ${ticker}:`, error);
+      }
+    }
+
+    return marketData;
+  }
+
+  /**
+   * Calcula a alocação ótima
+   * @param {Object} marketData - Mapa ticker -> { prices, dividends }
+   * @param {Object} options - Opções (segments: ticker -> segmento, expectedReturns: ticker -> retorno anual, riskBudgets)
+   * @returns {Object} - Pesos, estatísticas do portfólio, métricas por ticker e tickers excluídos por falta de preços
+   */
+  optimize(marketData, options = {}) {
+    const { tickers, returns, incomeYields } = this.buildReturns(marketData);
+    const excludedTickers = Object.keys(marketData || {}).filter(ticker => !tickers.includes(ticker));
+
+    if (tickers.length === 0) {
+      throw new Error('Dados de mercado insuficientes para otimizar o portfólio');
+    }
+
+    const { mean, covariance } = this.estimateInputs(returns);
+
+    // Retornos esperados informados (ex.: previsões) substituem a média histórica
+    const mu = tickers.map((ticker, i) => (
+      options.expectedReturns && Number.isFinite(options.expectedReturns[ticker])
+        ? options.expectedReturns[ticker]
+        : mean[i]
+    ));
+
+    const constraints = this.buildConstraints(tickers, options.segments || {});
+    const method = this.config.method;
+    let weights;
+    let frontier = null;
+
+    if (method === 'min_variance') {
+      weights = this.minimumVariance(covariance, constraints);
+    } else if (method === 'risk_parity') {
+      const budgets = tickers.map(ticker => (options.riskBudgets && options.riskBudgets[ticker]) || 1);
+      weights = this.riskParity(covariance, budgets, constraints);
+    } else if (method === 'mean_variance') {
+      weights = this.meanVariance(mu, covariance, constraints);
+    } else {
+      const result = this.maximumSharpe(mu, covariance, constraints);
+      weights = result.weights;
+      frontier = result.frontier;
+    }
+
+    const stats = this.portfolioStats(weights, mu, covariance, tickers.map(ticker => incomeYields[ticker]));
+
+    return {
+      method,
+      weights: tickers.reduce((acc, ticker, i) => {
+        acc[ticker] = weights[i];
+        return acc;
+      }, {}),
+      ...stats,
+      riskContributions: tickers.reduce((acc, ticker, i) => {
+        acc[ticker] = stats.riskContributions[i];
+        return acc;
+      }, {}),
+      assets: tickers.map((ticker, i) => ({
+        ticker,
+        segment: (options.segments || {})[ticker] || null,
+        expectedReturn: mu[i],
+        volatility: Math.sqrt(covariance[i][i]),
+        incomeYield: incomeYields[ticker]
+      })),
+      frontier,
+      observations: returns.length,
+      excludedTickers
+    };
+  }
+
+  /**
+   * Constrói as séries de retorno total diário alinhadas pelas datas comuns
+   *
+   * O dividendo é creditado no primeiro pregão após a data-com, quando a
+   * cota passa a ser negociada sem o direito ao rendimento.
+   * @param {Object} marketData - Mapa ticker -> { prices, dividends }
+   * @returns {Object} - Tickers utilizados, matriz de retornos (datas x tickers) e dividend yield anual por ticker
+   */
+  buildReturns(marketData) {
+    const tickers = Object.keys(marketData || {}).filter(ticker => {
+      const data = marketData[ticker];
+      return data && Array.isArray(data.prices) && data.prices.length > 1;
+    });
+
+    if (tickers.length === 0) {
+      return { tickers: [], returns: [], incomeYields: {} };
+    }
+
+    const priceMaps = {};
+    tickers.forEach(ticker => {
+      priceMaps[ticker] = new Map(
+        marketData[ticker].prices
+          .filter(item => item && item.date && Number.isFinite(item.price) && item.price > 0)
+          .map(item => [item.date, item.price])
+      );
+    });
+
+    // Datas presentes em todos os tickers
+    const dates = [...priceMaps[tickers[0]].keys()]
+      .filter(date => tickers.every(ticker => priceMaps[ticker].has(date)))
+      .sort();
+
+    if (dates.length - 1 < this.config.minObservations) {
+      throw new Error(`São necessários pelo menos ${this.config.minObservations} retornos em datas comuns`);
+    }
+
+    const returns = [];
+
+    for (let t = 1; t < dates.length; t++) {
+      returns.push(tickers.map(ticker => {
+        const dividends = (marketData[ticker].dividends || [])
+          .filter(item => item.date >= dates[t - 1] && item.date < dates[t])
+          .reduce((sum, item) => sum + (item.value || 0), 0);
+
+        const previous = priceMaps[ticker].get(dates[t - 1]);
+        return (priceMaps[ticker].get(dates[t]) + dividends) / previous - 1;
+      }));
+    }
+
+    const incomeYields = {};
+    tickers.forEach(ticker => {
+      incomeYields[ticker] = this.calculateIncomeYield(
+        marketData[ticker].dividends || [],
+        priceMaps[ticker].get(dates[dates.length - 1]),
+        dates[dates.length - 1]
+      );
+    });
+
+    return { tickers, returns, incomeYields };
+  }
+
+  /**
+   * Calcula o dividend yield anual (últimos 12 meses, anualizado se o histórico for menor)
+   * @param {Array} dividends - Dividendos do ticker
+   * @param {Number} lastPrice - Último preço
+   * @param {String} lastDate - Data do último preço
+   * @returns {Number} - Yield anual (fração)
+   */
+  calculateIncomeYield(dividends, lastPrice, lastDate) {
+    if (!dividends.length || !lastPrice) return 0;
+
+    const end = new Date(lastDate);
+    const start = new Date(end);
+    start.setFullYear(start.getFullYear() - 1);
+
+    const window = dividends.filter(item => new Date(item.date) > start && new Date(item.date) <= end);
+    if (window.length === 0) return 0;
+
+    const firstDate = new Date(dividends.map(item => item.date).sort()[0]);
+    const coveredDays = Math.min(365, Math.max(30, (end - Math.max(firstDate, start)) / (24 * 60 * 60 * 1000)));
+    const total = window.reduce((sum, item) => sum + (item.value || 0), 0);
+
+    return (total * (365 / coveredDays)) / lastPrice;
+  }
+
+  /**
+   * Estima médias e covariâncias anualizadas
+   * @param {Array} returns - Matriz de retornos (datas x tickers)
+   * @returns {Object} - Vetor de médias e matriz de covariância
+   */
+  estimateInputs(returns) {
+    const n = returns[0].length;
+    const T = returns.length;
+    const periods = this.config.periodsPerYear;
+
+    const mean = new Array(n).fill(0);
+    returns.forEach(row => row.forEach((value, i) => { mean[i] += value / T; }));
+
+    const covariance = Array.from({ length: n }, () => new Array(n).fill(0));
+    returns.forEach(row => {
+      for (let i = 0; i < n; i++) {
+        for (let j = i; j < n; j++) {
+          covariance[i][j] += ((row[i] - mean[i]) * (row[j] - mean[j])) / Math.max(T - 1, 1);
+        }
+      }
+    });
+
+    // Encolhimento para a diagonal e anualização
+    const delta = this.config.shrinkage;
+    for (let i = 0; i < n; i++) {
+      for (let j = i; j < n; j++) {
+        const value = (i === j ? covariance[i][j] : (1 - delta) * covariance[i][j]) * periods;
+        covariance[i][j] = value;
+        covariance[j][i] = value;
+      }
+    }
+
+    return {
+      mean: mean.map(value => value * periods),
+      covariance
+    };
+  }
+
+  /**
+   * Monta os limites por ticker e por segmento
+   * @param {Array} tickers - Tickers na ordem da matriz de covariância
+   * @param {Object} segments - Mapa ticker -> segmento
+   * @returns {Object} - { lower, upper, groups: [{ segment, indices, cap }] }
+   */
+  buildConstraints(tickers, segments) {
+    const n = tickers.length;
+    let lower = new Array(n).fill(this.config.minWeight);
+    let upper = new Array(n).fill(this.config.maxWeight);
+
+    if (lower.reduce((sum, value) => sum + value, 0) > 1) {
+      console.warn('Peso mínimo por ticker inviável; restrição ignorada');
+      lower = new Array(n).fill(0);
+    }
+
+    if (upper.reduce((sum, value) => sum + value, 0) < 1) {
+      console.warn('Peso máximo por ticker inviável; usando 1/n');
+      upper = new Array(n).fill(1 / n);
+    }
+
+    const groups = [];
+    const caps = this.config.maxSegmentWeight;
+
+    if (caps !== null && caps !== undefined) {
+      const bySegment = {};
+      tickers.forEach((ticker, i) => {
+        const segment = segments[ticker];
+        if (!segment) return;
+        (bySegment[segment] = bySegment[segment] || []).push(i);
+      });
+
+      Object.keys(bySegment).forEach(segment => {
+        const cap = typeof caps === 'number' ? caps : caps[segment];
+        if (cap !== undefined && cap < 1) {
+          groups.push({ segment, indices: bySegment[segment], cap });
+        }
+      });
+    }
+
+    // Capacidade total precisa comportar 100% da carteira
+    const grouped = new Set(groups.flatMap(group => group.indices));
+    const capacity = groups.reduce(
+      (sum, group) => sum + Math.min(group.cap, group.indices.reduce((s, i) => s + upper[i], 0)),
+      0
+    ) + upper.reduce((sum, value, i) => sum + (grouped.has(i) ? 0 : value), 0);
+
+    if (groups.length > 0 && capacity < 1 - 1e-9) {
+      console.warn('Limites por segmento inviáveis; restrição por segmento ignorada');
+      return { lower, upper, groups: [] };
+    }
+
+    return { lower, upper, groups };
+  }
+
+  /**
+   * Carteira de variância mínima
+   * @param {Array} covariance - Matriz de covariância
+   * @param {Object} constraints - Restrições
+   * @returns {Array} - Pesos
+   */
+  minimumVariance(covariance, constraints) {
+    return this.projectedGradient(
+      w => this.multiply(covariance, w).map(value => 2 * value),
+      2 * this.spectralBound(covariance),
+      constraints
+    );
+  }
+
+  /**
+   * Carteira de máximo μ'w - (λ/2)·w'Σw
+   * @param {Array} mu - Retornos esperados anuais
+   * @param {Array} covariance - Matriz de covariância
+   * @param {Number} lambda - Aversão a risco
+   * @param {Object} constraints - Restrições
+   * @param {Array} initial - Ponto inicial (opcional)
+   * @returns {Array} - Pesos
+   */
+  riskAdjusted(mu, covariance, lambda, constraints, initial = null) {
+    return this.projectedGradient(
+      w => this.multiply(covariance, w).map((value, i) => lambda * value - mu[i]),
+      lambda * this.spectralBound(covariance),
+      constraints,
+      initial
+    );
+  }
+
+  /**
+   * Média-variância: retorno alvo (se configurado) ou máximo de μ'w - (λ/2)·w'Σw
+   *
+   * Para o retorno alvo, busca por bisseção a maior aversão a risco cujo
+   * portfólio ainda atinge o alvo (o retorno cai à medida que λ aumenta).
+   * @param {Array} mu - Retornos esperados anuais
+   * @param {Array} covariance - Matriz de covariância
+   * @param {Object} constraints - Restrições
+   * @returns {Array} - Pesos
+   */
+  meanVariance(mu, covariance, constraints) {
+    if (this.config.targetReturn === null) {
+      return this.riskAdjusted(mu, covariance, this.config.riskAversion, constraints);
+    }
+
+    const maxReturn = this.maxFeasibleReturn(mu, constraints);
+    let target = this.config.targetReturn;
+
+    if (target > maxReturn) {
+      console.warn(`Retorno alvo de ${(target * 100).toFixed(2)}% inatingível; usando o máximo de ${(maxReturn * 100).toFixed(2)}%`);
+      target = maxReturn;
+    }
+
+    const minVariance = this.minimumVariance(covariance, constraints);
+    if (this.dot(mu, minVariance) >= target) {
+      return minVariance;
+    }
+
+    // Bisseção em log(λ); o limite inferior sempre atinge o alvo
+    let low = Math.log(1e-4);
+    let high = Math.log(1e4);
+    let best = this.riskAdjusted(mu, covariance, Math.exp(low), constraints);
+
+    for (let iteration = 0; iteration < 40; iteration++) {
+      const middle = (low + high) / 2;
+      const weights = this.riskAdjusted(mu, covariance, Math.exp(middle), constraints, best);
+
+      if (this.dot(mu, weights) >= target - 1e-6) {
+        best = weights;
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Maior índice de Sharpe ao longo da fronteira eficiente
+   *
+   * A fronteira é percorrida variando a aversão a risco em escala
+   * logarítmica; o melhor ponto da grade é refinado pela seção áurea.
+   * @param {Array} mu - Retornos esperados anuais
+   * @param {Array} covariance - Matriz de covariância
+   * @param {Object} constraints - Restrições
+   * @returns {Object} - Pesos escolhidos e pontos da fronteira
+   */
+  maximumSharpe(mu, covariance, constraints) {
+    const points = Math.max(2, this.config.frontierPoints);
+    const logMin = Math.log(1e-2);
+    const logMax = Math.log(1e3);
+
+    const evaluate = (logLambda, initial = null) => {
+      const weights = this.riskAdjusted(mu, covariance, Math.exp(logLambda), constraints, initial);
+      const expectedReturn = this.dot(mu, weights);
+      const volatility = Math.sqrt(Math.max(this.dot(weights, this.multiply(covariance, weights)), 0));
+      const sharpeRatio = volatility > 0 ? (expectedReturn - this.config.riskFreeRate) / volatility : -Infinity;
+
+      return { logLambda, weights, expectedReturn, volatility, sharpeRatio };
+    };
+
+    const frontier = [];
+    let previous = null;
+
+    for (let k = 0; k < points; k++) {
+      previous = evaluate(logMin + ((logMax - logMin) * k) / (points - 1), previous && previous.weights);
+      frontier.push(previous);
+    }
+
+    let bestIndex = 0;
+    frontier.forEach((point, k) => {
+      if (point.sharpeRatio > frontier[bestIndex].sharpeRatio) bestIndex = k;
+    });
+
+    // Seção áurea entre os vizinhos do melhor ponto da grade
+    let best = frontier[bestIndex];
+    let low = frontier[Math.max(0, bestIndex - 1)].logLambda;
+    let high = frontier[Math.min(points - 1, bestIndex + 1)].logLambda;
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    const keepBest = point => {
+      if (point.sharpeRatio > best.sharpeRatio) best = point;
+      return point;
+    };
+
+    // Cada iteração reaproveita um dos pontos internos e avalia apenas um novo
+    let left = keepBest(evaluate(high - ratio * (high - low), best.weights));
+    let right = keepBest(evaluate(low + ratio * (high - low), best.weights));
+
+    for (let iteration = 0; iteration < 20 && high - low > 1e-3; iteration++) {
+      if (left.sharpeRatio >= right.sharpeRatio) {
+        high = right.logLambda;
+        right = left;
+        left = keepBest(evaluate(high - ratio * (high - low), right.weights));
+      } else {
+        low = left.logLambda;
+        left = right;
+        right = keepBest(evaluate(low + ratio * (high - low), left.weights));
+      }
+    }
+
+    return {
+      weights: best.weights,
+      frontier: frontier.map(({ expectedReturn, volatility, sharpeRatio }) => ({ expectedReturn, volatility, sharpeRatio }))
+    };
+  }
+
+  /**
+   * Paridade de risco por descida coordenada cíclica (Griveau-Billion et al., 2013)
+   *
+   * Resolve min ½y'Σy - Σ b_i ln(y_i) e normaliza y; quando os limites de
+   * peso ou segmento estão ativos, o resultado é projetado nas restrições.
+   * @param {Array} covariance - Matriz de covariância
+   * @param {Array} budgets - Orçamento de risco relativo de cada ticker
+   * @param {Object} constraints - Restrições
+   * @returns {Array} - Pesos
+   */
+  riskParity(covariance, budgets, constraints) {
+    const n = covariance.length;
+    const totalBudget = budgets.reduce((sum, value) => sum + value, 0);
+    const b = budgets.map(value => value / totalBudget);
+    const variance = covariance.map((row, i) => Math.max(row[i], 1e-12));
+    let y = variance.map(value => 1 / Math.sqrt(value));
+
+    for (let iteration = 0; iteration < this.config.maxIterations; iteration++) {
+      let change = 0;
+
+      for (let i = 0; i < n; i++) {
+        let cross = 0;
+        for (let j = 0; j < n; j++) {
+          if (j !== i) cross += covariance[i][j] * y[j];
+        }
+
+        const updated = (-cross + Math.sqrt(cross * cross + 4 * variance[i] * b[i])) / (2 * variance[i]);
+        change = Math.max(change, Math.abs(updated - y[i]));
+        y[i] = updated;
+      }
+
+      if (change < this.config.tolerance) break;
+    }
+
+    const total = y.reduce((sum, value) => sum + value, 0);
+    return this.project(y.map(value => value / total), constraints);
+  }
+
+  /**
+   * Gradiente projetado acelerado (FISTA) com passo 1/L
+   * @param {Function} gradient - Gradiente da função objetivo
+   * @param {Number} lipschitz - Constante de Lipschitz do gradiente
+   * @param {Object} constraints - Restrições
+   * @param {Array} initial - Ponto inicial (padrão: pesos iguais)
+   * @returns {Array} - Pesos
+   */
+  projectedGradient(gradient, lipschitz, constraints, initial = null) {
+    const n = constraints.lower.length;
+    const step = 1 / Math.max(lipschitz, 1e-12);
+    let w = this.project(initial || new Array(n).fill(1 / n), constraints);
+    let z = w;
+    let momentum = 1;
+
+    for (let iteration = 0; iteration < this.config.maxIterations; iteration++) {
+      const g = gradient(z);
+      const next = this.project(z.map((value, i) => value - step * g[i]), constraints);
+      const change = Math.max(...next.map((value, i) => Math.abs(value - w[i])));
+
+      // Reinício adaptativo: o momento é descartado quando deixa de apontar para a descida
+      if (g.reduce((sum, value, i) => sum + value * (next[i] - w[i]), 0) > 0) {
+        momentum = 1;
+      }
+
+      const nextMomentum = (1 + Math.sqrt(1 + 4 * momentum * momentum)) / 2;
+      z = next.map((value, i) => value + ((momentum - 1) / nextMomentum) * (value - w[i]));
+      w = next;
+      momentum = nextMomentum;
+
+      if (change < this.config.tolerance) break;
+    }
+
+    return w;
+  }
+
+  /**
+   * Projeção euclidiana exata em { soma = 1, lower <= w <= upper, soma do segmento <= teto }
+   *
+   * A solução tem a forma w_i = clip(v_i - max(θ, θ_g), lower_i, upper_i):
+   * θ ajusta o orçamento total e θ_g é o deslocamento em que a soma do
+   * segmento atinge o teto. As somas são lineares por partes e monótonas nos
+   * deslocamentos, então ambos são calculados exatamente a partir dos pontos
+   * de quebra ordenados.
+   * @param {Array} v - Ponto a projetar
+   * @param {Object} constraints - Restrições
+   * @returns {Array} - Ponto projetado
+   */
+  project(v, constraints) {
+    const { lower, upper, groups } = constraints;
+    const n = v.length;
+    const clip = (i, shift) => {
+      const value = v[i] - shift;
+      return value < lower[i] ? lower[i] : value > upper[i] ? upper[i] : value;
+    };
+    const breakpoints = [];
+
+    for (let i = 0; i < n; i++) {
+      breakpoints.push(v[i] - upper[i], v[i] - lower[i]);
+    }
+
+    // Segmentos sem teto (ou com teto inalcançável) ficam com θ_g = -∞
+    const groupShift = new Array(n).fill(-Infinity);
+
+    groups.forEach(group => {
+      if (group.indices.reduce((sum, i) => sum + upper[i], 0) <= group.cap) return;
+
+      const groupSum = shift => group.indices.reduce((sum, i) => sum + clip(i, shift), 0);
+      const shift = this.solveShift(group.indices.flatMap(i => [v[i] - upper[i], v[i] - lower[i]]), groupSum, group.cap);
+
+      group.indices.forEach(i => { groupShift[i] = shift; });
+      breakpoints.push(shift);
+    });
+
+    const total = shift => {
+      let sum = 0;
+      for (let i = 0; i < n; i++) sum += clip(i, shift > groupShift[i] ? shift : groupShift[i]);
+      return sum;
+    };
+
+    const shift = this.solveShift(breakpoints, total, 1);
+    return v.map((value, i) => clip(i, Math.max(shift, groupShift[i])));
+  }
+
+  /**
+   * Resolve sum(θ) = alvo para uma soma não crescente e linear entre os pontos de quebra
+   * @param {Array} breakpoints - Pontos de quebra da soma
+   * @param {Function} sum - Soma em função do deslocamento
+   * @param {Number} target - Valor alvo
+   * @returns {Number} - Deslocamento θ
+   */
+  solveShift(breakpoints, sum, target) {
+    const points = Float64Array.from(breakpoints).sort();
+
+    // Maior ponto de quebra cuja soma ainda alcança o alvo
+    let low = 0;
+    let high = points.length - 1;
+
+    if (sum(points[low]) <= target) return points[low];
+    if (sum(points[high]) >= target) return points[high];
+
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      if (sum(points[middle]) >= target) low = middle;
+      else high = middle;
+    }
+
+    // Interpolação linear dentro do intervalo
+    const start = sum(points[low]);
+    const end = sum(points[high]);
+
+    return start === end
+      ? points[low]
+      : points[low] + ((start - target) * (points[high] - points[low])) / (start - end);
+  }
+
+  /**
+   * Maior retorno atingível sob as restrições (preenchimento guloso por retorno)
+   * @param {Array} mu - Retornos esperados
+   * @param {Object} constraints - Restrições
+   * @returns {Number} - Retorno máximo
+   */
+  maxFeasibleReturn(mu, constraints) {
+    const { lower, upper, groups } = constraints;
+    const w = lower.slice();
+    let remaining = 1 - w.reduce((sum, value) => sum + value, 0);
+
+    const groupOf = new Array(mu.length).fill(null);
+    const groupRoom = groups.map(group => group.cap - group.indices.reduce((sum, i) => sum + w[i], 0));
+    groups.forEach((group, g) => group.indices.forEach(i => { groupOf[i] = g; }));
+
+    mu.map((value, i) => i)
+      .sort((a, b) => mu[b] - mu[a])
+      .forEach(i => {
+        const g = groupOf[i];
+        const room = Math.max(0, Math.min(upper[i] - w[i], remaining, g !== null ? groupRoom[g] : Infinity));
+
+        w[i] += room;
+        remaining -= room;
+        if (g !== null) groupRoom[g] -= room;
+      });
+
+    return this.dot(mu, w);
+  }
+
+  /**
+   * Estatísticas do portfólio
+   * @param {Array} weights - Pesos
+   * @param {Array} mu - Retornos esperados anuais
+   * @param {Array} covariance - Matriz de covariância anual
+   * @param {Array} incomeYields - Dividend yield anual de cada ticker
+   * @returns {Object} - Retorno esperado, yield, volatilidade, Sharpe e contribuições de risco
+   */
+  portfolioStats(weights, mu, covariance, incomeYields) {
+    const marginal = this.multiply(covariance, weights);
+    const variance = Math.max(this.dot(weights, marginal), 0);
+    const volatility = Math.sqrt(variance);
+    const expectedReturn = this.dot(mu, weights);
+
+    return {
+      expectedReturn,
+      incomeYield: this.dot(incomeYields, weights),
+      volatility,
+      sharpeRatio: volatility > 0 ? (expectedReturn - this.config.riskFreeRate) / volatility : 0,
+      riskContributions: weights.map((w, i) => (variance > 0 ? (w * marginal[i]) / variance : 1 / weights.length))
+    };
+  }
+
+  /**
+   * Limite superior do maior autovalor (círculos de Gershgorin)
+   * @param {Array} matrix - Matriz simétrica
+   * @returns {Number} - Limite
+   */
+  spectralBound(matrix) {
+    return Math.max(...matrix.map(row => row.reduce((sum, value) => sum + Math.abs(value), 0)));
+  }
+
+  /**
+   * Produto matriz-vetor
+   * @param {Array} matrix - Matriz
+   * @param {Array} vector - Vetor
+   * @returns {Array} - Resultado
+   */
+  multiply(matrix, vector) {
+    return matrix.map(row => this.dot(row, vector));
+  }
+
+  /**
+   * Produto escalar
+   * @param {Array} a - Vetor
+   * @param {Array} b - Vetor
+   * @returns {Number} - Resultado
+   */
+  dot(a, b) {
+    return a.reduce((sum, value, i) => sum + value * b[i], 0);
+  }
+}
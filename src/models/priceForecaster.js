@@ -1,11 +1,15 @@
 // src/models/priceForecaster.js
 import * as tf from '@tensorflow/tfjs';
+import { createStorageAdapter } from '../utils/storageAdapter';
 
 /**
  * Classe para previsão de preços de FIIs usando TensorFlow.js
  * 
  * Esta implementação usa uma rede LSTM (Long Short-Term Memory)
- * para prever preços futuros com base em dados históricos.
+ * para prever preços futuros com base em dados históricos. Na estratégia
+ * direta (padrão), a rede é treinada para emitir de uma vez o vetor com os
+ * horizonDays preços seguintes à janela; na recursiva, emite um único valor
+ * que é realimentado como o preço do dia seguinte.
  */
 export class PriceForecaster {
   constructor(config = {}) {
@@ -15,9 +19,14 @@ export class PriceForecaster {
       epochs: config.epochs || 100, // Épocas de treinamento
       batchSize: config.batchSize || 32, // Tamanho do batch
       learningRate: config.learningRate || 0.001, // Taxa de aprendizado
+      strategy: config.strategy || 'direct', // direct (todo o horizonte de uma vez) ou recursive (um passo realimentado)
+      modelKey: config.modelKey || 'lotus-invest-price-forecaster', // Chave de armazenamento
       ...config
     };
     
+    // Adaptador de armazenamento para o modelo e parâmetros de normalização
+    this.storage = createStorageAdapter(config.storage);
+    
     this.model = null;
     this.meanStd = { mean: 0, std: 1 }; // Para normalização
     this.trained = false;
@@ -52,26 +61,51 @@ export class PriceForecaster {
   /**
    * Prepara os dados para treinamento, criando janelas deslizantes
    * @param {Array} data - Array de preços históricos
+   * @param {Boolean} fitNormalization - Recalcular média/desvio (false para dados de teste)
    * @returns {Object} - Dados de treinamento formatados
    */
-  prepareData(data) {
-    const normalizedData = this.normalize(data);
+  prepareData(data, fitNormalization = true) {
+    const normalizedData = fitNormalization
+      ? this.normalize(data)
+      : data.map(x => (x - this.meanStd.mean) / this.meanStd.std);
     const X = [];
     const y = [];
     
     // Criar janelas deslizantes
     for (let i = 0; i < normalizedData.length - this.config.windowSize - this.config.horizonDays; i++) {
-      X.push(normalizedData.slice(i, i + this.config.windowSize));
-      y.push(normalizedData[i + this.config.windowSize + this.config.horizonDays - 1]);
+      X.push(normalizedData.slice(i, i + this.config.windowSize).map(x => [x]));
+      y.push(this.buildTargets(normalizedData, i));
     }
     
     // Converter para tensores
     const inputTensor = tf.tensor3d(X, [X.length, this.config.windowSize, 1]);
-    const outputTensor = tf.tensor2d(y, [y.length, 1]);
+    const outputTensor = tf.tensor2d(y, [y.length, this.getOutputSize()]);
     
     return { inputTensor, outputTensor };
   }
   
+  /**
+   * Quantidade de valores emitidos pela rede a cada previsão
+   * @returns {Number} - horizonDays na estratégia direta, 1 na recursiva
+   */
+  getOutputSize() {
+    return this.config.strategy === 'direct' ? this.config.horizonDays : 1;
+  }
+  
+  /**
+   * Alvos de uma janela de treinamento
+   * @param {Array} normalizedData - Série normalizada
+   * @param {Number} start - Início da janela
+   * @returns {Array} - Preços dos dias 1..horizonDays após a janela (direta) ou do dia horizonDays (recursiva)
+   */
+  buildTargets(normalizedData, start) {
+    const end = start + this.config.windowSize;
+    
+    return this.config.strategy === 'direct'
+      ? normalizedData.slice(end, end + this.config.horizonDays)
+      : [normalizedData[end + this.config.horizonDays - 1]];
+  }
+  
   /**
    * Cria o modelo LSTM
    * @returns {tf.Sequential} - Modelo TensorFlow.js
@@ -92,8 +126,8 @@ export class PriceForecaster {
       returnSequences: false
     }));
     
-    // Camada densa para saída
-    model.add(tf.layers.dense({ units: 1 }));
+    // Camada densa para saída (um neurônio por dia do horizonte na estratégia direta)
+    model.add(tf.layers.dense({ units: this.getOutputSize() }));
     
     // Compilar modelo
     model.compile({
@@ -156,21 +190,22 @@ export class PriceForecaster {
     
     const predictions = [];
     
-    // Fazer previsões recursivas
-    for (let i = 0; i < days; i++) {
+    // Cada passagem emite o horizonte inteiro (direta) ou um dia (recursiva);
+    // previsões além do horizonte treinado partem dos valores já previstos
+    while (predictions.length < days) {
       // Preparar entrada
-      const input = tf.tensor3d([lastWindow], [1, this.config.windowSize, 1]);
+      const input = tf.tensor3d([lastWindow.map(x => [x])], [1, this.config.windowSize, 1]);
       
       // Fazer previsão
       const predictionTensor = this.model.predict(input);
-      const predictionValue = predictionTensor.dataSync()[0];
+      const values = Array.from(predictionTensor.dataSync()).slice(0, days - predictions.length);
       
-      // Adicionar à lista de previsões
-      predictions.push(predictionValue);
+      input.dispose();
+      predictionTensor.dispose();
       
-      // Atualizar janela para próxima previsão
-      lastWindow.shift();
-      lastWindow.push(predictionValue);
+      // Adicionar à lista de previsões e atualizar janela para a próxima passagem
+      predictions.push(...values);
+      lastWindow = [...lastWindow, ...values].slice(-this.config.windowSize);
     }
     
     // Desnormalizar resultados
@@ -186,13 +221,14 @@ export class PriceForecaster {
       throw new Error('Modelo não treinado. Execute train() primeiro.');
     }
     
-    await this.model.save('localstorage://lotus-invest-price-forecaster');
+    await this.storage.saveModel(this.model, this.config.modelKey);
     
-    // Salvar também os parâmetros de normalização
-    localStorage.setItem('lotus-invest-price-forecaster-params', JSON.stringify({
+    // Salvar também os parâmetros de normalização (sem o adaptador de armazenamento)
+    const { storage, ...config } = this.config;
+    await this.storage.setItem(`${this.config.modelKey}-params`, {
       meanStd: this.meanStd,
-      config: this.config
-    }));
+      config
+    });
     
     return true;
   }
@@ -203,12 +239,12 @@ export class PriceForecaster {
    */
   async loadModel() {
     try {
-      this.model = await tf.loadLayersModel('localstorage://lotus-invest-price-forecaster');
+      this.model = await this.storage.loadModel(this.config.modelKey);
       
-      // Carregar parâmetros de normalização
-      const params = JSON.parse(localStorage.getItem('lotus-invest-price-forecaster-params'));
+      // Carregar parâmetros de normalização (modelos salvos antes da estratégia direta são recursivos)
+      const params = await this.storage.getItem(`${this.config.modelKey}-params`);
       this.meanStd = params.meanStd;
-      this.config = params.config;
+      this.config = { ...this.config, strategy: 'recursive', ...params.config };
       
       this.trained = true;
       return true;
@@ -221,15 +257,19 @@ export class PriceForecaster {
   /**
    * Avalia o modelo com dados de teste
    * @param {Array} testPrices - Preços para teste
-   * @returns {Object} - Métricas de avaliação
+   * @returns {Object} - Métricas de avaliação (gerais e por passo do horizonte em horizonMetrics)
    */
   async evaluate(testPrices) {
     if (!this.trained || !this.model) {
       throw new Error('Modelo não treinado. Execute train() primeiro.');
     }
     
-    // Preparar dados de teste
-    const { inputTensor, outputTensor } = this.prepareData(testPrices);
+    // Preparar dados de teste com a normalização do treinamento
+    if (testPrices.length <= this.config.windowSize + this.config.horizonDays) {
+      throw new Error(`São necessários mais de ${this.config.windowSize + this.config.horizonDays} pontos de dados para avaliação.`);
+    }
+    
+    const { inputTensor, outputTensor } = this.prepareData(testPrices, false);
     
     // Avaliar modelo
     const evaluation = await this.model.evaluate(inputTensor, outputTensor);
@@ -254,11 +294,54 @@ export class PriceForecaster {
     }
     mape = (mape / denormActual.length) * 100;
     
+    const horizonMetrics = this.calculateHorizonMetrics(denormPred, denormActual);
+    
+    // Liberar tensores
+    inputTensor.dispose();
+    outputTensor.dispose();
+    predictions.dispose();
+    evaluation.dispose();
+    
     return {
       mse,
       rmse,
       mape,
-      normalizedRMSE: rmse * this.meanStd.std
+      normalizedRMSE: rmse * this.meanStd.std,
+      horizonMetrics
     };
   }
+  
+  /**
+   * Calcula o erro de cada passo do horizonte
+   * @param {Array} predicted - Previsões desnormalizadas (amostra a amostra, getOutputSize() por amostra)
+   * @param {Array} actual - Valores reais na mesma ordem
+   * @returns {Array} - { step, rmse, mae, mape } por passo, com erros em reais
+   */
+  calculateHorizonMetrics(predicted, actual) {
+    const outputSize = this.getOutputSize();
+    const samples = actual.length / outputSize;
+    
+    return Array.from({ length: outputSize }, (_, column) => {
+      let squared = 0;
+      let absolute = 0;
+      let percentage = 0;
+      
+      for (let n = 0; n < samples; n++) {
+        const index = n * outputSize + column;
+        const error = actual[index] - predicted[index];
+        
+        squared += error * error;
+        absolute += Math.abs(error);
+        percentage += Math.abs(error / actual[index]);
+      }
+      
+      return {
+        // Na estratégia recursiva a rede só aprende o dia horizonDays
+        step: outputSize === 1 ? this.config.horizonDays : column + 1,
+        rmse: Math.sqrt(squared / samples),
+        mae: absolute / samples,
+        mape: (percentage / samples) * 100
+      };
+    });
+  }
 }
@@ -1,14 +1,19 @@
 // src/models/priceForecasterEnhanced.js
 import * as tf from '@tensorflow/tfjs';
 import { PriceForecaster } from './priceForecaster';
+import { ExponentialSmoothingForecaster } from './statisticalForecaster';
+import { empiricalQuantile } from '../utils/statistics';
 
 /**
  * Versão aprimorada do PriceForecaster com recursos adicionais
  * 
  * Esta classe estende o PriceForecaster original, adicionando:
- * - Suporte a variáveis exógenas (volume, sentimento, índices de mercado)
+ * - Suporte a variáveis exógenas (volume, sentimento, índices de mercado),
+ *   com trajetórias futuras informadas ou projetadas e cenários
  * - Ensemble de modelos para maior robustez
- * - Intervalos de confiança para previsões
+ * - Intervalos de confiança calibrados por predição conforme (resíduos de
+ *   janelas não usadas no treino, por passo do horizonte)
+ * - Distribuições preditivas por regressão quantílica ou MC dropout
  * - Métricas de avaliação adicionais
  */
 export class PriceForecasterEnhanced extends PriceForecaster {
@@ -21,12 +26,24 @@ export class PriceForecasterEnhanced extends PriceForecaster {
       epochs: config.epochs || 100,
       batchSize: config.batchSize || 32,
       learningRate: config.learningRate || 0.001,
+      strategy: config.strategy || 'direct', // direct (todo o horizonte de uma vez) ou recursive (um passo realimentado)
       
       // Novos parâmetros
       useEnsemble: config.useEnsemble !== undefined ? config.useEnsemble : true,
       ensembleSize: config.ensembleSize || 3,
       useExogenousVariables: config.useExogenousVariables !== undefined ? config.useExogenousVariables : true,
+      exogenousProjection: config.exogenousProjection || 'ets', // Variáveis sem trajetória informada: ets (suavização exponencial amortecida) ou last (último valor)
+      exogenousHistory: config.exogenousHistory || 252, // Pontos recentes usados na projeção de cada variável
       confidenceInterval: config.confidenceInterval || 0.95, // 95% por padrão
+      intervalMethod: config.intervalMethod || 'conformal', // conformal (resíduos fora da amostra) ou ensemble (dispersão dos modelos)
+      conformalMode: config.conformalMode || 'split', // split (resíduos fixos da calibração) ou rolling (janela móvel atualizada por updateCalibration)
+      calibrationSplit: config.calibrationSplit || 0.2, // Fração final das janelas de treino reservada para calibração
+      calibrationWindow: config.calibrationWindow || 250, // Resíduos mantidos por passo no modo rolling
+      minCalibrationSize: config.minCalibrationSize || 20, // Mínimo de janelas para calibrar os intervalos
+      distributionMode: config.distributionMode || 'point', // point, quantile (perda pinball) ou mcdropout (passagens com dropout ativo)
+      quantileLevels: config.quantileLevels || [0.05, 0.5, 0.95], // Quantis estimados (modo quantile) ou resumidos (mcdropout), em ordem crescente
+      mcSamples: config.mcSamples || 100, // Trajetórias amostradas no modo mcdropout
+      modelKey: config.modelKey || 'lotus-invest-price-forecaster-enhanced', // Chave de armazenamento
       ...config
     };
     
@@ -35,17 +52,21 @@ export class PriceForecasterEnhanced extends PriceForecaster {
     this.config = enhancedConfig;
     this.ensembleModels = [];
     this.exogenousNormalizers = {};
+    this.conformalResiduals = [];
   }
   
   /**
    * Prepara os dados para treinamento, incluindo variáveis exógenas
    * @param {Object} data - Objeto com preços e variáveis exógenas
+   * @param {Boolean} fitNormalization - Recalcular média/desvio (false para dados de teste)
    * @returns {Object} - Dados de treinamento formatados
    */
-  prepareEnhancedData(data) {
-    // Extrair preços e normalizar
+  prepareEnhancedData(data, fitNormalization = true) {
+    // Extrair preços e normalizar (dados de teste usam a normalização do treinamento)
     const prices = data.prices || data;
-    const normalizedPrices = this.normalize(prices);
+    const normalizedPrices = fitNormalization
+      ? this.normalize(prices)
+      : prices.map(x => (x - this.meanStd.mean) / this.meanStd.std);
     
     // Inicializar arrays
     const X = [];
@@ -55,20 +76,24 @@ export class PriceForecasterEnhanced extends PriceForecaster {
     let exogenousData = {};
     
     if (this.config.useExogenousVariables && data.exogenous) {
-      exogenousData = this.normalizeExogenousVariables(data.exogenous);
+      exogenousData = this.normalizeExogenousVariables(data.exogenous, fitNormalization);
     }
     
+    const useExogenous = this.config.useExogenousVariables && Object.keys(exogenousData).length > 0;
+    const inputSteps = this.getInputSteps(useExogenous);
+    
     // Criar janelas deslizantes
     for (let i = 0; i < normalizedPrices.length - this.config.windowSize - this.config.horizonDays; i++) {
       // Janela de preços
       const priceWindow = normalizedPrices.slice(i, i + this.config.windowSize);
       
       // Adicionar variáveis exógenas, se disponíveis
-      if (this.config.useExogenousVariables && Object.keys(exogenousData).length > 0) {
+      if (useExogenous) {
         const windowWithExogenous = [];
         
-        for (let j = 0; j < this.config.windowSize; j++) {
-          const dataPoint = [priceWindow[j]];
+        for (let j = 0; j < inputSteps; j++) {
+          // Passos após a janela (estratégia direta) levam só as variáveis exógenas dos dias previstos
+          const dataPoint = [j < this.config.windowSize ? priceWindow[j] : 0];
           
           // Adicionar cada variável exógena disponível
           Object.keys(exogenousData).forEach(varName => {
@@ -88,46 +113,53 @@ export class PriceForecasterEnhanced extends PriceForecaster {
         X.push(priceWindow.map(price => [price]));
       }
       
-      // Alvo é o preço após horizonDays
-      y.push(normalizedPrices[i + this.config.windowSize + this.config.horizonDays - 1]);
+      // Alvos: os horizonDays preços seguintes (direta) ou o preço após horizonDays (recursiva)
+      y.push(this.buildTargets(normalizedPrices, i));
     }
     
     // Calcular dimensão de entrada
-    const inputDim = this.config.useExogenousVariables && Object.keys(exogenousData).length > 0 
-      ? 1 + Object.keys(exogenousData).length 
-      : 1;
+    const inputDim = useExogenous ? 1 + Object.keys(exogenousData).length : 1;
     
     // Converter para tensores
-    const inputTensor = tf.tensor3d(X, [X.length, this.config.windowSize, inputDim]);
-    const outputTensor = tf.tensor2d(y, [y.length, 1]);
+    const inputTensor = tf.tensor3d(X, [X.length, inputSteps, inputDim]);
+    const outputTensor = tf.tensor2d(y, [y.length, this.getOutputSize()]);
     
     return { 
       inputTensor, 
       outputTensor,
-      inputDim
+      inputDim,
+      inputSteps
     };
   }
   
   /**
    * Normaliza variáveis exógenas
    * @param {Object} exogenous - Objeto com variáveis exógenas
+   * @param {Boolean} fitNormalization - Recalcular média/desvio (false reutiliza os do treinamento)
    * @returns {Object} - Variáveis exógenas normalizadas
    */
-  normalizeExogenousVariables(exogenous) {
+  normalizeExogenousVariables(exogenous, fitNormalization = true) {
     const normalized = {};
     
     Object.keys(exogenous).forEach(varName => {
       const values = exogenous[varName];
       
+      if (!fitNormalization && this.exogenousNormalizers[varName]) {
+        const { mean, std } = this.exogenousNormalizers[varName];
+        normalized[varName] = values.map(x => (x - mean) / std);
+        return;
+      }
+      
       // Calcular média e desvio padrão
       const tensor = tf.tensor1d(values);
       const mean = tf.mean(tensor);
       const std = tf.moments(tensor).variance.sqrt();
       
       // Armazenar para desnormalização posterior
+      // Séries constantes no período (ex.: Selic sem mudanças) teriam desvio zero
       this.exogenousNormalizers[varName] = {
         mean: mean.dataSync()[0],
-        std: std.dataSync()[0]
+        std: std.dataSync()[0] || 1
       };
       
       // Normalizar
@@ -144,19 +176,35 @@ export class PriceForecasterEnhanced extends PriceForecaster {
     return normalized;
   }
   
+  /**
+   * Quantidade de passos da entrada da rede
+   *
+   * Na estratégia direta com variáveis exógenas, a janela é seguida pelos
+   * horizonDays dias previstos, em que a rede recebe apenas as trajetórias
+   * exógenas (realizadas no treinamento, informadas ou projetadas na previsão).
+   * @param {Boolean} useExogenous - Se há variáveis exógenas
+   * @returns {Number} - Passos da entrada
+   */
+  getInputSteps(useExogenous) {
+    return this.config.strategy === 'direct' && useExogenous
+      ? this.config.windowSize + this.config.horizonDays
+      : this.config.windowSize;
+  }
+  
   /**
    * Cria um modelo LSTM aprimorado
    * @param {Number} inputDim - Dimensão de entrada (preço + variáveis exógenas)
+   * @param {Number} inputSteps - Passos da entrada (janela e, se houver, dias previstos)
    * @returns {tf.Sequential} - Modelo TensorFlow.js
    */
-  createEnhancedModel(inputDim = 1) {
+  createEnhancedModel(inputDim = 1, inputSteps = this.config.windowSize) {
     const model = tf.sequential();
     
     // Camada LSTM com suporte a múltiplas variáveis de entrada
     model.add(tf.layers.lstm({
       units: 64, // Aumentado de 50 para 64
       returnSequences: true,
-      inputShape: [this.config.windowSize, inputDim]
+      inputShape: [inputSteps, inputDim]
     }));
     
     // Dropout para reduzir overfitting
@@ -177,27 +225,76 @@ export class PriceForecasterEnhanced extends PriceForecaster {
       activation: 'relu'
     }));
     
-    // Camada densa para saída
-    model.add(tf.layers.dense({ units: 1 }));
+    // Camada densa para saída (um neurônio por dia do horizonte na estratégia direta, repetido por quantil)
+    const quantileMode = this.config.distributionMode === 'quantile';
+    model.add(tf.layers.dense({ units: this.getOutputSize() * (quantileMode ? this.config.quantileLevels.length : 1) }));
     
     // Compilar modelo com otimizador Adam e taxa de aprendizado personalizada
     model.compile({
       optimizer: tf.train.adam(this.config.learningRate),
-      loss: 'meanSquaredError'
+      loss: quantileMode ? (yTrue, yPred) => this.pinballLoss(yTrue, yPred) : 'meanSquaredError'
     });
     
     return model;
   }
   
+  /**
+   * Alvos no formato da saída da rede
+   * @param {tf.Tensor} outputTensor - Alvos [amostras, passos]
+   * @returns {tf.Tensor} - Alvos repetidos por quantil no modo quantile; os próprios alvos nos demais
+   */
+  getTrainingTargets(outputTensor) {
+    return this.config.distributionMode === 'quantile'
+      ? outputTensor.tile([1, this.config.quantileLevels.length])
+      : outputTensor;
+  }
+  
+  /**
+   * Perda pinball média dos quantis (regressão quantílica)
+   * @param {tf.Tensor} yTrue - Alvos repetidos por quantil [amostras, passos * quantis]
+   * @param {tf.Tensor} yPred - Saídas [amostras, passos * quantis], agrupadas por quantil
+   * @returns {tf.Scalar} - Perda
+   */
+  pinballLoss(yTrue, yPred) {
+    return tf.tidy(() => {
+      const error = yTrue.sub(yPred);
+      const outputSize = this.getOutputSize();
+      
+      const losses = this.config.quantileLevels.map((level, i) => {
+        const quantileError = error.slice([0, i * outputSize], [-1, outputSize]);
+        return tf.maximum(quantileError.mul(level), quantileError.mul(level - 1)).mean();
+      });
+      
+      return tf.addN(losses).div(losses.length);
+    });
+  }
+  
   /**
    * Treina o modelo com dados históricos e variáveis exógenas
    * @param {Object} data - Objeto com preços e variáveis exógenas
    * @returns {Promise} - Promessa que resolve após o treinamento
    */
   async trainEnhanced(data) {
+    let tensors = null;
+    
     try {
       // Preparar dados
-      const { inputTensor, outputTensor, inputDim } = this.prepareEnhancedData(data);
+      tensors = this.prepareEnhancedData(data);
+      const { inputTensor, outputTensor, inputDim, inputSteps } = tensors;
+      
+      // Janelas finais reservadas para calibrar os intervalos (validação, sem treino)
+      tensors.calibration = this.splitCalibration(inputTensor, outputTensor);
+      const { calibration } = tensors;
+      const fitInput = calibration ? calibration.fitInput : inputTensor;
+      
+      // No modo quantile, os alvos se repetem para cada quantil da saída
+      tensors.fitOutput = this.getTrainingTargets(calibration ? calibration.fitOutput : outputTensor);
+      tensors.validationOutput = calibration ? this.getTrainingTargets(calibration.calibrationOutput) : null;
+      
+      const fitOutput = tensors.fitOutput;
+      const fitOptions = calibration
+        ? { validationData: [calibration.calibrationInput, tensors.validationOutput] }
+        : { validationSplit: 0.2 };
       
       // Se usando ensemble, treinar múltiplos modelos
       if (this.config.useEnsemble) {
@@ -208,13 +305,13 @@ export class PriceForecasterEnhanced extends PriceForecaster {
           console.log(`Treinando modelo ${i + 1}/${this.config.ensembleSize} do ensemble`);
           
           // Criar modelo
-          const model = this.createEnhancedModel(inputDim);
+          const model = this.createEnhancedModel(inputDim, inputSteps);
           
           // Treinar modelo com early stopping
-          const history = await model.fit(inputTensor, outputTensor, {
+          const history = await model.fit(fitInput, fitOutput, {
             epochs: this.config.epochs,
             batchSize: this.config.batchSize,
-            validationSplit: 0.2,
+            ...fitOptions,
             callbacks: {
               onEpochEnd: (epoch, logs) => {
                 if (epoch % 10 === 0) {
@@ -231,16 +328,17 @@ export class PriceForecasterEnhanced extends PriceForecaster {
         // Usar o primeiro modelo como modelo principal
         this.model = this.ensembleModels[0];
         this.trained = true;
+        this.calibrateFromTensors(tensors.calibration);
         
         return histories;
       } else {
         // Treinar um único modelo
-        this.model = this.createEnhancedModel(inputDim);
+        this.model = this.createEnhancedModel(inputDim, inputSteps);
         
-        const history = await this.model.fit(inputTensor, outputTensor, {
+        const history = await this.model.fit(fitInput, fitOutput, {
           epochs: this.config.epochs,
           batchSize: this.config.batchSize,
-          validationSplit: 0.2,
+          ...fitOptions,
           callbacks: {
             onEpochEnd: (epoch, logs) => {
               if (epoch % 10 === 0) {
@@ -251,22 +349,139 @@ export class PriceForecasterEnhanced extends PriceForecaster {
         });
         
         this.trained = true;
+        this.calibrateFromTensors(tensors.calibration);
+        
         return history;
       }
     } catch (error) {
       console.error('Erro ao treinar modelo:', error);
       throw error;
     } finally {
-      // Liberar tensores
-      tf.disposeVariables();
+      // Liberar apenas os tensores de treino (disposeVariables descartaria também os pesos dos modelos)
+      if (tensors) {
+        // Os alvos de treino podem ser os próprios tensores acima (dispose é idempotente)
+        [tensors.inputTensor, tensors.outputTensor, tensors.fitOutput, tensors.validationOutput]
+          .filter(Boolean)
+          .forEach(tensor => tensor.dispose());
+        
+        if (tensors.calibration) {
+          Object.values(tensors.calibration).forEach(tensor => tensor.dispose());
+        }
+      }
+    }
+  }
+  
+  /**
+   * Separa as janelas finais do treino para a calibração conforme
+   *
+   * Entre treino e calibração ficam de fora horizonDays janelas, cujos alvos
+   * se sobrepõem aos das primeiras janelas de calibração.
+   * @param {tf.Tensor} inputTensor - Entradas de todas as janelas
+   * @param {tf.Tensor} outputTensor - Alvos de todas as janelas
+   * @returns {Object|null} - Tensores de treino e de calibração, ou null sem calibração
+   */
+  splitCalibration(inputTensor, outputTensor) {
+    if (this.config.intervalMethod !== 'conformal') {
+      this.conformalResiduals = [];
+      return null;
+    }
+    
+    const total = inputTensor.shape[0];
+    const calibrationSize = Math.floor(total * this.config.calibrationSplit);
+    const fitSize = total - calibrationSize - this.config.horizonDays;
+    
+    if (calibrationSize < this.config.minCalibrationSize || fitSize < 1) {
+      console.warn(`Janelas insuficientes para calibrar os intervalos (${calibrationSize}), usando ${this.config.useEnsemble ? 'a dispersão do ensemble' : 'banda fixa'}`);
+      this.conformalResiduals = [];
+      return null;
+    }
+    
+    return {
+      fitInput: inputTensor.slice(0, fitSize),
+      fitOutput: outputTensor.slice(0, fitSize),
+      calibrationInput: inputTensor.slice(total - calibrationSize),
+      calibrationOutput: outputTensor.slice(total - calibrationSize)
+    };
+  }
+  
+  /**
+   * Substitui os resíduos de calibração pelos das janelas reservadas no treino
+   * @param {Object|null} calibration - Tensores de calibração (splitCalibration)
+   */
+  calibrateFromTensors(calibration) {
+    if (!calibration) return;
+    
+    const outputs = this.predictModels(calibration.calibrationInput);
+    
+    this.conformalResiduals = [];
+    this.addConformalResiduals(this.getResidualRows(outputs, calibration.calibrationOutput.arraySync()));
+  }
+  
+  /**
+   * Calibra os intervalos com dados não usados no treino
+   *
+   * Permite calibrar modelos carregados sem resíduos (salvos antes da
+   * predição conforme) ou recalibrar com dados recentes, substituindo os
+   * resíduos anteriores.
+   * @param {Array|Object} data - Preços ou objeto com preços e variáveis exógenas
+   * @returns {Number} - Janelas de calibração disponíveis por passo
+   */
+  calibrateIntervals(data) {
+    this.conformalResiduals = this.appendResiduals([], this.getCalibrationResiduals(data));
+    return this.conformalResiduals[0].length;
+  }
+  
+  /**
+   * Atualiza a janela móvel de calibração com janelas já observadas
+   *
+   * Atualização explícita do modo rolling: os resíduos das janelas de data
+   * (cujo horizonte inteiro já é conhecido) entram na calibração e apenas os
+   * calibrationWindow mais recentes de cada passo são mantidos. A avaliação
+   * não altera a calibração.
+   * @param {Array|Object} data - Preços ou objeto com preços e variáveis exógenas
+   * @returns {Number} - Janelas de calibração disponíveis por passo
+   */
+  updateCalibration(data) {
+    if (this.config.conformalMode !== 'rolling') {
+      throw new Error("updateCalibration() requer conformalMode 'rolling'. Use calibrateIntervals() para recalibrar.");
+    }
+    
+    this.addConformalResiduals(this.getCalibrationResiduals(data));
+    return this.conformalResiduals[0].length;
+  }
+  
+  /**
+   * Resíduos das janelas de calibração de uma série
+   * @param {Array|Object} data - Preços ou objeto com preços e variáveis exógenas
+   * @returns {Array} - Resíduos normalizados [amostra][passo]
+   */
+  getCalibrationResiduals(data) {
+    if (!this.trained) {
+      throw new Error('Modelo não treinado. Execute trainEnhanced() primeiro.');
+    }
+    
+    const { inputTensor, outputTensor } = this.prepareEnhancedData(data, false);
+    
+    try {
+      return this.getResidualRows(this.predictModels(inputTensor), outputTensor.arraySync());
+    } finally {
+      inputTensor.dispose();
+      outputTensor.dispose();
     }
   }
   
   /**
    * Faz previsões com intervalos de confiança
-   * @param {Object} data - Objeto com preços recentes e variáveis exógenas
+   *
+   * As variáveis exógenas seguem, em cada passo da previsão recursiva, a
+   * trajetória de data.futureExogenous (ex.: expectativas do Focus) ou, sem
+   * ela, a projeção de cada série (exogenousProjection).
+   *
+   * Os intervalos vêm dos resíduos de calibração de cada passo (conformal);
+   * sem calibração, da dispersão do ensemble ou de uma banda fixa de 5%.
+   * @param {Object} data - Objeto com preços recentes, variáveis exógenas e trajetórias futuras (futureExogenous)
    * @param {Number} days - Número de dias a prever
-   * @returns {Object} - Previsões com intervalos de confiança
+   * @returns {Object} - Previsões com intervalos de confiança, o método dos intervalos e as trajetórias exógenas usadas
    */
   async predictWithConfidence(data, days = 30) {
     if (!this.trained) {
@@ -274,179 +489,41 @@ export class PriceForecasterEnhanced extends PriceForecaster {
     }
     
     try {
-      // Extrair preços
-      const recentPrices = data.prices || data;
+      const { lastWindow, lastExogenous, exogenousPaths } = this.preparePredictionState(data, days);
       
-      // Garantir que temos dados suficientes
-      if (recentPrices.length < this.config.windowSize) {
-        throw new Error(`São necessários pelo menos ${this.config.windowSize} pontos de dados para previsão.`);
-      }
-      
-      // Pegar os últimos windowSize preços
-      let lastWindow = recentPrices.slice(-this.config.windowSize);
-      
-      // Normalizar preços
-      lastWindow = lastWindow.map(x => (x - this.meanStd.mean) / this.meanStd.std);
-      
-      // Preparar variáveis exógenas, se disponíveis
-      let lastExogenous = {};
-      
-      if (this.config.useExogenousVariables && data.exogenous) {
-        Object.keys(data.exogenous).forEach(varName => {
-          const values = data.exogenous[varName];
-          const lastValues = values.slice(-this.config.windowSize);
-          
-          // Normalizar
-          if (this.exogenousNormalizers[varName]) {
-            lastExogenous[varName] = lastValues.map(x => 
-              (x - this.exogenousNormalizers[varName].mean) / this.exogenousNormalizers[varName].std
-            );
-          } else {
-            // Se não tiver normalizador, usar valores brutos
-            lastExogenous[varName] = lastValues;
-          }
-        });
-      }
+      const intervalMethod = this.getIntervalMethod();
+      const quantiles = intervalMethod === 'conformal' ? this.getConformalQuantiles() : null;
       
       // Arrays para armazenar previsões
       const predictions = [];
       const lowerBounds = [];
       const upperBounds = [];
       
-      // Fazer previsões recursivas
-      for (let i = 0; i < days; i++) {
-        // Se usando ensemble, obter previsões de todos os modelos
-        if (this.config.useEnsemble && this.ensembleModels.length > 0) {
-          const modelPredictions = [];
-          
-          // Obter previsão de cada modelo
-          for (const model of this.ensembleModels) {
-            // Preparar entrada
-            let input;
-            
-            if (this.config.useExogenousVariables && Object.keys(lastExogenous).length > 0) {
-              // Combinar preço com variáveis exógenas
-              const inputData = [];
-              
-              for (let j = 0; j < this.config.windowSize; j++) {
-                const dataPoint = [lastWindow[j]];
-                
-                // Adicionar cada variável exógena
-                Object.keys(lastExogenous).forEach(varName => {
-                  if (lastExogenous[varName][j] !== undefined) {
-                    dataPoint.push(lastExogenous[varName][j]);
-                  } else {
-                    dataPoint.push(0);
-                  }
-                });
-                
-                inputData.push(dataPoint);
-              }
-              
-              input = tf.tensor3d([inputData], [1, this.config.windowSize, 1 + Object.keys(lastExogenous).length]);
-            } else {
-              // Usar apenas preços
-              input = tf.tensor3d([lastWindow.map(price => [price])], [1, this.config.windowSize, 1]);
-            }
-            
-            // Fazer previsão
-            const predictionTensor = model.predict(input);
-            const predictionValue = predictionTensor.dataSync()[0];
-            
-            modelPredictions.push(predictionValue);
-            
-            // Liberar tensores
-            input.dispose();
-            predictionTensor.dispose();
-          }
-          
-          // Calcular média e desvio padrão das previsões do ensemble
-          const meanPrediction = modelPredictions.reduce((sum, val) => sum + val, 0) / modelPredictions.length;
-          
-          const squaredDiffs = modelPredictions.map(val => Math.pow(val - meanPrediction, 2));
-          const variance = squaredDiffs.reduce((sum, val) => sum + val, 0) / modelPredictions.length;
-          const stdDev = Math.sqrt(variance);
+      // Cada passagem emite o horizonte inteiro (direta) ou um dia (recursiva);
+      // previsões além do horizonte treinado partem dos valores já previstos
+      while (predictions.length < days) {
+        const input = this.buildPredictionInput(lastWindow, lastExogenous, exogenousPaths, predictions.length);
+        
+        const outputs = this.predictModels(input).map(output => output[0]);
+        
+        input.dispose();
+        
+        const count = Math.min(outputs[0].length, days - predictions.length);
+        
+        for (let k = 0; k < count; k++) {
+          const values = outputs.map(output => output[k]);
+          const meanPrediction = values.reduce((sum, val) => sum + val, 0) / values.length;
           
-          // Calcular intervalos de confiança
-          const zScore = this.getZScore(this.config.confidenceInterval);
-          const lowerBound = meanPrediction - zScore * stdDev;
-          const upperBound = meanPrediction + zScore * stdDev;
+          const [lower, upper] = this.getIntervalBounds(intervalMethod, meanPrediction, values, predictions.length, quantiles);
           
-          // Adicionar à lista de previsões
           predictions.push(meanPrediction);
-          lowerBounds.push(lowerBound);
-          upperBounds.push(upperBound);
+          lowerBounds.push(lower);
+          upperBounds.push(upper);
           
-          // Atualizar janela para próxima previsão
+          // Atualizar janelas para a próxima passagem
           lastWindow.shift();
           lastWindow.push(meanPrediction);
-          
-          // Atualizar variáveis exógenas (simplificado - repetir último valor)
-          if (this.config.useExogenousVariables && Object.keys(lastExogenous).length > 0) {
-            Object.keys(lastExogenous).forEach(varName => {
-              const values = lastExogenous[varName];
-              values.shift();
-              values.push(values[values.length - 1]);
-            });
-          }
-        } else {
-          // Usar apenas o modelo principal
-          // Preparar entrada
-          let input;
-          
-          if (this.config.useExogenousVariables && Object.keys(lastExogenous).length > 0) {
-            // Combinar preço com variáveis exógenas
-            const inputData = [];
-            
-            for (let j = 0; j < this.config.windowSize; j++) {
-              const dataPoint = [lastWindow[j]];
-              
-              // Adicionar cada variável exógena
-              Object.keys(lastExogenous).forEach(varName => {
-                if (lastExogenous[varName][j] !== undefined) {
-                  dataPoint.push(lastExogenous[varName][j]);
-                } else {
-                  dataPoint.push(0);
-                }
-              });
-              
-              inputData.push(dataPoint);
-            }
-            
-            input = tf.tensor3d([inputData], [1, this.config.windowSize, 1 + Object.keys(lastExogenous).length]);
-          } else {
-            // Usar apenas preços
-            input = tf.tensor3d([lastWindow.map(price => [price])], [1, this.config.windowSize, 1]);
-          }
-          
-          // Fazer previsão
-          const predictionTensor = this.model.predict(input);
-          const predictionValue = predictionTensor.dataSync()[0];
-          
-          // Adicionar à lista de previsões
-          predictions.push(predictionValue);
-          
-          // Sem ensemble, usar erro histórico para intervalos de confiança
-          const historicalError = 0.05; // 5% de erro (simplificado)
-          lowerBounds.push(predictionValue * (1 - historicalError));
-          upperBounds.push(predictionValue * (1 + historicalError));
-          
-          // Atualizar janela para próxima previsão
-          lastWindow.shift();
-          lastWindow.push(predictionValue);
-          
-          // Atualizar variáveis exógenas (simplificado - repetir último valor)
-          if (this.config.useExogenousVariables && Object.keys(lastExogenous).length > 0) {
-            Object.keys(lastExogenous).forEach(varName => {
-              const values = lastExogenous[varName];
-              values.shift();
-              values.push(values[values.length - 1]);
-            });
-          }
-          
-          // Liberar tensores
-          input.dispose();
-          predictionTensor.dispose();
+          this.advanceExogenousWindow(lastExogenous, exogenousPaths, predictions.length - 1);
         }
       }
       
@@ -459,17 +536,616 @@ export class PriceForecasterEnhanced extends PriceForecaster {
         predictions: denormalizedPredictions,
         lowerBounds: denormalizedLowerBounds,
         upperBounds: denormalizedUpperBounds,
-        confidenceInterval: this.config.confidenceInterval
+        confidenceInterval: this.config.confidenceInterval,
+        intervalMethod,
+        exogenousPaths
       };
     } catch (error) {
       console.error('Erro ao fazer previsão:', error);
       throw error;
-    } finally {
-      // Liberar tensores
-      tf.disposeVariables();
     }
   }
   
+  /**
+   * Prepara as janelas normalizadas e as trajetórias exógenas de uma previsão
+   * @param {Array|Object} data - Preços recentes ou objeto com preços, variáveis exógenas e futureExogenous
+   * @param {Number} days - Número de dias a prever
+   * @returns {Object} - { lastWindow, lastExogenous, exogenousPaths }
+   */
+  preparePredictionState(data, days) {
+    // Extrair preços
+    const recentPrices = data.prices || data;
+    
+    // Garantir que temos dados suficientes
+    if (recentPrices.length < this.config.windowSize) {
+      throw new Error(`São necessários pelo menos ${this.config.windowSize} pontos de dados para previsão.`);
+    }
+    
+    // Pegar e normalizar os últimos windowSize preços
+    const lastWindow = recentPrices.slice(-this.config.windowSize)
+      .map(x => (x - this.meanStd.mean) / this.meanStd.std);
+    
+    // Preparar variáveis exógenas, se disponíveis
+    const lastExogenous = {};
+    
+    if (this.config.useExogenousVariables && data.exogenous) {
+      Object.keys(data.exogenous).forEach(varName => {
+        const values = data.exogenous[varName];
+        const lastValues = values.slice(-this.config.windowSize);
+        
+        // Normalizar
+        if (this.exogenousNormalizers[varName]) {
+          lastExogenous[varName] = lastValues.map(x => 
+            (x - this.exogenousNormalizers[varName].mean) / this.exogenousNormalizers[varName].std
+          );
+        } else {
+          // Se não tiver normalizador, usar valores brutos
+          lastExogenous[varName] = lastValues;
+        }
+      });
+    }
+    
+    // Trajetórias futuras das variáveis exógenas (valores brutos, um por dia previsto)
+    const exogenousPaths = Object.keys(lastExogenous).length > 0
+      ? this.projectExogenousVariables(data, days)
+      : {};
+    
+    return { lastWindow, lastExogenous, exogenousPaths };
+  }
+  
+  /**
+   * Gera a distribuição preditiva dos preços
+   *
+   * No modo quantile, os quantis vêm da saída da rede treinada com perda
+   * pinball (além do horizonte treinado, os blocos seguintes partem da
+   * mediana); no mcdropout, de mcSamples trajetórias com dropout ativo, cada
+   * uma realimentada com os próprios valores e distribuídas entre os modelos
+   * do ensemble.
+   * @param {Array|Object} data - Preços recentes ou objeto com preços, variáveis exógenas e futureExogenous
+   * @param {Number} days - Número de dias a prever
+   * @returns {Object} - { mode, predictions (mediana), levels, quantiles por nível, samples (mcdropout), exogenousPaths }
+   */
+  async predictDistribution(data, days = 30) {
+    if (!this.trained) {
+      throw new Error('Modelo não treinado. Execute trainEnhanced() primeiro.');
+    }
+    
+    if (this.config.distributionMode !== 'quantile' && this.config.distributionMode !== 'mcdropout') {
+      throw new Error("Distribuição preditiva requer distributionMode 'quantile' ou 'mcdropout'.");
+    }
+    
+    try {
+      const state = this.preparePredictionState(data, days);
+      const levels = this.config.quantileLevels;
+      const quantiles = {};
+      let samples = null;
+      
+      if (this.config.distributionMode === 'quantile') {
+        const paths = this.sampleQuantilePaths(state, days);
+        levels.forEach((level, i) => {
+          quantiles[level] = this.denormalize(paths[i]);
+        });
+      } else {
+        samples = this.sampleDropoutPaths(state, days).map(path => this.denormalize(path));
+        
+        levels.forEach(level => {
+          quantiles[level] = Array.from({ length: days }, (_, d) => (
+            empiricalQuantile(samples.map(path => path[d]).sort((a, b) => a - b), level)
+          ));
+        });
+      }
+      
+      return {
+        mode: this.config.distributionMode,
+        predictions: quantiles[levels[this.getMedianIndex()]],
+        levels,
+        quantiles,
+        samples,
+        exogenousPaths: state.exogenousPaths
+      };
+    } catch (error) {
+      console.error('Erro ao gerar distribuição preditiva:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Trajetórias dos quantis no modo quantile (valores normalizados)
+   * @param {Object} state - Janelas e trajetórias exógenas (preparePredictionState)
+   * @param {Number} days - Número de dias a prever
+   * @returns {Array} - [quantil][dia]
+   */
+  sampleQuantilePaths(state, days) {
+    const { lastWindow, lastExogenous, exogenousPaths } = state;
+    const models = this.getPredictionModels();
+    const paths = this.config.quantileLevels.map(() => []);
+    const medianIndex = this.getMedianIndex();
+    let window = [...lastWindow];
+    
+    while (paths[0].length < days) {
+      const offset = paths[0].length;
+      const input = this.buildPredictionInput(window, lastExogenous, exogenousPaths, offset);
+      
+      const outputs = models.map(model => {
+        const predictionTensor = model.predict(input);
+        const row = predictionTensor.arraySync()[0];
+        
+        predictionTensor.dispose();
+        return this.splitQuantiles(row);
+      });
+      
+      input.dispose();
+      
+      const count = Math.min(outputs[0][0].length, days - offset);
+      
+      for (let k = 0; k < count; k++) {
+        // Média entre os modelos, reordenada para que os quantis não se cruzem
+        const values = paths
+          .map((_, i) => outputs.reduce((sum, output) => sum + output[i][k], 0) / outputs.length)
+          .sort((a, b) => a - b);
+        
+        values.forEach((value, i) => paths[i].push(value));
+        window = [...window.slice(1), values[medianIndex]];
+        this.advanceExogenousWindow(lastExogenous, exogenousPaths, offset + k);
+      }
+    }
+    
+    return paths;
+  }
+  
+  /**
+   * Trajetórias amostradas com dropout ativo no modo mcdropout (valores normalizados)
+   * @param {Object} state - Janelas e trajetórias exógenas (preparePredictionState)
+   * @param {Number} days - Número de dias a prever
+   * @returns {Array} - [amostra][dia]
+   */
+  sampleDropoutPaths(state, days) {
+    const { lastWindow, lastExogenous, exogenousPaths } = state;
+    const models = this.getPredictionModels();
+    const paths = Array.from({ length: this.config.mcSamples }, () => []);
+    const windows = paths.map(() => [...lastWindow]);
+    
+    while (paths[0].length < days) {
+      const offset = paths[0].length;
+      const input = tf.tidy(() => tf.concat(
+        windows.map(window => this.buildPredictionInput(window, lastExogenous, exogenousPaths, offset))
+      ));
+      
+      // Cada passagem em modo de treino sorteia máscaras de dropout diferentes por amostra
+      const outputs = models.map(model => {
+        const outputTensor = tf.tidy(() => model.apply(input, { training: true }));
+        const values = outputTensor.arraySync();
+        
+        outputTensor.dispose();
+        return values;
+      });
+      
+      input.dispose();
+      
+      const count = Math.min(outputs[0][0].length, days - offset);
+      
+      paths.forEach((path, s) => {
+        const values = outputs[s % models.length][s].slice(0, count);
+        
+        path.push(...values);
+        windows[s] = [...windows[s], ...values].slice(-this.config.windowSize);
+      });
+      
+      for (let k = 0; k < count; k++) {
+        this.advanceExogenousWindow(lastExogenous, exogenousPaths, offset + k);
+      }
+    }
+    
+    return paths;
+  }
+  
+  /**
+   * Probabilidade de o preço ficar abaixo de um valor em um dia previsto
+   *
+   * Com amostras (mcdropout), é a fração das trajetórias abaixo do valor; com
+   * quantis, a função de distribuição é interpolada linearmente entre eles e
+   * extrapolada pelos segmentos extremos, limitada a [0, 1].
+   * @param {Object} distribution - Resultado de predictDistribution
+   * @param {Number} threshold - Valor de referência (ex.: valor patrimonial da cota)
+   * @param {Number} day - Dia previsto (1 = primeiro; padrão, o último)
+   * @returns {Number} - Probabilidade (0-1)
+   */
+  probabilityBelow(distribution, threshold, day = distribution.predictions.length) {
+    const index = day - 1;
+    
+    if (distribution.samples) {
+      const below = distribution.samples.filter(path => path[index] < threshold).length;
+      return below / distribution.samples.length;
+    }
+    
+    const { levels } = distribution;
+    
+    if (levels.length < 2) {
+      throw new Error('São necessários pelo menos dois quantis para estimar probabilidades.');
+    }
+    
+    const values = levels.map(level => distribution.quantiles[level][index]);
+    const above = values.findIndex(value => value > threshold);
+    
+    // Valor acima de todos os quantis: extrapolar pelo último segmento
+    const segment = above === -1 ? levels.length - 2 : Math.max(0, above - 1);
+    const [lowerValue, upperValue] = [values[segment], values[segment + 1]];
+    const [lowerLevel, upperLevel] = [levels[segment], levels[segment + 1]];
+    
+    const probability = upperValue > lowerValue
+      ? lowerLevel + ((threshold - lowerValue) / (upperValue - lowerValue)) * (upperLevel - lowerLevel)
+      : (threshold < lowerValue ? lowerLevel : upperLevel);
+    
+    return Math.min(1, Math.max(0, probability));
+  }
+  
+  /**
+   * Gera uma trajetória de previsão para cada cenário das variáveis exógenas
+   *
+   * Cada cenário altera a trajetória base (informada ou projetada) de uma ou
+   * mais variáveis: um número é somado a todos os dias (ex.: { SELIC: 1 }
+   * para Selic +100bps em % a.a.), um array substitui a trajetória e uma
+   * função (valor, passo) => valor permite choques graduais.
+   * @param {Object} data - Objeto com preços recentes, variáveis exógenas e trajetórias futuras (futureExogenous)
+   * @param {Object} scenarios - Cenários por nome ({ 'Selic +100bps': { SELIC: 1 } })
+   * @param {Number} days - Número de dias a prever
+   * @returns {Promise<Object>} - { baseline, scenarios } com uma previsão por cenário
+   */
+  async predictScenarios(data, scenarios = {}, days = 30) {
+    if (!data.exogenous || Object.keys(data.exogenous).length === 0) {
+      throw new Error('Cenários exigem variáveis exógenas (data.exogenous).');
+    }
+    
+    const basePaths = this.projectExogenousVariables(data, days);
+    const baseline = await this.predictWithConfidence({ ...data, futureExogenous: basePaths }, days);
+    const results = {};
+    
+    for (const [name, shocks] of Object.entries(scenarios)) {
+      const paths = { ...basePaths };
+      
+      Object.entries(shocks).forEach(([varName, shock]) => {
+        if (!paths[varName]) {
+          console.warn(`Cenário ${name}: variável ${varName} não faz parte do modelo e foi ignorada`);
+          return;
+        }
+        
+        if (Array.isArray(shock)) {
+          paths[varName] = this.extendPath(shock, days);
+        } else if (typeof shock === 'function') {
+          paths[varName] = paths[varName].map((value, step) => shock(value, step));
+        } else {
+          paths[varName] = paths[varName].map(value => value + shock);
+        }
+      });
+      
+      results[name] = await this.predictWithConfidence({ ...data, futureExogenous: paths }, days);
+    }
+    
+    return { baseline, scenarios: results };
+  }
+  
+  /**
+   * Obtém a trajetória futura de cada variável exógena
+   * @param {Object} data - Objeto com variáveis exógenas e trajetórias futuras (futureExogenous)
+   * @param {Number} days - Número de dias a prever
+   * @returns {Object} - Trajetória (valores brutos) por variável
+   */
+  projectExogenousVariables(data, days) {
+    const future = data.futureExogenous || {};
+    const paths = {};
+    
+    Object.keys(data.exogenous || {}).forEach(varName => {
+      // Trajetória informada mais curta que o horizonte: o último valor se mantém
+      paths[varName] = future[varName] && future[varName].length > 0
+        ? this.extendPath(future[varName], days)
+        : this.projectExogenousSeries(varName, data.exogenous[varName], days);
+    });
+    
+    return paths;
+  }
+  
+  /**
+   * Projeta uma variável exógena com um modelo próprio
+   * @param {String} varName - Nome da variável
+   * @param {Array} values - Histórico da variável
+   * @param {Number} days - Número de dias a prever
+   * @returns {Array} - Valores projetados
+   */
+  projectExogenousSeries(varName, values, days) {
+    const recent = values.slice(-this.config.exogenousHistory);
+    const last = recent[recent.length - 1];
+    
+    // Séries constantes no período (ex.: Selic entre reuniões do Copom) não têm o que projetar
+    if (this.config.exogenousProjection === 'last' || recent.length < 10 || recent.every(value => value === last)) {
+      return new Array(days).fill(last);
+    }
+    
+    try {
+      const model = new ExponentialSmoothingForecaster({ trend: 'damped', seasonal: 'none', storage: 'memory' });
+      model.fit(recent);
+      
+      return model.forecast(recent, days).predictions;
+    } catch (error) {
+      console.warn(`Não foi possível projetar ${varName}, repetindo o último valor:`, error.message);
+      return new Array(days).fill(last);
+    }
+  }
+  
+  /**
+   * Ajusta uma trajetória ao horizonte, repetindo o último valor
+   * @param {Array} path - Trajetória informada
+   * @param {Number} days - Número de dias a prever
+   * @returns {Array} - Trajetória com days valores
+   */
+  extendPath(path, days) {
+    const extended = path.slice(0, days);
+    
+    while (extended.length < days) {
+      extended.push(extended[extended.length - 1]);
+    }
+    
+    return extended;
+  }
+  
+  /**
+   * Monta a entrada da rede para uma passagem de previsão
+   * @param {Array} priceWindow - Janela de preços normalizados
+   * @param {Object} windows - Janelas normalizadas das variáveis exógenas
+   * @param {Object} paths - Trajetórias futuras (valores brutos)
+   * @param {Number} offset - Dias já previstos antes desta passagem
+   * @returns {tf.Tensor3D} - Entrada [1, passos, dimensão]
+   */
+  buildPredictionInput(priceWindow, windows, paths, offset) {
+    const varNames = Object.keys(windows);
+    
+    if (varNames.length === 0) {
+      return tf.tensor3d([priceWindow.map(price => [price])], [1, this.config.windowSize, 1]);
+    }
+    
+    const inputSteps = this.getInputSteps(true);
+    const inputData = [];
+    
+    for (let j = 0; j < inputSteps; j++) {
+      if (j < this.config.windowSize) {
+        inputData.push([priceWindow[j], ...varNames.map(varName => (
+          windows[varName][j] !== undefined ? windows[varName][j] : 0
+        ))]);
+      } else {
+        // Dias previstos: trajetória exógena (último valor se o pedido não cobrir o horizonte treinado)
+        inputData.push([0, ...varNames.map(varName => {
+          const path = paths[varName];
+          return this.normalizeExogenousValue(varName, path[Math.min(offset + j - this.config.windowSize, path.length - 1)]);
+        })]);
+      }
+    }
+    
+    return tf.tensor3d([inputData], [1, inputSteps, 1 + varNames.length]);
+  }
+  
+  /**
+   * Normaliza um valor de variável exógena com os parâmetros do treinamento
+   * @param {String} varName - Nome da variável
+   * @param {Number} value - Valor bruto
+   * @returns {Number} - Valor normalizado (bruto se a variável não tiver normalizador)
+   */
+  normalizeExogenousValue(varName, value) {
+    const normalizer = this.exogenousNormalizers[varName];
+    return normalizer ? (value - normalizer.mean) / normalizer.std : value;
+  }
+  
+  /**
+   * Avança a janela das variáveis exógenas com o valor do dia previsto
+   * @param {Object} windows - Janelas normalizadas por variável (alteradas no lugar)
+   * @param {Object} paths - Trajetórias futuras (valores brutos)
+   * @param {Number} step - Passo da previsão
+   */
+  advanceExogenousWindow(windows, paths, step) {
+    Object.keys(windows).forEach(varName => {
+      windows[varName].shift();
+      windows[varName].push(this.normalizeExogenousValue(varName, paths[varName][step]));
+    });
+  }
+  
+  /**
+   * Previsões normalizadas de cada modelo usado na previsão pontual
+   * @param {tf.Tensor} inputTensor - Entradas [amostras, passos, dimensão]
+   * @returns {Array} - [modelo][amostra][passo do horizonte]
+   */
+  predictModels(inputTensor, models = this.getPredictionModels()) {
+    return models.map(model => {
+      const predictionTensor = model.predict(inputTensor);
+      const values = predictionTensor.arraySync();
+      
+      predictionTensor.dispose();
+      
+      // No modo quantile, a previsão pontual é a mediana
+      return this.config.distributionMode === 'quantile'
+        ? values.map(row => this.splitQuantiles(row)[this.getMedianIndex()])
+        : values;
+    });
+  }
+  
+  /**
+   * Modelos usados na previsão (ensemble, se treinado, ou o modelo principal)
+   * @returns {Array} - Modelos TensorFlow.js
+   */
+  getPredictionModels() {
+    return this.config.useEnsemble && this.ensembleModels.length > 0 ? this.ensembleModels : [this.model];
+  }
+  
+  /**
+   * Separa a saída da rede no modo quantile
+   * @param {Array} row - Saída de uma amostra [passos * quantis]
+   * @returns {Array} - [quantil][passo]
+   */
+  splitQuantiles(row) {
+    const outputSize = this.getOutputSize();
+    return this.config.quantileLevels.map((_, i) => row.slice(i * outputSize, (i + 1) * outputSize));
+  }
+  
+  /**
+   * Posição do quantil mais próximo da mediana em quantileLevels
+   * @returns {Number} - Índice
+   */
+  getMedianIndex() {
+    const levels = this.config.quantileLevels;
+    return levels.reduce((best, level, i) => (Math.abs(level - 0.5) < Math.abs(levels[best] - 0.5) ? i : best), 0);
+  }
+  
+  /**
+   * Resíduos absolutos da previsão pontual (média dos modelos)
+   * @param {Array} outputs - Previsões de cada modelo (predictModels)
+   * @param {Array} actual - Alvos [amostra][passo]
+   * @returns {Array} - Resíduos normalizados [amostra][passo]
+   */
+  getResidualRows(outputs, actual) {
+    return actual.map((row, n) => row.map((value, k) => {
+      const mean = outputs.reduce((sum, output) => sum + output[n][k], 0) / outputs.length;
+      return Math.abs(value - mean);
+    }));
+  }
+  
+  /**
+   * Acrescenta resíduos à calibração, mantendo os calibrationWindow mais recentes no modo rolling
+   * @param {Array} rows - Resíduos [amostra][passo]
+   */
+  addConformalResiduals(rows) {
+    this.conformalResiduals = this.appendResiduals(this.conformalResiduals, rows);
+  }
+  
+  /**
+   * Acrescenta resíduos a uma cópia de um conjunto de calibração
+   * @param {Array} residualsByStep - Resíduos por passo do horizonte
+   * @param {Array} rows - Resíduos [amostra][passo]
+   * @returns {Array} - Novo conjunto (com os calibrationWindow mais recentes no modo rolling)
+   */
+  appendResiduals(residualsByStep, rows) {
+    const updated = residualsByStep.map(residuals => [...residuals]);
+    
+    rows.forEach(row => row.forEach((residual, k) => {
+      updated[k] = updated[k] || [];
+      updated[k].push(residual);
+    }));
+    
+    return this.config.conformalMode === 'rolling'
+      ? updated.map(residuals => residuals.slice(-this.config.calibrationWindow))
+      : updated;
+  }
+  
+  /**
+   * Método efetivo dos intervalos
+   * @returns {String} - conformal (com resíduos de calibração), ensemble ou fixed
+   */
+  getIntervalMethod() {
+    if (this.config.intervalMethod === 'conformal' && this.conformalResiduals.length > 0) {
+      return 'conformal';
+    }
+    
+    return this.config.useEnsemble && this.ensembleModels.length > 0 ? 'ensemble' : 'fixed';
+  }
+  
+  /**
+   * Quantil conforme dos resíduos de cada passo
+   *
+   * Com n resíduos, o ceil((n + 1) * confiança)-ésimo menor garante cobertura
+   * de pelo menos confidenceInterval para novas janelas da mesma distribuição.
+   * @param {Array} residualsByStep - Resíduos por passo (padrão: calibração do modelo)
+   * @returns {Array} - Meia largura normalizada por passo do horizonte
+   */
+  getConformalQuantiles(residualsByStep = this.conformalResiduals) {
+    return residualsByStep.map(residuals => {
+      const sorted = [...residuals].sort((a, b) => a - b);
+      const rank = Math.ceil((sorted.length + 1) * this.config.confidenceInterval);
+      
+      return sorted[Math.min(rank, sorted.length) - 1];
+    });
+  }
+  
+  /**
+   * Limites do intervalo de um dia previsto (valores normalizados)
+   *
+   * Além dos passos calibrados, a meia largura do último passo cresce com a
+   * raiz da distância, sem a garantia de cobertura da calibração.
+   * @param {String} method - Método dos intervalos (getIntervalMethod)
+   * @param {Number} mean - Previsão pontual
+   * @param {Array} values - Previsões de cada modelo
+   * @param {Number} step - Dia previsto (0 = primeiro)
+   * @param {Array} quantiles - Quantis conformes por passo (método conformal)
+   * @returns {Array} - [inferior, superior]
+   */
+  getIntervalBounds(method, mean, values, step, quantiles) {
+    if (method === 'conformal') {
+      const last = quantiles.length - 1;
+      const halfWidth = step <= last
+        ? quantiles[step]
+        : quantiles[last] * Math.sqrt((step + 1) / quantiles.length);
+      
+      return [mean - halfWidth, mean + halfWidth];
+    }
+    
+    if (method === 'ensemble') {
+      // Intervalo pela dispersão das previsões do ensemble
+      const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
+      const zScore = this.getZScore(this.config.confidenceInterval);
+      
+      return [mean - zScore * Math.sqrt(variance), mean + zScore * Math.sqrt(variance)];
+    }
+    
+    // Sem calibração nem ensemble, usar erro histórico para intervalos de confiança
+    const historicalError = 0.05; // 5% de erro (simplificado)
+    return [mean * (1 - historicalError), mean * (1 + historicalError)];
+  }
+  
+  /**
+   * Cobertura empírica dos intervalos em janelas de teste
+   *
+   * No modo rolling, a cobertura simula a janela móvel: os resíduos de cada
+   * janela entram numa cópia da calibração assim que todo o seu horizonte é
+   * observado (horizonDays janelas depois). A calibração do modelo não é
+   * alterada; use updateCalibration() para incorporar os dados.
+   * @param {tf.Tensor} inputTensor - Entradas das janelas de teste
+   * @param {tf.Tensor} outputTensor - Alvos das janelas de teste
+   * @returns {Object} - { method, overall, byStep, intervalWidths } com larguras em reais
+   */
+  evaluateCoverage(inputTensor, outputTensor) {
+    const method = this.getIntervalMethod();
+    const outputs = this.predictModels(inputTensor);
+    const actual = outputTensor.arraySync();
+    const residuals = this.getResidualRows(outputs, actual);
+    const rolling = method === 'conformal' && this.config.conformalMode === 'rolling';
+    let residualsByStep = this.conformalResiduals;
+    
+    const hits = Array(this.getOutputSize()).fill(0);
+    const widths = Array(this.getOutputSize()).fill(0);
+    
+    actual.forEach((row, n) => {
+      if (rolling && n >= this.config.horizonDays) {
+        residualsByStep = this.appendResiduals(residualsByStep, [residuals[n - this.config.horizonDays]]);
+      }
+      
+      const quantiles = method === 'conformal' ? this.getConformalQuantiles(residualsByStep) : null;
+      
+      row.forEach((value, k) => {
+        const values = outputs.map(output => output[n][k]);
+        const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+        const [lower, upper] = this.denormalize(this.getIntervalBounds(method, mean, values, k, quantiles));
+        const observed = this.denormalize([value])[0];
+        
+        if (observed >= lower && observed <= upper) hits[k]++;
+        widths[k] += upper - lower;
+      });
+    });
+    
+    const byStep = hits.map(count => count / actual.length);
+    
+    return {
+      method,
+      overall: byStep.reduce((sum, value) => sum + value, 0) / byStep.length,
+      byStep,
+      intervalWidths: widths.map(width => width / actual.length)
+    };
+  }
+  
   /**
    * Obtém o valor Z para um determinado intervalo de confiança
    * @param {Number} confidenceInterval - Intervalo de confiança (0-1)
@@ -491,7 +1167,7 @@ export class PriceForecasterEnhanced extends PriceForecaster {
   /**
    * Avalia o modelo com métricas adicionais
    * @param {Array} testData - Dados de teste
-   * @returns {Object} - Métricas de avaliação
+   * @returns {Object} - Métricas de avaliação (gerais e por passo do horizonte em horizonMetrics), com a cobertura empírica dos intervalos
    */
   async evaluateEnhanced(testData) {
     if (!this.trained) {
@@ -502,23 +1178,23 @@ export class PriceForecasterEnhanced extends PriceForecaster {
       // Extrair preços
       const testPrices = testData.prices || testData;
       
-      // Preparar dados de teste
-      const { inputTensor, outputTensor } = this.prepareEnhancedData(testData);
-      
-      // Avaliar modelo
-      const evaluation = await this.model.evaluate(inputTensor, outputTensor);
-      const mse = evaluation.dataSync()[0];
+      // Preparar dados de teste com a normalização do treinamento
+      if (testPrices.length <= this.config.windowSize + this.config.horizonDays) {
+        throw new Error(`São necessários mais de ${this.config.windowSize + this.config.horizonDays} pontos de dados para avaliação.`);
+      }
       
-      // Calcular RMSE (Root Mean Squared Error)
-      const rmse = Math.sqrt(mse);
+      const { inputTensor, outputTensor } = this.prepareEnhancedData(testData, false);
       
-      // Fazer previsões para calcular outras métricas
-      const predictions = this.model.predict(inputTensor);
-      const predValues = predictions.dataSync();
+      // Previsões pontuais do modelo principal (mediana no modo quantile, cuja perda de treino é a pinball)
+      const predValues = this.predictModels(inputTensor, [this.model])[0].flat();
       const actualValues = outputTensor.dataSync();
       
+      // Calcular MSE (normalizado) e RMSE (Root Mean Squared Error)
+      const mse = predValues.reduce((sum, value, i) => sum + Math.pow(value - actualValues[i], 2), 0) / predValues.length;
+      const rmse = Math.sqrt(mse);
+      
       // Desnormalizar valores
-      const denormPred = this.denormalize(Array.from(predValues));
+      const denormPred = this.denormalize(predValues);
       const denormActual = this.denormalize(Array.from(actualValues));
       
       // Calcular MAPE (Mean Absolute Percentage Error)
@@ -548,24 +1224,29 @@ export class PriceForecasterEnhanced extends PriceForecaster {
       // Calcular R² (1 - SSres/SStot)
       const r2 = 1 - (r2Numerator / r2Denominator);
       
-      // Calcular direção correta (acerto na tendência de alta/baixa)
+      // Calcular direção correta (acerto na tendência de alta/baixa) no último passo do horizonte
+      const outputSize = this.getOutputSize();
+      const lastActual = denormActual.filter((_, i) => i % outputSize === outputSize - 1);
+      const lastPred = denormPred.filter((_, i) => i % outputSize === outputSize - 1);
       let correctDirection = 0;
-      for (let i = 1; i < denormActual.length; i++) {
-        const actualDirection = denormActual[i] > denormActual[i-1];
-        const predDirection = denormPred[i] > denormPred[i-1];
+      
+      for (let i = 1; i < lastActual.length; i++) {
+        const actualDirection = lastActual[i] > lastActual[i-1];
+        const predDirection = lastPred[i] > lastPred[i-1];
         
         if (actualDirection === predDirection) {
           correctDirection++;
         }
       }
       
-      const directionAccuracy = (correctDirection / (denormActual.length - 1)) * 100;
+      const directionAccuracy = (correctDirection / (lastActual.length - 1)) * 100;
+      
+      // Fração dos valores reais dentro dos intervalos, por passo do horizonte
+      const coverage = this.evaluateCoverage(inputTensor, outputTensor);
       
       // Liberar tensores
       inputTensor.dispose();
       outputTensor.dispose();
-      predictions.dispose();
-      evaluation.dispose();
       
       return {
         mse,
@@ -575,14 +1256,19 @@ export class PriceForecasterEnhanced extends PriceForecaster {
         r2,
         directionAccuracy,
         normalizedRMSE: rmse * this.meanStd.std,
-        sampleSize: denormActual.length
+        sampleSize: lastActual.length,
+        coverage: coverage.overall,
+        targetCoverage: this.config.confidenceInterval,
+        intervalMethod: coverage.method,
+        horizonMetrics: this.calculateHorizonMetrics(denormPred, denormActual).map((metric, k) => ({
+          ...metric,
+          coverage: coverage.byStep[k],
+          intervalWidth: coverage.intervalWidths[k]
+        }))
       };
     } catch (error) {
       console.error('Erro ao avaliar modelo:', error);
       throw error;
-    } finally {
-      // Liberar tensores
-      tf.disposeVariables();
     }
   }
   
@@ -597,21 +1283,23 @@ export class PriceForecasterEnhanced extends PriceForecaster {
     
     try {
       // Salvar modelo principal
-      await this.model.save('localstorage://lotus-invest-price-forecaster-enhanced');
+      await this.storage.saveModel(this.model, this.config.modelKey);
       
       // Salvar modelos do ensemble, se existirem
       if (this.config.useEnsemble && this.ensembleModels.length > 0) {
         for (let i = 0; i < this.ensembleModels.length; i++) {
-          await this.ensembleModels[i].save(`localstorage://lotus-invest-price-forecaster-ensemble-${i}`);
+          await this.storage.saveModel(this.ensembleModels[i], `${this.config.modelKey}-ensemble-${i}`);
         }
       }
       
-      // Salvar parâmetros de normalização e configuração
-      localStorage.setItem('lotus-invest-price-forecaster-enhanced-params', JSON.stringify({
+      // Salvar parâmetros de normalização e configuração (sem o adaptador de armazenamento)
+      const { storage, ...config } = this.config;
+      await this.storage.setItem(`${this.config.modelKey}-params`, {
         meanStd: this.meanStd,
         exogenousNormalizers: this.exogenousNormalizers,
-        config: this.config
-      }));
+        conformalResiduals: this.conformalResiduals,
+        config
+      });
       
       return true;
     } catch (error) {
@@ -627,10 +1315,10 @@ export class PriceForecasterEnhanced extends PriceForecaster {
   async loadEnhancedModel() {
     try {
       // Carregar modelo principal
-      this.model = await tf.loadLayersModel('localstorage://lotus-invest-price-forecaster-enhanced');
+      this.model = await this.storage.loadModel(this.config.modelKey);
       
       // Carregar parâmetros
-      const params = JSON.parse(localStorage.getItem('lotus-invest-price-forecaster-enhanced-params'));
+      const params = await this.storage.getItem(`${this.config.modelKey}-params`);
       
       if (!params) {
         throw new Error('Parâmetros do modelo não encontrados');
@@ -638,7 +1326,8 @@ export class PriceForecasterEnhanced extends PriceForecaster {
       
       this.meanStd = params.meanStd;
       this.exogenousNormalizers = params.exogenousNormalizers || {};
-      this.config = params.config;
+      this.conformalResiduals = params.conformalResiduals || [];
+      this.config = { ...this.config, strategy: 'recursive', distributionMode: 'point', ...params.config }; // Modelos anteriores à estratégia direta e às distribuições
       
       // Carregar modelos do ensemble, se configurado
       if (this.config.useEnsemble) {
@@ -646,7 +1335,7 @@ export class PriceForecasterEnhanced extends PriceForecaster {
         
         for (let i = 0; i < this.config.ensembleSize; i++) {
           try {
-            const model = await tf.loadLayersModel(`localstorage://lotus-invest-price-forecaster-ensemble-${i}`);
+            const model = await this.storage.loadModel(`${this.config.modelKey}-ensemble-${i}`);
             this.ensembleModels.push(model);
           } catch (error) {
             console.warn(`Não foi possível carregar modelo ${i} do ensemble:`, error);
@@ -664,6 +1353,63 @@ export class PriceForecasterEnhanced extends PriceForecaster {
     }
   }
   
+  /**
+   * Treina o ensemble (interface usada pelo PriceForecasterRegistry)
+   * @param {Array|Object} data - Preços históricos ou objeto com preços e variáveis exógenas
+   * @returns {Promise} - Histórico de treinamento
+   */
+  async train(data) {
+    return this.trainEnhanced(data);
+  }
+  
+  /**
+   * Faz previsões pontuais (média do ensemble)
+   * @param {Array|Object} data - Preços recentes ou objeto com preços e variáveis exógenas
+   * @param {Number} days - Número de dias a prever
+   * @returns {Promise<Array>} - Array com previsões
+   */
+  async predict(data, days = 30) {
+    const { predictions } = await this.predictWithConfidence(data, days);
+    return predictions;
+  }
+  
+  /**
+   * Avalia o modelo (interface usada pelo PriceForecasterRegistry)
+   * @param {Array|Object} testData - Dados de teste
+   * @returns {Promise<Object>} - Métricas de avaliação
+   */
+  async evaluate(testData) {
+    return this.evaluateEnhanced(testData);
+  }
+  
+  /**
+   * Salva o modelo e o ensemble na chave configurada
+   * @returns {Promise<boolean>} - Sucesso do salvamento
+   */
+  async saveModel() {
+    return this.saveEnhancedModel();
+  }
+  
+  /**
+   * Carrega o modelo e o ensemble da chave configurada
+   * @returns {Promise<boolean>} - Sucesso do carregamento
+   */
+  async loadModel() {
+    return this.loadEnhancedModel();
+  }
+  
+  /**
+   * Libera da memória o modelo principal e os modelos do ensemble
+   */
+  dispose() {
+    const models = new Set([this.model, ...this.ensembleModels].filter(Boolean));
+    models.forEach(model => model.dispose());
+    
+    this.model = null;
+    this.ensembleModels = [];
+    this.trained = false;
+  }
+  
   /**
    * Exporta o modelo para formato JSON
    * @returns {Object} - Modelo e parâmetros em formato JSON
@@ -678,10 +1424,12 @@ export class PriceForecasterEnhanced extends PriceForecaster {
       const modelJSON = await this.model.toJSON();
       
       // Exportar parâmetros
+      const { storage, ...config } = this.config;
       const params = {
         meanStd: this.meanStd,
         exogenousNormalizers: this.exogenousNormalizers,
-        config: this.config
+        conformalResiduals: this.conformalResiduals,
+        config
       };
       
       return {
@@ -707,7 +1455,8 @@ export class PriceForecasterEnhanced extends PriceForecaster {
       // Importar parâmetros
       this.meanStd = modelData.params.meanStd;
       this.exogenousNormalizers = modelData.params.exogenousNormalizers || {};
-      this.config = modelData.params.config;
+      this.conformalResiduals = modelData.params.conformalResiduals || [];
+      this.config = { ...this.config, strategy: 'recursive', distributionMode: 'point', ...modelData.params.config };
       
       this.trained = true;
       return true;
@@ -0,0 +1,408 @@
+// src/models/priceForecasterRegistry.js
+import { PriceForecaster } from './priceForecaster';
+import { createStorageAdapter } from '../utils/storageAdapter';
+
+/**
+ * Registro de modelos de previsão por ticker
+ *
+ * Mantém um PriceForecaster independente (modelo, parâmetros de normalização
+ * e metadados) para cada ticker ou, opcionalmente, para cada segmento,
+ * evitando que o modelo treinado para um FII seja reutilizado para outro.
+ * No modo por segmento o modelo é compartilhado, mas a normalização
+ * (média e desvio padrão) continua sendo a de cada ticker.
+ * Os modelos são carregados ou treinados sob demanda e persistidos no
+ * adaptador de armazenamento configurado.
+ */
+export class PriceForecasterRegistry {
+  constructor(config = {}) {
+    this.config = {
+      keyBy: config.keyBy || 'ticker', // ticker ou segment
+      keyPrefix: config.keyPrefix || 'lotus-invest-price-forecaster', // Prefixo das chaves de armazenamento
+      maxModelAge: config.maxModelAge || 7 * 24 * 60 * 60 * 1000, // 7 dias em ms antes de retreinar
+      maxInMemory: config.maxInMemory || 20, // Máximo de modelos mantidos em memória
+      persist: config.persist !== undefined ? config.persist : true, // Salvar modelos treinados
+      forecasterConfig: config.forecasterConfig || {}, // Configuração repassada a cada forecaster
+      ...config
+    };
+
+    this.storage = createStorageAdapter(config.storage);
+
+    // Fábrica de forecasters (permite usar outras implementações)
+    this.createForecaster = config.createForecaster ||
+      (forecasterConfig => new PriceForecaster(forecasterConfig));
+
+    this.entries = new Map(); // key -> { forecaster, metadata }
+    this.index = {}; // key -> metadata (inclui modelos apenas persistidos)
+    this.indexLoaded = false;
+  }
+
+  /**
+   * Obtém a chave do registro para um ticker
+   * @param {String} ticker - Código do FII
+   * @param {String} segment - Segmento do FII (opcional)
+   * @returns {String} - Chave do registro
+   */
+  getEntryKey(ticker, segment = null) {
+    if (this.config.keyBy === 'segment' && segment) {
+      return `segment:${segment.toLowerCase()}`;
+    }
+
+    return `ticker:${ticker.toUpperCase()}`;
+  }
+
+  /**
+   * Obtém a chave de armazenamento do modelo de uma entrada
+   * @param {String} key - Chave do registro
+   * @returns {String} - Chave de armazenamento
+   */
+  getStorageKey(key) {
+    return `${this.config.keyPrefix}-${key.replace(':', '-')}`;
+  }
+
+  /**
+   * Carrega o índice de modelos persistidos
+   * @returns {Promise<Number>} - Quantidade de modelos no índice
+   */
+  async loadIndex() {
+    try {
+      const index = await this.storage.getItem(`${this.config.keyPrefix}-registry`);
+      this.index = index || {};
+    } catch (error) {
+      console.warn('Erro ao carregar índice do registro de modelos:', error);
+      this.index = {};
+    }
+
+    this.indexLoaded = true;
+    return Object.keys(this.index).length;
+  }
+
+  /**
+   * Persiste o índice de modelos
+   * @returns {Promise<boolean>} - Sucesso da operação
+   */
+  async saveIndex() {
+    if (!this.config.persist) return false;
+
+    try {
+      await this.storage.setItem(`${this.config.keyPrefix}-registry`, this.index);
+      return true;
+    } catch (error) {
+      console.warn('Erro ao salvar índice do registro de modelos:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Obtém um forecaster treinado para o ticker, carregando ou treinando se necessário
+   * @param {String} ticker - Código do FII
+   * @param {Array|Object} prices - Preços históricos, ou { prices, exogenous } (usados se for preciso treinar)
+   * @param {Object} options - Opções (segment, forceRetrain)
+   * @returns {Promise<PriceForecaster>} - Forecaster treinado
+   */
+  async getForecaster(ticker, prices, options = {}) {
+    if (!this.indexLoaded) {
+      await this.loadIndex();
+    }
+
+    const key = this.getEntryKey(ticker, options.segment);
+
+    if (options.forceRetrain) {
+      return this.train(ticker, prices, options);
+    }
+
+    // 1. Modelo já em memória
+    const entry = this.entries.get(key);
+    if (entry && !this.isStale(entry.metadata)) {
+      entry.metadata.lastUsedAt = Date.now();
+      return this.bindTicker(entry, ticker, prices);
+    }
+
+    // 2. Modelo persistido
+    if (!entry && this.index[key] && !this.isStale(this.index[key])) {
+      const forecaster = this.createForecaster({
+        ...this.config.forecasterConfig,
+        storage: this.storage,
+        modelKey: this.getStorageKey(key)
+      });
+
+      const loaded = await forecaster.loadModel();
+
+      if (loaded) {
+        this.remember(key, forecaster, { ...this.index[key], lastUsedAt: Date.now() });
+        return this.bindTicker(this.entries.get(key), ticker, prices);
+      }
+
+      console.warn(`Modelo de ${key} não pôde ser carregado, retreinando`);
+    }
+
+    // 3. Treinar novo modelo
+    return this.train(ticker, prices, options);
+  }
+
+  /**
+   * Treina (ou retreina) o modelo de um ticker
+   * @param {String} ticker - Código do FII
+   * @param {Array|Object} prices - Preços históricos, ou { prices, exogenous } para forecasters com variáveis exógenas
+   * @param {Object} options - Opções (segment)
+   * @returns {Promise<PriceForecaster>} - Forecaster treinado
+   */
+  async train(ticker, prices, options = {}) {
+    const series = Array.isArray(prices) ? prices : (prices && prices.prices);
+
+    if (!series || series.length === 0) {
+      throw new Error(`Preços históricos não fornecidos para treinar o modelo de ${ticker}`);
+    }
+
+    const key = this.getEntryKey(ticker, options.segment);
+
+    const forecaster = this.createForecaster({
+      ...this.config.forecasterConfig,
+      storage: this.storage,
+      modelKey: this.getStorageKey(key)
+    });
+
+    console.log(`Treinando modelo de previsão para ${key} com ${series.length} pontos`);
+    await forecaster.train(prices);
+
+    const metadata = {
+      key,
+      ticker: ticker.toUpperCase(),
+      segment: options.segment || null,
+      storageKey: this.getStorageKey(key),
+      trainedAt: Date.now(),
+      lastUsedAt: Date.now(),
+      dataPoints: series.length,
+      meanStd: { ...forecaster.meanStd },
+      tickerStats: { [ticker.toUpperCase()]: { ...forecaster.meanStd } }, // Normalização de cada ticker do segmento
+      metrics: null
+    };
+
+    if (this.config.persist) {
+      try {
+        await forecaster.saveModel();
+      } catch (error) {
+        console.warn(`Erro ao salvar modelo de ${key}:`, error);
+      }
+    }
+
+    this.remember(key, forecaster, metadata);
+    this.index[key] = metadata;
+    await this.saveIndex();
+
+    return this.bindTicker(this.entries.get(key), ticker, prices);
+  }
+
+  /**
+   * Obtém o forecaster de uma entrada com a normalização do ticker
+   *
+   * Em entradas por segmento, devolve uma visão que delega ao forecaster
+   * compartilhado (mesmo modelo) com a média e o desvio padrão do ticker, de
+   * modo que predict e evaluate operem no nível de preço de cada FII.
+   * @param {Object} entry - Entrada do registro ({ forecaster, metadata })
+   * @param {String} ticker - Código do FII
+   * @param {Array|Object} prices - Preços históricos, ou { prices, exogenous } (normalização de tickers novos)
+   * @returns {Promise<PriceForecaster>} - Forecaster com a normalização do ticker
+   */
+  async bindTicker(entry, ticker, prices) {
+    const { forecaster, metadata } = entry;
+
+    if (!metadata.key.startsWith('segment:') || !forecaster.meanStd) {
+      return forecaster;
+    }
+
+    const symbol = ticker.toUpperCase();
+    metadata.tickerStats = metadata.tickerStats || {};
+    entry.views = entry.views || {};
+
+    if (!metadata.tickerStats[symbol]) {
+      const series = Array.isArray(prices) ? prices : (prices && prices.prices);
+
+      if (!series || series.length === 0) {
+        throw new Error(`Preços históricos não fornecidos para normalizar ${symbol} no modelo de ${metadata.key}`);
+      }
+
+      metadata.tickerStats[symbol] = this.calculateMeanStd(series);
+      this.index[metadata.key] = metadata;
+      await this.saveIndex();
+    }
+
+    if (!entry.views[symbol]) {
+      const view = Object.create(forecaster);
+      view.meanStd = { ...metadata.tickerStats[symbol] };
+      entry.views[symbol] = view;
+    }
+
+    return entry.views[symbol];
+  }
+
+  /**
+   * Calcula média e desvio padrão (populacional) de uma série, como na normalização dos forecasters
+   * @param {Array} series - Preços
+   * @returns {Object} - { mean, std }
+   */
+  calculateMeanStd(series) {
+    const mean = series.reduce((sum, value) => sum + value, 0) / series.length;
+    const variance = series.reduce((sum, value) => sum + (value - mean) ** 2, 0) / series.length;
+
+    return { mean, std: Math.sqrt(variance) || 1 };
+  }
+
+  /**
+   * Retreina o modelo de um ticker com novos dados
+   * @param {String} ticker - Código do FII
+   * @param {Array|Object} prices - Preços históricos, ou { prices, exogenous }
+   * @param {Object} options - Opções (segment)
+   * @returns {Promise<PriceForecaster>} - Forecaster retreinado
+   */
+  async retrain(ticker, prices, options = {}) {
+    await this.evict(ticker, { ...options, removeFromStorage: true });
+    return this.train(ticker, prices, options);
+  }
+
+  /**
+   * Avalia o modelo de um ticker e registra as métricas nos metadados
+   * @param {String} ticker - Código do FII
+   * @param {Array|Object} testPrices - Preços para teste, ou { prices, exogenous }
+   * @param {Object} options - Opções (segment)
+   * @returns {Promise<Object>} - Métricas de avaliação
+   */
+  async evaluate(ticker, testPrices, options = {}) {
+    const key = this.getEntryKey(ticker, options.segment);
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      throw new Error(`Nenhum modelo carregado para ${key}`);
+    }
+
+    const forecaster = await this.bindTicker(entry, ticker, testPrices);
+    const metrics = await forecaster.evaluate(testPrices);
+
+    entry.metadata.metrics = {
+      rmse: metrics.rmse,
+      mape: metrics.mape,
+      evaluatedAt: Date.now(),
+      sampleSize: (Array.isArray(testPrices) ? testPrices : testPrices.prices).length
+    };
+
+    this.index[key] = entry.metadata;
+    await this.saveIndex();
+
+    return metrics;
+  }
+
+  /**
+   * Remove o modelo de um ticker da memória (e opcionalmente do armazenamento)
+   * @param {String} ticker - Código do FII
+   * @param {Object} options - Opções (segment, removeFromStorage)
+   * @returns {Promise<boolean>} - Se havia uma entrada para remover
+   */
+  async evict(ticker, options = {}) {
+    if (!this.indexLoaded) {
+      await this.loadIndex();
+    }
+
+    const key = this.getEntryKey(ticker, options.segment);
+    const existed = this.entries.has(key) || Boolean(this.index[key]);
+
+    this.disposeEntry(key);
+
+    if (options.removeFromStorage && this.index[key]) {
+      try {
+        // Parâmetros primeiro: modelos estatísticos não possuem artefatos TensorFlow.js
+        await this.storage.removeItem(`${this.getStorageKey(key)}-params`);
+        await this.storage.removeModel(this.getStorageKey(key));
+      } catch (error) {
+        console.warn(`Erro ao remover parâmetros de ${key}:`, error);
+      }
+
+      delete this.index[key];
+      await this.saveIndex();
+    }
+
+    return existed;
+  }
+
+  /**
+   * Lista os modelos registrados (em memória e persistidos)
+   * @returns {Promise<Array>} - Metadados dos modelos
+   */
+  async list() {
+    if (!this.indexLoaded) {
+      await this.loadIndex();
+    }
+
+    const keys = new Set([...Object.keys(this.index), ...this.entries.keys()]);
+
+    return Array.from(keys).map(key => {
+      const metadata = this.entries.has(key) ? this.entries.get(key).metadata : this.index[key];
+
+      return {
+        ...metadata,
+        inMemory: this.entries.has(key),
+        stale: this.isStale(metadata)
+      };
+    }).sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Verifica se um modelo precisa ser retreinado pela idade
+   * @param {Object} metadata - Metadados do modelo
+   * @returns {Boolean} - Se o modelo está desatualizado
+   */
+  isStale(metadata) {
+    if (!metadata || !metadata.trainedAt) return true;
+    return (Date.now() - metadata.trainedAt) > this.config.maxModelAge;
+  }
+
+  /**
+   * Mantém um forecaster em memória, descartando o menos usado se necessário
+   * @param {String} key - Chave do registro
+   * @param {PriceForecaster} forecaster - Forecaster treinado
+   * @param {Object} metadata - Metadados do modelo
+   */
+  remember(key, forecaster, metadata) {
+    this.disposeEntry(key);
+    this.entries.set(key, { forecaster, metadata });
+
+    // Descartar modelos menos usados recentemente
+    while (this.entries.size > this.config.maxInMemory) {
+      let oldestKey = null;
+      let oldestUse = Infinity;
+
+      this.entries.forEach((entry, entryKey) => {
+        if (entry.metadata.lastUsedAt < oldestUse) {
+          oldestUse = entry.metadata.lastUsedAt;
+          oldestKey = entryKey;
+        }
+      });
+
+      this.disposeEntry(oldestKey);
+    }
+  }
+
+  /**
+   * Libera o modelo em memória de uma entrada
+   * @param {String} key - Chave do registro
+   */
+  disposeEntry(key) {
+    const entry = this.entries.get(key);
+
+    // Forecasters com vários modelos (ensemble) liberam todos eles
+    if (entry && typeof entry.forecaster.dispose === 'function') {
+      entry.forecaster.dispose();
+    } else if (entry && entry.forecaster.model) {
+      entry.forecaster.model.dispose();
+    }
+
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove todos os modelos da memória
+   * @returns {Boolean} - Sucesso da operação
+   */
+  clear() {
+    Array.from(this.entries.keys()).forEach(key => this.disposeEntry(key));
+    return true;
+  }
+}
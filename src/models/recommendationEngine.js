@@ -1,5 +1,7 @@
 // src/models/recommendationEngine.js
 import * as tf from '@tensorflow/tfjs';
+import { PortfolioOptimizer } from './portfolioOptimizer';
+import { FII_SEGMENTS, normalizeSegment, getKnownSegment } from '../utils/fiiSegments';
 
 /**
  * Classe para geração de recomendações personalizadas de investimento
@@ -27,6 +29,12 @@ export class RecommendationEngine {
         strongSell: config.thresholds?.strongSell || -0.7
       },
       
+      // Volume financeiro médio diário (R$) para as faixas de liquidez
+      liquidityThresholds: {
+        high: config.liquidityThresholds?.high || 5000000,
+        medium: config.liquidityThresholds?.medium || 1000000
+      },
+      
       // Configurações de personalização
       personalization: {
         riskTolerance: config.personalization?.riskTolerance || 'moderate', // low, moderate, high
@@ -35,6 +43,10 @@ export class RecommendationEngine {
         sectorPreferences: config.personalization?.sectorPreferences || {}
       },
       
+      // Configurações de segmento
+      segments: config.segments || {}, // Mapa ticker -> segmento (complementa fundamentalData.segment)
+      sectorTilt: config.sectorTilt !== undefined ? config.sectorTilt : 0.15, // Ajuste máximo do score pela preferência de segmento
+      
       // Configurações gerais
       useCache: config.useCache !== undefined ? config.useCache : true,
       cacheExpiration: config.cacheExpiration || 24 * 60 * 60 * 1000, // 24 horas em ms
@@ -101,12 +113,17 @@ export class RecommendationEngine {
       // Calcular score combinado com pesos ajustados por preferências
       const weights = this.adjustWeightsByPreferences(effectivePreferences);
       
-      const combinedScore = (
+      // Inclinação pela preferência do usuário pelo segmento do fundo
+      const segment = this.resolveSegment(ticker, fundamentalData);
+      const sectorScore = this.calculateSectorScore(segment, effectivePreferences.sectorPreferences);
+      
+      const combinedScore = Math.max(-1, Math.min(1, (
         priceScore * weights.priceForecasting +
         sentimentScore * weights.sentiment +
         anomalyScore * weights.anomalies +
-        fundamentalScore * weights.fundamentals
-      );
+        fundamentalScore * weights.fundamentals +
+        sectorScore * this.config.sectorTilt
+      )));
       
       // Determinar recomendação
       const recommendation = this.determineRecommendation(combinedScore);
@@ -119,13 +136,19 @@ export class RecommendationEngine {
         sentimentScore,
         anomalyScore,
         fundamentalScore,
-        mlResults
+        { fundamentals: fundamentalData, ...mlResults }
       );
       
+      const sectorReason = this.generateSectorReason(segment, sectorScore, effectivePreferences.sectorPreferences);
+      if (sectorReason) {
+        reasons.splice(reasons.length - 1, 0, sectorReason);
+      }
+      
       // Formatar resultado
       const result = {
         ticker,
         recommendation,
+        segment,
         score: parseFloat(combinedScore.toFixed(2)),
         confidence: this.calculateConfidence(mlResults),
         reasons,
@@ -133,7 +156,8 @@ export class RecommendationEngine {
           priceScore: parseFloat(priceScore.toFixed(2)),
           sentimentScore: parseFloat(sentimentScore.toFixed(2)),
           anomalyScore: parseFloat(anomalyScore.toFixed(2)),
-          fundamentalScore: parseFloat(fundamentalScore.toFixed(2))
+          fundamentalScore: parseFloat(fundamentalScore.toFixed(2)),
+          sectorScore: parseFloat(sectorScore.toFixed(2))
         },
         appliedPreferences: effectivePreferences,
         timestamp: new Date().toISOString()
@@ -173,13 +197,95 @@ export class RecommendationEngine {
       investmentHorizon: userPreferences.investmentHorizon || this.config.personalization.investmentHorizon,
       incomePreference: userPreferences.incomePreference !== undefined ? 
         userPreferences.incomePreference : this.config.personalization.incomePreference,
-      sectorPreferences: {
+      sectorPreferences: this.normalizeSectorPreferences({
         ...this.config.personalization.sectorPreferences,
         ...(userPreferences.sectorPreferences || {})
-      }
+      })
     };
   }
   
+  /**
+   * Padroniza as chaves das preferências de segmento
+   * @param {Object} sectorPreferences - Mapa segmento -> participação desejada
+   * @returns {Object} - Mapa com chaves de FII_SEGMENTS (segmentos não reconhecidos são descartados)
+   */
+  normalizeSectorPreferences(sectorPreferences) {
+    return Object.entries(sectorPreferences || {}).reduce((acc, [name, value]) => {
+      const segment = normalizeSegment(name);
+      
+      if (!segment) {
+        console.warn(`Segmento desconhecido nas preferências: ${name}`);
+      } else if (Number.isFinite(value) && value >= 0) {
+        acc[segment] = (acc[segment] || 0) + value;
+      }
+      
+      return acc;
+    }, {});
+  }
+  
+  /**
+   * Identifica o segmento de um FII
+   * @param {String} ticker - Código do FII
+   * @param {Object} fundamentalData - Dados fundamentalistas (campo segment, opcional)
+   * @returns {String|null} - Chave do segmento ou null se desconhecido
+   */
+  resolveSegment(ticker, fundamentalData) {
+    return normalizeSegment(fundamentalData?.segment) ||
+      normalizeSegment(this.config.segments[ticker]) ||
+      getKnownSegment(ticker);
+  }
+  
+  /**
+   * Calcula score de aderência do segmento às preferências do usuário
+   * 
+   * A participação desejada é comparada à participação neutra (divisão igual
+   * entre os segmentos citados): segmentos acima da neutra recebem score
+   * positivo e segmentos fora das preferências, -1.
+   * @param {String} segment - Chave do segmento
+   * @param {Object} sectorPreferences - Preferências normalizadas
+   * @returns {Number} - Score (-1 a 1); 0 sem preferências ou segmento desconhecido
+   */
+  calculateSectorScore(segment, sectorPreferences) {
+    const preferred = Object.keys(sectorPreferences || {}).filter(key => sectorPreferences[key] > 0);
+    
+    if (!segment || preferred.length === 0) {
+      return 0;
+    }
+    
+    const total = preferred.reduce((sum, key) => sum + sectorPreferences[key], 0);
+    const neutral = 1 / preferred.length;
+    const share = (sectorPreferences[segment] || 0) / total;
+    
+    return Math.max(-1, Math.min(1, (share - neutral) / neutral));
+  }
+  
+  /**
+   * Gera justificativa sobre o segmento do fundo
+   * @param {String} segment - Chave do segmento
+   * @param {Number} sectorScore - Score de aderência do segmento
+   * @param {Object} sectorPreferences - Preferências normalizadas
+   * @returns {String|null} - Justificativa ou null se não aplicável
+   */
+  generateSectorReason(segment, sectorScore, sectorPreferences) {
+    if (!segment || Object.keys(sectorPreferences || {}).length === 0) {
+      return null;
+    }
+    
+    const label = FII_SEGMENTS[segment];
+    const total = Object.values(sectorPreferences).reduce((sum, value) => sum + value, 0);
+    const share = total > 0 ? ((sectorPreferences[segment] || 0) / total) * 100 : 0;
+    
+    if (share === 0) {
+      return `Segmento ${label} não faz parte das suas preferências de alocação.`;
+    }
+    
+    if (sectorScore >= 0) {
+      return `Segmento ${label} alinhado às suas preferências (${share.toFixed(0)}% da carteira desejada).`;
+    }
+    
+    return `Segmento ${label} tem peso reduzido nas suas preferências (${share.toFixed(0)}% da carteira desejada).`;
+  }
+  
   /**
    * Ajusta pesos com base nas preferências
    * @param {Object} preferences - Preferências do usuário
@@ -302,15 +408,18 @@ export class RecommendationEngine {
       return 0;
     }
     
+    // Amortizações (capital_return) são devolução de capital, tratadas à parte nas justificativas
+    const incomeAnomalies = anomalies.anomalies.filter(anomaly => anomaly.type !== 'capital_return');
+    
     // Se não há anomalias, score neutro
-    if (anomalies.anomalies.length === 0) {
+    if (incomeAnomalies.length === 0) {
       return 0.1; // Ligeiramente positivo (ausência de anomalias é bom)
     }
     
     // Calcular score baseado nas anomalias detectadas
     let totalScore = 0;
     
-    anomalies.anomalies.forEach(anomaly => {
+    incomeAnomalies.forEach(anomaly => {
       // Determinar impacto da anomalia
       let anomalyImpact = 0;
       
@@ -319,6 +428,12 @@ export class RecommendationEngine {
         anomalyImpact = 0.5; // Impacto positivo
       } else if (anomaly.type === 'low_value') {
         anomalyImpact = -0.5; // Impacto negativo
+      } else if (anomaly.type === 'missed_payment') {
+        anomalyImpact = -0.8; // Distribuição não realizada
+      } else if (anomaly.type === 'late_payment') {
+        anomalyImpact = -0.3;
+      } else if (anomaly.type === 'extra_payment') {
+        anomalyImpact = 0.3;
       }
       
       // Ajustar pelo desvio percentual
@@ -336,9 +451,7 @@ export class RecommendationEngine {
     });
     
     // Normalizar pelo número de anomalias e limitar entre -1 e 1
-    if (anomalies.anomalies.length > 0) {
-      totalScore = totalScore / anomalies.anomalies.length;
-    }
+    totalScore = totalScore / incomeAnomalies.length;
     
     return Math.max(-1, Math.min(1, totalScore));
   }
@@ -357,7 +470,7 @@ export class RecommendationEngine {
     let factorsCount = 0;
     
     // P/VP (Price to Book Value)
-    if (fundamentals.pvp !== undefined) {
+    if (Number.isFinite(fundamentals.pvp)) {
       // P/VP ideal entre 0.7 e 1.1
       // Abaixo de 0.7 pode indicar problemas, acima de 1.1 pode estar caro
       if (fundamentals.pvp < 0.7) {
@@ -371,7 +484,7 @@ export class RecommendationEngine {
     }
     
     // Dividend Yield
-    if (fundamentals.dividendYield !== undefined) {
+    if (Number.isFinite(fundamentals.dividendYield)) {
       // Yield acima de 8% é muito bom, abaixo de 4% é fraco para FIIs
       if (fundamentals.dividendYield >= 8) {
         score += 0.8;
@@ -385,8 +498,8 @@ export class RecommendationEngine {
       factorsCount++;
     }
     
-    // Vacância
-    if (fundamentals.vacancy !== undefined) {
+    // Vacância (fundos de papel não têm vacância)
+    if (Number.isFinite(fundamentals.vacancy)) {
       // Vacância abaixo de 5% é excelente, acima de 15% é preocupante
       if (fundamentals.vacancy <= 5) {
         score += 0.7;
@@ -401,11 +514,12 @@ export class RecommendationEngine {
     }
     
     // Liquidez
-    if (fundamentals.liquidity !== undefined) {
+    const liquidity = this.resolveLiquidity(fundamentals);
+    if (liquidity) {
       // Liquidez alta é positiva
-      if (fundamentals.liquidity === 'high') {
+      if (liquidity === 'high') {
         score += 0.4;
-      } else if (fundamentals.liquidity === 'medium') {
+      } else if (liquidity === 'medium') {
         score += 0.2;
       } else {
         score -= 0.2; // Baixa liquidez é negativa
@@ -421,6 +535,25 @@ export class RecommendationEngine {
     return Math.max(-1, Math.min(1, score));
   }
   
+  /**
+   * Obtém a faixa de liquidez informada ou a deriva do volume médio negociado
+   * @param {Object} fundamentals - Dados fundamentalistas (liquidity ou averageDailyVolume em R$)
+   * @returns {String|null} - Faixa de liquidez (high, medium, low) ou null se desconhecida
+   */
+  resolveLiquidity(fundamentals) {
+    if (fundamentals.liquidity) {
+      return fundamentals.liquidity;
+    }
+    
+    if (!Number.isFinite(fundamentals.averageDailyVolume)) {
+      return null;
+    }
+    
+    if (fundamentals.averageDailyVolume >= this.config.liquidityThresholds.high) return 'high';
+    if (fundamentals.averageDailyVolume >= this.config.liquidityThresholds.medium) return 'medium';
+    return 'low';
+  }
+  
   /**
    * Determina recomendação com base no score combinado
    * @param {Number} score - Score combinado
@@ -575,6 +708,12 @@ export class RecommendationEngine {
           } else if (highValueAnomalies > 0 && lowValueAnomalies > 0) {
             reasons.push(`Detectada volatilidade anormal nos dividendos recentes.`);
           }
+          
+          // Amortizações não contam no score de anomalias, mas reduzem o patrimônio do fundo
+          const capitalReturns = recentAnomalies.filter(a => a.type === 'capital_return').length;
+          if (capitalReturns > 0) {
+            reasons.push(`${capitalReturns} amortização(ões) recente(s): parte das distribuições é devolução de capital, não rendimento.`);
+          }
         } else {
           reasons.push('Padrão estável de dividendos sem anomalias recentes.');
         }
@@ -587,7 +726,7 @@ export class RecommendationEngine {
     if (mlResults.fundamentals) {
       const fundamentals = mlResults.fundamentals;
       
-      if (fundamentals.dividendYield !== undefined) {
+      if (Number.isFinite(fundamentals.dividendYield)) {
         if (fundamentals.dividendYield >= 8) {
           reasons.push(`Dividend yield atrativo de ${fundamentals.dividendYield.toFixed(2)}%.`);
         } else if (fundamentals.dividendYield < 4) {
@@ -595,7 +734,7 @@ export class RecommendationEngine {
         }
       }
       
-      if (fundamentals.pvp !== undefined) {
+      if (Number.isFinite(fundamentals.pvp)) {
         if (fundamentals.pvp < 0.9) {
           reasons.push(`FII negociado com desconto em relação ao valor patrimonial (P/VP: ${fundamentals.pvp.toFixed(2)}).`);
         } else if (fundamentals.pvp > 1.2) {
@@ -603,13 +742,19 @@ export class RecommendationEngine {
         }
       }
       
-      if (fundamentals.vacancy !== undefined) {
+      if (Number.isFinite(fundamentals.vacancy)) {
         if (fundamentals.vacancy > 15) {
           reasons.push(`Taxa de vacância elevada (${fundamentals.vacancy.toFixed(1)}%).`);
         } else if (fundamentals.vacancy < 5) {
           reasons.push(`Taxa de vacância baixa (${fundamentals.vacancy.toFixed(1)}%).`);
         }
       }
+      
+      if (this.resolveLiquidity(fundamentals) === 'low') {
+        reasons.push(Number.isFinite(fundamentals.averageDailyVolume)
+          ? `Baixa liquidez (volume médio de R$ ${Math.round(fundamentals.averageDailyVolume).toLocaleString('pt-BR')} por pregão).`
+          : 'Baixa liquidez no mercado secundário.');
+      }
     }
     
     // Adicionar justificativa baseada na recomendação final
@@ -698,17 +843,27 @@ export class RecommendationEngine {
   
   /**
    * Gera um portfólio recomendado com base em múltiplos FIIs
+   * 
+   * Com dados de mercado (preços e dividendos por ticker), a alocação é
+   * calculada pelo PortfolioOptimizer; sem eles, os pesos são proporcionais
+   * ao score de cada recomendação.
    * @param {Array} recommendations - Lista de recomendações
-   * @param {Object} constraints - Restrições do portfólio
+   * @param {Object} constraints - Restrições do portfólio (maxRecommendations, method, targetReturn,
+   *   maxWeight, minWeight, maxSegmentWeight, segments, sectorPreferences, riskFreeRate)
+   * @param {Object} marketData - Mapa ticker -> { prices, dividends } (ver PortfolioOptimizer.loadMarketData)
    * @returns {Object} - Portfólio recomendado
    */
-  generatePortfolioRecommendation(recommendations, constraints = {}) {
-    // Implementação básica - em produção seria mais sofisticado
+  generatePortfolioRecommendation(recommendations, constraints = {}, marketData = null) {
     const portfolio = {
       recommendations: [],
       allocation: {},
+      method: 'score',
       expectedReturn: 0,
+      incomeYield: null,
+      volatility: null,
+      sharpeRatio: null,
       riskLevel: 'moderate',
+      excludedTickers: [],
       timestamp: new Date().toISOString()
     };
     
@@ -729,13 +884,55 @@ export class RecommendationEngine {
     const maxRecs = constraints.maxRecommendations || 5;
     const selectedRecs = positiveRecs.slice(0, maxRecs);
     
-    // Calcular alocação simples
-    const totalScore = selectedRecs.reduce((sum, rec) => sum + Math.max(0, rec.score), 0);
+    // Adicionar recomendações
+    portfolio.recommendations = selectedRecs;
     
-    selectedRecs.forEach(rec => {
-      const weight = totalScore > 0 ? Math.max(0, rec.score) / totalScore : 1 / selectedRecs.length;
-      portfolio.allocation[rec.ticker] = parseFloat((weight * 100).toFixed(1));
-    });
+    // Participação alvo por segmento a partir das preferências do usuário
+    const segmentPlan = this.planSegmentAllocation(selectedRecs, constraints);
+    
+    if (segmentPlan.targets) {
+      portfolio.segmentTargets = Object.keys(segmentPlan.targets).reduce((acc, segment) => {
+        acc[segment] = parseFloat((segmentPlan.targets[segment] * 100).toFixed(1));
+        return acc;
+      }, {});
+    }
+    
+    const optimization = marketData ? this.optimizeAllocation(selectedRecs, constraints, marketData, segmentPlan) : null;
+    
+    if (optimization) {
+      portfolio.allocation = this.roundAllocation(optimization.weights);
+      portfolio.segmentAllocation = this.summarizeSegmentAllocation(portfolio.allocation, segmentPlan.segments);
+      
+      portfolio.method = optimization.method;
+      portfolio.expectedReturn = parseFloat((optimization.expectedReturn * 100).toFixed(2));
+      portfolio.incomeYield = parseFloat((optimization.incomeYield * 100).toFixed(2));
+      portfolio.volatility = parseFloat((optimization.volatility * 100).toFixed(2));
+      portfolio.sharpeRatio = parseFloat(optimization.sharpeRatio.toFixed(2));
+      portfolio.riskLevel = optimization.volatility <= 0.10 ? 'low' : optimization.volatility <= 0.20 ? 'moderate' : 'high';
+      portfolio.optimization = optimization;
+      
+      // Recomendações sem dados de mercado suficientes ficam fora da carteira otimizada
+      portfolio.excludedTickers = selectedRecs
+        .map(rec => rec.ticker)
+        .filter(ticker => optimization.weights[ticker] === undefined);
+      
+      if (portfolio.excludedTickers.length > 0) {
+        console.warn(`Tickers sem dados de mercado suficientes, fora da carteira otimizada: ${portfolio.excludedTickers.join(', ')}`);
+      }
+      
+      return portfolio;
+    }
+    
+    // Calcular alocação simples (proporcional ao score dentro de cada segmento alvo)
+    const weights = this.allocateByScore(selectedRecs, segmentPlan);
+    
+    portfolio.allocation = this.roundAllocation(
+      selectedRecs.reduce((acc, rec) => {
+        acc[rec.ticker] = weights[rec.ticker];
+        return acc;
+      }, {})
+    );
+    portfolio.segmentAllocation = this.summarizeSegmentAllocation(portfolio.allocation, segmentPlan.segments);
     
     // Estimar retorno esperado (simplificado)
     portfolio.expectedReturn = selectedRecs.reduce(
@@ -751,9 +948,216 @@ export class RecommendationEngine {
     
     portfolio.riskLevel = avgConfidence > 0.7 ? 'low' : avgConfidence > 0.4 ? 'moderate' : 'high';
     
-    // Adicionar recomendações
-    portfolio.recommendations = selectedRecs;
-    
     return portfolio;
   }
+  
+  /**
+   * Converte pesos em percentuais com uma casa decimal que somam exatamente 100
+   * 
+   * Usa o método dos maiores restos: cada peso é truncado em décimos de
+   * ponto percentual e os décimos que faltam vão para os maiores restos.
+   * @param {Object} weights - Mapa ticker -> peso (fração)
+   * @returns {Object} - Mapa ticker -> percentual
+   */
+  roundAllocation(weights) {
+    const tickers = Object.keys(weights);
+    const units = tickers.map(ticker => weights[ticker] * 1000);
+    const floors = units.map(value => Math.floor(value + 1e-9));
+    const total = Math.round(units.reduce((sum, value) => sum + value, 0));
+    let missing = total - floors.reduce((sum, value) => sum + value, 0);
+    
+    tickers
+      .map((ticker, i) => i)
+      .sort((a, b) => (units[b] - floors[b]) - (units[a] - floors[a]))
+      .forEach(i => {
+        if (missing > 0) {
+          floors[i] += 1;
+          missing -= 1;
+        }
+      });
+    
+    return tickers.reduce((acc, ticker, i) => {
+      acc[ticker] = parseFloat((floors[i] / 10).toFixed(1));
+      return acc;
+    }, {});
+  }
+  
+  /**
+   * Define o segmento de cada recomendação e a participação alvo por segmento
+   * 
+   * Tickers de segmento desconhecido mantêm a participação proporcional ao
+   * score; o restante é dividido entre os segmentos conforme
+   * sectorPreferences (das restrições ou das preferências aplicadas nas
+   * recomendações). Segmentos fora das preferências recebem alvo zero.
+   * @param {Array} selectedRecs - Recomendações selecionadas
+   * @param {Object} constraints - Restrições do portfólio (sectorPreferences, segments)
+   * @returns {Object} - { segments: ticker -> segmento, targets: segmento -> fração ou null }
+   */
+  planSegmentAllocation(selectedRecs, constraints = {}) {
+    const segments = {};
+    
+    selectedRecs.forEach(rec => {
+      const segment = normalizeSegment(constraints.segments?.[rec.ticker]) ||
+        normalizeSegment(rec.segment) ||
+        this.resolveSegment(rec.ticker);
+      
+      if (segment) segments[rec.ticker] = segment;
+    });
+    
+    const sectorPreferences = this.normalizeSectorPreferences(
+      constraints.sectorPreferences ||
+      selectedRecs[0]?.appliedPreferences?.sectorPreferences ||
+      this.config.personalization.sectorPreferences
+    );
+    
+    const presentSegments = [...new Set(Object.values(segments))];
+    const preferredTotal = presentSegments.reduce((sum, segment) => sum + (sectorPreferences[segment] || 0), 0);
+    
+    if (preferredTotal === 0) {
+      return { segments, targets: null };
+    }
+    
+    const scoreOf = rec => Math.max(0, rec.score);
+    const totalScore = selectedRecs.reduce((sum, rec) => sum + scoreOf(rec), 0);
+    const unknownRecs = selectedRecs.filter(rec => !segments[rec.ticker]);
+    const unknownShare = totalScore > 0
+      ? unknownRecs.reduce((sum, rec) => sum + scoreOf(rec), 0) / totalScore
+      : unknownRecs.length / selectedRecs.length;
+    
+    const targets = presentSegments.reduce((acc, segment) => {
+      acc[segment] = (1 - unknownShare) * (sectorPreferences[segment] || 0) / preferredTotal;
+      return acc;
+    }, {});
+    
+    return { segments, targets };
+  }
+  
+  /**
+   * Aloca proporcionalmente ao score, respeitando a participação alvo dos segmentos
+   * @param {Array} selectedRecs - Recomendações selecionadas
+   * @param {Object} segmentPlan - Resultado de planSegmentAllocation
+   * @returns {Object} - Mapa ticker -> peso (fração)
+   */
+  allocateByScore(selectedRecs, segmentPlan) {
+    const { segments, targets } = segmentPlan;
+    
+    // Sem alvos, todos os tickers formam um único grupo com 100% da carteira
+    const groupOf = rec => (targets && segments[rec.ticker] ? segments[rec.ticker] : null);
+    const groups = {};
+    selectedRecs.forEach(rec => {
+      const group = groupOf(rec);
+      (groups[group] = groups[group] || []).push(rec);
+    });
+    
+    const totalScore = selectedRecs.reduce((sum, rec) => sum + Math.max(0, rec.score), 0);
+    const weights = {};
+    
+    Object.values(groups).forEach(recs => {
+      const group = groupOf(recs[0]);
+      const groupScore = recs.reduce((sum, rec) => sum + Math.max(0, rec.score), 0);
+      
+      let budget;
+      if (group !== null) {
+        budget = targets[group];
+      } else if (targets) {
+        budget = totalScore > 0 ? groupScore / totalScore : recs.length / selectedRecs.length;
+      } else {
+        budget = 1;
+      }
+      
+      recs.forEach(rec => {
+        weights[rec.ticker] = groupScore > 0
+          ? budget * Math.max(0, rec.score) / groupScore
+          : budget / recs.length;
+      });
+    });
+    
+    return weights;
+  }
+  
+  /**
+   * Soma a alocação por segmento
+   * @param {Object} allocation - Mapa ticker -> percentual
+   * @param {Object} segments - Mapa ticker -> segmento
+   * @returns {Object} - Mapa segmento -> percentual ('outros' para segmento desconhecido)
+   */
+  summarizeSegmentAllocation(allocation, segments) {
+    return Object.keys(allocation).reduce((acc, ticker) => {
+      const segment = segments[ticker] || 'outros';
+      acc[segment] = parseFloat(((acc[segment] || 0) + allocation[ticker]).toFixed(1));
+      return acc;
+    }, {});
+  }
+  
+  /**
+   * Otimiza a alocação das recomendações selecionadas
+   * 
+   * As participações alvo por segmento entram como teto de cada segmento
+   * (limitadas também por constraints.maxSegmentWeight) e, na paridade de
+   * risco, como orçamento de risco dividido entre os tickers do segmento.
+   * @param {Array} selectedRecs - Recomendações selecionadas
+   * @param {Object} constraints - Restrições do portfólio
+   * @param {Object} marketData - Mapa ticker -> { prices, dividends }
+   * @param {Object} segmentPlan - Resultado de planSegmentAllocation
+   * @returns {Object|null} - Resultado do PortfolioOptimizer ou null se não for possível otimizar
+   */
+  optimizeAllocation(selectedRecs, constraints, marketData, segmentPlan = { segments: {}, targets: null }) {
+    const tickerData = {};
+    
+    selectedRecs.forEach(rec => {
+      if (marketData[rec.ticker]) {
+        tickerData[rec.ticker] = marketData[rec.ticker];
+      }
+    });
+    
+    if (Object.keys(tickerData).length < 2) {
+      console.warn('Dados de mercado insuficientes para otimizar o portfólio; usando alocação por score');
+      return null;
+    }
+    
+    try {
+      const { maxRecommendations, sectorPreferences, segments, expectedReturns, riskBudgets, ...optimizerConfig } = constraints;
+      const { targets } = segmentPlan;
+      let budgets = riskBudgets;
+      
+      if (targets) {
+        const explicit = optimizerConfig.maxSegmentWeight && typeof optimizerConfig.maxSegmentWeight === 'object'
+          ? Object.keys(optimizerConfig.maxSegmentWeight).reduce((acc, name) => {
+            acc[normalizeSegment(name) || name] = optimizerConfig.maxSegmentWeight[name];
+            return acc;
+          }, {})
+          : optimizerConfig.maxSegmentWeight;
+        
+        optimizerConfig.maxSegmentWeight = Object.keys(targets).reduce((acc, segment) => {
+          const cap = typeof explicit === 'number' ? explicit : explicit?.[segment];
+          acc[segment] = cap !== undefined ? Math.min(cap, targets[segment]) : targets[segment];
+          return acc;
+        }, {});
+        
+        if (!budgets) {
+          const counts = Object.values(segmentPlan.segments).reduce((acc, segment) => {
+            acc[segment] = (acc[segment] || 0) + 1;
+            return acc;
+          }, {});
+          
+          budgets = Object.keys(tickerData).reduce((acc, ticker) => {
+            const segment = segmentPlan.segments[ticker];
+            acc[ticker] = segment ? Math.max(targets[segment] / counts[segment], 1e-6) : 1 / selectedRecs.length;
+            return acc;
+          }, {});
+        }
+      }
+      
+      const optimizer = new PortfolioOptimizer(optimizerConfig);
+      
+      return optimizer.optimize(tickerData, {
+        segments: { ...(segments || {}), ...segmentPlan.segments },
+        expectedReturns,
+        riskBudgets: budgets
+      });
+    } catch (error) {
+      console.error('Erro ao otimizar portfólio:', error);
+      return null;
+    }
+  }
 }
@@ -1,6 +1,7 @@
 // src/models/sentimentAnalyzer.js
 import axios from 'axios';
 import * as tf from '@tensorflow/tfjs';
+import { createStorageAdapter } from '../utils/storageAdapter';
 
 /**
  * Classe para análise de sentimento de notícias relacionadas a FIIs
@@ -22,6 +23,9 @@ export class SentimentAnalyzer {
       ...config
     };
     
+    // Onde o modelo e o vocabulário são persistidos
+    this.storage = createStorageAdapter(config.storage);
+    
     this.model = null;
     this.tokenizer = null;
     this.vocabulary = null;
@@ -63,21 +67,21 @@ export class SentimentAnalyzer {
    */
   async loadModel() {
     try {
-      // Tentar carregar do localStorage primeiro
+      // Tentar carregar do armazenamento local primeiro
       try {
-        this.model = await tf.loadLayersModel('localstorage://lotus-invest-sentiment-analyzer');
-        console.log('Modelo de sentimento carregado do localStorage');
+        this.model = await this.storage.loadModel('lotus-invest-sentiment-analyzer');
+        console.log('Modelo de sentimento carregado do armazenamento local');
         return true;
       } catch (e) {
-        console.log('Modelo não encontrado no localStorage, tentando carregar do servidor');
+        console.log('Modelo não encontrado no armazenamento local, tentando carregar do servidor');
       }
       
-      // Se não estiver no localStorage, carregar do servidor
+      // Se não estiver no armazenamento local, carregar do servidor
       try {
         this.model = await tf.loadLayersModel(`${this.config.apiBaseUrl}/models/sentiment/model.json`);
         
-        // Salvar no localStorage para uso futuro
-        await this.model.save('localstorage://lotus-invest-sentiment-analyzer');
+        // Salvar no armazenamento local para uso futuro
+        await this.storage.saveModel(this.model, 'lotus-invest-sentiment-analyzer');
         
         console.log('Modelo de sentimento carregado do servidor e salvo localmente');
         return true;
@@ -97,20 +101,20 @@ export class SentimentAnalyzer {
    */
   async loadVocabulary() {
     try {
-      // Tentar carregar do localStorage primeiro
-      const cachedVocab = localStorage.getItem('lotus-invest-sentiment-vocabulary');
+      // Tentar carregar do armazenamento local primeiro
+      const cachedVocab = await this.storage.getItem('lotus-invest-sentiment-vocabulary');
       
       if (cachedVocab) {
-        this.vocabulary = JSON.parse(cachedVocab);
+        this.vocabulary = cachedVocab;
         return true;
       }
       
-      // Se não estiver no localStorage, carregar do servidor
+      // Se não estiver no armazenamento local, carregar do servidor
       const response = await axios.get(`${this.config.apiBaseUrl}/models/sentiment/vocabulary.json`);
       this.vocabulary = response.data;
       
-      // Salvar no localStorage para uso futuro
-      localStorage.setItem('lotus-invest-sentiment-vocabulary', JSON.stringify(this.vocabulary));
+      // Salvar no armazenamento local para uso futuro
+      await this.storage.setItem('lotus-invest-sentiment-vocabulary', this.vocabulary);
       
       return true;
     } catch (error) {
@@ -165,6 +169,8 @@ export class SentimentAnalyzer {
           ticker,
           articles: [],
           wordcloud: [],
+          topics: [],
+          entities: [],
           aggregated: { score: 0, label: 'neutral', confidence: 0 }
         };
       }
@@ -187,11 +193,17 @@ export class SentimentAnalyzer {
       // Calcular sentimento agregado
       const aggregated = this.calculateAggregatedSentiment(relevantArticles);
       
+      // Consolidar tópicos e entidades dos artigos relevantes
+      const topics = this.aggregateTopics(relevantArticles);
+      const entities = this.aggregateEntities(relevantArticles);
+      
       // Formatar resultado
       const result = {
         ticker,
         articles: relevantArticles,
         wordcloud,
+        topics,
+        entities,
         aggregated
       };
       
@@ -211,6 +223,8 @@ export class SentimentAnalyzer {
         error: error.message,
         articles: [],
         wordcloud: [],
+        topics: [],
+        entities: [],
         aggregated: { score: 0, label: 'neutral', confidence: 0 }
       };
     }
@@ -714,6 +728,58 @@ export class SentimentAnalyzer {
     };
   }
   
+  /**
+   * Consolida os tópicos mencionados em múltiplos artigos
+   * @param {Array} articles - Artigos analisados
+   * @returns {Array} - Tópicos com frequência e sentimento médio
+   */
+  aggregateTopics(articles) {
+    const topicMap = {};
+    
+    articles.forEach(article => {
+      (article.topics || []).forEach(topic => {
+        if (!topicMap[topic]) {
+          topicMap[topic] = { name: topic, count: 0, totalScore: 0 };
+        }
+        
+        topicMap[topic].count++;
+        topicMap[topic].totalScore += article.sentiment ? article.sentiment.score : 0;
+      });
+    });
+    
+    // Ordenar por frequência (mais citados primeiro)
+    return Object.values(topicMap)
+      .map(({ name, count, totalScore }) => ({
+        name,
+        count,
+        sentiment: parseFloat((totalScore / count).toFixed(2))
+      }))
+      .sort((a, b) => b.count - a.count);
+  }
+  
+  /**
+   * Consolida as entidades mencionadas em múltiplos artigos
+   * @param {Array} articles - Artigos analisados
+   * @returns {Array} - Entidades com frequência
+   */
+  aggregateEntities(articles) {
+    const entityMap = {};
+    
+    articles.forEach(article => {
+      (article.entities || []).forEach(entity => {
+        const key = `${entity.type}:${entity.value}`;
+        
+        if (!entityMap[key]) {
+          entityMap[key] = { type: entity.type, value: entity.value, count: 0 };
+        }
+        
+        entityMap[key].count++;
+      });
+    });
+    
+    return Object.values(entityMap).sort((a, b) => b.count - a.count);
+  }
+  
   /**
    * Obtém o nome do fundo a partir do ticker
    * @param {String} ticker - Código do FII
@@ -870,11 +936,11 @@ export class SentimentAnalyzer {
     }
     
     try {
-      await this.model.save('localstorage://lotus-invest-sentiment-analyzer');
+      await this.storage.saveModel(this.model, 'lotus-invest-sentiment-analyzer');
       
       // Salvar vocabulário
       if (this.vocabulary) {
-        localStorage.setItem('lotus-invest-sentiment-vocabulary', JSON.stringify(this.vocabulary));
+        await this.storage.setItem('lotus-invest-sentiment-vocabulary', this.vocabulary);
       }
       
       return true;
@@ -0,0 +1,835 @@
+// src/models/statisticalForecaster.js
+import { createStorageAdapter } from '../utils/storageAdapter';
+import { nelderMead, normalQuantile } from '../utils/statistics';
+
+/**
+ * Base para modelos estatísticos de previsão de preços
+ *
+ * Expõe a mesma interface dos forecasters LSTM (train, predict,
+ * predictWithConfidence, evaluate, saveModel, loadModel), de forma que os
+ * modelos possam ser usados no PriceForecasterRegistry, no validador e no
+ * ForecastEnsemble. As subclasses implementam fit() e forecast().
+ */
+export class StatisticalForecaster {
+  constructor(config = {}) {
+    this.config = {
+      windowSize: config.windowSize || 30, // Histórico mínimo para cada previsão na avaliação
+      horizonDays: config.horizonDays || 30, // Horizonte usado na avaliação
+      confidenceInterval: config.confidenceInterval || 0.95, // 95% por padrão
+      minTrainingPoints: config.minTrainingPoints || 20, // Mínimo de pontos para estimar o modelo
+      modelKey: config.modelKey || 'lotus-invest-statistical-forecaster', // Chave de armazenamento
+      ...config
+    };
+
+    this.storage = createStorageAdapter(config.storage);
+
+    this.params = null; // Parâmetros estimados
+    this.trained = false;
+  }
+
+  /**
+   * Estima os parâmetros do modelo
+   * @param {Array} prices - Preços históricos
+   * @returns {Object} - Resumo do ajuste
+   */
+  fit(prices) {
+    throw new Error(`fit não implementado em ${this.constructor.name}`);
+  }
+
+  /**
+   * Gera previsões e erros-padrão a partir de uma série
+   * @param {Array} prices - Preços usados como base da previsão
+   * @param {Number} days - Número de dias a prever
+   * @returns {Object} - { predictions, standardErrors }
+   */
+  forecast(prices, days) {
+    throw new Error(`forecast não implementado em ${this.constructor.name}`);
+  }
+
+  /**
+   * Número mínimo de pontos para gerar uma previsão
+   * @returns {Number} - Quantidade de pontos
+   */
+  getRequiredPoints() {
+    return 2;
+  }
+
+  /**
+   * Extrai e valida a série de preços
+   * @param {Array|Object} data - Array de preços ou objeto { prices }
+   * @returns {Array} - Preços numéricos
+   */
+  extractPrices(data) {
+    const prices = (data && data.prices) || data;
+
+    if (!Array.isArray(prices)) {
+      throw new Error('Série de preços inválida');
+    }
+
+    if (prices.some(price => !Number.isFinite(price))) {
+      throw new Error('A série de preços contém valores não numéricos');
+    }
+
+    return prices;
+  }
+
+  /**
+   * Treina o modelo com dados históricos
+   * @param {Array} historicalPrices - Array de preços históricos
+   * @returns {Promise<Object>} - Resumo do ajuste
+   */
+  async train(historicalPrices) {
+    const prices = this.extractPrices(historicalPrices);
+
+    if (prices.length < this.config.minTrainingPoints) {
+      throw new Error(`São necessários pelo menos ${this.config.minTrainingPoints} pontos de dados para treinamento.`);
+    }
+
+    const summary = await this.fit(prices);
+    this.trained = true;
+
+    return summary;
+  }
+
+  /**
+   * Faz previsões para os próximos dias
+   * @param {Array} recentPrices - Preços recentes para base da previsão
+   * @param {Number} days - Número de dias a prever
+   * @returns {Promise<Array>} - Array com previsões
+   */
+  async predict(recentPrices, days = 30) {
+    const { predictions } = await this.forecastChecked(recentPrices, days);
+    return predictions;
+  }
+
+  /**
+   * Faz previsões com intervalos de confiança
+   * @param {Array|Object} data - Preços recentes ou objeto { prices }
+   * @param {Number} days - Número de dias a prever
+   * @returns {Promise<Object>} - Previsões e intervalos de confiança
+   */
+  async predictWithConfidence(data, days = 30) {
+    const { predictions, standardErrors } = await this.forecastChecked(data, days);
+    const z = normalQuantile(0.5 + this.config.confidenceInterval / 2);
+
+    return {
+      predictions,
+      lowerBounds: predictions.map((value, i) => value - z * standardErrors[i]),
+      upperBounds: predictions.map((value, i) => value + z * standardErrors[i]),
+      confidenceInterval: this.config.confidenceInterval
+    };
+  }
+
+  /**
+   * Valida o estado do modelo e os dados antes de prever
+   * @param {Array|Object} data - Preços recentes
+   * @param {Number} days - Número de dias a prever
+   * @returns {Promise<Object>} - { predictions, standardErrors }
+   */
+  async forecastChecked(data, days) {
+    if (!this.trained) {
+      throw new Error('Modelo não treinado. Execute train() primeiro.');
+    }
+
+    const prices = this.extractPrices(data);
+    const requiredPoints = this.getRequiredPoints();
+
+    if (prices.length < requiredPoints) {
+      throw new Error(`São necessários pelo menos ${requiredPoints} pontos de dados para previsão.`);
+    }
+
+    return this.forecast(prices, days);
+  }
+
+  /**
+   * Avalia o modelo com origem móvel: para cada ponto, prevê horizonDays à
+   * frente usando todo o histórico de teste disponível até ele
+   * @param {Array} testPrices - Preços para teste
+   * @returns {Promise<Object>} - Métricas de avaliação
+   */
+  async evaluate(testPrices) {
+    if (!this.trained) {
+      throw new Error('Modelo não treinado. Execute train() primeiro.');
+    }
+
+    const prices = this.extractPrices(testPrices);
+    const { horizonDays } = this.config;
+    const windowSize = Math.max(this.config.windowSize, this.getRequiredPoints());
+
+    if (prices.length <= windowSize + horizonDays) {
+      throw new Error(`São necessários mais de ${windowSize + horizonDays} pontos de dados para avaliação.`);
+    }
+
+    const actual = [];
+    const predicted = [];
+
+    for (let origin = windowSize; origin + horizonDays <= prices.length; origin++) {
+      const { predictions } = await this.forecast(prices.slice(0, origin), horizonDays);
+      predicted.push(predictions[horizonDays - 1]);
+      actual.push(prices[origin + horizonDays - 1]);
+    }
+
+    let mse = 0;
+    let mae = 0;
+    let mape = 0;
+
+    for (let i = 0; i < actual.length; i++) {
+      const error = actual[i] - predicted[i];
+      mse += error * error;
+      mae += Math.abs(error);
+      mape += Math.abs(error / actual[i]);
+    }
+
+    mse /= actual.length;
+
+    return {
+      mse,
+      rmse: Math.sqrt(mse),
+      mae: mae / actual.length,
+      mape: (mape / actual.length) * 100,
+      sampleSize: actual.length
+    };
+  }
+
+  /**
+   * Salva os parâmetros estimados
+   * @returns {Promise} - Promessa que resolve após o salvamento
+   */
+  async saveModel() {
+    if (!this.trained) {
+      throw new Error('Modelo não treinado. Execute train() primeiro.');
+    }
+
+    const { storage, ...config } = this.config;
+    await this.storage.setItem(`${this.config.modelKey}-params`, {
+      params: this.params,
+      config
+    });
+
+    return true;
+  }
+
+  /**
+   * Carrega parâmetros previamente estimados
+   * @returns {Promise} - Promessa que resolve após o carregamento
+   */
+  async loadModel() {
+    try {
+      const saved = await this.storage.getItem(`${this.config.modelKey}-params`);
+
+      if (!saved) {
+        throw new Error(`Parâmetros de ${this.config.modelKey} não encontrados`);
+      }
+
+      this.params = saved.params;
+      this.config = { ...this.config, ...saved.config };
+
+      this.trained = true;
+      return true;
+    } catch (error) {
+      console.error('Erro ao carregar modelo:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Calcula a média de um array
+   * @param {Array} values - Valores
+   * @returns {Number} - Média
+   */
+  calculateMean(values) {
+    if (values.length === 0) return 0;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+}
+
+/**
+ * Modelo ARIMA(p, d, q) com seleção automática de ordem
+ *
+ * A ordem de diferenciação é escolhida pelo teste KPSS e as ordens p e q
+ * pelo critério de informação (AICc, AIC ou BIC) em uma busca em grade. Os
+ * coeficientes são estimados por soma de quadrados condicional, com uma
+ * reparametrização que garante estacionariedade e invertibilidade.
+ */
+export class ArimaForecaster extends StatisticalForecaster {
+  constructor(config = {}) {
+    super({
+      modelKey: 'lotus-invest-arima-forecaster',
+      ...config
+    });
+
+    this.config = {
+      ...this.config,
+      maxP: config.maxP !== undefined ? config.maxP : 3, // Ordem autorregressiva máxima
+      maxD: config.maxD !== undefined ? config.maxD : 2, // Diferenciações máximas
+      maxQ: config.maxQ !== undefined ? config.maxQ : 3, // Ordem de médias móveis máxima
+      order: config.order || null, // Ordem fixa { p, d, q } (desativa a seleção automática)
+      criterion: config.criterion || 'aicc', // aicc, aic ou bic
+      kpssCriticalValue: config.kpssCriticalValue || 0.463, // Valor crítico de 5% do KPSS
+      ...config
+    };
+  }
+
+  getRequiredPoints() {
+    if (!this.params) return 2;
+    const { p, d, q } = this.params.order;
+    return Math.max(p + d + 1, q + d + 1, 2);
+  }
+
+  /**
+   * Seleciona a ordem e estima os coeficientes
+   * @param {Array} prices - Preços históricos
+   * @returns {Object} - Ordem selecionada e critério de informação
+   */
+  fit(prices) {
+    const d = this.config.order ? this.config.order.d : this.selectDifferencingOrder(prices);
+    const series = this.difference(prices, d);
+
+    const candidates = [];
+
+    if (this.config.order) {
+      candidates.push({ p: this.config.order.p, q: this.config.order.q });
+    } else {
+      for (let p = 0; p <= this.config.maxP; p++) {
+        for (let q = 0; q <= this.config.maxQ; q++) {
+          candidates.push({ p, q });
+        }
+      }
+    }
+
+    // Todos os candidatos são comparados na mesma amostra efetiva
+    const start = Math.max(...candidates.map(({ p }) => p));
+    let best = null;
+
+    candidates.forEach(({ p, q }) => {
+      // Precisa sobrar observações suficientes após as defasagens
+      if (series.length - start <= p + q + 3) return;
+
+      const fitted = this.fitArma(series, p, q, d, start);
+
+      if (!best || fitted[this.config.criterion] < best[this.config.criterion]) {
+        best = fitted;
+      }
+    });
+
+    if (!best) {
+      throw new Error('Dados insuficientes para estimar um modelo ARIMA.');
+    }
+
+    this.params = { ...best, order: { p: best.p, d, q: best.q } };
+
+    return {
+      order: this.params.order,
+      aic: this.params.aic,
+      aicc: this.params.aicc,
+      bic: this.params.bic,
+      sigma2: this.params.sigma2
+    };
+  }
+
+  /**
+   * Escolhe o número de diferenciações pelo teste KPSS de estacionariedade
+   * @param {Array} prices - Série original
+   * @returns {Number} - Ordem de diferenciação
+   */
+  selectDifferencingOrder(prices) {
+    let d = 0;
+    let series = prices;
+
+    while (d < this.config.maxD && series.length > 10 &&
+      this.kpssStatistic(series) > this.config.kpssCriticalValue) {
+      series = this.difference(series, 1);
+      d++;
+    }
+
+    return d;
+  }
+
+  /**
+   * Calcula a estatística KPSS (estacionariedade em nível)
+   * @param {Array} series - Série temporal
+   * @returns {Number} - Estatística do teste
+   */
+  kpssStatistic(series) {
+    const n = series.length;
+    const mean = this.calculateMean(series);
+    const residuals = series.map(value => value - mean);
+
+    let partialSum = 0;
+    let numerator = 0;
+
+    residuals.forEach(value => {
+      partialSum += value;
+      numerator += partialSum * partialSum;
+    });
+
+    // Variância de longo prazo com pesos de Bartlett (Newey-West)
+    const lags = Math.floor(3 * Math.sqrt(n) / 13);
+    let longRunVariance = residuals.reduce((sum, value) => sum + value * value, 0) / n;
+
+    for (let lag = 1; lag <= lags; lag++) {
+      let covariance = 0;
+      for (let t = lag; t < n; t++) {
+        covariance += residuals[t] * residuals[t - lag];
+      }
+      longRunVariance += 2 * (1 - lag / (lags + 1)) * covariance / n;
+    }
+
+    if (longRunVariance <= 0) return 0;
+
+    return numerator / (n * n * longRunVariance);
+  }
+
+  /**
+   * Aplica diferenciação à série
+   * @param {Array} series - Série temporal
+   * @param {Number} order - Número de diferenciações
+   * @returns {Array} - Série diferenciada
+   */
+  difference(series, order) {
+    let result = series.slice();
+
+    for (let i = 0; i < order; i++) {
+      result = result.slice(1).map((value, index) => value - result[index]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Estima um ARMA(p, q) na série diferenciada por soma de quadrados condicional
+   * @param {Array} series - Série (já diferenciada)
+   * @param {Number} p - Ordem autorregressiva
+   * @param {Number} q - Ordem de médias móveis
+   * @param {Number} d - Ordem de diferenciação (define se há média/drift)
+   * @param {Number} start - Primeira observação usada na soma de quadrados
+   * @returns {Object} - Coeficientes e critérios de informação
+   */
+  fitArma(series, p, q, d, start = p) {
+    // Média (d = 0) ou drift (d = 1); com d = 2 o termo constante é omitido
+    const includeMean = d < 2;
+    const initialMean = includeMean ? this.calculateMean(series) : 0;
+    const scale = Math.sqrt(this.calculateMean(series.map(value => (value - initialMean) ** 2))) || 1;
+
+    const unpack = raw => ({
+      phi: this.constrainCoefficients(raw.slice(0, p)),
+      theta: this.constrainCoefficients(raw.slice(p, p + q)).map(value => -value),
+      mu: includeMean ? raw[p + q] : 0
+    });
+
+    const objective = raw => {
+      const { phi, theta, mu } = unpack(raw);
+      const residuals = this.armaResiduals(series, phi, theta, mu);
+      return residuals.slice(start).reduce((sum, value) => sum + value * value, 0);
+    };
+
+    const initial = new Array(p + q).fill(0);
+    const steps = new Array(p + q).fill(0.3);
+
+    if (includeMean) {
+      initial.push(initialMean);
+      steps.push(scale * 0.1);
+    }
+
+    const { point, value: sse } = nelderMead(objective, initial, { step: steps });
+    const { phi, theta, mu } = unpack(point);
+
+    const n = series.length - start;
+    const sigma2 = Math.max(sse / n, 1e-12);
+    const k = p + q + (includeMean ? 1 : 0) + 1; // +1 pela variância
+    const logLikelihood = -0.5 * n * (Math.log(2 * Math.PI * sigma2) + 1);
+    const aic = -2 * logLikelihood + 2 * k;
+
+    return {
+      p,
+      q,
+      phi,
+      theta,
+      mu,
+      sigma2,
+      aic,
+      aicc: aic + (2 * k * (k + 1)) / (n - k - 1),
+      bic: -2 * logLikelihood + Math.log(n) * k
+    };
+  }
+
+  /**
+   * Converte parâmetros livres em coeficientes de um polinômio estável
+   * (autocorrelações parciais em (-1, 1) via recursão de Durbin-Levinson)
+   * @param {Array} raw - Parâmetros livres
+   * @returns {Array} - Coeficientes
+   */
+  constrainCoefficients(raw) {
+    let coefficients = [];
+
+    raw.map(Math.tanh).forEach((partial, k) => {
+      const next = coefficients.map((value, j) => value - partial * coefficients[k - 1 - j]);
+      next.push(partial);
+      coefficients = next;
+    });
+
+    return coefficients;
+  }
+
+  /**
+   * Calcula os resíduos condicionais de um ARMA
+   * @param {Array} series - Série (já diferenciada)
+   * @param {Array} phi - Coeficientes autorregressivos
+   * @param {Array} theta - Coeficientes de médias móveis
+   * @param {Number} mu - Média da série
+   * @returns {Array} - Resíduos (zeros nas p primeiras posições)
+   */
+  armaResiduals(series, phi, theta, mu) {
+    const residuals = new Array(series.length).fill(0);
+
+    for (let t = phi.length; t < series.length; t++) {
+      let prediction = mu;
+
+      for (let i = 0; i < phi.length; i++) {
+        prediction += phi[i] * (series[t - 1 - i] - mu);
+      }
+
+      for (let j = 0; j < theta.length; j++) {
+        if (t - 1 - j >= 0) {
+          prediction += theta[j] * residuals[t - 1 - j];
+        }
+      }
+
+      residuals[t] = series[t] - prediction;
+    }
+
+    return residuals;
+  }
+
+  forecast(prices, days) {
+    const { phi, theta, mu, sigma2, order } = this.params;
+
+    // Níveis de diferenciação (necessários para integrar as previsões)
+    const levels = [prices];
+    for (let i = 0; i < order.d; i++) {
+      levels.push(this.difference(levels[i], 1));
+    }
+
+    const series = levels[order.d].slice();
+    const residuals = this.armaResiduals(series, phi, theta, mu);
+
+    // Previsão recursiva do ARMA (choques futuros com valor esperado zero)
+    const differenced = [];
+
+    for (let h = 0; h < days; h++) {
+      const t = series.length;
+      let prediction = mu;
+
+      for (let i = 0; i < phi.length; i++) {
+        prediction += phi[i] * (series[t - 1 - i] - mu);
+      }
+
+      for (let j = 0; j < theta.length; j++) {
+        if (t - 1 - j >= 0) {
+          prediction += theta[j] * residuals[t - 1 - j];
+        }
+      }
+
+      series.push(prediction);
+      residuals.push(0);
+      differenced.push(prediction);
+    }
+
+    // Integrar de volta até o nível de preços
+    let predictions = differenced;
+
+    for (let level = order.d - 1; level >= 0; level--) {
+      let last = levels[level][levels[level].length - 1];
+      predictions = predictions.map(value => {
+        last += value;
+        return last;
+      });
+    }
+
+    // Erros-padrão pelos pesos psi da representação MA(∞)
+    const psi = this.psiWeights(days);
+    const standardErrors = [];
+    let cumulative = 0;
+
+    for (let h = 0; h < days; h++) {
+      cumulative += psi[h] * psi[h];
+      standardErrors.push(Math.sqrt(sigma2 * cumulative));
+    }
+
+    return { predictions, standardErrors };
+  }
+
+  /**
+   * Calcula os pesos psi do ARIMA ajustado (incluindo a diferenciação)
+   * @param {Number} count - Número de pesos
+   * @returns {Array} - Pesos psi (psi_0 = 1)
+   */
+  psiWeights(count) {
+    const { phi, theta, order } = this.params;
+
+    // Polinômio AR completo: phi(B) * (1 - B)^d
+    let polynomial = [1, ...phi.map(value => -value)];
+    for (let i = 0; i < order.d; i++) {
+      polynomial = polynomial.concat(0).map((value, index) => value - (index > 0 ? polynomial[index - 1] : 0));
+    }
+    const arCoefficients = polynomial.slice(1).map(value => -value);
+
+    const psi = [1];
+
+    for (let j = 1; j < count; j++) {
+      let value = j <= theta.length ? theta[j - 1] : 0;
+
+      for (let i = 1; i <= Math.min(j, arCoefficients.length); i++) {
+        value += arCoefficients[i - 1] * psi[j - i];
+      }
+
+      psi.push(value);
+    }
+
+    return psi;
+  }
+}
+
+/**
+ * Suavização exponencial (Holt-Winters) com tendência e sazonalidade
+ *
+ * Suporta tendência nenhuma, aditiva ou amortecida e sazonalidade aditiva
+ * ou multiplicativa (por exemplo, o ciclo mensal de ~21 pregões dos
+ * dividendos de FIIs). Com trend/seasonal = 'auto', a combinação com menor
+ * AIC é escolhida. Os parâmetros de suavização são estimados minimizando o
+ * erro quadrático de previsão um passo à frente.
+ */
+export class ExponentialSmoothingForecaster extends StatisticalForecaster {
+  constructor(config = {}) {
+    super({
+      modelKey: 'lotus-invest-ets-forecaster',
+      ...config
+    });
+
+    this.config = {
+      ...this.config,
+      trend: config.trend || 'auto', // none, additive, damped ou auto
+      seasonal: config.seasonal || 'auto', // none, additive, multiplicative ou auto
+      seasonalPeriods: config.seasonalPeriods || null, // Período sazonal em pregões (ex: 21)
+      ...config
+    };
+  }
+
+  getRequiredPoints() {
+    if (this.params && this.params.seasonal !== 'none') {
+      return this.params.seasonalPeriods + 1;
+    }
+    return 2;
+  }
+
+  /**
+   * Seleciona os componentes e estima os parâmetros de suavização
+   * @param {Array} prices - Preços históricos
+   * @returns {Object} - Componentes escolhidos e critério de informação
+   */
+  fit(prices) {
+    const periods = this.config.seasonalPeriods;
+    const canUseSeasonality = periods > 1 && prices.length >= 2 * periods;
+
+    const trends = this.config.trend === 'auto' ? ['none', 'additive', 'damped'] : [this.config.trend];
+    let seasonals;
+
+    if (!canUseSeasonality) {
+      seasonals = ['none'];
+    } else if (this.config.seasonal === 'auto') {
+      seasonals = ['none', 'additive'];
+      // Sazonalidade multiplicativa exige série estritamente positiva
+      if (prices.every(price => price > 0)) seasonals.push('multiplicative');
+    } else {
+      seasonals = [this.config.seasonal];
+    }
+
+    let best = null;
+
+    trends.forEach(trend => {
+      seasonals.forEach(seasonal => {
+        const fitted = this.fitComponents(prices, trend, seasonal, periods);
+
+        if (!best || fitted.aic < best.aic) {
+          best = fitted;
+        }
+      });
+    });
+
+    this.params = best;
+
+    return {
+      trend: best.trend,
+      seasonal: best.seasonal,
+      alpha: best.alpha,
+      beta: best.beta,
+      gamma: best.gamma,
+      phi: best.phi,
+      aic: best.aic,
+      sigma2: best.sigma2
+    };
+  }
+
+  /**
+   * Estima os parâmetros de uma combinação de componentes
+   * @param {Array} prices - Preços históricos
+   * @param {String} trend - Tipo de tendência
+   * @param {String} seasonal - Tipo de sazonalidade
+   * @param {Number} periods - Período sazonal
+   * @returns {Object} - Parâmetros e critério de informação
+   */
+  fitComponents(prices, trend, seasonal, periods) {
+    const sigmoid = value => 1 / (1 + Math.exp(-value));
+
+    const unpack = raw => {
+      const alpha = 0.0001 + 0.9998 * sigmoid(raw[0]);
+
+      return {
+        trend,
+        seasonal,
+        seasonalPeriods: seasonal !== 'none' ? periods : null,
+        alpha,
+        beta: trend !== 'none' ? 0.0001 + 0.9998 * sigmoid(raw[1]) : 0,
+        gamma: seasonal !== 'none' ? (1 - alpha) * sigmoid(raw[2]) : 0,
+        phi: trend === 'damped' ? 0.8 + 0.18 * sigmoid(raw[3]) : 1
+      };
+    };
+
+    const objective = raw => {
+      const { errors } = this.smooth(prices, unpack(raw));
+      return errors.reduce((sum, value) => sum + value * value, 0);
+    };
+
+    // Inicia com suavização moderada (alpha ~ 0.5, beta ~ 0.1, gamma ~ 0.1, phi ~ 0.98)
+    const { point, value: sse } = nelderMead(objective, [0, -2.2, -2.2, 2], { step: 1 });
+
+    const params = unpack(point);
+    const n = prices.length;
+    const sigma2 = Math.max(sse / n, 1e-12);
+
+    // Parâmetros de suavização + estados iniciais
+    const k = 1 + (trend !== 'none' ? 2 : 0) + (trend === 'damped' ? 1 : 0) +
+      (seasonal !== 'none' ? 1 + periods : 0) + 1;
+
+    return {
+      ...params,
+      sigma2,
+      aic: n * Math.log(sigma2) + 2 * k
+    };
+  }
+
+  /**
+   * Obtém os estados iniciais (nível, tendência e índices sazonais)
+   * @param {Array} prices - Série de preços
+   * @param {Object} params - Parâmetros do modelo
+   * @returns {Object} - Estados iniciais
+   */
+  initialStates(prices, params) {
+    const { trend, seasonal, seasonalPeriods: periods } = params;
+
+    if (seasonal !== 'none' && prices.length >= periods) {
+      const firstSeason = prices.slice(0, periods);
+      const level = this.calculateMean(firstSeason);
+      const secondSeason = prices.slice(periods, 2 * periods);
+
+      const slope = trend !== 'none' && secondSeason.length === periods
+        ? (this.calculateMean(secondSeason) - level) / periods
+        : 0;
+
+      const seasonals = firstSeason.map(value =>
+        seasonal === 'multiplicative' ? value / level : value - level
+      );
+
+      return { level, slope, seasonals };
+    }
+
+    const lookahead = Math.min(10, prices.length - 1);
+    const slope = trend !== 'none' && lookahead > 0
+      ? (prices[lookahead] - prices[0]) / lookahead
+      : 0;
+
+    return { level: prices[0], slope, seasonals: [] };
+  }
+
+  /**
+   * Aplica as equações de Holt-Winters à série
+   * @param {Array} prices - Série de preços
+   * @param {Object} params - Parâmetros do modelo
+   * @returns {Object} - Erros um passo à frente e estados finais
+   */
+  smooth(prices, params) {
+    const { alpha, beta, gamma, phi, trend, seasonal } = params;
+    const states = this.initialStates(prices, params);
+    const seasonals = states.seasonals.slice();
+    const damping = trend === 'none' ? 0 : phi;
+
+    let { level, slope } = states;
+    const errors = [];
+
+    prices.forEach((price, t) => {
+      const index = seasonals.length > 0 ? t % seasonals.length : 0;
+      const seasonalValue = seasonal === 'multiplicative' ? seasonals[index] : (seasonals[index] || 0);
+      const base = level + damping * slope;
+
+      const expected = seasonal === 'multiplicative' ? base * seasonalValue : base + seasonalValue;
+      errors.push(price - expected);
+
+      const deseasonalized = seasonal === 'multiplicative' ? price / seasonalValue : price - seasonalValue;
+      const newLevel = alpha * deseasonalized + (1 - alpha) * base;
+
+      if (trend !== 'none') {
+        slope = beta * (newLevel - level) + (1 - beta) * damping * slope;
+      }
+
+      if (seasonal === 'multiplicative') {
+        seasonals[index] = gamma * (price / newLevel) + (1 - gamma) * seasonalValue;
+      } else if (seasonal === 'additive') {
+        seasonals[index] = gamma * (price - newLevel) + (1 - gamma) * seasonalValue;
+      }
+
+      level = newLevel;
+    });
+
+    return { errors, level, slope, seasonals };
+  }
+
+  forecast(prices, days) {
+    const params = this.params;
+    const { alpha, beta, gamma, phi, trend, seasonal, sigma2 } = params;
+    const { level, slope, seasonals } = this.smooth(prices, params);
+
+    // Soma acumulada do amortecimento: phi + phi^2 + ... + phi^h
+    const dampedSum = h => {
+      if (trend === 'none') return 0;
+      if (trend === 'additive') return h;
+
+      let sum = 0;
+      for (let i = 1; i <= h; i++) sum += Math.pow(phi, i);
+      return sum;
+    };
+
+    const predictions = [];
+    const standardErrors = [];
+    let varianceFactor = 1;
+
+    for (let h = 1; h <= days; h++) {
+      const base = level + dampedSum(h) * slope;
+      const index = seasonals.length > 0 ? (prices.length + h - 1) % seasonals.length : 0;
+
+      if (seasonal === 'multiplicative') {
+        predictions.push(base * seasonals[index]);
+      } else {
+        predictions.push(base + (seasonals[index] || 0));
+      }
+
+      // Variância da forma de correção de erros aditiva (aproximada no caso multiplicativo)
+      standardErrors.push(Math.sqrt(sigma2 * varianceFactor));
+
+      const seasonalHit = seasonal !== 'none' && h % params.seasonalPeriods === 0 ? 1 : 0;
+      const c = alpha * (1 + beta * dampedSum(h)) + gamma * (1 - alpha) * seasonalHit;
+      varianceFactor += c * c;
+    }
+
+    return { predictions, standardErrors };
+  }
+}
@@ -1,8 +1,11 @@
 // src/pipeline/dataPipeline.js
 import { DataCollector } from '../services/dataCollector';
-import { PriceForecaster } from '../models/priceForecaster';
+import { PriceForecasterRegistry } from '../models/priceForecasterRegistry';
+import { PriceForecasterEnhanced } from '../models/priceForecasterEnhanced';
 import { SentimentAnalyzer } from '../models/sentimentAnalyzer';
 import { AnomalyDetector } from '../models/anomalyDetector';
+import { RecommendationEngine } from '../models/recommendationEngine';
+import { createTradingCalendar } from '../utils/tradingCalendar';
 
 /**
  * Pipeline de dados para integração de modelos de ML
@@ -16,14 +19,36 @@ export class DataPipeline {
       forecastHorizon: config.forecastHorizon || 30, // Dias para previsão
       sentimentLookback: config.sentimentLookback || 14, // Dias para análise de sentimento
       anomalyThreshold: config.anomalyThreshold || 0.8, // Limiar para detecção de anomalias
+      useEnhancedForecaster: config.useEnhancedForecaster !== undefined ? config.useEnhancedForecaster : false, // Ensemble com intervalos de confiança
+      exogenousSeries: config.exogenousSeries || [], // Séries macroeconômicas do forecaster aprimorado (ex: ['CDI', 'IPCA', 'IFIX'])
+      forecastScenarios: config.forecastScenarios || {}, // Cenários das séries exógenas (ex: { 'Selic +100bps': { SELIC: 1 } })
+      useRecommendationEngine: config.useRecommendationEngine !== undefined ? config.useRecommendationEngine : false, // RecommendationEngine em vez da pontuação simples
       ...config
     };
     
-    // Inicializar componentes do pipeline
-    this.dataCollector = new DataCollector(config.collectorConfig);
-    this.priceForecaster = new PriceForecaster(config.forecasterConfig);
-    this.sentimentAnalyzer = new SentimentAnalyzer(config.sentimentConfig);
-    this.anomalyDetector = new AnomalyDetector(config.anomalyConfig);
+    // Inicializar componentes do pipeline (config.storage é compartilhado,
+    // mas pode ser sobrescrito na configuração de cada componente)
+    const shared = config.storage ? { storage: config.storage } : {};
+    
+    // Calendário de pregões comum à coleta, às datas das previsões e à cadência de dividendos
+    this.calendar = createTradingCalendar(config.calendar);
+    
+    this.dataCollector = new DataCollector({ ...shared, calendar: this.calendar, ...config.collectorConfig });
+    this.forecasterRegistry = new PriceForecasterRegistry({
+      ...shared,
+      ...(this.config.useEnhancedForecaster ? {
+        keyPrefix: 'lotus-invest-price-forecaster-enhanced',
+        createForecaster: forecasterConfig => new PriceForecasterEnhanced(forecasterConfig)
+      } : {}),
+      ...config.registryConfig,
+      forecasterConfig: config.forecasterConfig
+    });
+    this.sentimentAnalyzer = new SentimentAnalyzer({ ...shared, ...config.sentimentConfig });
+    this.anomalyDetector = new AnomalyDetector({ ...shared, calendar: this.calendar, ...config.anomalyConfig });
+    // Sem cache no motor: a recomendação deve acompanhar os resultados atualizados do pipeline
+    this.recommendationEngine = this.config.useRecommendationEngine
+      ? new RecommendationEngine({ useCache: false, ...config.engineConfig })
+      : null;
     
     // Cache para resultados processados
     this.cache = {
@@ -39,9 +64,9 @@ export class DataPipeline {
    */
   async initialize() {
     try {
-      // Carregar modelos pré-treinados
-      const forecastLoaded = await this.priceForecaster.loadModel()
-        .catch(() => false);
+      // Carregar índice de modelos de previsão por ticker (treinados sob demanda)
+      const forecastModels = await this.forecasterRegistry.loadIndex()
+        .catch(() => 0);
       
       const sentimentLoaded = await this.sentimentAnalyzer.loadModel()
         .catch(() => false);
@@ -49,10 +74,15 @@ export class DataPipeline {
       const anomalyLoaded = await this.anomalyDetector.loadModel()
         .catch(() => false);
       
+      const engineReady = this.recommendationEngine
+        ? await this.recommendationEngine.initialize()
+        : false;
+      
       console.log('Pipeline inicializado:', {
-        forecastLoaded,
+        forecastModels,
         sentimentLoaded,
-        anomalyLoaded
+        anomalyLoaded,
+        engineReady
       });
       
       return true;
@@ -65,7 +95,9 @@ export class DataPipeline {
   /**
    * Processa um FII específico, gerando previsões, análise de sentimento e detecção de anomalias
    * @param {String} ticker - Código do FII
-   * @param {Object} options - Opções de processamento
+   * @param {Object} options - Opções de processamento (startDate, endDate, segment,
+   *   futureExogenous com trajetórias das séries exógenas, e userPreferences e
+   *   fundamentals, usados pelo RecommendationEngine)
    * @returns {Promise<Object>} - Resultados do processamento
    */
   async processFii(ticker, options = {}) {
@@ -78,22 +110,41 @@ export class DataPipeline {
       const dividendData = await this.dataCollector.getHistoricalDividends(ticker, startDate, endDate);
       
       // 2. Gerar previsões de preço
-      const priceForecast = await this.generatePriceForecast(ticker, historicalData);
+      const priceForecast = await this.generatePriceForecast(ticker, historicalData, {
+        segment: options.segment,
+        futureExogenous: options.futureExogenous
+      });
       
       // 3. Analisar sentimento de notícias
       const sentimentAnalysis = await this.analyzeSentiment(ticker);
       
       // 4. Detectar anomalias em dividendos
-      const anomalies = await this.detectAnomalies(ticker, dividendData);
+      const anomalies = await this.detectAnomalies(ticker, dividendData, { referenceDate: endDate });
       
       // 5. Gerar recomendações personalizadas
-      const recommendations = this.generateRecommendations(ticker, {
-        historicalData,
-        dividendData,
-        priceForecast,
-        sentimentAnalysis,
-        anomalies
-      });
+      let recommendations;
+      let fundamentals = options.fundamentals || null;
+      
+      if (this.recommendationEngine) {
+        // Preços dos fundamentos vêm da série bruta (historicalData é ajustada por amortizações)
+        fundamentals = await this.collectFundamentals(ticker, endDate, {
+          dividends: dividendData
+        }, options.fundamentals);
+        
+        recommendations = await this.generateEngineRecommendation(ticker, {
+          priceForecast,
+          sentimentAnalysis,
+          anomalies
+        }, { ...options, fundamentals });
+      } else {
+        recommendations = this.generateRecommendations(ticker, {
+          historicalData,
+          dividendData,
+          priceForecast,
+          sentimentAnalysis,
+          anomalies
+        });
+      }
       
       // 6. Armazenar resultados em cache
       this.updateCache(ticker, {
@@ -102,7 +153,7 @@ export class DataPipeline {
         anomalies,
         recommendations,
         lastUpdated: new Date().toISOString()
-      });
+      }, { futureExogenous: options.futureExogenous });
       
       return {
         ticker,
@@ -110,6 +161,7 @@ export class DataPipeline {
         priceForecast,
         sentimentAnalysis,
         anomalies,
+        fundamentals,
         recommendations
       };
     } catch (error) {
@@ -122,53 +174,75 @@ export class DataPipeline {
    * Gera previsões de preço para um FII
    * @param {String} ticker - Código do FII
    * @param {Array} historicalData - Dados históricos de preço
-   * @returns {Promise<Object>} - Previsões de preço
+   * @param {Object} options - Opções (segment para registros agrupados por segmento e
+   *   futureExogenous com as trajetórias futuras das séries exógenas)
+   * @returns {Promise<Object>} - Previsões de preço (e, com cenários configurados, uma trajetória por cenário)
    */
-  async generatePriceForecast(ticker, historicalData) {
+  async generatePriceForecast(ticker, historicalData, options = {}) {
     try {
-      // Verificar cache
-      if (this.cache.forecasts[ticker] && this.isCacheValid(this.cache.forecasts[ticker].timestamp)) {
-        return this.cache.forecasts[ticker].data;
+      // Verificar cache (trajetórias exógenas e cenários distintos não compartilham a previsão)
+      const cacheKey = this.getForecastCacheKey(ticker, options);
+      
+      if (this.cache.forecasts[cacheKey] && this.isCacheValid(this.cache.forecasts[cacheKey].timestamp)) {
+        return this.cache.forecasts[cacheKey].data;
       }
       
-      // Extrair preços para treinamento
+      // Extrair preços para treinamento (com as variáveis exógenas alinhadas aos mesmos pregões)
       const prices = historicalData.map(item => item.price);
+      const exogenous = await this.collectExogenousVariables(historicalData);
+      const series = exogenous ? { prices, exogenous } : prices;
       
-      // Se o modelo não estiver treinado, treinar com dados históricos
-      if (!this.priceForecaster.trained) {
-        await this.priceForecaster.train(prices);
-      }
+      // Obter o modelo deste ticker (carregado ou treinado sob demanda)
+      const forecaster = await this.forecasterRegistry.getForecaster(ticker, series, {
+        segment: options.segment
+      });
+      
+      // Trajetórias futuras informadas (ex: expectativas do Focus); sem elas, o forecaster projeta cada série
+      const predictionSeries = exogenous && options.futureExogenous
+        ? { ...series, futureExogenous: options.futureExogenous }
+        : series;
       
-      // Gerar previsões
+      // Gerar previsões (com intervalos de confiança quando o forecaster os fornece)
       const forecastDays = this.config.forecastHorizon;
-      const predictions = await this.priceForecaster.predict(prices, forecastDays);
+      const scenarioResults = exogenous && Object.keys(this.config.forecastScenarios).length > 0 &&
+        typeof forecaster.predictScenarios === 'function'
+        ? await forecaster.predictScenarios(predictionSeries, this.config.forecastScenarios, forecastDays)
+        : null;
+      let bands = scenarioResults ? scenarioResults.baseline : null;
+      
+      if (!bands && typeof forecaster.predictWithConfidence === 'function') {
+        bands = await forecaster.predictWithConfidence(predictionSeries, forecastDays);
+      }
       
-      // Calcular métricas de confiança
-      const evaluation = await this.priceForecaster.evaluate(prices.slice(-Math.floor(prices.length * 0.2)));
+      const predictions = bands ? bands.predictions : await forecaster.predict(prices, forecastDays);
       
-      // Gerar datas para as previsões
-      const lastDate = new Date(historicalData[historicalData.length - 1].date);
+      // Calcular métricas de confiança (mínimo de pontos para formar janelas de avaliação)
+      const minEvaluationPoints = forecaster.config.windowSize + forecaster.config.horizonDays + 10;
+      const evaluationSize = Math.max(Math.floor(prices.length * 0.2), minEvaluationPoints);
+      const evaluationSeries = exogenous
+        ? {
+          prices: prices.slice(-evaluationSize),
+          exogenous: Object.fromEntries(Object.entries(exogenous).map(([name, values]) => [name, values.slice(-evaluationSize)]))
+        }
+        : prices.slice(-evaluationSize);
+      const evaluation = await this.forecasterRegistry.evaluate(ticker, evaluationSeries, {
+        segment: options.segment
+      });
+      
+      // Gerar datas para as previsões (próximos pregões da B3)
       const forecastDates = [];
+      let forecastDate = historicalData[historicalData.length - 1].date;
       
       for (let i = 1; i <= forecastDays; i++) {
-        const date = new Date(lastDate);
-        date.setDate(date.getDate() + i);
-        
-        // Pular fins de semana
-        while (date.getDay() === 0 || date.getDay() === 6) {
-          date.setDate(date.getDate() + 1);
-        }
-        
-        forecastDates.push(date.toISOString().split('T')[0]);
+        forecastDate = this.calendar.nextTradingDay(forecastDate);
+        forecastDates.push(forecastDate);
       }
       
       // Formatar resultado
       const forecast = {
         ticker,
-        predictions: predictions.map((price, index) => ({
-          date: forecastDates[index],
-          price: parseFloat(price.toFixed(2))
-        })),
+        predictions: this.formatPredictions(predictions, forecastDates, bands),
+        confidenceInterval: bands ? bands.confidenceInterval : null,
         metrics: {
           rmse: evaluation.rmse.toFixed(4),
           mape: evaluation.mape.toFixed(2) + '%',
@@ -177,8 +251,19 @@ export class DataPipeline {
         trend: this.calculateTrend(predictions)
       };
       
+      if (scenarioResults) {
+        forecast.scenarios = {};
+        
+        Object.entries(scenarioResults.scenarios).forEach(([name, result]) => {
+          forecast.scenarios[name] = {
+            predictions: this.formatPredictions(result.predictions, forecastDates, result),
+            trend: this.calculateTrend(result.predictions)
+          };
+        });
+      }
+      
       // Atualizar cache
-      this.cache.forecasts[ticker] = {
+      this.cache.forecasts[cacheKey] = {
         data: forecast,
         timestamp: Date.now()
       };
@@ -195,6 +280,43 @@ export class DataPipeline {
     }
   }
   
+  /**
+   * Formata as previsões com datas e, se houver, intervalos de confiança
+   * @param {Array} predictions - Preços previstos
+   * @param {Array} dates - Datas das previsões
+   * @param {Object} bands - Resultado com lowerBounds e upperBounds (opcional)
+   * @returns {Array} - Previsões { date, price, lowerBound, upperBound }
+   */
+  formatPredictions(predictions, dates, bands = null) {
+    return predictions.map((price, index) => ({
+      date: dates[index],
+      price: parseFloat(price.toFixed(2)),
+      ...(bands ? {
+        lowerBound: parseFloat(bands.lowerBounds[index].toFixed(2)),
+        upperBound: parseFloat(bands.upperBounds[index].toFixed(2))
+      } : {})
+    }));
+  }
+  
+  /**
+   * Obtém as séries macroeconômicas configuradas alinhadas aos pregões do histórico
+   * @param {Array} historicalData - Dados históricos de preço
+   * @returns {Promise<Object|null>} - Variáveis exógenas por série, ou null se não houver
+   */
+  async collectExogenousVariables(historicalData) {
+    // Apenas o forecaster aprimorado aceita variáveis exógenas
+    if (!this.config.useEnhancedForecaster || this.config.exogenousSeries.length === 0) {
+      return null;
+    }
+    
+    const exogenous = await this.dataCollector.getMacroVariables(
+      historicalData.map(item => item.date),
+      this.config.exogenousSeries
+    );
+    
+    return Object.keys(exogenous).length > 0 ? exogenous : null;
+  }
+  
   /**
    * Analisa o sentimento de notícias relacionadas a um FII
    * @param {String} ticker - Código do FII
@@ -211,18 +333,24 @@ export class DataPipeline {
       const endDate = new Date().toISOString().split('T')[0];
       const startDate = this.getDateDaysAgo(this.config.sentimentLookback);
       
-      // Esta função será implementada no modelo SentimentAnalyzer
       const sentimentResults = await this.sentimentAnalyzer.analyzeNewsSentiment(ticker, startDate, endDate);
       
-      // Calcular sentimento agregado
-      const aggregatedSentiment = this.calculateAggregatedSentiment(sentimentResults.articles);
+      // Usar o sentimento agregado do analisador (já filtrado por relevância)
+      const aggregatedSentiment = sentimentResults.aggregated ||
+        this.calculateAggregatedSentiment(sentimentResults.articles);
+      
+      const topics = sentimentResults.topics || [];
       
       // Formatar resultado
       const sentiment = {
         ticker,
         aggregated: aggregatedSentiment,
         articles: sentimentResults.articles.slice(0, 5), // Top 5 notícias mais relevantes
+        articleCount: sentimentResults.articles.length,
         wordcloud: sentimentResults.wordcloud,
+        topics,
+        topTopics: topics.map(topic => topic.name),
+        entities: sentimentResults.entities || [],
         trend: this.mapSentimentToTrend(aggregatedSentiment.score)
       };
       
@@ -239,7 +367,11 @@ export class DataPipeline {
         ticker,
         aggregated: { score: 0, label: 'neutral', confidence: 0 },
         articles: [],
+        articleCount: 0,
         wordcloud: [],
+        topics: [],
+        topTopics: [],
+        entities: [],
         trend: 'neutral'
       };
     }
@@ -249,9 +381,10 @@ export class DataPipeline {
    * Detecta anomalias em dados de dividendos
    * @param {String} ticker - Código do FII
    * @param {Array} dividendData - Dados históricos de dividendos
+   * @param {Object} options - Opções (referenceDate para pagamentos pendentes)
    * @returns {Promise<Object>} - Anomalias detectadas
    */
-  async detectAnomalies(ticker, dividendData) {
+  async detectAnomalies(ticker, dividendData, options = {}) {
     try {
       // Verificar cache
       if (this.cache.anomalies[ticker] && this.isCacheValid(this.cache.anomalies[ticker].timestamp)) {
@@ -259,7 +392,7 @@ export class DataPipeline {
       }
       
       // Esta função será implementada no modelo AnomalyDetector
-      const anomalyResults = await this.anomalyDetector.detectDividendAnomalies(dividendData);
+      const anomalyResults = await this.anomalyDetector.detectDividendAnomalies(dividendData, options);
       
       // Calcular estatísticas
       const stats = this.calculateAnomalyStats(anomalyResults.anomalies, dividendData);
@@ -269,6 +402,10 @@ export class DataPipeline {
         ticker,
         anomalies: anomalyResults.anomalies,
         stats,
+        seasonality: anomalyResults.seasonality,
+        regimes: anomalyResults.regimes || null,
+        cadence: anomalyResults.cadence || null,
+        levelChanges: this.describeLevelChanges(anomalyResults.regimes),
         riskLevel: this.calculateRiskLevel(stats)
       };
       
@@ -285,11 +422,54 @@ export class DataPipeline {
         ticker,
         anomalies: [],
         stats: { count: 0, percentage: 0 },
+        regimes: null,
+        cadence: null,
+        levelChanges: [],
         riskLevel: 'unknown'
       };
     }
   }
   
+  /**
+   * Obtém os dados fundamentalistas do FII, com os valores informados em processFii prevalecendo
+   * @param {String} ticker - Código do FII
+   * @param {String} date - Data de referência (YYYY-MM-DD)
+   * @param {Object} collected - Dividendos (e preços brutos) já coletados
+   * @param {Object} provided - Fundamentos informados pelo chamador
+   * @returns {Promise<Object>} - Dados fundamentalistas
+   */
+  async collectFundamentals(ticker, date, collected, provided = {}) {
+    try {
+      const fundamentals = await this.dataCollector.getFundamentals(ticker, date, collected);
+      return { ...fundamentals, ...provided };
+    } catch (error) {
+      console.warn(`Dados fundamentalistas indisponíveis para ${ticker}:`, error);
+      return { ...provided };
+    }
+  }
+  
+  /**
+   * Gera a recomendação pelo RecommendationEngine (pesos, limiares e personalização)
+   * @param {String} ticker - Código do FII
+   * @param {Object} mlResults - Resultados dos modelos (priceForecast, sentimentAnalysis, anomalies)
+   * @param {Object} options - Opções de processamento (userPreferences, fundamentals, segment)
+   * @returns {Promise<Object>} - Recomendação com score, confiança e justificativas
+   */
+  async generateEngineRecommendation(ticker, mlResults, options = {}) {
+    // O segmento informado ao pipeline complementa os dados fundamentalistas
+    const fundamentals = {
+      ...(options.segment ? { segment: options.segment } : {}),
+      ...options.fundamentals
+    };
+    
+    return this.recommendationEngine.generateRecommendation(
+      ticker,
+      mlResults,
+      fundamentals,
+      options.userPreferences || {}
+    );
+  }
+  
   /**
    * Gera recomendações personalizadas com base em todos os dados analisados
    * @param {String} ticker - Código do FII
@@ -396,16 +576,36 @@ export class DataPipeline {
     return { results, errors };
   }
   
+  /**
+   * Obtém a chave de cache da previsão de um FII
+   *
+   * A previsão depende das trajetórias futuras das séries exógenas e dos
+   * cenários configurados, que entram na chave quando informados.
+   * @param {String} ticker - Código do FII
+   * @param {Object} options - Opções da previsão (futureExogenous)
+   * @returns {String} - Chave de cache
+   */
+  getForecastCacheKey(ticker, options = {}) {
+    const scenarios = Object.keys(this.config.forecastScenarios).length > 0 ? this.config.forecastScenarios : null;
+    
+    if (!options.futureExogenous && !scenarios) {
+      return ticker;
+    }
+    
+    return `${ticker}:${JSON.stringify({ futureExogenous: options.futureExogenous || null, scenarios })}`;
+  }
+  
   /**
    * Atualiza o cache de resultados
    * @param {String} ticker - Código do FII
    * @param {Object} data - Dados a serem armazenados
+   * @param {Object} options - Opções usadas na previsão (futureExogenous), que compõem a chave da previsão
    */
-  updateCache(ticker, data) {
+  updateCache(ticker, data, options = {}) {
     const timestamp = Date.now();
     
     if (data.priceForecast) {
-      this.cache.forecasts[ticker] = {
+      this.cache.forecasts[this.getForecastCacheKey(ticker, options)] = {
         data: data.priceForecast,
         timestamp
       };
@@ -531,8 +731,10 @@ export class DataPipeline {
       return { count: 0, percentage: 0 };
     }
     
-    const count = anomalies.length;
-    const percentage = (count / dividendData.length) * 100;
+    // Amortizações (capital_return) são devolução de capital, não anomalias dos rendimentos
+    const count = anomalies.filter(anomaly => anomaly.type !== 'capital_return').length;
+    const incomeCount = dividendData.filter(item => item.distributionType !== 'amortization').length;
+    const percentage = incomeCount > 0 ? (count / incomeCount) * 100 : 0;
     
     return {
       count,
@@ -540,6 +742,27 @@ export class DataPipeline {
     };
   }
   
+  /**
+   * Descreve as mudanças de nível das distribuições para exibição
+   * @param {Object} regimes - Resultado de AnomalyDetector.detectRegimeChanges
+   * @returns {Array} - Mudanças com data, variação e mensagem
+   */
+  describeLevelChanges(regimes) {
+    if (!regimes || !regimes.changePoints) return [];
+    
+    return regimes.changePoints.map(change => ({
+      date: change.date,
+      previousMean: change.previousMean,
+      newMean: change.newMean,
+      percentChange: change.percentChange,
+      direction: change.direction,
+      // Sem nível anterior não nulo, a variação percentual é indefinida e não é exibida
+      message: `Nível de distribuição mudou em ${change.date}: ` +
+        `R$ ${change.previousMean.toFixed(2)} → R$ ${change.newMean.toFixed(2)}` +
+        (change.percentChange !== null ? ` (${change.percentChange > 0 ? '+' : ''}${change.percentChange}%)` : '')
+    }));
+  }
+  
   /**
    * Calcula nível de risco com base nas estatísticas de anomalias
    * @param {Object} stats - Estatísticas de anomalias
@@ -0,0 +1,370 @@
+// src/services/cotahistSource.js
+
+// Layout do registro de cotações (TIPREG 01) do arquivo COTAHIST da B3:
+// [início, fim) em posições base 0, conforme o leiaute oficial de 245 caracteres
+const FIELDS = {
+  recordType: [0, 2], // TIPREG
+  date: [2, 10], // DATA DO PREGÃO (AAAAMMDD)
+  bdiCode: [10, 12], // CODBDI (12 = fundos imobiliários)
+  ticker: [12, 24], // CODNEG
+  marketType: [24, 27], // TPMERC (010 = mercado à vista)
+  shortName: [27, 39], // NOMRES
+  specification: [39, 49], // ESPECI
+  open: [56, 69], // PREABE
+  high: [69, 82], // PREMAX
+  low: [82, 95], // PREMIN
+  average: [95, 108], // PREMED
+  close: [108, 121], // PREULT
+  trades: [147, 152], // TOTNEG
+  quantity: [152, 170], // QUATOT
+  financialVolume: [170, 188], // VOLTOT
+  quoteFactor: [210, 217], // FATCOT
+  isin: [230, 242] // CODISI
+};
+
+const QUOTE_RECORD = '01';
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+/**
+ * Fonte de preços offline a partir dos arquivos COTAHIST da B3
+ *
+ * Lê os arquivos de séries históricas (COTAHIST_A*.TXT, anuais, ou as
+ * versões diárias/mensais com o mesmo leiaute), inclusive compactados em
+ * .ZIP, e indexa as cotações dos FIIs por ticker. Os registros têm o mesmo
+ * formato da API (date, close, volume), acrescidos de abertura, máxima,
+ * mínima, preço médio, volume financeiro e número de negócios.
+ */
+export class CotahistSource {
+  constructor(config = {}) {
+    this.config = {
+      files: config.files || [], // Caminhos (Node) ou { name, data } com texto, bytes ou Blob
+      directory: config.directory || null, // Diretório com arquivos COTAHIST_* (Node)
+      bdiCodes: config.bdiCodes || ['12'], // CODBDI aceitos (12 = fundos imobiliários)
+      marketTypes: config.marketTypes || ['010'], // TPMERC aceitos (010 = mercado à vista)
+      encoding: config.encoding || 'latin1', // Codificação dos arquivos da B3
+      ...config
+    };
+
+    this.index = null; // ticker -> cotações ordenadas por data
+    this.loading = null;
+  }
+
+  /**
+   * Obtém as cotações de um FII no período
+   * @param {String} ticker - Código do FII (ex: KNRI11)
+   * @param {String} startDate - Data inicial (YYYY-MM-DD)
+   * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Cotações no formato da API de preços
+   */
+  async getHistoricalPrices(ticker, startDate, endDate) {
+    const index = await this.load();
+    const quotes = index.get(ticker.toUpperCase()) || [];
+
+    // Datas YYYY-MM-DD podem ser comparadas como texto
+    return quotes.filter(quote =>
+      (!startDate || quote.date >= startDate) && (!endDate || quote.date <= endDate)
+    );
+  }
+
+  /**
+   * Lista os tickers disponíveis nos arquivos carregados
+   * @returns {Promise<Array>} - Tickers em ordem alfabética
+   */
+  async listTickers() {
+    const index = await this.load();
+    return Array.from(index.keys()).sort();
+  }
+
+  /**
+   * Carrega e indexa os arquivos configurados (apenas uma vez)
+   * @returns {Promise<Map>} - Índice de cotações por ticker
+   */
+  async load() {
+    if (this.index) return this.index;
+
+    if (!this.loading) {
+      this.loading = this.buildIndex().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Lê todos os arquivos e monta o índice por ticker
+   * @returns {Promise<Map>} - Índice de cotações por ticker
+   */
+  async buildIndex() {
+    const sources = [...this.config.files];
+
+    if (this.config.directory) {
+      sources.push(...await this.listDirectory(this.config.directory));
+    }
+
+    if (sources.length === 0) {
+      throw new Error('Nenhum arquivo COTAHIST configurado');
+    }
+
+    const byTicker = new Map();
+
+    for (const source of sources) {
+      const quotes = await this.readSource(source);
+
+      // Arquivos sobrepostos (anual + diário): a última leitura prevalece
+      quotes.forEach(quote => {
+        if (!byTicker.has(quote.ticker)) byTicker.set(quote.ticker, new Map());
+        byTicker.get(quote.ticker).set(quote.date, quote);
+      });
+    }
+
+    const index = new Map();
+    byTicker.forEach((quotesByDate, ticker) => {
+      index.set(ticker, Array.from(quotesByDate.values()).sort((a, b) => a.date.localeCompare(b.date)));
+    });
+
+    this.index = index;
+    return index;
+  }
+
+  /**
+   * Lista os arquivos COTAHIST de um diretório
+   * @param {String} directory - Caminho do diretório
+   * @returns {Promise<Array>} - Caminhos dos arquivos em ordem de nome
+   */
+  async listDirectory(directory) {
+    const [fs, path] = await Promise.all([import('fs/promises'), import('path')]);
+    const files = await fs.readdir(directory);
+
+    return files
+      .filter(file => /^COTAHIST_.*\.(TXT|ZIP)$/i.test(file))
+      .sort()
+      .map(file => path.join(directory, file));
+  }
+
+  /**
+   * Lê um arquivo (caminho, texto, bytes ou Blob), descompactando se necessário
+   * @param {String|Object} source - Caminho ou { name, data }
+   * @returns {Promise<Array>} - Cotações do arquivo
+   */
+  async readSource(source) {
+    let data = source;
+
+    if (typeof source === 'string') {
+      const fs = await import('fs/promises');
+      data = new Uint8Array(await fs.readFile(source));
+    } else if (source && source.data !== undefined) {
+      data = source.data;
+    }
+
+    if (typeof data === 'string') {
+      return this.parse(data);
+    }
+
+    if (data && typeof data.arrayBuffer === 'function') {
+      data = await data.arrayBuffer();
+    }
+
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+    if (this.isZip(bytes)) {
+      const entries = await this.unzip(bytes);
+      return entries.flatMap(entry => this.parse(this.decode(entry.data)));
+    }
+
+    return this.parse(this.decode(bytes));
+  }
+
+  /**
+   * Interpreta o conteúdo de um arquivo COTAHIST
+   * @param {String} text - Conteúdo do arquivo
+   * @returns {Array} - Cotações dos FIIs no mercado à vista
+   */
+  parse(text) {
+    return text
+      .split(/\r?\n/)
+      .map(line => this.parseLine(line))
+      .filter(Boolean);
+  }
+
+  /**
+   * Interpreta uma linha de cotação
+   * @param {String} line - Linha de 245 caracteres
+   * @returns {Object|null} - Cotação ou null para cabeçalho, trailer e papéis filtrados
+   */
+  parseLine(line) {
+    if (line.length < FIELDS.isin[1] || this.field(line, 'recordType') !== QUOTE_RECORD) {
+      return null;
+    }
+
+    if (!this.config.bdiCodes.includes(this.field(line, 'bdiCode')) ||
+        !this.config.marketTypes.includes(this.field(line, 'marketType'))) {
+      return null;
+    }
+
+    const rawDate = this.field(line, 'date');
+    const factor = parseInt(this.field(line, 'quoteFactor'), 10) || 1;
+
+    // Preços com duas casas decimais implícitas, cotados por lote de FATCOT unidades
+    const price = name => parseInt(this.field(line, name), 10) / 100 / factor;
+
+    return {
+      ticker: this.field(line, 'ticker'),
+      date: `${rawDate.slice(0, 4)}-${rawDate.slice(4, 6)}-${rawDate.slice(6, 8)}`,
+      open: price('open'),
+      high: price('high'),
+      low: price('low'),
+      average: price('average'),
+      close: price('close'),
+      volume: parseInt(this.field(line, 'quantity'), 10),
+      financialVolume: parseInt(this.field(line, 'financialVolume'), 10) / 100,
+      trades: parseInt(this.field(line, 'trades'), 10),
+      name: this.field(line, 'shortName'),
+      specification: this.field(line, 'specification'),
+      isin: this.field(line, 'isin')
+    };
+  }
+
+  /**
+   * Extrai um campo de largura fixa
+   * @param {String} line - Linha do arquivo
+   * @param {String} name - Nome do campo em FIELDS
+   * @returns {String} - Valor sem espaços nas bordas
+   */
+  field(line, name) {
+    const [start, end] = FIELDS[name];
+    return line.slice(start, end).trim();
+  }
+
+  /**
+   * Verifica a assinatura de arquivo ZIP
+   * @param {Uint8Array} bytes - Conteúdo do arquivo
+   * @returns {Boolean} - Se é um ZIP
+   */
+  isZip(bytes) {
+    return bytes.length >= 4 && this.readUint32(bytes, 0) === ZIP_LOCAL_HEADER;
+  }
+
+  /**
+   * Extrai os arquivos .TXT de um ZIP pelo diretório central
+   * @param {Uint8Array} bytes - Conteúdo do ZIP
+   * @returns {Promise<Array>} - Entradas { name, data }
+   */
+  async unzip(bytes) {
+    // Fim do diretório central: últimos 22 bytes mais o comentário opcional
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 65535); i--) {
+      if (this.readUint32(bytes, i) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+        end = i;
+        break;
+      }
+    }
+
+    if (end === -1) {
+      throw new Error('Arquivo ZIP inválido: diretório central não encontrado');
+    }
+
+    const entryCount = this.readUint16(bytes, end + 10);
+    let offset = this.readUint32(bytes, end + 16);
+    const entries = [];
+
+    for (let i = 0; i < entryCount; i++) {
+      if (this.readUint32(bytes, offset) !== ZIP_CENTRAL_HEADER) {
+        throw new Error('Arquivo ZIP inválido: entrada do diretório central corrompida');
+      }
+
+      const method = this.readUint16(bytes, offset + 10);
+      const compressedSize = this.readUint32(bytes, offset + 20);
+      const nameLength = this.readUint16(bytes, offset + 28);
+      const extraLength = this.readUint16(bytes, offset + 30);
+      const commentLength = this.readUint16(bytes, offset + 32);
+      const localOffset = this.readUint32(bytes, offset + 42);
+      const name = this.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (!/\.TXT$/i.test(name)) continue;
+
+      // Os dados começam após o cabeçalho local, cujo campo extra pode diferir do central
+      const dataStart = localOffset + 30 +
+        this.readUint16(bytes, localOffset + 26) +
+        this.readUint16(bytes, localOffset + 28);
+      const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) {
+        entries.push({ name, data: compressed });
+      } else if (method === 8) {
+        entries.push({ name, data: await this.inflateRaw(compressed) });
+      } else {
+        throw new Error(`Método de compressão ZIP não suportado (${method}) em ${name}`);
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Descompacta dados DEFLATE (sem cabeçalho zlib)
+   * @param {Uint8Array} bytes - Dados compactados
+   * @returns {Promise<Uint8Array>} - Dados descompactados
+   */
+  async inflateRaw(bytes) {
+    const stream = new DecompressionStream('deflate-raw');
+    const writer = stream.writable.getWriter();
+
+    // Escrita sem aguardar para não bloquear na contrapressão; erros aparecem na leitura
+    writer.write(bytes).catch(() => {});
+    writer.close().catch(() => {});
+
+    const reader = stream.readable.getReader();
+    const chunks = [];
+    let length = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length += value.length;
+    }
+
+    const result = new Uint8Array(length);
+    let position = 0;
+    chunks.forEach(chunk => {
+      result.set(chunk, position);
+      position += chunk.length;
+    });
+
+    return result;
+  }
+
+  /**
+   * Decodifica bytes na codificação dos arquivos da B3
+   * @param {Uint8Array} bytes - Bytes do arquivo
+   * @returns {String} - Texto
+   */
+  decode(bytes) {
+    return new TextDecoder(this.config.encoding).decode(bytes);
+  }
+
+  /**
+   * Lê um inteiro de 16 bits little-endian
+   * @param {Uint8Array} bytes - Bytes
+   * @param {Number} offset - Posição
+   * @returns {Number} - Valor
+   */
+  readUint16(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8);
+  }
+
+  /**
+   * Lê um inteiro de 32 bits little-endian sem sinal
+   * @param {Uint8Array} bytes - Bytes
+   * @param {Number} offset - Posição
+   * @returns {Number} - Valor
+   */
+  readUint32(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16)) + bytes[offset + 3] * 0x1000000;
+  }
+}
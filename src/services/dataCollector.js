@@ -1,5 +1,74 @@
 // src/services/dataCollector.js
-import axios from 'axios';
+import { calculateMedian } from '../utils/statistics';
+import { createStorageAdapter } from '../utils/storageAdapter';
+import { createTradingCalendar } from '../utils/tradingCalendar';
+import { DataSource, DataSourceChain } from './dataSources';
+import { createHttpClient } from './httpClient';
+import { HistoryStore } from './historyStore';
+
+// Nomes aceitos para os tipos de evento corporativo (minúsculos, sem acentos)
+const CORPORATE_ACTION_TYPES = {
+  split: 'split',
+  desdobramento: 'split',
+  reverse_split: 'reverse_split',
+  grupamento: 'reverse_split',
+  amortization: 'amortization',
+  amortizacao: 'amortization'
+};
+
+// Nomes aceitos para o tipo de distribuição (minúsculos, sem acentos)
+const DISTRIBUTION_TYPES = {
+  income: 'income',
+  rendimento: 'income',
+  rendimentos: 'income',
+  dividendo: 'income',
+  amortization: 'amortization',
+  amortizacao: 'amortization',
+  capital_return: 'amortization'
+};
+
+// Política padrão de outliers: anotar sem remover, com estatísticas robustas
+// (preços em janela móvel, que acompanha o nível da série)
+const DEFAULT_OUTLIER_POLICY = {
+  prices: { action: 'flag', method: 'rolling', threshold: 3.5, window: 21 },
+  dividends: { action: 'flag', method: 'mad', threshold: 3.5, window: 12 }
+};
+
+// Séries macroeconômicas e de índices usadas como variáveis exógenas.
+// releaseLag: dias entre a data de referência e a divulgação (o IPCA de um
+// mês sai por volta do dia 10 do mês seguinte e o IGP-M, no fim do próprio
+// mês), para que o valor só apareça nos pregões em que já era conhecido
+const MACRO_SERIES = {
+  CDI: { frequency: 'daily', releaseLag: 0 },
+  SELIC: { frequency: 'daily', releaseLag: 0 },
+  IPCA: { frequency: 'monthly', releaseLag: 40 },
+  IGPM: { frequency: 'monthly', releaseLag: 30 },
+  NTNB: { frequency: 'daily', releaseLag: 0 },
+  IFIX: { frequency: 'daily', releaseLag: 0 }
+};
+
+/**
+ * Normaliza o nome de uma série macroeconômica (IGP-M -> IGPM, ntn-b -> NTNB)
+ * @param {String} series - Nome da série
+ * @returns {String} - Nome canônico
+ */
+function normalizeMacroSeries(series) {
+  return String(series).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Obtém a política de outliers de uma série a partir da configuração
+ * @param {String|Object} config - Ação para todas as séries ou { prices, dividends }
+ * @param {String} series - Série (prices ou dividends)
+ * @returns {Object} - Política informada para a série
+ */
+function resolveOutlierPolicy(config, series) {
+  if (!config) return {};
+  if (typeof config === 'string') return { action: config };
+
+  const policy = config[series];
+  return typeof policy === 'string' ? { action: policy } : (policy || {});
+}
 
 /**
  * Serviço para coleta e pré-processamento de dados históricos de FIIs
@@ -9,37 +78,101 @@ export class DataCollector {
     this.config = {
       apiBaseUrl: config.apiBaseUrl || 'https://api.thelotusinvest.com',
       cacheExpiration: config.cacheExpiration || 24 * 60 * 60 * 1000, // 24 horas em ms
-      ...config
+      volumeWindow: config.volumeWindow || 21, // Pregões usados no volume médio negociado
+      fundamentalsLookbackDays: config.fundamentalsLookbackDays || 365, // Janela do DY 12m e do histórico de VPA
+      priceSource: config.priceSource || 'api', // api ou cotahist (arquivos de séries históricas da B3)
+      cotahist: config.cotahist || {}, // Configuração da CotahistSource (files, directory)
+      sources: config.sources || null, // Fontes em ordem de prioridade (substitui priceSource)
+      http: config.http || {}, // HttpClient das fontes da API (concurrency, requestsPerSecond, maxRetries, timeout)
+      incremental: config.incremental !== undefined ? config.incremental : true, // Busca apenas os trechos que faltam no HistoryStore
+      history: config.history || {}, // Configuração do HistoryStore (refreshDays, maxAge)
+      priceAdjustment: config.priceAdjustment || 'adjusted', // none (série bruta), adjusted (eventos corporativos) ou total_return (também rendimentos)
+      macroSources: config.macroSources || null, // Fontes das séries macroeconômicas (padrão: as fontes de dados, mais o SGS do Banco Central com a API padrão)
+      macroSeries: config.macroSeries || Object.keys(MACRO_SERIES), // Séries usadas como variáveis exógenas
+      ...config,
+      // Política de outliers por série: action (flag, drop, winsorize, none), method (zscore, mad, rolling), threshold e window
+      outlierPolicy: {
+        prices: { ...DEFAULT_OUTLIER_POLICY.prices, ...resolveOutlierPolicy(config.outlierPolicy, 'prices') },
+        dividends: { ...DEFAULT_OUTLIER_POLICY.dividends, ...resolveOutlierPolicy(config.outlierPolicy, 'dividends') }
+      }
+    };
+    
+    // Backend do cache (padrão: localStorage no navegador, memória no Node)
+    this.storage = createStorageAdapter(config.storage);
+    
+    // Calendário de pregões da B3 (feriados não viram pregões interpolados)
+    this.calendar = createTradingCalendar(config.calendar);
+    
+    // Fontes de dados: cadeia configurada, API ou apenas COTAHIST (execução offline, sem requisições à API)
+    const offline = !this.config.sources && this.config.priceSource === 'cotahist';
+    const sources = this.config.sources || (offline
+      ? [{ type: 'cotahist', ...this.config.cotahist }]
+      : [{ type: 'api', apiBaseUrl: this.config.apiBaseUrl }]);
+    
+    // Cliente HTTP compartilhado pelas fontes da API, para que os limites valham para toda a coleta
+    this.httpClient = createHttpClient(this.config.http);
+    
+    const withHttpClient = source => {
+      const options = typeof source === 'string' ? { type: source } : source;
+      const isHttp = !(options instanceof DataSource) && ['api', 'http', 'bcb'].includes(options.type || 'api');
+      
+      return isHttp && !options.client ? { ...options, client: this.httpClient } : source;
     };
+    
+    this.dataSource = sources instanceof DataSource ? sources : new DataSourceChain(sources.map(withHttpClient));
+    
+    // Séries macroeconômicas: as mesmas fontes; o SGS do Banco Central só entra como alternativa
+    // à API padrão, para que cadeias configuradas (arquivos, memória, sintético) sigam offline
+    const defaultApi = !this.config.sources && !offline;
+    const macroSources = this.config.macroSources || [...(sources instanceof DataSource ? [sources] : sources), ...(defaultApi ? ['bcb'] : [])];
+    this.macroSource = macroSources instanceof DataSource ? macroSources : new DataSourceChain(macroSources.map(withHttpClient));
+    
+    // Séries brutas por ticker com os períodos já consultados
+    this.historyStore = new HistoryStore({ storage: this.storage, calendar: this.calendar, ...this.config.history });
   }
 
   /**
    * Obtém dados históricos de preços para um FII específico
+   *
+   * Por padrão os preços são ajustados por desdobramentos, grupamentos e
+   * amortizações até endDate; options.adjustment = 'none' retorna a série bruta.
    * @param {String} ticker - Código do FII (ex: KNRI11)
    * @param {String} startDate - Data inicial (YYYY-MM-DD)
    * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @param {Object} options - Opções (adjustment: none, adjusted ou total_return)
    * @returns {Promise<Array>} - Array com dados históricos
    */
-  async getHistoricalPrices(ticker, startDate, endDate = new Date().toISOString().split('T')[0]) {
+  async getHistoricalPrices(ticker, startDate, endDate = new Date().toISOString().split('T')[0], options = {}) {
     try {
+      const adjustment = options.adjustment || this.config.priceAdjustment;
+      
       // Verificar cache primeiro
-      const cacheKey = `historical-prices-${ticker}-${startDate}-${endDate}`;
-      const cachedData = this.getFromCache(cacheKey);
+      const cacheKey = `historical-prices-${ticker}-${startDate}-${endDate}-${adjustment}`;
+      const cachedData = await this.getFromCache(cacheKey);
       
       if (cachedData) {
         return cachedData;
       }
       
-      // Fazer requisição à API
-      const response = await axios.get(`${this.config.apiBaseUrl}/fii/${ticker}/prices`, {
-        params: { startDate, endDate }
-      });
+      // Consultar as fontes de dados em ordem de prioridade
+      const rawData = await this.fetchSeries('prices', ticker, startDate, endDate);
+      
+      // Eventos corporativos e (no retorno total) rendimentos usados no ajuste
+      const corporateActions = adjustment !== 'none'
+        ? await this.getCorporateActions(ticker, startDate, endDate)
+        : [];
+      const dividends = adjustment === 'total_return'
+        ? await this.getHistoricalDividends(ticker, startDate, endDate, { adjustment: 'none' }).catch(error => {
+          console.warn(`Retorno total de ${ticker} calculado sem rendimentos:`, error.message);
+          return [];
+        })
+        : [];
       
       // Pré-processar dados
-      const processedData = this.preprocessPriceData(response.data);
+      const processedData = this.preprocessPriceData(rawData, { corporateActions, dividends });
       
       // Salvar no cache
-      this.saveToCache(cacheKey, processedData);
+      await this.saveToCache(cacheKey, processedData);
       
       return processedData;
     } catch (error) {
@@ -50,31 +183,36 @@ export class DataCollector {
   
   /**
    * Obtém dados históricos de dividendos para um FII específico
+   *
+   * Os valores por cota são ajustados por desdobramentos e grupamentos até
+   * endDate, exceto com options.adjustment = 'none'.
    * @param {String} ticker - Código do FII (ex: KNRI11)
    * @param {String} startDate - Data inicial (YYYY-MM-DD)
    * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @param {Object} options - Opções (adjustment: none para valores brutos)
    * @returns {Promise<Array>} - Array com dados de dividendos
    */
-  async getHistoricalDividends(ticker, startDate, endDate = new Date().toISOString().split('T')[0]) {
+  async getHistoricalDividends(ticker, startDate, endDate = new Date().toISOString().split('T')[0], options = {}) {
     try {
+      const adjusted = (options.adjustment || this.config.priceAdjustment) !== 'none';
+      
       // Verificar cache primeiro
-      const cacheKey = `historical-dividends-${ticker}-${startDate}-${endDate}`;
-      const cachedData = this.getFromCache(cacheKey);
+      const cacheKey = `historical-dividends-${ticker}-${startDate}-${endDate}${adjusted ? '' : '-none'}`;
+      const cachedData = await this.getFromCache(cacheKey);
       
       if (cachedData) {
         return cachedData;
       }
       
-      // Fazer requisição à API
-      const response = await axios.get(`${this.config.apiBaseUrl}/fii/${ticker}/dividends`, {
-        params: { startDate, endDate }
-      });
+      // Consultar as fontes de dados em ordem de prioridade
+      const rawData = await this.fetchSeries('dividends', ticker, startDate, endDate);
+      const corporateActions = adjusted ? await this.getCorporateActions(ticker, startDate, endDate) : [];
       
       // Pré-processar dados
-      const processedData = this.preprocessDividendData(response.data);
+      const processedData = this.preprocessDividendData(rawData, corporateActions);
       
       // Salvar no cache
-      this.saveToCache(cacheKey, processedData);
+      await this.saveToCache(cacheKey, processedData);
       
       return processedData;
     } catch (error) {
@@ -83,6 +221,226 @@ export class DataCollector {
     }
   }
   
+  /**
+   * Obtém uma série bruta das fontes, incrementalmente quando habilitado
+   * @param {String} type - Série (prices, dividends, reports, macro)
+   * @param {String} ticker - Código do FII (ou nome da série macroeconômica)
+   * @param {String} startDate - Data inicial (YYYY-MM-DD)
+   * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Registros brutos do período
+   */
+  async fetchSeries(type, ticker, startDate, endDate) {
+    const methods = { prices: 'getPrices', dividends: 'getDividends', reports: 'getReports', macro: 'getMacroSeries' };
+    const source = type === 'macro' ? this.macroSource : this.dataSource;
+    const fetcher = (start, end) => source[methods[type]](ticker, start, end);
+    
+    if (!this.config.incremental || !startDate) {
+      return fetcher(startDate, endDate);
+    }
+    
+    return this.historyStore.fetch(type, ticker, startDate, endDate, fetcher);
+  }
+  
+  /**
+   * Relatório de cobertura das séries armazenadas de um FII
+   * @param {String} ticker - Código do FII (ex: KNRI11)
+   * @returns {Promise<Object>} - Períodos cobertos, trechos não consultados e pregões sem cotação
+   */
+  async getCoverageReport(ticker) {
+    return this.historyStore.getCoverageReport(ticker);
+  }
+  
+  /**
+   * Obtém os eventos corporativos de um FII (desdobramentos, grupamentos e amortizações)
+   *
+   * Falhas das fontes não interrompem a coleta: sem eventos, as séries
+   * seguem sem ajuste.
+   * @param {String} ticker - Código do FII (ex: KNRI11)
+   * @param {String} startDate - Data inicial (YYYY-MM-DD)
+   * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Eventos ordenados por data-com
+   */
+  async getCorporateActions(ticker, startDate, endDate = new Date().toISOString().split('T')[0]) {
+    const cacheKey = `corporate-actions-${ticker}-${startDate}-${endDate}`;
+    const cachedData = await this.getFromCache(cacheKey);
+    
+    if (cachedData) {
+      return cachedData;
+    }
+    
+    try {
+      const rawData = await this.dataSource.getCorporateActions(ticker, startDate, endDate);
+      const processedData = this.preprocessCorporateActions(rawData);
+      
+      await this.saveToCache(cacheKey, processedData);
+      
+      return processedData;
+    } catch (error) {
+      console.warn(`Eventos corporativos de ${ticker} indisponíveis, séries sem ajuste:`, error.message);
+      return [];
+    }
+  }
+  
+  /**
+   * Obtém os informes periódicos de um FII (VPA, cotistas e vacância)
+   * @param {String} ticker - Código do FII (ex: KNRI11)
+   * @param {String} startDate - Data inicial (YYYY-MM-DD)
+   * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Informes ordenados por data
+   */
+  async getFundamentalReports(ticker, startDate, endDate = new Date().toISOString().split('T')[0]) {
+    try {
+      // Verificar cache primeiro
+      const cacheKey = `fundamental-reports-${ticker}-${startDate}-${endDate}`;
+      const cachedData = await this.getFromCache(cacheKey);
+      
+      if (cachedData) {
+        return cachedData;
+      }
+      
+      // Consultar as fontes de dados em ordem de prioridade
+      const rawData = await this.fetchSeries('reports', ticker, startDate, endDate);
+      const corporateActions = this.config.priceAdjustment !== 'none'
+        ? await this.getCorporateActions(ticker, startDate, endDate)
+        : [];
+      
+      // Pré-processar dados (VPA na mesma base de cotas dos preços)
+      const processedData = this.adjustSeries(
+        this.preprocessFundamentalReports(rawData),
+        this.buildSplitEvents(corporateActions),
+        ['bookValuePerShare']
+      );
+      
+      // Salvar no cache
+      await this.saveToCache(cacheKey, processedData);
+      
+      return processedData;
+    } catch (error) {
+      console.error(`Erro ao obter informes de ${ticker}:`, error);
+      throw new Error(`Falha ao obter informes para ${ticker}`);
+    }
+  }
+  
+  /**
+   * Obtém os dados fundamentalistas de um FII em uma data
+   *
+   * P/VP, histórico de P/VP e volume negociado usam a série bruta de preços
+   * (apenas na base de cotas do VPA): amortizações e rendimentos reinvestidos
+   * não alteram o preço efetivamente negociado.
+   * @param {String} ticker - Código do FII (ex: KNRI11)
+   * @param {String} date - Data de referência (YYYY-MM-DD)
+   * @param {Object} options - Preços brutos (adjustment: 'none') e dividendos já coletados (evita novas requisições)
+   * @returns {Promise<Object>} - Fundamentos (pvp, dividendYield, capitalReturnYield, vacância, volume, cotistas e histórico de VPA)
+   */
+  async getFundamentals(ticker, date = new Date().toISOString().split('T')[0], options = {}) {
+    try {
+      // Verificar cache primeiro
+      const cacheKey = `fundamentals-${ticker}-${date}`;
+      const cachedData = await this.getFromCache(cacheKey);
+      
+      if (cachedData) {
+        return cachedData;
+      }
+      
+      const start = new Date(date);
+      start.setDate(start.getDate() - this.config.fundamentalsLookbackDays);
+      const startDate = start.toISOString().split('T')[0];
+      
+      const [reports, rawPrices, dividends, corporateActions] = await Promise.all([
+        this.getFundamentalReports(ticker, startDate, date),
+        options.prices || this.getHistoricalPrices(ticker, startDate, date, { adjustment: 'none' }),
+        options.dividends || this.getHistoricalDividends(ticker, startDate, date),
+        this.config.priceAdjustment !== 'none' ? this.getCorporateActions(ticker, startDate, date) : []
+      ]);
+      
+      // Desdobramentos e grupamentos levam os preços à base de cotas do VPA e dos dividendos
+      const prices = this.adjustSeries(rawPrices, this.buildSplitEvents(corporateActions), ['price'], ['volume']);
+      
+      const fundamentals = this.buildFundamentals(ticker, date, { reports, prices, dividends });
+      
+      // Salvar no cache
+      await this.saveToCache(cacheKey, fundamentals);
+      
+      return fundamentals;
+    } catch (error) {
+      console.error(`Erro ao obter dados fundamentalistas para ${ticker}:`, error);
+      throw new Error(`Falha ao obter dados fundamentalistas para ${ticker}`);
+    }
+  }
+  
+  /**
+   * Obtém uma série macroeconômica ou de índice
+   * @param {String} series - Nome da série (CDI, SELIC, IPCA, IGPM, NTNB, IFIX)
+   * @param {String} startDate - Data inicial (YYYY-MM-DD)
+   * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Registros { date, value } ordenados pela data de referência
+   */
+  async getMacroSeries(series, startDate, endDate = new Date().toISOString().split('T')[0]) {
+    const name = normalizeMacroSeries(series);
+    
+    try {
+      // Verificar cache primeiro
+      const cacheKey = `macro-${name}-${startDate}-${endDate}`;
+      const cachedData = await this.getFromCache(cacheKey);
+      
+      if (cachedData) {
+        return cachedData;
+      }
+      
+      const rawData = await this.fetchSeries('macro', name, startDate, endDate);
+      const processedData = this.preprocessMacroData(rawData);
+      
+      // Salvar no cache
+      await this.saveToCache(cacheKey, processedData);
+      
+      return processedData;
+    } catch (error) {
+      console.error(`Erro ao obter a série ${name}:`, error);
+      throw new Error(`Falha ao obter a série ${name}`);
+    }
+  }
+  
+  /**
+   * Obtém as variáveis exógenas alinhadas aos pregões de um FII
+   *
+   * Cada série é consultada desde antes do primeiro pregão, para que já haja
+   * um valor vigente no início, e propagada para frente a partir da
+   * divulgação, o que converte as séries mensais em diárias. Séries
+   * indisponíveis são omitidas.
+   * @param {Array} dates - Pregões (YYYY-MM-DD) em ordem crescente, como os da série de preços
+   * @param {Array} series - Séries desejadas
+   * @returns {Promise<Object>} - { CDI: [...], IPCA: [...] } com um valor por pregão
+   */
+  async getMacroVariables(dates, series = this.config.macroSeries) {
+    const variables = {};
+    
+    if (!dates || dates.length === 0) return variables;
+    
+    const endDate = String(dates[dates.length - 1]).slice(0, 10);
+    
+    for (const item of series) {
+      const name = normalizeMacroSeries(item);
+      const definition = MACRO_SERIES[name] || { frequency: 'daily', releaseLag: 0 };
+      
+      const start = new Date(`${String(dates[0]).slice(0, 10)}T00:00:00Z`);
+      start.setUTCDate(start.getUTCDate() - definition.releaseLag - (definition.frequency === 'monthly' ? 62 : 10));
+      
+      try {
+        const records = await this.getMacroSeries(name, start.toISOString().split('T')[0], endDate);
+        
+        if (records.length === 0) {
+          throw new Error('nenhum registro no período');
+        }
+        
+        variables[name] = this.alignMacroSeries(records, dates, definition.releaseLag);
+      } catch (error) {
+        console.warn(`Série ${name} indisponível, omitida das variáveis exógenas:`, error.message);
+      }
+    }
+    
+    return variables;
+  }
+  
   /**
    * Obtém dados históricos de preços para múltiplos FIIs
    * @param {Array} tickers - Array de códigos de FIIs
@@ -93,7 +451,8 @@ export class DataCollector {
   async getBatchHistoricalPrices(tickers, startDate, endDate = new Date().toISOString().split('T')[0]) {
     const results = {};
     
-    // Processar em paralelo com Promise.all
+    // Processar em paralelo com Promise.all (o HttpClient limita a concorrência
+    // e a taxa das requisições e repete falhas transitórias)
     await Promise.all(
       tickers.map(async (ticker) => {
         try {
@@ -111,21 +470,28 @@ export class DataCollector {
   /**
    * Pré-processa dados de preços para remover outliers e normalizar
    * @param {Array} data - Dados brutos da API
+   * @param {Object} adjustments - Eventos corporativos e rendimentos para o ajuste da série
    * @returns {Array} - Dados processados
    */
-  preprocessPriceData(data) {
+  preprocessPriceData(data, adjustments = {}) {
     // Garantir que os dados estão ordenados por data
     const sortedData = [...data].sort((a, b) => new Date(a.date) - new Date(b.date));
     
-    // Extrair apenas os preços de fechamento
+    // Extrair os preços de fechamento (e OHLC e negócios, quando a fonte os fornece)
     const prices = sortedData.map(item => ({
       date: item.date,
       price: item.close,
-      volume: item.volume
+      volume: item.volume,
+      ...(item.open !== undefined ? { open: item.open, high: item.high, low: item.low } : {}),
+      ...(item.trades !== undefined ? { trades: item.trades } : {})
     }));
     
-    // Remover outliers (método Z-score)
-    const cleanPrices = this.removeOutliers(prices, 'price', 3);
+    // Ajustar por eventos corporativos antes da remoção de outliers (saltos de
+    // grupamentos e amortizações não são outliers)
+    const adjustedPrices = this.adjustPrices(prices, adjustments);
+    
+    // Tratar outliers conforme a política da série (por padrão, apenas anotados)
+    const cleanPrices = this.applyOutlierPolicy(adjustedPrices, 'price', this.config.outlierPolicy.prices);
     
     // Preencher dados faltantes (interpolação linear)
     const filledPrices = this.fillMissingValues(cleanPrices);
@@ -136,14 +502,31 @@ export class DataCollector {
   /**
    * Pré-processa dados de dividendos
    * @param {Array} data - Dados brutos da API
+   * @param {Array} corporateActions - Eventos corporativos para o ajuste do valor por cota
    * @returns {Array} - Dados processados
    */
-  preprocessDividendData(data) {
+  preprocessDividendData(data, corporateActions = []) {
     // Garantir que os dados estão ordenados por data
     const sortedData = [...data].sort((a, b) => new Date(a.date) - new Date(b.date));
     
-    // Remover outliers (método Z-score)
-    const cleanData = this.removeOutliers(sortedData, 'value', 3);
+    // Rendimento (income) ou amortização (amortization, devolução de capital)
+    const typedData = sortedData.map(item => ({
+      ...item,
+      distributionType: this.normalizeDistributionType(item.distributionType || item.type)
+    }));
+    
+    // Valor e preço na base de cotas atual (o yield não muda)
+    const adjustedData = this.adjustSeries(typedData, this.buildSplitEvents(corporateActions), ['value', 'price']);
+    
+    // Tratar outliers apenas nos rendimentos: amortizações são eventos
+    // pontuais, muito maiores que os rendimentos habituais
+    const income = this.applyOutlierPolicy(
+      adjustedData.filter(item => item.distributionType === 'income'),
+      'value',
+      this.config.outlierPolicy.dividends
+    );
+    const cleanData = [...income, ...adjustedData.filter(item => item.distributionType === 'amortization')]
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
     
     // Calcular yield com base no preço do dia
     const enrichedData = cleanData.map(item => ({
@@ -154,6 +537,323 @@ export class DataCollector {
     return enrichedData;
   }
   
+  /**
+   * Normaliza o tipo de distribuição informado pela fonte
+   * @param {String} type - Tipo informado (ex.: Rendimento, Amortização)
+   * @returns {String} - income ou amortization (padrão: income)
+   */
+  normalizeDistributionType(type) {
+    const name = String(type || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return DISTRIBUTION_TYPES[name] || 'income';
+  }
+  
+  /**
+   * Pré-processa os eventos corporativos
+   *
+   * O fator de desdobramentos e grupamentos é o número de cotas novas por
+   * cota antiga (grupamento 10:1 = 0,1; um fator maior que 1 em um grupamento
+   * é interpretado como a proporção 10:1 e invertido).
+   * @param {Array} data - Dados brutos da API
+   * @returns {Array} - Eventos válidos ordenados por data-com
+   */
+  preprocessCorporateActions(data) {
+    const normalizeType = type => {
+      const name = String(type || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      return CORPORATE_ACTION_TYPES[name] || null;
+    };
+    
+    return [...(data || [])]
+      .filter(item => item && item.date)
+      .map(item => {
+        const type = normalizeType(item.type);
+        const factor = Number(item.factor);
+        const value = Number(item.value);
+        
+        if (type === 'split' || type === 'reverse_split') {
+          if (!(factor > 0)) return null;
+          
+          return {
+            date: String(item.date).slice(0, 10),
+            type,
+            factor: type === 'reverse_split' && factor > 1 ? 1 / factor : factor
+          };
+        }
+        
+        if (type === 'amortization' && value > 0) {
+          return { date: String(item.date).slice(0, 10), type, value };
+        }
+        
+        return null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+  
+  /**
+   * Ajusta a série de preços para a base atual (ajuste retroativo)
+   *
+   * Desdobramentos e grupamentos dividem os preços (e multiplicam o volume)
+   * até a data-com pelo fator; amortizações e, no retorno total, rendimentos
+   * multiplicam os preços até a data-com por (1 - valor / preço da data-com).
+   * @param {Array} prices - Preços brutos ordenados por data
+   * @param {Object} adjustments - Eventos corporativos (pré-processados) e rendimentos
+   * @returns {Array} - Preços ajustados
+   */
+  adjustPrices(prices, { corporateActions = [], dividends = [] } = {}) {
+    if (corporateActions.length === 0 && dividends.length === 0) return prices;
+    
+    // Preço bruto de fechamento na data-com (ou no último pregão anterior)
+    const closeOn = date => {
+      let close = null;
+      for (let i = 0; i < prices.length && prices[i].date <= date; i++) {
+        if (prices[i].price > 0) close = prices[i].price;
+      }
+      return close;
+    };
+    
+    // Amortizações informadas como evento corporativo e como distribuição contam uma vez só
+    const amortizations = corporateActions.filter(action => action.type === 'amortization');
+    const distributions = [
+      ...amortizations,
+      ...dividends
+        .map(dividend => ({ ...dividend, date: String(dividend.date).slice(0, 10) }))
+        .filter(dividend => dividend.distributionType !== 'amortization' ||
+          !amortizations.some(action => action.date === dividend.date))
+    ];
+    
+    const cashEvents = distributions
+      .map(event => {
+        const close = closeOn(event.date);
+        
+        if (!close || !(event.value > 0) || event.value >= close) return null;
+        
+        return { date: event.date, priceFactor: 1 - event.value / close, volumeFactor: 1 };
+      })
+      .filter(Boolean);
+    
+    const events = [...this.buildSplitEvents(corporateActions), ...cashEvents];
+    
+    return this.adjustSeries(prices, events, ['price', 'open', 'high', 'low'], ['volume']);
+  }
+  
+  /**
+   * Converte desdobramentos e grupamentos em fatores de ajuste
+   * @param {Array} corporateActions - Eventos corporativos pré-processados
+   * @returns {Array} - Fatores { date, priceFactor, volumeFactor }
+   */
+  buildSplitEvents(corporateActions = []) {
+    return corporateActions
+      .filter(action => action.type === 'split' || action.type === 'reverse_split')
+      .map(action => ({ date: action.date, priceFactor: 1 / action.factor, volumeFactor: action.factor }));
+  }
+  
+  /**
+   * Aplica fatores de ajuste aos registros com data até a data de cada evento
+   * @param {Array} records - Registros ordenados por data
+   * @param {Array} events - Fatores { date, priceFactor, volumeFactor }
+   * @param {Array} priceFields - Campos multiplicados por priceFactor
+   * @param {Array} volumeFields - Campos multiplicados por volumeFactor
+   * @returns {Array} - Registros ajustados
+   */
+  adjustSeries(records, events, priceFields, volumeFields = []) {
+    if (events.length === 0) return records;
+    
+    const sortedEvents = [...events].sort((a, b) => a.date.localeCompare(b.date));
+    const result = new Array(records.length);
+    let priceFactor = 1;
+    let volumeFactor = 1;
+    let next = sortedEvents.length - 1;
+    
+    // Percorre do mais recente ao mais antigo acumulando os fatores dos eventos posteriores
+    for (let i = records.length - 1; i >= 0; i--) {
+      const day = String(records[i].date).slice(0, 10);
+      
+      while (next >= 0 && sortedEvents[next].date >= day) {
+        priceFactor *= sortedEvents[next].priceFactor;
+        volumeFactor *= sortedEvents[next].volumeFactor;
+        next--;
+      }
+      
+      const adjusted = { ...records[i] };
+      priceFields.forEach(field => {
+        if (typeof adjusted[field] === 'number') adjusted[field] *= priceFactor;
+      });
+      volumeFields.forEach(field => {
+        if (typeof adjusted[field] === 'number') adjusted[field] *= volumeFactor;
+      });
+      
+      result[i] = adjusted;
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Pré-processa os informes periódicos
+   * @param {Array} data - Dados brutos da API
+   * @returns {Array} - Informes ordenados, com valores inválidos como null
+   */
+  preprocessFundamentalReports(data) {
+    const toNumber = value => (value === null || value === undefined || value === '' ? NaN : Number(value));
+    
+    // Vacância em percentual (0-100)
+    const toVacancy = value => {
+      const vacancy = toNumber(value);
+      return Number.isFinite(vacancy) ? Math.min(100, Math.max(0, vacancy)) : null;
+    };
+    
+    return [...(data || [])]
+      .filter(item => item && item.date)
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .map(item => {
+        const bookValuePerShare = toNumber(item.bookValuePerShare);
+        const shareholders = toNumber(item.shareholders);
+        
+        return {
+          date: item.date,
+          bookValuePerShare: bookValuePerShare > 0 ? bookValuePerShare : null,
+          shareholders: shareholders >= 0 ? Math.round(shareholders) : null,
+          physicalVacancy: toVacancy(item.physicalVacancy),
+          financialVacancy: toVacancy(item.financialVacancy)
+        };
+      });
+  }
+  
+  /**
+   * Pré-processa uma série macroeconômica
+   * @param {Array} data - Registros brutos { date, value }
+   * @returns {Array} - Registros válidos ordenados, um por data
+   */
+  preprocessMacroData(data) {
+    const byDate = new Map();
+    
+    (data || []).forEach(item => {
+      if (!item || !item.date || item.value === null || item.value === undefined || item.value === '') return;
+      
+      // Valores em texto podem vir com vírgula decimal
+      const value = Number(typeof item.value === 'string' ? item.value.replace(',', '.') : item.value);
+      
+      if (Number.isFinite(value)) {
+        byDate.set(String(item.date).slice(0, 10), value);
+      }
+    });
+    
+    return Array.from(byDate, ([date, value]) => ({ date, value }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+  
+  /**
+   * Alinha uma série aos pregões, repetindo o último valor já divulgado
+   * @param {Array} records - Registros { date, value } ordenados
+   * @param {Array} dates - Pregões (YYYY-MM-DD) em ordem crescente
+   * @param {Number} releaseLag - Dias entre a data de referência e a divulgação
+   * @returns {Array} - Um valor por pregão (antes da primeira divulgação, o primeiro valor)
+   */
+  alignMacroSeries(records, dates, releaseLag = 0) {
+    const released = records.map(record => {
+      const date = new Date(`${record.date}T00:00:00Z`);
+      date.setUTCDate(date.getUTCDate() + releaseLag);
+      
+      return { date: date.toISOString().split('T')[0], value: record.value };
+    });
+    
+    let index = -1;
+    
+    return dates.map(date => {
+      const day = String(date).slice(0, 10);
+      
+      while (index + 1 < released.length && released[index + 1].date <= day) {
+        index++;
+      }
+      
+      return released[Math.max(index, 0)].value;
+    });
+  }
+  
+  /**
+   * Calcula os fundamentos de um FII a partir de informes, preços e dividendos
+   * @param {String} ticker - Código do FII
+   * @param {String} date - Data de referência (YYYY-MM-DD)
+   * @param {Object} data - Informes, preços e dividendos já pré-processados
+   * @returns {Object} - Fundamentos no formato usado pelo RecommendationEngine
+   */
+  buildFundamentals(ticker, date, { reports = [], prices = [], dividends = [] }) {
+    const reference = new Date(date).getTime();
+    const until = items => items.filter(item => new Date(item.date).getTime() <= reference);
+    
+    // Último valor conhecido de um campo dos informes (informes não trazem todos os campos)
+    const pastReports = until(reports);
+    const latest = field => {
+      for (let i = pastReports.length - 1; i >= 0; i--) {
+        if (pastReports[i][field] !== null && pastReports[i][field] !== undefined) {
+          return pastReports[i][field];
+        }
+      }
+      return null;
+    };
+    
+    const pastPrices = until(prices).filter(item => item.price > 0);
+    const priceAt = day => {
+      const time = new Date(day).getTime();
+      const candidates = pastPrices.filter(item => new Date(item.date).getTime() <= time);
+      return candidates.length > 0 ? candidates[candidates.length - 1].price : null;
+    };
+    
+    const price = priceAt(date);
+    const bookValuePerShare = latest('bookValuePerShare');
+    
+    // Histórico de VPA com o P/VP de cada data de informe
+    const bookValueHistory = pastReports
+      .filter(report => report.bookValuePerShare !== null)
+      .map(report => {
+        const reportPrice = priceAt(report.date);
+        
+        return {
+          date: report.date,
+          bookValuePerShare: report.bookValuePerShare,
+          pvp: reportPrice ? parseFloat((reportPrice / report.bookValuePerShare).toFixed(4)) : null
+        };
+      });
+    
+    // Dividend yield dos últimos 12 meses sobre o preço atual, separando
+    // rendimentos de amortizações (devolução de capital)
+    const windowStart = reference - this.config.fundamentalsLookbackDays * 24 * 60 * 60 * 1000;
+    const recentDividends = until(dividends).filter(item => new Date(item.date).getTime() > windowStart);
+    const sumValues = items => items.reduce((sum, item) => sum + (item.value || 0), 0);
+    const dividends12m = sumValues(recentDividends.filter(item => item.distributionType !== 'amortization'));
+    const amortizations12m = sumValues(recentDividends.filter(item => item.distributionType === 'amortization'));
+    
+    // Volume financeiro médio (R$) dos últimos pregões
+    const recentSessions = pastPrices
+      .filter(item => !item.interpolated && item.volume > 0)
+      .slice(-this.config.volumeWindow);
+    const averageDailyVolume = recentSessions.length > 0
+      ? recentSessions.reduce((sum, item) => sum + item.price * item.volume, 0) / recentSessions.length
+      : null;
+    
+    const physicalVacancy = latest('physicalVacancy');
+    const financialVacancy = latest('financialVacancy');
+    
+    return {
+      ticker,
+      date,
+      price,
+      bookValuePerShare,
+      pvp: price && bookValuePerShare ? parseFloat((price / bookValuePerShare).toFixed(4)) : null,
+      dividends12m: parseFloat(dividends12m.toFixed(4)),
+      dividendYield: price ? parseFloat(((dividends12m / price) * 100).toFixed(2)) : null,
+      amortizations12m: parseFloat(amortizations12m.toFixed(4)),
+      capitalReturnYield: price ? parseFloat(((amortizations12m / price) * 100).toFixed(2)) : null,
+      physicalVacancy,
+      financialVacancy,
+      // Vacância financeira reflete melhor a perda de receita; física quando é a única disponível
+      vacancy: financialVacancy !== null ? financialVacancy : physicalVacancy,
+      averageDailyVolume: averageDailyVolume !== null ? Math.round(averageDailyVolume) : null,
+      shareholders: latest('shareholders'),
+      bookValueHistory
+    };
+  }
+  
   /**
    * Remove outliers usando o método Z-score
    * @param {Array} data - Array de dados
@@ -162,19 +862,106 @@ export class DataCollector {
    * @returns {Array} - Dados sem outliers
    */
   removeOutliers(data, field, threshold = 3) {
-    // Calcular média e desvio padrão
-    const values = data.map(item => item[field]);
-    const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
+    return this.applyOutlierPolicy(data, field, { action: 'drop', method: 'zscore', threshold });
+  }
+  
+  /**
+   * Aplica uma política de outliers a uma série
+   *
+   * Pontos com desvio acima do limiar são removidos (drop), limitados ao
+   * limiar (winsorize, com o valor original em originalValue) ou mantidos
+   * (flag); nos dois últimos casos recebem outlier: true, outlierScore e
+   * outlierReason. Séries sem dispersão não têm outliers.
+   * @param {Array} data - Registros ordenados por data
+   * @param {String} field - Campo analisado
+   * @param {Object} policy - Política { action, method, threshold, window }
+   * @returns {Array} - Registros tratados
+   */
+  applyOutlierPolicy(data, field, policy) {
+    const { action, method, threshold, window } = { ...DEFAULT_OUTLIER_POLICY.prices, ...policy };
+    
+    if (action === 'none' || data.length < 3) return data;
     
-    const squaredDiffs = values.map(val => Math.pow(val - mean, 2));
-    const variance = squaredDiffs.reduce((sum, val) => sum + val, 0) / values.length;
-    const stdDev = Math.sqrt(variance);
+    const values = data.map(item => item[field]);
+    const statistics = this.calculateOutlierStatistics(values, method, window);
+    const result = [];
     
-    // Filtrar outliers
-    return data.filter(item => {
-      const zScore = Math.abs((item[field] - mean) / stdDev);
-      return zScore <= threshold;
+    data.forEach((item, i) => {
+      const { center, scale } = statistics[i];
+      const value = values[i];
+      const outlierScore = scale > 0 && Number.isFinite(value) ? Math.abs(value - center) / scale : 0;
+      
+      if (outlierScore <= threshold) {
+        result.push(item);
+        return;
+      }
+      
+      if (action === 'drop') return;
+      
+      const annotation = {
+        outlier: true,
+        outlierScore: parseFloat(outlierScore.toFixed(2)),
+        outlierReason: `Desvio de ${outlierScore.toFixed(2)} (${method}) acima do limiar ${threshold}`
+      };
+      
+      if (action === 'winsorize') {
+        result.push({
+          ...item,
+          [field]: center + Math.sign(value - center) * threshold * scale,
+          originalValue: value,
+          ...annotation
+        });
+      } else {
+        result.push({ ...item, ...annotation });
+      }
     });
+    
+    return result;
+  }
+  
+  /**
+   * Calcula o centro e a escala de referência de cada ponto
+   *
+   * zscore usa média e desvio padrão da série; mad usa mediana e desvio
+   * absoluto mediano (escalado para equivaler ao desvio padrão); rolling
+   * usa a mediana de uma janela centrada em cada ponto (filtro de Hampel) e
+   * a dispersão dos resíduos em relação a essa mediana, acompanhando o
+   * nível e a tendência da série.
+   * @param {Array} values - Valores da série
+   * @param {String} method - Método (zscore, mad ou rolling)
+   * @param {Number} window - Tamanho da janela (rolling)
+   * @returns {Array} - { center, scale } por ponto
+   */
+  calculateOutlierStatistics(values, method, window) {
+    // Escala robusta dos desvios (MAD nulo, com a maioria dos valores iguais:
+    // desvio absoluto médio como alternativa)
+    const robustScale = deviations => {
+      const mad = calculateMedian(deviations) * 1.4826;
+      return mad > 0 ? mad : (deviations.reduce((sum, value) => sum + value, 0) / deviations.length) * 1.2533;
+    };
+    
+    const finite = values.filter(Number.isFinite);
+    
+    if (finite.length === 0) return values.map(() => ({ center: 0, scale: 0 }));
+    
+    if (method === 'rolling') {
+      const half = Math.floor(window / 2);
+      const windowOf = (series, i) => series.slice(Math.max(0, i - half), i + half + 1).filter(Number.isFinite);
+      const centers = values.map((_, i) => calculateMedian(windowOf(values, i)));
+      const residuals = values.map((value, i) => Math.abs(value - centers[i]));
+      
+      return values.map((_, i) => ({ center: centers[i], scale: robustScale(windowOf(residuals, i)) }));
+    }
+    
+    if (method === 'zscore') {
+      const mean = finite.reduce((sum, value) => sum + value, 0) / finite.length;
+      const variance = finite.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / finite.length;
+      return values.map(() => ({ center: mean, scale: Math.sqrt(variance) }));
+    }
+    
+    const center = calculateMedian(finite);
+    const scale = robustScale(finite.map(value => Math.abs(value - center)));
+    return values.map(() => ({ center, scale }));
   }
   
   /**
@@ -265,41 +1052,28 @@ export class DataCollector {
   }
   
   /**
-   * Gera um array de datas entre duas datas (formato YYYY-MM-DD)
+   * Gera um array com os pregões entre duas datas (formato YYYY-MM-DD)
    * @param {String} startDate - Data inicial
    * @param {String} endDate - Data final
    * @returns {Array} - Array de datas
    */
   generateDateRange(startDate, endDate) {
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const dates = [];
-    
-    // Ajustar para dias úteis apenas (seg-sex)
-    let current = new Date(start);
-    while (current <= end) {
-      const dayOfWeek = current.getDay();
-      if (dayOfWeek !== 0 && dayOfWeek !== 6) { // Não é domingo (0) nem sábado (6)
-        dates.push(current.toISOString().split('T')[0]);
-      }
-      current.setDate(current.getDate() + 1);
-    }
-    
-    return dates;
+    return this.calendar.tradingDaysBetween(startDate, endDate);
   }
   
   /**
    * Salva dados no cache local
    * @param {String} key - Chave do cache
    * @param {Any} data - Dados a serem armazenados
+   * @returns {Promise} - Promessa que resolve após o salvamento
    */
-  saveToCache(key, data) {
+  async saveToCache(key, data) {
     try {
       const cacheItem = {
         data,
         timestamp: Date.now()
       };
-      localStorage.setItem(key, JSON.stringify(cacheItem));
+      await this.storage.setItem(key, cacheItem);
     } catch (error) {
       console.warn('Erro ao salvar no cache:', error);
     }
@@ -308,20 +1082,20 @@ export class DataCollector {
   /**
    * Obtém dados do cache local
    * @param {String} key - Chave do cache
-   * @returns {Any|null} - Dados armazenados ou null se expirado/inexistente
+   * @returns {Promise<Any|null>} - Dados armazenados ou null se expirado/inexistente
    */
-  getFromCache(key) {
+  async getFromCache(key) {
     try {
-      const cachedItem = localStorage.getItem(key);
+      const cachedItem = await this.storage.getItem(key);
       
       if (!cachedItem) return null;
       
-      const { data, timestamp } = JSON.parse(cachedItem);
+      const { data, timestamp } = cachedItem;
       const now = Date.now();
       
       // Verificar se o cache expirou
       if (now - timestamp > this.config.cacheExpiration) {
-        localStorage.removeItem(key);
+        await this.storage.removeItem(key);
         return null;
       }
       
@@ -334,20 +1108,25 @@ export class DataCollector {
   
   /**
    * Limpa o cache local
+   * @returns {Promise<boolean>} - Sucesso da operação
    */
-  clearCache() {
+  async clearCache() {
     try {
       // Limpar apenas itens relacionados a este serviço
-      const keysToRemove = [];
+      const keys = await this.storage.keys();
+      const keysToRemove = keys.filter(key =>
+        key.startsWith('historical-prices-') ||
+        key.startsWith('historical-dividends-') ||
+        key.startsWith('corporate-actions-') ||
+        key.startsWith('macro-') ||
+        key.startsWith('fundamental-reports-') ||
+        key.startsWith('fundamentals-')
+      );
       
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (key.startsWith('historical-prices-') || key.startsWith('historical-dividends-')) {
-          keysToRemove.push(key);
-        }
-      }
+      await Promise.all(keysToRemove.map(key => this.storage.removeItem(key)));
       
-      keysToRemove.forEach(key => localStorage.removeItem(key));
+      // Séries brutas e períodos consultados do histórico incremental
+      await this.historyStore.clear();
       
       return true;
     } catch (error) {
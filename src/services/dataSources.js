@@ -0,0 +1,582 @@
+// src/services/dataSources.js
+import { CotahistSource } from './cotahistSource';
+import { createHttpClient } from './httpClient';
+import { createSeededRandom } from '../utils/statistics';
+import { createTradingCalendar } from '../utils/tradingCalendar';
+
+/**
+ * Fontes de dados de mercado para o DataCollector
+ *
+ * Cada fonte expõe a mesma interface assíncrona (getPrices, getDividends,
+ * getReports, getCorporateActions, getMacroSeries) e devolve registros nos
+ * campos canônicos, já traduzidos pelo mapa de campos da fonte:
+ * - prices: date, close, volume (e open, high, low, trades, se houver)
+ * - dividends: date (data-com), value, paymentDate, price, distributionType (income ou amortization)
+ * - reports: date, bookValuePerShare, shareholders, physicalVacancy, financialVacancy
+ * - corporateActions: date (data-com), type (split, reverse_split, amortization), factor, value
+ * - macro: date (data de referência), value; o ticker é o nome da série (CDI, SELIC, IPCA, IGPM, NTNB, IFIX)
+ *
+ * Fontes que não oferecem um tipo de dado lançam erro, o que permite
+ * compor uma cadeia de prioridade (DataSourceChain) que recorre à próxima.
+ */
+export class DataSource {
+  constructor(config = {}) {
+    this.config = {
+      name: config.name || this.constructor.name, // Nome exibido em logs e erros
+      fieldMap: config.fieldMap || {}, // { prices: { close: 'fechamento' | (registro) => valor } }
+      ...config
+    };
+  }
+
+  /**
+   * Obtém cotações diárias
+   * @param {String} ticker - Código do FII
+   * @param {String} startDate - Data inicial (YYYY-MM-DD)
+   * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Registros { date, close, volume, ... }
+   */
+  async getPrices(ticker, startDate, endDate) {
+    return this.read('prices', ticker, startDate, endDate);
+  }
+
+  /**
+   * Obtém dividendos (data-com, valor e data de pagamento)
+   * @param {String} ticker - Código do FII
+   * @param {String} startDate - Data inicial (YYYY-MM-DD)
+   * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Registros { date, value, paymentDate, ... }
+   */
+  async getDividends(ticker, startDate, endDate) {
+    return this.read('dividends', ticker, startDate, endDate);
+  }
+
+  /**
+   * Obtém informes periódicos (VPA, cotistas e vacância)
+   * @param {String} ticker - Código do FII
+   * @param {String} startDate - Data inicial (YYYY-MM-DD)
+   * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Registros { date, bookValuePerShare, ... }
+   */
+  async getReports(ticker, startDate, endDate) {
+    return this.read('reports', ticker, startDate, endDate);
+  }
+
+  /**
+   * Obtém eventos corporativos (desdobramentos, grupamentos e amortizações)
+   * @param {String} ticker - Código do FII
+   * @param {String} startDate - Data inicial (YYYY-MM-DD)
+   * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Registros { date, type, factor, value }
+   */
+  async getCorporateActions(ticker, startDate, endDate) {
+    return this.read('corporateActions', ticker, startDate, endDate);
+  }
+
+  /**
+   * Obtém uma série macroeconômica ou de índice
+   * @param {String} series - Nome da série (CDI, SELIC, IPCA, IGPM, NTNB, IFIX)
+   * @param {String} startDate - Data inicial (YYYY-MM-DD)
+   * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Registros { date, value }
+   */
+  async getMacroSeries(series, startDate, endDate) {
+    return this.read('macro', series, startDate, endDate);
+  }
+
+  /**
+   * Obtém os registros de um tipo de dado nos campos canônicos, filtrados pelo período
+   * @param {String} type - Tipo de dado (prices, dividends, reports, corporateActions)
+   * @param {String} ticker - Código do FII
+   * @param {String} startDate - Data inicial (YYYY-MM-DD)
+   * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Registros canônicos
+   */
+  async read(type, ticker, startDate, endDate) {
+    const records = this.mapFields(await this.fetch(type, ticker, startDate, endDate), type);
+    return this.filterByDate(records, startDate, endDate);
+  }
+
+  /**
+   * Obtém os registros brutos de um tipo de dado (o período pode ser ignorado pela fonte)
+   * @param {String} type - Tipo de dado (prices, dividends, reports, corporateActions)
+   * @param {String} ticker - Código do FII
+   * @param {String} startDate - Data inicial (YYYY-MM-DD)
+   * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @returns {Promise<Array>} - Registros no formato da fonte
+   */
+  async fetch(type, ticker, startDate, endDate) {
+    throw new Error(`${this.config.name} não fornece ${type}`);
+  }
+
+  /**
+   * Traduz os campos da fonte para os campos canônicos
+   * @param {Array} records - Registros no formato da fonte
+   * @param {String} type - Tipo de dado
+   * @returns {Array} - Registros com os campos canônicos
+   */
+  mapFields(records, type) {
+    const fieldMap = this.config.fieldMap[type];
+
+    if (!fieldMap) return records;
+
+    return records.map(record => {
+      const mapped = { ...record };
+
+      Object.keys(fieldMap).forEach(field => {
+        const source = fieldMap[field];
+        mapped[field] = typeof source === 'function' ? source(record) : record[source];
+      });
+
+      return mapped;
+    });
+  }
+
+  /**
+   * Filtra registros pelo período (datas ISO comparadas como texto, pelo dia)
+   * @param {Array} records - Registros com campo date
+   * @param {String} startDate - Data inicial
+   * @param {String} endDate - Data final
+   * @returns {Array} - Registros do período
+   */
+  filterByDate(records, startDate, endDate) {
+    return records.filter(record => {
+      const day = String(record.date).slice(0, 10);
+      return (!startDate || day >= startDate) && (!endDate || day <= endDate);
+    });
+  }
+}
+
+/**
+ * Fonte HTTP (API do Lotus Invest ou compatível)
+ *
+ * As requisições passam pelo HttpClient (concorrência, limite de taxa e
+ * novas tentativas), que pode ser compartilhado entre fontes em client.
+ */
+export class HttpDataSource extends DataSource {
+  constructor(config = {}) {
+    super({
+      apiBaseUrl: config.apiBaseUrl || 'https://api.thelotusinvest.com', // URL base da API
+      ...config,
+      endpoints: {
+        prices: '/fii/{ticker}/prices',
+        dividends: '/fii/{ticker}/dividends',
+        reports: '/fii/{ticker}/reports',
+        corporateActions: '/fii/{ticker}/corporate-actions',
+        macro: '/macro/{ticker}',
+        ...config.endpoints
+      }
+    });
+
+    this.client = createHttpClient(config.client);
+  }
+
+  async fetch(type, ticker, startDate, endDate) {
+    const endpoint = this.config.endpoints[type];
+
+    if (!endpoint) {
+      return super.fetch(type, ticker, startDate, endDate);
+    }
+
+    const response = await this.client.get(`${this.config.apiBaseUrl}${endpoint.replace('{ticker}', ticker)}`, {
+      params: { startDate, endDate }
+    });
+
+    return response.data;
+  }
+}
+
+/**
+ * Fonte de séries do SGS do Banco Central (CDI, Selic meta, IPCA e IGP-M)
+ *
+ * Fornece apenas o tipo macro; séries sem código no SGS (NTN-B, IFIX)
+ * ficam para as demais fontes da cadeia.
+ */
+export class BcbDataSource extends DataSource {
+  constructor(config = {}) {
+    super({
+      apiBaseUrl: config.apiBaseUrl || 'https://api.bcb.gov.br/dados/serie', // URL base do SGS
+      ...config,
+      // Códigos das séries no SGS: CDI (% a.d.), Selic meta (% a.a.), IPCA e IGP-M (% no mês)
+      seriesCodes: { CDI: 12, SELIC: 432, IPCA: 433, IGPM: 189, ...config.seriesCodes }
+    });
+
+    this.client = createHttpClient(config.client);
+  }
+
+  async fetch(type, ticker, startDate, endDate) {
+    const code = this.config.seriesCodes[ticker.toUpperCase()];
+
+    if (type !== 'macro' || !code) {
+      return super.fetch(type, ticker, startDate, endDate);
+    }
+
+    // O SGS usa datas no formato DD/MM/AAAA
+    const toBcbDate = date => date.split('-').reverse().join('/');
+    const params = { formato: 'json' };
+
+    if (startDate) params.dataInicial = toBcbDate(startDate);
+    if (endDate) params.dataFinal = toBcbDate(endDate);
+
+    const response = await this.client.get(`${this.config.apiBaseUrl}/bcdata.sgs.${code}/dados`, { params });
+
+    return (response.data || []).map(item => ({
+      date: item.data.split('/').reverse().join('-'),
+      value: parseFloat(item.valor)
+    }));
+  }
+}
+
+/**
+ * Fonte de arquivos locais (JSON ou CSV por ticker e tipo de dado)
+ *
+ * Procura {directory}/{ticker}/{tipo}.json e, em seguida, .csv (o padrão
+ * de caminho é configurável; séries macroeconômicas usam macroPattern).
+ * Disponível apenas no Node.
+ */
+export class FileDataSource extends DataSource {
+  constructor(config = {}) {
+    super({
+      directory: config.directory || './data', // Diretório base
+      pattern: config.pattern || '{ticker}/{type}', // Caminho relativo sem extensão
+      macroPattern: config.macroPattern || 'macro/{ticker}', // Caminho das séries macroeconômicas (ticker = série)
+      delimiter: config.delimiter || ',', // Separador de colunas do CSV
+      decimalSeparator: config.decimalSeparator || '.', // Separador decimal do CSV
+      ...config
+    });
+
+    this.fsModules = null;
+  }
+
+  /**
+   * Carrega os módulos do Node sob demanda
+   * @returns {Promise<Object>} - Módulos fs/promises e path
+   */
+  async getFs() {
+    if (!this.fsModules) {
+      const [fs, path] = await Promise.all([import('fs/promises'), import('path')]);
+      this.fsModules = { fs, path };
+    }
+
+    return this.fsModules;
+  }
+
+  async fetch(type, ticker, startDate, endDate) {
+    const { fs, path } = await this.getFs();
+    const pattern = type === 'macro' ? this.config.macroPattern : this.config.pattern;
+    const base = path.resolve(
+      this.config.directory,
+      pattern.replace('{ticker}', ticker).replace('{type}', type)
+    );
+
+    for (const extension of ['.json', '.csv']) {
+      let content;
+
+      try {
+        content = await fs.readFile(base + extension, 'utf8');
+      } catch (error) {
+        continue;
+      }
+
+      return extension === '.json' ? JSON.parse(content) : this.parseCsv(content);
+    }
+
+    throw new Error(`${this.config.name}: arquivo de ${type} não encontrado para ${ticker} em ${base}`);
+  }
+
+  /**
+   * Interpreta um CSV com cabeçalho, convertendo colunas numéricas
+   * @param {String} content - Conteúdo do arquivo
+   * @returns {Array} - Registros
+   */
+  parseCsv(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+
+    if (lines.length === 0) return [];
+
+    const headers = lines[0].split(this.config.delimiter).map(header => header.trim());
+
+    return lines.slice(1).map(line => {
+      const values = line.split(this.config.delimiter);
+
+      return headers.reduce((record, header, i) => {
+        const raw = (values[i] || '').trim();
+        const numeric = this.config.decimalSeparator === '.'
+          ? raw
+          : raw.replace(/\./g, '').replace(this.config.decimalSeparator, '.');
+
+        record[header] = raw === '' ? null : (/^-?\d+(\.\d+)?$/.test(numeric) ? Number(numeric) : raw);
+        return record;
+      }, {});
+    });
+  }
+}
+
+/**
+ * Fonte de arquivos COTAHIST da B3 (apenas cotações)
+ */
+export class CotahistDataSource extends DataSource {
+  constructor(config = {}) {
+    super(config);
+    this.source = new CotahistSource(config);
+  }
+
+  async fetch(type, ticker, startDate, endDate) {
+    // Os arquivos não trazem eventos corporativos: a série segue sem ajuste
+    if (type === 'corporateActions') {
+      return [];
+    }
+
+    if (type !== 'prices') {
+      return super.fetch(type, ticker, startDate, endDate);
+    }
+
+    return this.source.getHistoricalPrices(ticker, startDate, endDate);
+  }
+}
+
+/**
+ * Fonte em memória (fixtures de testes)
+ */
+export class MemoryDataSource extends DataSource {
+  constructor(config = {}) {
+    super({
+      data: config.data || {}, // { prices: { HGLG11: [...] }, dividends: {...}, reports: {...}, corporateActions: {...}, macro: { CDI: [...] } }
+      ...config
+    });
+  }
+
+  async fetch(type, ticker, startDate, endDate) {
+    const records = this.config.data[type] && this.config.data[type][ticker.toUpperCase()];
+
+    if (!records) {
+      return super.fetch(type, ticker, startDate, endDate);
+    }
+
+    return records;
+  }
+}
+
+/**
+ * Fonte sintética determinística
+ *
+ * Gera a série a partir de uma data de origem fixa com semente derivada do
+ * ticker, de modo que consultas a períodos diferentes sejam consistentes.
+ */
+export class SyntheticDataSource extends DataSource {
+  constructor(config = {}) {
+    super({
+      seed: config.seed !== undefined ? config.seed : 42, // Semente base
+      origin: config.origin || '2015-01-01', // Início das séries geradas
+      ...config
+    });
+
+    this.calendar = createTradingCalendar(this.config.calendar);
+    this.series = {};
+  }
+
+  async fetch(type, ticker, startDate, endDate) {
+    // Apenas séries de FIIs são geradas
+    if (type === 'macro') {
+      return super.fetch(type, ticker, startDate, endDate);
+    }
+
+    const end = endDate || new Date().toISOString().split('T')[0];
+    return this.generate(ticker.toUpperCase(), end)[type];
+  }
+
+  /**
+   * Gera (ou reaproveita) as séries de um ticker até a data final
+   * @param {String} ticker - Código do FII
+   * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @returns {Object} - Séries { prices, dividends, reports }
+   */
+  generate(ticker, endDate) {
+    const cached = this.series[ticker];
+    if (cached && cached.endDate >= endDate) return cached;
+
+    // Semente por ticker para séries distintas e reprodutíveis
+    const tickerSeed = Array.from(ticker).reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, this.config.seed);
+    const random = createSeededRandom(tickerSeed);
+
+    const basePrice = 80 + random() * 40; // Entre 80 e 120
+    const volatility = 0.005 + random() * 0.01; // Entre 0,5% e 1,5% ao dia
+    const monthlyYield = 0.006 + random() * 0.004; // Entre 0,6% e 1% ao mês
+    const bookValue = basePrice * (0.9 + random() * 0.2);
+
+    const prices = [];
+    const dividends = [];
+    const reports = [];
+    let price = basePrice;
+    let lastMonth = null;
+
+    const current = new Date(`${this.config.origin}T00:00:00Z`);
+    const last = new Date(`${endDate}T00:00:00Z`);
+
+    while (current <= last) {
+      const date = current.toISOString().split('T')[0];
+
+      if (this.calendar.isTradingDay(date)) {
+        price = Math.max(1, price * (1 + volatility * (random() * 2 - 1)));
+        const close = parseFloat(price.toFixed(2));
+
+        prices.push({
+          date,
+          open: parseFloat((close * (1 + (random() - 0.5) * volatility)).toFixed(2)),
+          high: parseFloat((close * (1 + random() * volatility)).toFixed(2)),
+          low: parseFloat((close * (1 - random() * volatility)).toFixed(2)),
+          close,
+          volume: Math.floor(10000 + random() * 90000),
+          trades: Math.floor(200 + random() * 1800)
+        });
+
+        // Dividendo e informe no primeiro pregão de cada mês
+        const month = date.slice(0, 7);
+        if (month !== lastMonth) {
+          lastMonth = month;
+
+          const paymentDate = new Date(current);
+          paymentDate.setUTCDate(paymentDate.getUTCDate() + 10);
+
+          dividends.push({
+            date,
+            paymentDate: paymentDate.toISOString().split('T')[0],
+            value: parseFloat((close * monthlyYield).toFixed(4)),
+            price: close
+          });
+
+          reports.push({
+            date,
+            bookValuePerShare: parseFloat((bookValue * (1 + (random() - 0.5) * 0.01)).toFixed(2)),
+            shareholders: Math.floor(50000 + random() * 250000),
+            physicalVacancy: parseFloat((random() * 15).toFixed(1)),
+            financialVacancy: parseFloat((random() * 10).toFixed(1))
+          });
+        }
+      }
+
+      current.setUTCDate(current.getUTCDate() + 1);
+    }
+
+    // Séries sintéticas não têm eventos corporativos
+    this.series[ticker] = { endDate, prices, dividends, reports, corporateActions: [] };
+    return this.series[ticker];
+  }
+}
+
+/**
+ * Cadeia de fontes em ordem de prioridade
+ *
+ * Cada consulta é feita à primeira fonte e, se ela falhar (ou não retornar
+ * registros, com fallbackOnEmpty), à seguinte. A fonte usada fica
+ * registrada em lastSources para diagnóstico.
+ */
+export class DataSourceChain extends DataSource {
+  constructor(sources = [], config = {}) {
+    super({
+      fallbackOnEmpty: config.fallbackOnEmpty !== undefined ? config.fallbackOnEmpty : true, // Vazio conta como falha
+      ...config
+    });
+
+    this.sources = sources.map(source => createDataSource(source));
+    this.lastSources = {}; // `${type}-${ticker}` -> nome da fonte usada
+
+    if (this.sources.length === 0) {
+      throw new Error('A cadeia de fontes de dados precisa de pelo menos uma fonte');
+    }
+  }
+
+  async getPrices(ticker, startDate, endDate) {
+    return this.query('getPrices', 'prices', ticker, startDate, endDate);
+  }
+
+  async getDividends(ticker, startDate, endDate) {
+    return this.query('getDividends', 'dividends', ticker, startDate, endDate);
+  }
+
+  async getReports(ticker, startDate, endDate) {
+    return this.query('getReports', 'reports', ticker, startDate, endDate);
+  }
+
+  async getCorporateActions(ticker, startDate, endDate) {
+    return this.query('getCorporateActions', 'corporateActions', ticker, startDate, endDate);
+  }
+
+  async getMacroSeries(series, startDate, endDate) {
+    return this.query('getMacroSeries', 'macro', series, startDate, endDate);
+  }
+
+  /**
+   * Consulta as fontes em ordem até obter registros
+   * @param {String} method - Método da fonte
+   * @param {String} type - Tipo de dado
+   * @param {String} ticker - Código do FII
+   * @param {String} startDate - Data inicial
+   * @param {String} endDate - Data final
+   * @returns {Promise<Array>} - Registros da primeira fonte bem-sucedida
+   */
+  async query(method, type, ticker, startDate, endDate) {
+    const failures = [];
+    let empty = null;
+
+    for (const source of this.sources) {
+      try {
+        const records = await source[method](ticker, startDate, endDate);
+
+        if (records && records.length > 0) {
+          this.lastSources[`${type}-${ticker}`] = source.config.name;
+          return records;
+        }
+
+        if (!this.config.fallbackOnEmpty) {
+          this.lastSources[`${type}-${ticker}`] = source.config.name;
+          return records || [];
+        }
+
+        empty = empty || source;
+        failures.push(`${source.config.name}: sem registros`);
+      } catch (error) {
+        failures.push(`${source.config.name}: ${error.message}`);
+      }
+    }
+
+    // Nenhuma fonte com registros: vazio é um resultado válido se alguma fonte respondeu
+    if (empty) {
+      this.lastSources[`${type}-${ticker}`] = empty.config.name;
+      return [];
+    }
+
+    throw new Error(`Nenhuma fonte forneceu ${type} de ${ticker} (${failures.join('; ')})`);
+  }
+}
+
+/**
+ * Cria uma fonte de dados a partir de uma instância, tipo ou configuração
+ * @param {DataSource|String|Object} source - Fonte, tipo ('api', 'bcb', 'file',
+ *   'cotahist', 'memory', 'synthetic') ou { type, ...config }
+ * @returns {DataSource} - Fonte de dados
+ */
+export function createDataSource(source) {
+  if (source instanceof DataSource) {
+    return source;
+  }
+
+  const options = typeof source === 'string' ? { type: source } : { ...(source || {}) };
+
+  switch (options.type || 'api') {
+    case 'api':
+    case 'http':
+      return new HttpDataSource(options);
+    case 'bcb':
+      return new BcbDataSource(options);
+    case 'file':
+      return new FileDataSource(options);
+    case 'cotahist':
+      return new CotahistDataSource(options);
+    case 'memory':
+      return new MemoryDataSource(options);
+    case 'synthetic':
+      return new SyntheticDataSource(options);
+    default:
+      throw new Error(`Tipo de fonte de dados desconhecido: ${options.type}`);
+  }
+}
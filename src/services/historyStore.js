@@ -0,0 +1,326 @@
+// src/services/historyStore.js
+import { createStorageAdapter } from '../utils/storageAdapter';
+import { createTradingCalendar } from '../utils/tradingCalendar';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Armazenamento local incremental de séries históricas por ticker
+ *
+ * Guarda os registros brutos de cada série (prices, dividends, reports) e
+ * os períodos já consultados. Uma nova consulta busca nas fontes apenas os
+ * trechos ainda não cobertos, mescla os registros sem duplicatas e devolve
+ * o período pedido; os dias mais recentes (refreshDays) não são marcados
+ * como cobertos, pois a fonte ainda pode completá-los. Após maxAge os
+ * períodos cobertos são descartados e voltam a ser consultados; os
+ * registros de cada trecho consultado substituem os armazenados, para que
+ * correções, exclusões e mudanças de data das fontes cheguem às séries.
+ */
+export class HistoryStore {
+  constructor(config = {}) {
+    this.config = {
+      keyPrefix: config.keyPrefix || 'history', // Prefixo das chaves no armazenamento
+      refreshDays: config.refreshDays !== undefined ? config.refreshDays : 1, // Dias recentes sempre consultados de novo
+      maxAge: config.maxAge !== undefined ? config.maxAge : 30 * DAY_MS, // Tempo até revalidar os períodos cobertos (null desativa)
+      ...config
+    };
+
+    this.storage = createStorageAdapter(config.storage);
+    this.calendar = createTradingCalendar(config.calendar);
+    this.locks = {};
+  }
+
+  /**
+   * Obtém os registros de um período, buscando apenas os trechos que faltam
+   * @param {String} type - Série (prices, dividends, reports)
+   * @param {String} ticker - Código do FII
+   * @param {String} startDate - Data inicial (YYYY-MM-DD)
+   * @param {String} endDate - Data final (YYYY-MM-DD)
+   * @param {Function} fetcher - (inicio, fim) => Promise<Array> com os registros brutos do trecho
+   * @returns {Promise<Array>} - Registros do período ordenados por data
+   */
+  async fetch(type, ticker, startDate, endDate, fetcher) {
+    return this.withLock(this.getKey(type, ticker), async () => {
+      const entry = await this.load(type, ticker);
+
+      // Períodos consultados há mais de maxAge voltam a ser buscados (os registros de cada trecho são substituídos)
+      if (this.isExpired(entry)) {
+        entry.ranges = [];
+        entry.validatedAt = null;
+      }
+
+      const gaps = this.findMissingRanges(entry.ranges, startDate, endDate);
+
+      for (const [start, end] of gaps) {
+        try {
+          // Trechos só com fins de semana e feriados não têm cotações a buscar
+          if (type !== 'prices' || this.calendar.tradingDaysBetween(start, end).length > 0) {
+            this.mergeRecords(entry, (await fetcher(start, end)) || [], [start, end]);
+          }
+
+          const coveredEnd = this.minDate(end, this.getFinalDate());
+          if (coveredEnd >= start) {
+            entry.ranges = this.mergeRanges([...entry.ranges, [start, coveredEnd]]);
+          }
+        } catch (error) {
+          // Sem nada armazenado para o período, a falha é repassada
+          if (this.selectRecords(entry, startDate, endDate).length === 0) throw error;
+
+          console.warn(`Trecho ${start} a ${end} de ${type} de ${ticker} indisponível, usando dados armazenados:`, error.message);
+        }
+      }
+
+      if (gaps.length > 0) {
+        entry.updatedAt = new Date().toISOString();
+        entry.validatedAt = entry.validatedAt || entry.updatedAt;
+        await this.storage.setItem(this.getKey(type, ticker), entry);
+      }
+
+      return this.selectRecords(entry, startDate, endDate);
+    });
+  }
+
+  /**
+   * Relatório de cobertura das séries de um ticker
+   *
+   * missingRanges são os trechos não consultados entre o primeiro e o último
+   * dia cobertos; missingSessions são os pregões dentro dos trechos cobertos
+   * sem cotação (lacunas da própria fonte).
+   * @param {String} ticker - Código do FII
+   * @param {Array} types - Séries a incluir
+   * @returns {Promise<Object>} - Cobertura por série
+   */
+  async getCoverageReport(ticker, types = ['prices', 'dividends', 'reports']) {
+    const report = { ticker: ticker.toUpperCase() };
+
+    for (const type of types) {
+      const entry = await this.load(type, ticker);
+      const first = entry.ranges.length > 0 ? entry.ranges[0][0] : null;
+      const last = entry.ranges.length > 0 ? entry.ranges[entry.ranges.length - 1][1] : null;
+
+      const coverage = {
+        ranges: entry.ranges,
+        firstDate: first,
+        lastDate: last,
+        records: entry.records.length,
+        missingRanges: first ? this.findMissingRanges(entry.ranges, first, last) : [],
+        updatedAt: entry.updatedAt,
+        validatedAt: entry.validatedAt,
+        expired: this.isExpired(entry)
+      };
+
+      if (type === 'prices') {
+        const held = new Set(entry.records.map(record => String(record.date).slice(0, 10)));
+        coverage.missingSessions = entry.ranges
+          .flatMap(([start, end]) => this.calendar.tradingDaysBetween(start, end))
+          .filter(date => !held.has(date));
+      }
+
+      report[type] = coverage;
+    }
+
+    return report;
+  }
+
+  /**
+   * Remove as séries armazenadas de um ticker (ou de todos)
+   * @param {String} ticker - Código do FII (opcional)
+   * @returns {Promise<boolean>} - Sucesso da operação
+   */
+  async clear(ticker = null) {
+    const keys = await this.storage.keys();
+
+    await Promise.all(keys
+      .filter(key => key.startsWith(`${this.config.keyPrefix}-`) && (!ticker || key.split('-').pop() === ticker.toUpperCase()))
+      .map(key => this.storage.removeItem(key)));
+
+    return true;
+  }
+
+  /**
+   * Carrega a série armazenada
+   * @param {String} type - Série
+   * @param {String} ticker - Código do FII
+   * @returns {Promise<Object>} - { records, ranges, updatedAt, validatedAt }
+   */
+  async load(type, ticker) {
+    const entry = await this.storage.getItem(this.getKey(type, ticker));
+
+    if (!entry) {
+      return { records: [], ranges: [], updatedAt: null, validatedAt: null };
+    }
+
+    // Séries gravadas antes da revalidação contam a partir da última atualização
+    return { ...entry, validatedAt: entry.validatedAt || entry.updatedAt };
+  }
+
+  /**
+   * Verifica se os períodos cobertos de uma série precisam ser revalidados
+   * @param {Object} entry - Série armazenada
+   * @returns {Boolean} - Se a série passou de maxAge desde a última revalidação
+   */
+  isExpired(entry) {
+    if (this.config.maxAge === null || !entry.validatedAt || entry.ranges.length === 0) return false;
+    return Date.now() - new Date(entry.validatedAt).getTime() > this.config.maxAge;
+  }
+
+  /**
+   * Mescla registros novos, substituindo os já armazenados com a mesma chave
+   *
+   * Com o trecho consultado, os registros armazenados nele são descartados:
+   * a resposta da fonte passa a ser a versão do trecho (registros removidos
+   * ou com nova data na fonte deixam a série).
+   * @param {Object} entry - Série armazenada
+   * @param {Array} records - Registros novos
+   * @param {Array} range - Trecho consultado [inicio, fim] (opcional)
+   */
+  mergeRecords(entry, records, range = null) {
+    const kept = range
+      ? entry.records.filter(record => {
+        const day = String(record.date).slice(0, 10);
+        return day < range[0] || day > range[1];
+      })
+      : entry.records;
+    const byKey = new Map(kept.map(record => [this.getRecordKey(record), record]));
+
+    records
+      .filter(record => record && record.date)
+      .forEach(record => byKey.set(this.getRecordKey(record), record));
+
+    entry.records = Array.from(byKey.values())
+      .sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  }
+
+  /**
+   * Chave de um registro: data e, em distribuições, o tipo (rendimento e
+   * amortização podem ter a mesma data-com)
+   * @param {Object} record - Registro
+   * @returns {String} - Chave
+   */
+  getRecordKey(record) {
+    const type = record.distributionType || record.type || '';
+    return `${String(record.date).slice(0, 10)}|${type}`;
+  }
+
+  /**
+   * Seleciona os registros de um período
+   * @param {Object} entry - Série armazenada
+   * @param {String} startDate - Data inicial
+   * @param {String} endDate - Data final
+   * @returns {Array} - Registros do período
+   */
+  selectRecords(entry, startDate, endDate) {
+    return entry.records.filter(record => {
+      const day = String(record.date).slice(0, 10);
+      return day >= startDate && day <= endDate;
+    });
+  }
+
+  /**
+   * Trechos de um período não cobertos pelos intervalos armazenados
+   * @param {Array} ranges - Intervalos cobertos [[inicio, fim]] ordenados e sem sobreposição
+   * @param {String} startDate - Data inicial
+   * @param {String} endDate - Data final
+   * @returns {Array} - Trechos faltantes [[inicio, fim]]
+   */
+  findMissingRanges(ranges, startDate, endDate) {
+    if (startDate > endDate) return [];
+
+    const missing = [];
+    let cursor = startDate;
+
+    for (const [start, end] of ranges) {
+      if (end < cursor) continue;
+      if (start > endDate) break;
+
+      if (start > cursor) {
+        missing.push([cursor, this.shiftDate(start, -1)]);
+      }
+
+      cursor = this.shiftDate(end, 1);
+      if (cursor > endDate) return missing;
+    }
+
+    missing.push([cursor, endDate]);
+    return missing;
+  }
+
+  /**
+   * Une intervalos sobrepostos ou contíguos
+   * @param {Array} ranges - Intervalos [[inicio, fim]]
+   * @returns {Array} - Intervalos ordenados e disjuntos
+   */
+  mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a[0].localeCompare(b[0]));
+    const merged = [];
+
+    sorted.forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+
+      if (last && start <= this.shiftDate(last[1], 1)) {
+        last[1] = end > last[1] ? end : last[1];
+      } else {
+        merged.push([start, end]);
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Último dia considerado definitivo (anterior aos refreshDays mais recentes)
+   * @returns {String} - Data (YYYY-MM-DD)
+   */
+  getFinalDate() {
+    return this.shiftDate(new Date().toISOString().split('T')[0], -this.config.refreshDays);
+  }
+
+  /**
+   * Executa uma operação por vez para a mesma série
+   * @param {String} key - Chave da série
+   * @param {Function} operation - Operação assíncrona
+   * @returns {Promise<Any>} - Resultado da operação
+   */
+  async withLock(key, operation) {
+    const previous = this.locks[key] || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+
+    this.locks[key] = current;
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks[key] === current) delete this.locks[key];
+    }
+  }
+
+  /**
+   * Chave da série no armazenamento
+   * @param {String} type - Série
+   * @param {String} ticker - Código do FII
+   * @returns {String} - Chave
+   */
+  getKey(type, ticker) {
+    return `${this.config.keyPrefix}-${type}-${ticker.toUpperCase()}`;
+  }
+
+  /**
+   * Desloca uma data em dias corridos
+   * @param {String} date - Data (YYYY-MM-DD)
+   * @param {Number} days - Dias (negativo para recuar)
+   * @returns {String} - Data deslocada (YYYY-MM-DD)
+   */
+  shiftDate(date, days) {
+    return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+  }
+
+  /**
+   * Menor de duas datas ISO
+   * @param {String} a - Data
+   * @param {String} b - Data
+   * @returns {String} - Menor data
+   */
+  minDate(a, b) {
+    return a < b ? a : b;
+  }
+}
@@ -0,0 +1,195 @@
+// src/services/httpClient.js
+import axios from 'axios';
+
+/**
+ * Cliente HTTP das fontes de dados
+ *
+ * Controla a quantidade de requisições simultâneas (concurrency), limita a
+ * taxa por um token bucket (requestsPerSecond e burst), repete falhas
+ * transitórias (429, 5xx, timeout e erros de rede) com backoff exponencial
+ * e jitter, respeitando Retry-After, e compartilha a mesma promessa entre
+ * requisições idênticas em andamento.
+ */
+export class HttpClient {
+  constructor(config = {}) {
+    this.config = {
+      concurrency: config.concurrency || 4, // Requisições simultâneas
+      requestsPerSecond: config.requestsPerSecond !== undefined ? config.requestsPerSecond : 5, // Taxa média (0 desativa o limite)
+      burst: config.burst || Math.max(1, config.requestsPerSecond || 5), // Capacidade do token bucket (mínimo de 1 token)
+      timeout: config.timeout || 15000, // Tempo limite por tentativa (ms)
+      maxRetries: config.maxRetries !== undefined ? config.maxRetries : 3, // Novas tentativas após a primeira
+      baseDelay: config.baseDelay !== undefined ? config.baseDelay : 500, // Espera inicial do backoff (ms)
+      maxDelay: config.maxDelay || 10000, // Espera máxima entre tentativas (ms)
+      retryStatuses: config.retryStatuses || [408, 429, 500, 502, 503, 504], // Status HTTP repetidos
+      retryCodes: config.retryCodes || ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'ERR_NETWORK'], // Erros de rede repetidos
+      transport: config.transport || ((url, options) => axios.get(url, options)), // Função que executa a requisição
+      random: config.random || Math.random, // Gerador do jitter
+      ...config
+    };
+
+    if (!(this.config.burst >= 1)) {
+      throw new Error(`burst deve ser de pelo menos 1 token (recebido ${this.config.burst}).`);
+    }
+
+    this.tokens = this.config.burst;
+    this.lastRefill = Date.now();
+    this.active = 0;
+    this.queue = [];
+    this.inFlight = new Map();
+    this.stats = { requests: 0, retries: 0, deduplicated: 0, failures: 0 };
+  }
+
+  /**
+   * Executa uma requisição GET
+   * @param {String} url - URL completa
+   * @param {Object} options - Opções ({ params })
+   * @returns {Promise<Object>} - Resposta da requisição ({ data, status, headers })
+   */
+  async get(url, options = {}) {
+    const key = `${url}?${JSON.stringify(options.params || {})}`;
+
+    // Requisição idêntica em andamento: reaproveitar a promessa
+    if (this.inFlight.has(key)) {
+      this.stats.deduplicated++;
+      return this.inFlight.get(key);
+    }
+
+    const request = this.requestWithRetry(url, options).finally(() => {
+      this.inFlight.delete(key);
+    });
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  /**
+   * Executa a requisição, repetindo falhas transitórias
+   * @param {String} url - URL completa
+   * @param {Object} options - Opções ({ params })
+   * @returns {Promise<Object>} - Resposta da requisição
+   */
+  async requestWithRetry(url, options) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // A espera do backoff acontece fora do limite de concorrência
+        return await this.schedule(async () => {
+          await this.acquireToken();
+          this.stats.requests++;
+          return this.config.transport(url, { ...options, timeout: this.config.timeout });
+        });
+      } catch (error) {
+        if (attempt >= this.config.maxRetries || !this.isRetryable(error)) {
+          this.stats.failures++;
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt, error);
+        const status = error.response ? error.response.status : error.code || error.message;
+
+        console.warn(`Falha ao consultar ${url} (${status}), nova tentativa em ${delay}ms`);
+
+        this.stats.retries++;
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Executa uma tarefa respeitando o limite de requisições simultâneas
+   * @param {Function} task - Tarefa assíncrona
+   * @returns {Promise<Any>} - Resultado da tarefa
+   */
+  async schedule(task) {
+    if (this.active < this.config.concurrency) {
+      this.active++;
+    } else {
+      // A vaga é repassada diretamente por quem terminar
+      await new Promise(resolve => this.queue.push(resolve));
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.queue.shift();
+
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    }
+  }
+
+  /**
+   * Aguarda um token do token bucket
+   * @returns {Promise} - Promessa que resolve quando a requisição pode ser feita
+   */
+  async acquireToken() {
+    const rate = this.config.requestsPerSecond;
+
+    if (!(rate > 0)) return;
+
+    for (;;) {
+      const now = Date.now();
+      this.tokens = Math.min(this.config.burst, this.tokens + ((now - this.lastRefill) / 1000) * rate);
+      this.lastRefill = now;
+
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+
+      await this.sleep(Math.ceil(((1 - this.tokens) / rate) * 1000));
+    }
+  }
+
+  /**
+   * Verifica se a falha é transitória
+   * @param {Error} error - Erro da requisição
+   * @returns {Boolean} - Verdadeiro para status repetíveis, timeout e erros de rede
+   */
+  isRetryable(error) {
+    if (error.response) {
+      return this.config.retryStatuses.includes(error.response.status);
+    }
+
+    // Sem resposta: apenas timeout e falhas de rede transitórias (ENOTFOUND e
+    // erros de programação não são repetidos)
+    return this.config.retryCodes.includes(error.code);
+  }
+
+  /**
+   * Calcula a espera antes da próxima tentativa (backoff exponencial com jitter)
+   * @param {Number} attempt - Tentativa que falhou (0 = primeira)
+   * @param {Error} error - Erro da requisição
+   * @returns {Number} - Espera em ms
+   */
+  getRetryDelay(attempt, error) {
+    const exponential = Math.min(this.config.maxDelay, this.config.baseDelay * Math.pow(2, attempt));
+    const delay = Math.round(exponential / 2 + this.config.random() * exponential / 2);
+
+    // Retry-After (segundos) informado pelo servidor, limitado à espera máxima
+    const headers = error.response && error.response.headers;
+    const retryAfter = headers ? Number(headers['retry-after']) : NaN;
+
+    return Number.isFinite(retryAfter) ? Math.min(this.config.maxDelay, Math.max(delay, retryAfter * 1000)) : delay;
+  }
+
+  /**
+   * Aguarda um intervalo
+   * @param {Number} ms - Intervalo em ms
+   * @returns {Promise} - Promessa que resolve após o intervalo
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+/**
+ * Cria um cliente HTTP a partir de uma instância ou configuração
+ * @param {HttpClient|Object} client - Cliente pronto ou configuração
+ * @returns {HttpClient} - Cliente HTTP
+ */
+export function createHttpClient(client) {
+  return client instanceof HttpClient ? client : new HttpClient(client || {});
+}
@@ -0,0 +1,123 @@
+// src/utils/fiiSegments.js
+
+/**
+ * Segmentos de FIIs usados na personalização das recomendações
+ *
+ * As chaves seguem o formato de personalization.sectorPreferences
+ * (ex.: { lajes_corporativas: 0.4, shopping: 0.2 }); nomes livres vindos de
+ * fontes de dados ou do usuário são convertidos por normalizeSegment.
+ */
+export const FII_SEGMENTS = {
+  lajes_corporativas: 'Lajes corporativas',
+  shopping: 'Shopping',
+  logistica: 'Logística',
+  recebiveis: 'Recebíveis (CRI)',
+  fundo_de_fundos: 'Fundo de fundos',
+  residencial: 'Residencial',
+  hibrido: 'Híbrido',
+  hospitalar: 'Hospitalar',
+  educacional: 'Educacional',
+  agencias: 'Agências bancárias',
+  hotel: 'Hotel',
+  varejo: 'Varejo'
+};
+
+// Sinônimos (sem acentos, minúsculos) para cada segmento
+const SEGMENT_ALIASES = {
+  lajes_corporativas: ['lajes', 'lajes corporativas', 'escritorios', 'escritorio', 'corporativo', 'lajes comerciais'],
+  shopping: ['shoppings', 'shopping center', 'shopping centers'],
+  logistica: ['logistico', 'galpoes', 'galpoes logisticos', 'industrial', 'logistica e industrial'],
+  recebiveis: ['papel', 'cri', 'cris', 'titulos e valores mobiliarios', 'titulos e val. mob.', 'tvm', 'credito imobiliario'],
+  fundo_de_fundos: ['fof', 'fofs', 'fundos de fundos', 'fundo de fundo'],
+  residencial: ['residencia', 'residenciais', 'renda urbana residencial'],
+  hibrido: ['hibridos', 'multiestrategia', 'misto'],
+  hospitalar: ['hospital', 'hospitais', 'saude'],
+  educacional: ['educacao', 'escolas', 'universidades'],
+  agencias: ['agencia', 'agencias bancarias'],
+  hotel: ['hoteis', 'hotelaria'],
+  varejo: ['renda urbana', 'lojas', 'varejo e renda urbana']
+};
+
+// Segmentos de FIIs conhecidos, usados quando os fundamentos não informam o segmento
+const KNOWN_TICKER_SEGMENTS = {
+  HGLG11: 'logistica',
+  XPLG11: 'logistica',
+  BTLG11: 'logistica',
+  VILG11: 'logistica',
+  BRCO11: 'logistica',
+  LVBI11: 'logistica',
+  XPML11: 'shopping',
+  VISC11: 'shopping',
+  HGBS11: 'shopping',
+  MALL11: 'shopping',
+  HSML11: 'shopping',
+  HGRE11: 'lajes_corporativas',
+  JSRE11: 'lajes_corporativas',
+  PVBI11: 'lajes_corporativas',
+  RBRP11: 'lajes_corporativas',
+  BRCR11: 'lajes_corporativas',
+  MXRF11: 'recebiveis',
+  KNCR11: 'recebiveis',
+  KNIP11: 'recebiveis',
+  HGCR11: 'recebiveis',
+  IRDM11: 'recebiveis',
+  CPTS11: 'recebiveis',
+  RECR11: 'recebiveis',
+  BCFF11: 'fundo_de_fundos',
+  HFOF11: 'fundo_de_fundos',
+  RBRF11: 'fundo_de_fundos',
+  KFOF11: 'fundo_de_fundos',
+  KNRI11: 'hibrido',
+  HGRU11: 'varejo',
+  TRXF11: 'varejo',
+  RBVA11: 'agencias',
+  HCRI11: 'hospitalar',
+  HTMX11: 'hotel'
+};
+
+/**
+ * Remove acentos e padroniza um texto para comparação
+ * @param {String} text - Texto
+ * @returns {String} - Texto normalizado
+ */
+const normalizeText = text => text
+  .toString()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[_-]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Converte o nome de um segmento para a chave padronizada
+ * @param {String} segment - Nome do segmento (ex.: 'Lajes Corporativas', 'CRI', 'FOF')
+ * @returns {String|null} - Chave do segmento ou null se não reconhecido
+ */
+export function normalizeSegment(segment) {
+  if (!segment) return null;
+
+  const text = normalizeText(segment);
+
+  for (const key of Object.keys(FII_SEGMENTS)) {
+    if (normalizeText(key) === text || normalizeText(FII_SEGMENTS[key]) === text) {
+      return key;
+    }
+
+    if (SEGMENT_ALIASES[key].includes(text)) {
+      return key;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Obtém o segmento de um FII conhecido
+ * @param {String} ticker - Código do FII
+ * @returns {String|null} - Chave do segmento ou null se desconhecido
+ */
+export function getKnownSegment(ticker) {
+  if (!ticker) return null;
+  return KNOWN_TICKER_SEGMENTS[ticker.toUpperCase()] || null;
+}
@@ -0,0 +1,206 @@
+// src/utils/statistics.js
+
+/**
+ * Funções numéricas compartilhadas pelos modelos estatísticos
+ *
+ * Reúne rotinas sem dependência de TensorFlow.js usadas para estimar
+ * parâmetros (otimização Nelder-Mead), construir intervalos de
+ * confiança (quantis da distribuição normal), resumir amostras (mediana e
+ * quantis empíricos) e gerar números aleatórios reproduzíveis.
+ */
+
+/**
+ * Minimiza uma função pelo método simplex de Nelder-Mead
+ * @param {Function} objective - Função que recebe um array de parâmetros e retorna um número
+ * @param {Array} initial - Ponto inicial
+ * @param {Object} options - Opções (step, maxIterations, tolerance)
+ * @returns {Object} - Melhor ponto encontrado ({ point, value, iterations })
+ */
+export function nelderMead(objective, initial, options = {}) {
+  const dimension = initial.length;
+  const maxIterations = options.maxIterations || 200 * Math.max(dimension, 1);
+  const tolerance = options.tolerance || 1e-8;
+  const steps = Array.isArray(options.step)
+    ? options.step
+    : new Array(dimension).fill(options.step || 0.1);
+
+  // Valores não finitos (parâmetros inválidos) são tratados como péssimos
+  const evaluate = point => {
+    const value = objective(point);
+    return Number.isFinite(value) ? value : Infinity;
+  };
+
+  if (dimension === 0) {
+    return { point: [], value: evaluate([]), iterations: 0 };
+  }
+
+  // Simplex inicial: ponto inicial + um vértice deslocado por dimensão
+  let simplex = [{ point: initial.slice(), value: evaluate(initial) }];
+
+  for (let i = 0; i < dimension; i++) {
+    const point = initial.slice();
+    point[i] += steps[i] || 0.1;
+    simplex.push({ point, value: evaluate(point) });
+  }
+
+  const combine = (a, b, factor) => a.map((value, i) => value + factor * (b[i] - value));
+
+  let iterations = 0;
+
+  while (iterations < maxIterations) {
+    iterations++;
+    simplex.sort((a, b) => a.value - b.value);
+
+    const best = simplex[0];
+    const worst = simplex[dimension];
+
+    if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) {
+      break;
+    }
+
+    // Centroide dos vértices exceto o pior
+    const centroid = new Array(dimension).fill(0);
+    for (let i = 0; i < dimension; i++) {
+      for (let j = 0; j < dimension; j++) {
+        centroid[j] += simplex[i].point[j] / dimension;
+      }
+    }
+
+    // Reflexão
+    const reflected = combine(centroid, worst.point, -1);
+    const reflectedValue = evaluate(reflected);
+
+    if (reflectedValue < best.value) {
+      // Expansão
+      const expanded = combine(centroid, worst.point, -2);
+      const expandedValue = evaluate(expanded);
+
+      simplex[dimension] = expandedValue < reflectedValue
+        ? { point: expanded, value: expandedValue }
+        : { point: reflected, value: reflectedValue };
+      continue;
+    }
+
+    if (reflectedValue < simplex[dimension - 1].value) {
+      simplex[dimension] = { point: reflected, value: reflectedValue };
+      continue;
+    }
+
+    // Contração (externa ou interna)
+    const outside = reflectedValue < worst.value;
+    const contracted = outside
+      ? combine(centroid, reflected, 0.5)
+      : combine(centroid, worst.point, 0.5);
+    const contractedValue = evaluate(contracted);
+
+    if (contractedValue < Math.min(reflectedValue, worst.value)) {
+      simplex[dimension] = { point: contracted, value: contractedValue };
+      continue;
+    }
+
+    // Encolhimento em direção ao melhor vértice
+    simplex = simplex.map((vertex, index) => {
+      if (index === 0) return vertex;
+      const point = combine(best.point, vertex.point, 0.5);
+      return { point, value: evaluate(point) };
+    });
+  }
+
+  simplex.sort((a, b) => a.value - b.value);
+
+  return {
+    point: simplex[0].point,
+    value: simplex[0].value,
+    iterations
+  };
+}
+
+/**
+ * Calcula o quantil da distribuição normal padrão (aproximação de Acklam)
+ * @param {Number} probability - Probabilidade acumulada (0-1)
+ * @returns {Number} - Quantil correspondente
+ */
+export function normalQuantile(probability) {
+  if (probability <= 0) return -Infinity;
+  if (probability >= 1) return Infinity;
+
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+    1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+    6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+    -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+    3.754408661907416e+00];
+
+  const lower = 0.02425;
+
+  if (probability < lower) {
+    const q = Math.sqrt(-2 * Math.log(probability));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (probability > 1 - lower) {
+    return -normalQuantile(1 - probability);
+  }
+
+  const q = probability - 0.5;
+  const r = q * q;
+
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Calcula a mediana de um array de valores
+ * @param {Array} values - Array de valores
+ * @returns {Number} - Mediana (0 para array vazio)
+ */
+export function calculateMedian(values) {
+  if (!values || values.length === 0) return 0;
+
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+/**
+ * Calcula o quantil empírico de uma amostra (interpolação linear entre posições)
+ * @param {Array} sortedValues - Valores em ordem crescente
+ * @param {Number} probability - Probabilidade acumulada (0-1)
+ * @returns {Number} - Quantil correspondente
+ */
+export function empiricalQuantile(sortedValues, probability) {
+  const position = (sortedValues.length - 1) * Math.min(1, Math.max(0, probability));
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+
+  return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+/**
+ * Cria um gerador de números aleatórios em [0, 1) com semente (Mulberry32)
+ *
+ * Sem semente (null/undefined), retorna Math.random.
+ * @param {Number|null} seed - Semente inteira
+ * @returns {Function} - Função geradora
+ */
+export function createSeededRandom(seed = null) {
+  if (seed === null || seed === undefined) {
+    return Math.random;
+  }
+
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
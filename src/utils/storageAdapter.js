@@ -0,0 +1,431 @@
+// src/utils/storageAdapter.js
+import * as tf from '@tensorflow/tfjs';
+
+/**
+ * Adaptadores de armazenamento para modelos e caches
+ *
+ * Cada adaptador expõe a mesma interface assíncrona para itens JSON
+ * (getItem, setItem, removeItem, keys) e para modelos TensorFlow.js
+ * (saveModel, loadModel), permitindo que o mesmo código rode no navegador
+ * (localStorage, IndexedDB) e em jobs Node (memória, diretório local).
+ */
+export class StorageAdapter {
+  constructor(config = {}) {
+    this.config = {
+      prefix: config.prefix || '', // Prefixo opcional para isolar chaves
+      ...config
+    };
+  }
+
+  /**
+   * Obtém um item armazenado
+   * @param {String} key - Chave do item
+   * @returns {Promise<Any|null>} - Valor armazenado ou null se inexistente
+   */
+  async getItem(key) {
+    throw new Error(`getItem não implementado em ${this.constructor.name}`);
+  }
+
+  /**
+   * Armazena um item serializável em JSON
+   * @param {String} key - Chave do item
+   * @param {Any} value - Valor a ser armazenado
+   * @returns {Promise<boolean>} - Sucesso da operação
+   */
+  async setItem(key, value) {
+    throw new Error(`setItem não implementado em ${this.constructor.name}`);
+  }
+
+  /**
+   * Remove um item armazenado
+   * @param {String} key - Chave do item
+   * @returns {Promise<boolean>} - Sucesso da operação
+   */
+  async removeItem(key) {
+    throw new Error(`removeItem não implementado em ${this.constructor.name}`);
+  }
+
+  /**
+   * Lista as chaves armazenadas por este adaptador
+   * @returns {Promise<Array>} - Chaves (sem prefixo)
+   */
+  async keys() {
+    throw new Error(`keys não implementado em ${this.constructor.name}`);
+  }
+
+  /**
+   * Obtém a URL/handler do TensorFlow.js para um modelo
+   * @param {String} name - Nome do modelo
+   * @returns {String|Object} - URL (ex: localstorage://nome) ou IOHandler
+   */
+  getModelUrl(name) {
+    throw new Error(`getModelUrl não implementado em ${this.constructor.name}`);
+  }
+
+  /**
+   * Salva um modelo TensorFlow.js
+   * @param {tf.LayersModel} model - Modelo a ser salvo
+   * @param {String} name - Nome do modelo
+   * @returns {Promise<Object>} - Resultado do salvamento
+   */
+  async saveModel(model, name) {
+    return model.save(this.getModelUrl(this.prefixKey(name)));
+  }
+
+  /**
+   * Carrega um modelo TensorFlow.js
+   * @param {String} name - Nome do modelo
+   * @returns {Promise<tf.LayersModel>} - Modelo carregado
+   */
+  async loadModel(name) {
+    return tf.loadLayersModel(this.getModelUrl(this.prefixKey(name)));
+  }
+
+  /**
+   * Remove um modelo TensorFlow.js armazenado
+   * @param {String} name - Nome do modelo
+   * @returns {Promise<boolean>} - Sucesso da operação
+   */
+  async removeModel(name) {
+    await tf.io.removeModel(this.getModelUrl(this.prefixKey(name)));
+    return true;
+  }
+
+  /**
+   * Aplica o prefixo configurado a uma chave
+   * @param {String} key - Chave original
+   * @returns {String} - Chave com prefixo
+   */
+  prefixKey(key) {
+    return `${this.config.prefix}${key}`;
+  }
+
+  /**
+   * Remove o prefixo configurado de uma chave
+   * @param {String} key - Chave com prefixo
+   * @returns {String|null} - Chave original ou null se não pertencer ao prefixo
+   */
+  unprefixKey(key) {
+    if (!key.startsWith(this.config.prefix)) return null;
+    return key.slice(this.config.prefix.length);
+  }
+}
+
+/**
+ * Armazenamento em memória (útil para testes e processos Node efêmeros)
+ */
+export class MemoryStorageAdapter extends StorageAdapter {
+  constructor(config = {}) {
+    super(config);
+
+    this.items = new Map();
+    this.models = new Map();
+  }
+
+  async getItem(key) {
+    const raw = this.items.get(this.prefixKey(key));
+    return raw !== undefined ? JSON.parse(raw) : null;
+  }
+
+  async setItem(key, value) {
+    // Serializar para evitar que alterações posteriores afetem o valor armazenado
+    this.items.set(this.prefixKey(key), JSON.stringify(value));
+    return true;
+  }
+
+  async removeItem(key) {
+    return this.items.delete(this.prefixKey(key));
+  }
+
+  async keys() {
+    return Array.from(this.items.keys())
+      .map(key => this.unprefixKey(key))
+      .filter(key => key !== null);
+  }
+
+  getModelUrl(name) {
+    return tf.io.withSaveHandler(async artifacts => {
+      this.models.set(name, artifacts);
+
+      return {
+        modelArtifactsInfo: tf.io.getModelArtifactsInfoForJSON(artifacts)
+      };
+    });
+  }
+
+  async loadModel(name) {
+    const artifacts = this.models.get(this.prefixKey(name));
+
+    if (!artifacts) {
+      throw new Error(`Modelo ${name} não encontrado no armazenamento em memória`);
+    }
+
+    return tf.loadLayersModel(tf.io.fromMemory(artifacts));
+  }
+
+  async removeModel(name) {
+    return this.models.delete(this.prefixKey(name));
+  }
+}
+
+/**
+ * Armazenamento no localStorage do navegador (comportamento original)
+ */
+export class LocalStorageAdapter extends StorageAdapter {
+  async getItem(key) {
+    const raw = localStorage.getItem(this.prefixKey(key));
+    return raw !== null ? JSON.parse(raw) : null;
+  }
+
+  async setItem(key, value) {
+    localStorage.setItem(this.prefixKey(key), JSON.stringify(value));
+    return true;
+  }
+
+  async removeItem(key) {
+    localStorage.removeItem(this.prefixKey(key));
+    return true;
+  }
+
+  async keys() {
+    const keys = [];
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = this.unprefixKey(localStorage.key(i));
+      if (key !== null) keys.push(key);
+    }
+
+    return keys;
+  }
+
+  getModelUrl(name) {
+    return `localstorage://${name}`;
+  }
+}
+
+/**
+ * Armazenamento no IndexedDB do navegador
+ *
+ * Modelos usam o handler indexeddb:// do TensorFlow.js; itens JSON ficam
+ * em um object store próprio.
+ */
+export class IndexedDBStorageAdapter extends StorageAdapter {
+  constructor(config = {}) {
+    super({
+      databaseName: config.databaseName || 'lotus-invest-storage',
+      storeName: config.storeName || 'items',
+      ...config
+    });
+
+    this.dbPromise = null;
+  }
+
+  /**
+   * Abre (ou cria) o banco de dados de itens
+   * @returns {Promise<IDBDatabase>} - Conexão com o banco
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.config.databaseName, 1);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.config.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Executa uma operação em uma transação do object store
+   *
+   * A promessa só é resolvida quando a transação termina: o sucesso da
+   * requisição não garante que uma gravação foi efetivada, pois a transação
+   * ainda pode ser abortada (ex: cota excedida).
+   * @param {String} mode - readonly ou readwrite
+   * @param {Function} operation - Recebe o object store e retorna um IDBRequest
+   * @returns {Promise<Any>} - Resultado da requisição
+   */
+  async withStore(mode, operation) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.config.storeName, mode);
+      const request = operation(transaction.objectStore(this.config.storeName));
+      const fail = () => reject(transaction.error || request.error || new Error('Transação do IndexedDB abortada'));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = fail;
+      transaction.onabort = fail;
+    });
+  }
+
+  async getItem(key) {
+    const value = await this.withStore('readonly', store => store.get(this.prefixKey(key)));
+    return value !== undefined ? value : null;
+  }
+
+  async setItem(key, value) {
+    // IndexedDB usa structured clone; passar por JSON mantém a mesma semântica dos demais adaptadores
+    await this.withStore('readwrite', store => store.put(JSON.parse(JSON.stringify(value)), this.prefixKey(key)));
+    return true;
+  }
+
+  async removeItem(key) {
+    await this.withStore('readwrite', store => store.delete(this.prefixKey(key)));
+    return true;
+  }
+
+  async keys() {
+    const keys = await this.withStore('readonly', store => store.getAllKeys());
+
+    return keys
+      .map(key => this.unprefixKey(String(key)))
+      .filter(key => key !== null);
+  }
+
+  getModelUrl(name) {
+    return `indexeddb://${name}`;
+  }
+}
+
+/**
+ * Armazenamento em diretório local (Node)
+ *
+ * Itens são gravados como arquivos JSON e modelos usam o handler file://
+ * (disponível ao carregar @tensorflow/tfjs-node).
+ */
+export class FileSystemStorageAdapter extends StorageAdapter {
+  constructor(config = {}) {
+    super({
+      directory: config.directory || './.lotus-invest-storage',
+      ...config
+    });
+  }
+
+  /**
+   * Carrega os módulos de sistema de arquivos sob demanda (não existem no navegador)
+   * @returns {Promise<Object>} - Módulos fs/promises e path
+   */
+  async getFs() {
+    if (!this.fsModules) {
+      const [fs, path] = await Promise.all([import('fs/promises'), import('path')]);
+      this.fsModules = { fs, path };
+    }
+
+    return this.fsModules;
+  }
+
+  /**
+   * Obtém o caminho do arquivo de um item
+   * @param {String} key - Chave do item
+   * @returns {Promise<String>} - Caminho absoluto
+   */
+  async getItemPath(key) {
+    const { path } = await this.getFs();
+    return path.resolve(this.config.directory, 'items', `${encodeURIComponent(this.prefixKey(key))}.json`);
+  }
+
+  async getItem(key) {
+    const { fs } = await this.getFs();
+
+    try {
+      const raw = await fs.readFile(await this.getItemPath(key), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async setItem(key, value) {
+    const { fs, path } = await this.getFs();
+    const filePath = await this.getItemPath(key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(value), 'utf8');
+
+    return true;
+  }
+
+  async removeItem(key) {
+    const { fs } = await this.getFs();
+
+    try {
+      await fs.unlink(await this.getItemPath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async keys() {
+    const { fs, path } = await this.getFs();
+
+    try {
+      const files = await fs.readdir(path.resolve(this.config.directory, 'items'));
+
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.unprefixKey(decodeURIComponent(file.slice(0, -'.json'.length))))
+        .filter(key => key !== null);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  getModelUrl(name) {
+    // Caminho resolvido relativo ao diretório de trabalho do processo
+    const directory = this.config.directory.replace(/\/+$/, '');
+    return `file://${directory}/models/${encodeURIComponent(name)}`;
+  }
+
+  async loadModel(name) {
+    return tf.loadLayersModel(`${this.getModelUrl(this.prefixKey(name))}/model.json`);
+  }
+
+  async removeModel(name) {
+    const { fs } = await this.getFs();
+    const modelPath = this.getModelUrl(this.prefixKey(name)).replace('file://', '');
+
+    await fs.rm(modelPath, { recursive: true, force: true });
+    return true;
+  }
+}
+
+/**
+ * Cria um adaptador de armazenamento a partir da configuração
+ *
+ * Aceita uma instância pronta, um nome de tipo ('memory', 'localstorage',
+ * 'indexeddb', 'filesystem') ou um objeto { type, ...opções }. Sem
+ * configuração, usa localStorage quando disponível e memória caso contrário.
+ * @param {StorageAdapter|String|Object} storage - Configuração do armazenamento
+ * @returns {StorageAdapter} - Adaptador de armazenamento
+ */
+export function createStorageAdapter(storage) {
+  if (storage instanceof StorageAdapter) {
+    return storage;
+  }
+
+  const options = typeof storage === 'string' ? { type: storage } : { ...(storage || {}) };
+  const type = options.type || (typeof localStorage !== 'undefined' ? 'localstorage' : 'memory');
+
+  switch (type) {
+    case 'memory':
+      return new MemoryStorageAdapter(options);
+    case 'localstorage':
+      return new LocalStorageAdapter(options);
+    case 'indexeddb':
+      return new IndexedDBStorageAdapter(options);
+    case 'filesystem':
+      return new FileSystemStorageAdapter(options);
+    default:
+      throw new Error(`Tipo de armazenamento desconhecido: ${type}`);
+  }
+}
@@ -0,0 +1,273 @@
+// src/utils/tradingCalendar.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Feriados de data fixa (MM-DD) sem pregão na B3, com o período de vigência (from/until)
+const FIXED_HOLIDAYS = [
+  { date: '01-01', name: 'Confraternização Universal' },
+  { date: '01-25', name: 'Aniversário de São Paulo', until: 2021 },
+  { date: '04-21', name: 'Tiradentes' },
+  { date: '05-01', name: 'Dia do Trabalho' },
+  { date: '07-09', name: 'Revolução Constitucionalista', until: 2021 },
+  { date: '09-07', name: 'Independência do Brasil' },
+  { date: '10-12', name: 'Nossa Senhora Aparecida' },
+  { date: '11-02', name: 'Finados' },
+  { date: '11-15', name: 'Proclamação da República' },
+  { date: '11-20', name: 'Dia da Consciência Negra', until: 2021 }, // Feriado municipal de São Paulo
+  { date: '11-20', name: 'Dia Nacional de Zumbi e da Consciência Negra', from: 2024 }, // Lei 14.759/2023
+  { date: '12-24', name: 'Véspera de Natal' },
+  { date: '12-25', name: 'Natal' }
+];
+
+// Feriados móveis, em dias em relação ao domingo de Páscoa
+const EASTER_HOLIDAYS = [
+  { offset: -48, name: 'Carnaval' },
+  { offset: -47, name: 'Carnaval' },
+  { offset: -2, name: 'Sexta-feira Santa' },
+  { offset: 60, name: 'Corpus Christi' }
+];
+
+/**
+ * Calendário de pregões da B3
+ *
+ * Considera fins de semana, feriados nacionais de data fixa, feriados
+ * móveis calculados a partir da Páscoa (Carnaval, Sexta-feira Santa e
+ * Corpus Christi), a véspera de Natal e o último dia útil do ano, além de
+ * fechamentos extraordinários informados em extraHolidays ou addHoliday.
+ * As datas são tratadas em UTC no formato YYYY-MM-DD.
+ */
+export class TradingCalendar {
+  constructor(config = {}) {
+    this.config = {
+      extraHolidays: config.extraHolidays || [], // Fechamentos extraordinários (YYYY-MM-DD ou { date, name })
+      ...config
+    };
+
+    this.holidays = {}; // Feriados calculados por ano: { ano: { 'YYYY-MM-DD': nome } }
+    this.extraHolidays = {};
+
+    this.config.extraHolidays.forEach(holiday => {
+      if (typeof holiday === 'string') {
+        this.addHoliday(holiday);
+      } else {
+        this.addHoliday(holiday.date, holiday.name);
+      }
+    });
+  }
+
+  /**
+   * Calcula o domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+   * @param {Number} year - Ano
+   * @returns {Date} - Domingo de Páscoa (UTC)
+   */
+  static easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  /**
+   * Registra um fechamento extraordinário do pregão
+   * @param {String|Date} date - Data sem pregão
+   * @param {String} name - Motivo do fechamento
+   */
+  addHoliday(date, name = 'Fechamento extraordinário') {
+    this.extraHolidays[this.formatDate(date)] = name;
+  }
+
+  /**
+   * Lista os dias sem pregão (exceto fins de semana) de um ano
+   * @param {Number} year - Ano
+   * @returns {Array} - Feriados ordenados [{ date, name }]
+   */
+  getHolidays(year) {
+    const holidays = { ...this.getYearHolidays(year) };
+
+    Object.keys(this.extraHolidays)
+      .filter(date => date.startsWith(`${year}-`))
+      .forEach(date => {
+        holidays[date] = this.extraHolidays[date];
+      });
+
+    return Object.keys(holidays)
+      .sort()
+      .map(date => ({ date, name: holidays[date] }));
+  }
+
+  /**
+   * Obtém o nome do feriado em uma data
+   * @param {String|Date} date - Data
+   * @returns {String|null} - Nome do feriado ou null se não for feriado
+   */
+  getHolidayName(date) {
+    const key = this.formatDate(date);
+    const year = parseInt(key.slice(0, 4), 10);
+
+    return this.extraHolidays[key] || this.getYearHolidays(year)[key] || null;
+  }
+
+  /**
+   * Verifica se a data é feriado ou fechamento extraordinário
+   * @param {String|Date} date - Data
+   * @returns {Boolean} - Verdadeiro se não houver pregão por feriado
+   */
+  isHoliday(date) {
+    return this.getHolidayName(date) !== null;
+  }
+
+  /**
+   * Verifica se há pregão na data
+   * @param {String|Date} date - Data
+   * @returns {Boolean} - Verdadeiro para dias úteis que não são feriado
+   */
+  isTradingDay(date) {
+    const day = this.parseDate(date).getUTCDay();
+    return day !== 0 && day !== 6 && !this.isHoliday(date);
+  }
+
+  /**
+   * Obtém o próximo pregão após a data
+   * @param {String|Date} date - Data de referência
+   * @returns {String} - Próximo pregão (YYYY-MM-DD)
+   */
+  nextTradingDay(date) {
+    let current = this.parseDate(date);
+
+    do {
+      current = new Date(current.getTime() + DAY_MS);
+    } while (!this.isTradingDay(current));
+
+    return this.formatDate(current);
+  }
+
+  /**
+   * Obtém o pregão anterior à data
+   * @param {String|Date} date - Data de referência
+   * @returns {String} - Pregão anterior (YYYY-MM-DD)
+   */
+  previousTradingDay(date) {
+    let current = this.parseDate(date);
+
+    do {
+      current = new Date(current.getTime() - DAY_MS);
+    } while (!this.isTradingDay(current));
+
+    return this.formatDate(current);
+  }
+
+  /**
+   * Ajusta a data para ela mesma, se houver pregão, ou para o próximo pregão
+   * @param {String|Date} date - Data
+   * @returns {String} - Pregão ajustado (YYYY-MM-DD)
+   */
+  rollForward(date) {
+    return this.isTradingDay(date) ? this.formatDate(date) : this.nextTradingDay(date);
+  }
+
+  /**
+   * Avança (ou recua, se negativo) um número de pregões
+   * @param {String|Date} date - Data de partida
+   * @param {Number} days - Número de pregões
+   * @returns {String} - Pregão resultante (YYYY-MM-DD)
+   */
+  addTradingDays(date, days) {
+    let current = this.formatDate(date);
+
+    for (let i = 0; i < Math.abs(days); i++) {
+      current = days > 0 ? this.nextTradingDay(current) : this.previousTradingDay(current);
+    }
+
+    return current;
+  }
+
+  /**
+   * Lista os pregões entre duas datas (inclusive)
+   * @param {String|Date} startDate - Data inicial
+   * @param {String|Date} endDate - Data final
+   * @returns {Array} - Pregões (YYYY-MM-DD)
+   */
+  tradingDaysBetween(startDate, endDate) {
+    const end = this.parseDate(endDate);
+    const dates = [];
+
+    for (let current = this.parseDate(startDate); current <= end; current = new Date(current.getTime() + DAY_MS)) {
+      if (this.isTradingDay(current)) {
+        dates.push(this.formatDate(current));
+      }
+    }
+
+    return dates;
+  }
+
+  /**
+   * Calcula (com cache) os feriados regulares de um ano
+   * @param {Number} year - Ano
+   * @returns {Object} - Mapa { 'YYYY-MM-DD': nome }
+   */
+  getYearHolidays(year) {
+    if (this.holidays[year]) return this.holidays[year];
+
+    const holidays = {};
+
+    FIXED_HOLIDAYS
+      .filter(holiday => (holiday.from === undefined || year >= holiday.from) && (holiday.until === undefined || year <= holiday.until))
+      .forEach(holiday => {
+        holidays[`${year}-${holiday.date}`] = holiday.name;
+      });
+
+    const easter = TradingCalendar.easterSunday(year).getTime();
+    EASTER_HOLIDAYS.forEach(holiday => {
+      holidays[this.formatDate(new Date(easter + holiday.offset * DAY_MS))] = holiday.name;
+    });
+
+    // Não há pregão no último dia útil do ano (31/12 ou a sexta-feira anterior)
+    let lastDay = new Date(Date.UTC(year, 11, 31));
+    while (lastDay.getUTCDay() === 0 || lastDay.getUTCDay() === 6) {
+      lastDay = new Date(lastDay.getTime() - DAY_MS);
+    }
+    holidays[this.formatDate(lastDay)] = 'Último dia útil do ano';
+
+    this.holidays[year] = holidays;
+    return holidays;
+  }
+
+  /**
+   * Converte uma data (YYYY-MM-DD ou Date) para Date à meia-noite UTC
+   * @param {String|Date} value - Data
+   * @returns {Date} - Data convertida
+   */
+  parseDate(value) {
+    return new Date(`${this.formatDate(value)}T00:00:00Z`);
+  }
+
+  /**
+   * Formata uma data como YYYY-MM-DD
+   * @param {String|Date} value - Data
+   * @returns {String} - Data formatada
+   */
+  formatDate(value) {
+    return value instanceof Date ? value.toISOString().split('T')[0] : String(value).slice(0, 10);
+  }
+}
+
+/**
+ * Cria um calendário de pregões a partir da configuração
+ * @param {TradingCalendar|Object} calendar - Instância pronta ou configuração ({ extraHolidays })
+ * @returns {TradingCalendar} - Calendário de pregões
+ */
+export function createTradingCalendar(calendar) {
+  return calendar instanceof TradingCalendar ? calendar : new TradingCalendar(calendar || {});
+}
@@ -2,6 +2,7 @@
 import { DataCollector } from '../services/dataCollector';
 import { PriceForecaster } from '../models/priceForecaster';
 import { PriceForecasterEnhanced } from '../models/priceForecasterEnhanced';
+import { ArimaForecaster, ExponentialSmoothingForecaster } from '../models/statisticalForecaster';
 
 /**
  * Classe para validação dos modelos de previsão de preços
@@ -15,7 +16,9 @@ export class PriceForecasterValidator {
     this.config = {
       testSplit: config.testSplit || 0.2, // 20% dos dados para teste
       validationSplit: config.validationSplit || 0.2, // 20% dos dados para validação
-      benchmarkModels: config.benchmarkModels || ['naive', 'sma', 'ema'], // Modelos de benchmark
+      benchmarkModels: config.benchmarkModels || ['naive', 'sma', 'ema', 'arima', 'ets'], // Modelos de benchmark
+      arimaConfig: config.arimaConfig || {}, // Configuração do benchmark ARIMA
+      etsConfig: config.etsConfig || {}, // Configuração do benchmark Holt-Winters
       ...config
     };
     
@@ -235,7 +238,6 @@ export class PriceForecasterValidator {
     // Avaliar melhor modelo com dados de teste
     console.log(`Melhor configuração: useEnsemble=${bestConfig.useEnsemble}, useExogenousVariables=${bestConfig.useExogenousVariables}`);
     
-    let bestTestResults;
     if (bestConfig.useExogenousVariables) {
       bestTestResults = await bestModel.evaluateEnhanced({
         prices: testPrices,
@@ -382,6 +384,44 @@ export class PriceForecasterValidator {
       };
     }
     
+    // 4. ARIMA com seleção automática de ordem
+    if (this.config.benchmarkModels.includes('arima')) {
+      console.log('Testando modelo ARIMA (seleção automática de ordem)...');
+      
+      const model = new ArimaForecaster(this.config.arimaConfig);
+      const summary = await model.train(trainPrices);
+      const predictions = await model.predict(trainPrices, 30);
+      
+      // Calcular métricas com primeiros 30 dias de teste
+      const metrics = this.calculateMetrics(testPrices.slice(0, 30), predictions);
+      
+      results.arima = {
+        modelType: 'ARIMA',
+        config: summary.order,
+        testMetrics: metrics,
+        predictions
+      };
+    }
+    
+    // 5. Suavização exponencial (Holt-Winters)
+    if (this.config.benchmarkModels.includes('ets')) {
+      console.log('Testando modelo de suavização exponencial (Holt-Winters)...');
+      
+      const model = new ExponentialSmoothingForecaster(this.config.etsConfig);
+      const summary = await model.train(trainPrices);
+      const predictions = await model.predict(trainPrices, 30);
+      
+      // Calcular métricas com primeiros 30 dias de teste
+      const metrics = this.calculateMetrics(testPrices.slice(0, 30), predictions);
+      
+      results.ets = {
+        modelType: 'ETS',
+        config: { trend: summary.trend, seasonal: summary.seasonal },
+        testMetrics: metrics,
+        predictions
+      };
+    }
+    
     return results;
   }
   
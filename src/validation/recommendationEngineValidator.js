@@ -661,7 +661,8 @@ export class RecommendationEngineValidator {
         pvp: 1.05,
         dividendYield: 6.5,
         vacancy: 7.0,
-        liquidity: 'high'
+        liquidity: 'high',
+        segment: 'lajes_corporativas'
       }
     };
   }